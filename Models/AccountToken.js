@@ -0,0 +1,37 @@
+const mongoose = require("mongoose");
+
+// Single-use tokens mailed to members for email verification and password
+// resets. Only a SHA-256 hash of the token is stored.
+const accountTokenSchema = new mongoose.Schema({
+  memberId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Member",
+    populate: { withDeleted: true },
+    required: true,
+    index: true
+  },
+  purpose: {
+    type: String,
+    enum: ["verify_email", "reset_password"],
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, { timestamps: true });
+
+// Let MongoDB drop expired tokens on its own
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+accountTokenSchema.index({ memberId: 1, purpose: 1, usedAt: 1 });
+
+module.exports = mongoose.model("AccountToken", accountTokenSchema);
@@ -0,0 +1,72 @@
+const mongoose = require("mongoose");
+
+// One recorded write to an audited collection (see services/auditService.js).
+// Entries are append-only: the hooks below refuse every update and delete.
+// Only privacy erasure (auditService.redactEntries) blanks fields in them.
+const auditLogSchema = new mongoose.Schema({
+  // Member who made the request; null for background jobs and scripts
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Member",
+    populate: { withDeleted: true },
+    default: null,
+    index: true
+  },
+  actorRole: {
+    type: String
+  },
+  // "api", "job:<name>" or "system"
+  source: {
+    type: String,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ["create", "update", "delete"],
+    required: true
+  },
+  targetModel: {
+    type: String,
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Changed fields only for updates; the whole document for creates
+  // (after) and deletes (before). Secrets are redacted.
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  ip: {
+    type: String
+  },
+  // The request that caused the write ("PUT /members/...")
+  request: {
+    type: String
+  }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+auditLogSchema.index({ targetModel: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ actorId: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+function appendOnly() {
+  throw new Error('Audit log entries are append-only');
+}
+
+auditLogSchema.pre('save', function () {
+  if (!this.isNew) appendOnly();
+});
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  { document: true, query: true },
+  appendOnly
+);
+
+module.exports = mongoose.model("AuditLog", auditLogSchema);
@@ -0,0 +1,38 @@
+const mongoose = require("mongoose");
+const { auditPlugin } = require("../services/auditService");
+const { normalizeName } = require("../utils/names");
+
+// A person or organization credited on books (Book.authorIds). Authors are
+// created from the names given when books are cataloged and matched on
+// nameNormalized, so "Jane Austen" and "jane  austen" are the same author.
+const authorSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  nameNormalized: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  bio: {
+    type: String
+  }
+}, { timestamps: true });
+
+authorSchema.index({ name: 1 });
+
+authorSchema.pre('validate', function () {
+  if (this.isModified('name')) this.nameNormalized = normalizeName(this.name);
+});
+
+authorSchema.pre('findOneAndUpdate', function () {
+  const update = this.getUpdate();
+  const target = update && (update.$set || update);
+  if (target && target.name !== undefined) target.nameNormalized = normalizeName(target.name);
+});
+
+authorSchema.plugin(auditPlugin, { ignore: ['nameNormalized'] });
+
+module.exports = mongoose.model("Author", authorSchema);
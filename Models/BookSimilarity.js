@@ -0,0 +1,27 @@
+const mongoose = require("mongoose");
+
+// Books most often borrowed by the same members as a given book, ranked by
+// cosine similarity of their borrowers. Rebuilt in full by the
+// recommendations job (services/recommendationService.js).
+const bookSimilaritySchema = new mongoose.Schema({
+  bookId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Book",
+    required: true,
+    unique: true
+  },
+  similar: [{
+    _id: false,
+    bookId: { type: mongoose.Schema.Types.ObjectId, ref: "Book", required: true },
+    score: { type: Number, required: true },
+    // Members who borrowed both books
+    coBorrowers: { type: Number, required: true }
+  }],
+  computedAt: {
+    type: Date,
+    required: true,
+    index: true
+  }
+});
+
+module.exports = mongoose.model("BookSimilarity", bookSimilaritySchema);
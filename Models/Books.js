@@ -1,4 +1,7 @@
 const mongoose = require("mongoose");
+const { auditPlugin } = require("../services/auditService");
+const { softDeletePlugin } = require("../utils/softDelete");
+const { parseIsbn } = require("../utils/isbn");
 
 const bookSchema = new mongoose.Schema({
   title: {
@@ -11,12 +14,20 @@ const bookSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  // Normalized to ISBN-13 digits by the hooks below; isbn10 is derived
   isbn: {
     type: String,
     unique: true,
     sparse: true,
     index: true
   },
+  isbn10: {
+    type: String,
+    sparse: true,
+    index: true
+  },
+  // available/quantity are derived from Copy statuses (copies on the shelf)
+  // by services/copyService.js - do not write them directly
   available: {
     type: Boolean,
     default: true,
@@ -33,11 +44,146 @@ const bookSchema = new mongoose.Schema({
   },
   publicationYear: {
     type: Number
+  },
+  description: {
+    type: String
+  },
+  subjects: {
+    type: [String],
+    default: undefined
+  },
+  publisher: {
+    type: String
+  },
+  // Linked entities, maintained by services/bibliographyService.js from the
+  // author/authors, category/subjects and series fields. `author` stays the
+  // display byline; authorIds are the credited authors in order.
+  authorIds: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Author" }],
+    default: undefined,
+    index: true
+  },
+  subjectIds: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Subject" }],
+    default: undefined,
+    index: true
+  },
+  workId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Work",
+    index: true
+  },
+  seriesId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Series"
+  },
+  seriesVolume: {
+    type: Number,
+    min: 0,
+    required: function () { return Boolean(this.seriesId); }
+  },
+  // Edition statement as printed ("2nd ed.", "Revised edition")
+  edition: {
+    type: String
+  },
+  // ISO 639 code of the text ("en", "fre")
+  language: {
+    type: String,
+    lowercase: true,
+    index: true
+  },
+  pageCount: {
+    type: Number,
+    min: 1
+  },
+  coverUrl: {
+    type: String
+  },
+  // Mean and number of visible member ratings, maintained by
+  // services/reviewService.js
+  ratingAverage: {
+    type: Number,
+    default: null
+  },
+  ratingCount: {
+    type: Number,
+    default: 0
+  },
+  // Where missing metadata was filled in from (services/enrichmentService.js)
+  enrichment: {
+    _id: false,
+    provider: String,
+    enrichedAt: Date
+  },
+  // Lowercased copies of title/author for index-backed prefix autocomplete.
+  // Maintained by the hooks below.
+  titleNormalized: {
+    type: String,
+    index: true,
+    select: false
+  },
+  authorNormalized: {
+    type: String,
+    index: true,
+    select: false
   }
 }, { timestamps: true });
 
 // Compound indexes for common queries
 bookSchema.index({ title: 1, author: 1 });
 bookSchema.index({ available: 1, category: 1 });
+bookSchema.index({ seriesId: 1, seriesVolume: 1 });
+
+// Full-text relevance search (a collection can only have one text index)
+bookSchema.index(
+  { title: "text", author: "text", isbn: "text", category: "text", subjects: "text", description: "text" },
+  {
+    name: "book_text_search",
+    weights: { title: 10, isbn: 10, author: 6, subjects: 4, category: 3, description: 1 }
+  }
+);
+
+function normalize(value) {
+  return typeof value === 'string' ? value.trim().toLowerCase() : value;
+}
+
+const INVALID_ISBN_MESSAGE = 'isbn is not a valid ISBN-10 or ISBN-13';
+
+bookSchema.pre('validate', function () {
+  if (this.isModified('title')) this.titleNormalized = normalize(this.title);
+  if (this.isModified('author')) this.authorNormalized = normalize(this.author);
+  if (this.isModified('isbn') && this.isbn) {
+    const parsed = parseIsbn(this.isbn);
+    if (!parsed) return this.invalidate('isbn', INVALID_ISBN_MESSAGE, this.isbn);
+    this.isbn = parsed.isbn13;
+    this.isbn10 = parsed.isbn10 || undefined;
+  }
+});
+
+bookSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function () {
+  const update = this.getUpdate();
+  if (!update || Array.isArray(update)) return;
+  const target = update.$set || update;
+  if (target.title !== undefined) target.titleNormalized = normalize(target.title);
+  if (target.author !== undefined) target.authorNormalized = normalize(target.author);
+  if (target.isbn) {
+    const parsed = parseIsbn(target.isbn);
+    if (!parsed) {
+      const error = new mongoose.Error.ValidationError();
+      error.addError('isbn', new mongoose.Error.ValidatorError({ path: 'isbn', message: INVALID_ISBN_MESSAGE, value: target.isbn }));
+      throw error;
+    }
+    target.isbn = parsed.isbn13;
+    target.isbn10 = parsed.isbn10;
+  }
+});
+
+// Before the audit plugin, so audited reads see the deleted filter
+bookSchema.plugin(softDeletePlugin);
+// Shelf counts, ratings and search keys are derived; their changes are
+// audited on the copies, reviews and fields they come from
+bookSchema.plugin(auditPlugin, {
+  ignore: ['quantity', 'available', 'ratingAverage', 'ratingCount', 'titleNormalized', 'authorNormalized', 'isbn10']
+});
 
 module.exports = mongoose.model("Book", bookSchema);
\ No newline at end of file
@@ -0,0 +1,54 @@
+const mongoose = require("mongoose");
+const { auditPlugin } = require("../services/auditService");
+
+// Overrides for the built-in circulation policy (config/circulationConfig.js).
+// A policy with no category applies to every book for that role; a policy
+// with a category only to books in it. Unset fields fall through to the
+// next less specific level: role+category -> role -> built-in default.
+const circulationPolicySchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: ["student", "patron", "admin"],
+    required: true
+  },
+  category: {
+    type: String,
+    default: null
+  },
+  loanPeriodDays: {
+    type: Number,
+    min: 1
+  },
+  // null = no limit
+  maxLoans: {
+    type: Number,
+    min: 0
+  },
+  maxRenewals: {
+    type: Number,
+    min: 0
+  },
+  overdueGraceDays: {
+    type: Number,
+    min: 0
+  },
+  // Cents per started day overdue
+  dailyFine: {
+    type: Number,
+    min: 0
+  },
+  // Cap per loan in cents (0 = no cap)
+  maxFine: {
+    type: Number,
+    min: 0
+  },
+  description: {
+    type: String
+  }
+}, { timestamps: true });
+
+circulationPolicySchema.index({ role: 1, category: 1 }, { unique: true });
+
+circulationPolicySchema.plugin(auditPlugin);
+
+module.exports = mongoose.model("CirculationPolicy", circulationPolicySchema);
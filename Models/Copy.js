@@ -0,0 +1,48 @@
+const mongoose = require("mongoose");
+const { auditPlugin } = require("../services/auditService");
+
+// One physical item of a Book. Book.quantity and Book.available are derived
+// from the number of copies that are on the shelf.
+const copySchema = new mongoose.Schema({
+  bookId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Book",
+    populate: { withDeleted: true },
+    required: true,
+    index: true
+  },
+  barcode: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  shelfLocation: {
+    type: String
+  },
+  condition: {
+    type: String,
+    enum: ["new", "good", "fair", "poor", "damaged"],
+    default: "good"
+  },
+  status: {
+    type: String,
+    enum: ["on_shelf", "on_loan", "on_hold", "lost", "in_repair"],
+    default: "on_shelf",
+    index: true
+  },
+  acquisitionDate: {
+    type: Date,
+    default: Date.now
+  },
+  notes: {
+    type: String
+  }
+}, { timestamps: true });
+
+// Counting a book's shelf copies and picking one at checkout
+copySchema.index({ bookId: 1, status: 1 });
+
+copySchema.plugin(auditPlugin);
+
+module.exports = mongoose.model("Copy", copySchema);
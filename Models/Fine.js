@@ -0,0 +1,93 @@
+const mongoose = require("mongoose");
+const { auditPlugin } = require("../services/auditService");
+
+// All amounts are stored in minor currency units (cents) to avoid
+// floating point rounding.
+const fineSchema = new mongoose.Schema({
+  memberId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Member",
+    populate: { withDeleted: true },
+    required: true,
+    index: true
+  },
+  loanId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Borrowed",
+    populate: { withDeleted: true },
+    index: true
+  },
+  bookId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Book",
+    populate: { withDeleted: true }
+  },
+  type: {
+    type: String,
+    enum: ["overdue", "lost", "damage", "other"],
+    required: true,
+    index: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  amountPaid: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  amountWaived: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // amount - amountPaid - amountWaived, kept in sync by the fine service
+  balance: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ["open", "paid", "waived"],
+    default: "open",
+    index: true
+  },
+  // Overdue accrual details. A renewed loan that goes overdue again
+  // accrues a new fine for its new due date.
+  dueDate: {
+    type: Date
+  },
+  daysOverdue: {
+    type: Number
+  },
+  dailyRate: {
+    type: Number
+  },
+  capped: {
+    type: Boolean,
+    default: false
+  },
+  // Set once an overdue fine stops accruing (book returned or lost)
+  finalizedAt: {
+    type: Date
+  },
+  description: {
+    type: String
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Member",
+    populate: { withDeleted: true }
+  }
+}, { timestamps: true });
+
+// At most one overdue fine per missed due date of a loan
+fineSchema.index({ loanId: 1, type: 1, dueDate: 1 }, { unique: true, partialFilterExpression: { type: "overdue" } });
+fineSchema.index({ memberId: 1, status: 1 });
+
+fineSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model("Fine", fineSchema);
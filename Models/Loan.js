@@ -1,18 +1,30 @@
 const mongoose = require("mongoose");
+const { auditPlugin } = require("../services/auditService");
+const { softDeletePlugin } = require("../utils/softDelete");
 
 const borrowedSchema = new mongoose.Schema({
+  // Cleared when the member opted out of keeping their reading history
+  // (services/readingHistoryService.js); the loan stays for statistics
   userId: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: "User",
-    required: true,
+    ref: "Member",
+    populate: { withDeleted: true },
+    required: function () { return !this.anonymizedAt; },
     index: true
   },
   bookId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "Book",
+    populate: { withDeleted: true },
     required: true,
     index: true
   },
+  // The physical item on loan
+  copyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Copy",
+    index: true
+  },
   borrowDate: {
     type: Date,
     default: Date.now,
@@ -36,7 +48,34 @@ const borrowedSchema = new mongoose.Schema({
     type: Boolean,
     default: false,
     index: true
-  }
+  },
+  // When the loan became overdue (the missed dueDate); kept after return
+  overdueSince: {
+    type: Date
+  },
+  // Declared lost by staff; the loan is closed without restoring inventory
+  lost: {
+    type: Boolean,
+    default: false
+  },
+  lostAt: {
+    type: Date
+  },
+  renewalCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  anonymizedAt: {
+    type: Date
+  },
+  renewals: [{
+    _id: false,
+    renewedAt: { type: Date, default: Date.now },
+    previousDueDate: { type: Date, required: true },
+    newDueDate: { type: Date, required: true },
+    renewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Member", populate: { withDeleted: true } }
+  }]
 }, { timestamps: true });
 
 // Compound indexes for common queries
@@ -44,4 +83,8 @@ borrowedSchema.index({ userId: 1, returned: 1 });
 borrowedSchema.index({ bookId: 1, returned: 1 });
 borrowedSchema.index({ dueDate: 1, returned: 1, isOverdue: 1 });
 
+// Before the audit plugin, so audited reads see the deleted filter
+borrowedSchema.plugin(softDeletePlugin);
+borrowedSchema.plugin(auditPlugin);
+
 module.exports = mongoose.model("Borrowed", borrowedSchema);
\ No newline at end of file
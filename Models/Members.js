@@ -1,4 +1,7 @@
 const mongoose = require("mongoose");
+const { auditPlugin } = require("../services/auditService");
+const { softDeletePlugin } = require("../utils/softDelete");
+const { generateCardNumber, membershipExpiry } = require("../utils/membership");
 
 const memberSchema = new mongoose.Schema({
   name: {
@@ -23,10 +26,12 @@ const memberSchema = new mongoose.Schema({
     default: "student",
     index: true
   },
+  // Registrar key (services/membershipService.js#importStudents); one
+  // member per studentId, deleted members included
   studentId: {
     type: String,
-    sparse: true,
-    index: true
+    unique: true,
+    sparse: true
   },
   department: {
     type: String,
@@ -47,11 +52,74 @@ const memberSchema = new mongoose.Schema({
     type: Boolean,
     default: true,
     index: true
+  },
+  // Library card barcode, assigned on creation
+  cardNumber: {
+    type: String,
+    unique: true,
+    sparse: true,
+    trim: true
+  },
+  // null = the membership does not expire
+  membershipExpiresAt: {
+    type: Date,
+    default: null,
+    index: true
+  },
+  // Set when the membership job switched the account off for expiry, so a
+  // renewal knows to switch it back on
+  expiryDeactivatedAt: {
+    type: Date,
+    default: null
+  },
+  // Set once the member follows the link mailed at registration. Accounts
+  // created before verification existed have no value and count as verified.
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  passwordChangedAt: {
+    type: Date
+  },
+  // How the member wants to hear about loans, holds and fines
+  // (services/notificationService.js); sms needs a phone number
+  notificationChannels: {
+    type: [{ type: String, enum: ["email", "sms"] }],
+    default: ["email"]
+  },
+  mutedNotifications: {
+    type: [{ type: String, enum: ["due_soon", "overdue", "hold_ready", "hold_expiring", "fine_issued"] }],
+    default: []
+  },
+  // false: returned loans are detached from the member once the review
+  // window has passed (services/readingHistoryService.js)
+  keepReadingHistory: {
+    type: Boolean,
+    default: true
+  },
+  // Bumped to invalidate every access token issued before it
+  tokenVersion: {
+    type: Number,
+    default: 0
   }
 }, { timestamps: true });
 
+// New members get a card and a membership term for their role
+memberSchema.pre("validate", function () {
+  if (!this.isNew) return;
+  if (!this.cardNumber) this.cardNumber = generateCardNumber();
+  if (this.$isDefault("membershipExpiresAt")) this.membershipExpiresAt = membershipExpiry(this.role, this.registrationDate || new Date());
+});
+
 // Compound index for frequently searched combinations
 memberSchema.index({ role: 1, isActive: 1 });
 memberSchema.index({ department: 1, role: 1 });
 
+// Before the audit plugin, so audited reads see the deleted filter
+memberSchema.plugin(softDeletePlugin);
+memberSchema.plugin(auditPlugin, { redact: ['password'] });
+
 module.exports = mongoose.model("Member", memberSchema);
\ No newline at end of file
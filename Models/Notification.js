@@ -0,0 +1,73 @@
+const mongoose = require("mongoose");
+
+// One message to one member over one channel: the outbound queue and, once
+// sent or given up on, the delivery log
+const notificationSchema = new mongoose.Schema({
+  memberId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Member",
+    populate: { withDeleted: true },
+    required: true
+  },
+  event: {
+    type: String,
+    enum: ["due_soon", "overdue", "hold_ready", "hold_expiring", "fine_issued"],
+    required: true,
+    index: true
+  },
+  channel: {
+    type: String,
+    enum: ["email", "sms"],
+    required: true
+  },
+  // Email address or phone number at the time the message was queued
+  to: {
+    type: String,
+    required: true
+  },
+  subject: {
+    type: String
+  },
+  body: {
+    type: String,
+    required: true
+  },
+  // Identifies the occurrence (e.g. "overdue:<loanId>:<dueDate>"), so an
+  // event is notified once per channel however often it is seen
+  dedupeKey: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ["pending", "sent", "failed"],
+    default: "pending"
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  sentAt: {
+    type: Date
+  },
+  lastError: {
+    type: String
+  },
+  deliveries: [{
+    _id: false,
+    attemptedAt: { type: Date, required: true },
+    transport: { type: String },
+    messageId: { type: String },
+    error: { type: String }
+  }]
+}, { timestamps: true });
+
+notificationSchema.index({ dedupeKey: 1, channel: 1 }, { unique: true });
+notificationSchema.index({ status: 1, nextAttemptAt: 1 });
+notificationSchema.index({ memberId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Notification", notificationSchema);
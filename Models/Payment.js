@@ -0,0 +1,49 @@
+const mongoose = require("mongoose");
+const { auditPlugin } = require("../services/auditService");
+
+// Ledger entry against a fine: money received, or an amount forgiven.
+// Amounts are in cents, like Fine.
+const paymentSchema = new mongoose.Schema({
+  fineId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Fine",
+    required: true,
+    index: true
+  },
+  memberId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Member",
+    populate: { withDeleted: true },
+    required: true,
+    index: true
+  },
+  type: {
+    type: String,
+    enum: ["payment", "waiver"],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  method: {
+    type: String,
+    enum: ["cash", "card", "online", "other"]
+  },
+  note: {
+    type: String
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Member",
+    populate: { withDeleted: true },
+    required: true
+  }
+}, { timestamps: true });
+
+paymentSchema.index({ memberId: 1, createdAt: -1 });
+
+paymentSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model("Payment", paymentSchema);
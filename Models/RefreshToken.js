@@ -0,0 +1,37 @@
+const mongoose = require("mongoose");
+
+// One document per issued refresh token (i.e. per login session).
+// The token itself is never stored - only its id (the JWT "jti").
+const refreshTokenSchema = new mongoose.Schema({
+  memberId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Member",
+    populate: { withDeleted: true },
+    required: true,
+    index: true
+  },
+  jti: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  replacedBy: {
+    type: String
+  },
+  createdByIp: {
+    type: String
+  }
+}, { timestamps: true });
+
+// Let MongoDB drop expired sessions on its own
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+refreshTokenSchema.index({ memberId: 1, revokedAt: 1 });
+
+module.exports = mongoose.model("RefreshToken", refreshTokenSchema);
@@ -0,0 +1,64 @@
+const mongoose = require("mongoose");
+const { auditPlugin } = require("../services/auditService");
+
+// A member's place in a book's hold queue. Holds are served FIFO by
+// requestedAt; a returned copy moves the next waiting hold to "ready" and
+// is kept for that member until expiresAt.
+const reservationSchema = new mongoose.Schema({
+  bookId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Book",
+    populate: { withDeleted: true },
+    required: true,
+    index: true
+  },
+  memberId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Member",
+    populate: { withDeleted: true },
+    required: true,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: ["waiting", "ready", "fulfilled", "cancelled", "expired"],
+    default: "waiting",
+    index: true
+  },
+  requestedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set when a copy is allocated to this hold
+  copyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Copy"
+  },
+  readyAt: {
+    type: Date
+  },
+  // Pickup deadline for a ready hold
+  expiresAt: {
+    type: Date
+  },
+  fulfilledAt: {
+    type: Date
+  },
+  cancelledAt: {
+    type: Date
+  },
+  loanId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Borrowed",
+    populate: { withDeleted: true }
+  }
+}, { timestamps: true });
+
+// FIFO queue per book, and the expiry sweep
+reservationSchema.index({ bookId: 1, status: 1, requestedAt: 1 });
+reservationSchema.index({ memberId: 1, status: 1 });
+reservationSchema.index({ status: 1, expiresAt: 1 });
+
+reservationSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model("Reservation", reservationSchema);
@@ -0,0 +1,67 @@
+const mongoose = require("mongoose");
+const { auditPlugin } = require("../services/auditService");
+
+// A member's rating (1-5) and optional review of a book they borrowed and
+// returned. Hidden reviews stay stored but leave the book's rating and
+// public listings (services/reviewService.js).
+const reviewSchema = new mongoose.Schema({
+  memberId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Member",
+    populate: { withDeleted: true },
+    required: true,
+    index: true
+  },
+  bookId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Book",
+    populate: { withDeleted: true },
+    required: true
+  },
+  rating: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5
+  },
+  text: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ["visible", "hidden"],
+    default: "visible",
+    index: true
+  },
+  // Members reporting the review to the moderators; one flag per member
+  flags: [{
+    _id: false,
+    memberId: { type: mongoose.Schema.Types.ObjectId, ref: "Member", populate: { withDeleted: true }, required: true },
+    reason: { type: String },
+    flaggedAt: { type: Date, default: Date.now }
+  }],
+  flagCount: {
+    type: Number,
+    default: 0,
+    index: true
+  },
+  moderatedAt: {
+    type: Date
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Member",
+    populate: { withDeleted: true }
+  },
+  moderationNote: {
+    type: String
+  }
+}, { timestamps: true });
+
+reviewSchema.index({ bookId: 1, memberId: 1 }, { unique: true });
+reviewSchema.index({ bookId: 1, status: 1, createdAt: -1 });
+
+reviewSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model("Review", reviewSchema);
@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+const { auditPlugin } = require("../services/auditService");
+const { normalizeName } = require("../utils/names");
+
+// A numbered series books belong to (Book.seriesId + Book.seriesVolume).
+// Series are edition-level, like MARC 490/830: a publisher's series such as
+// "Penguin Classics" can hold one edition of a work and not another.
+const seriesSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  titleNormalized: {
+    type: String,
+    required: true,
+    unique: true
+  }
+}, { timestamps: true });
+
+seriesSchema.index({ title: 1 });
+
+seriesSchema.pre('validate', function () {
+  if (this.isModified('title')) this.titleNormalized = normalizeName(this.title);
+});
+
+seriesSchema.pre('findOneAndUpdate', function () {
+  const update = this.getUpdate();
+  const target = update && (update.$set || update);
+  if (target && target.title !== undefined) target.titleNormalized = normalizeName(target.title);
+});
+
+seriesSchema.plugin(auditPlugin, { ignore: ['titleNormalized'] });
+
+module.exports = mongoose.model("Series", seriesSchema, "series");
@@ -0,0 +1,34 @@
+const mongoose = require("mongoose");
+const { auditPlugin } = require("../services/auditService");
+const { normalizeName } = require("../utils/names");
+
+// A topic books are about (Book.subjectIds): the book's category and each
+// of its subject headings. Matched on nameNormalized like Author.
+const subjectSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  nameNormalized: {
+    type: String,
+    required: true,
+    unique: true
+  }
+}, { timestamps: true });
+
+subjectSchema.index({ name: 1 });
+
+subjectSchema.pre('validate', function () {
+  if (this.isModified('name')) this.nameNormalized = normalizeName(this.name);
+});
+
+subjectSchema.pre('findOneAndUpdate', function () {
+  const update = this.getUpdate();
+  const target = update && (update.$set || update);
+  if (target && target.name !== undefined) target.nameNormalized = normalizeName(target.name);
+});
+
+subjectSchema.plugin(auditPlugin, { ignore: ['nameNormalized'] });
+
+module.exports = mongoose.model("Subject", subjectSchema);
@@ -0,0 +1,63 @@
+const mongoose = require("mongoose");
+
+// One event sent to one subscription: the outbound queue, the delivery
+// history and, once attempts run out, the dead-letter list
+const webhookDeliverySchema = new mongoose.Schema({
+  subscriptionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "WebhookSubscription",
+    required: true
+  },
+  // Envelope id and type (services/eventBus.js)
+  eventId: {
+    type: String,
+    required: true
+  },
+  event: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // The envelope as sent
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ["pending", "delivered", "dead"],
+    default: "pending"
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  deliveredAt: {
+    type: Date
+  },
+  deadAt: {
+    type: Date
+  },
+  lastError: {
+    type: String
+  },
+  history: [{
+    _id: false,
+    attemptedAt: { type: Date, required: true },
+    statusCode: { type: Number },
+    durationMs: { type: Number },
+    error: { type: String }
+  }]
+}, { timestamps: true });
+
+webhookDeliverySchema.index({ subscriptionId: 1, eventId: 1 }, { unique: true });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ subscriptionId: 1, createdAt: -1 });
+// Reading history erasure finds a loan's events by id
+webhookDeliverySchema.index({ "payload.data.loanId": 1 }, { sparse: true });
+
+module.exports = mongoose.model("WebhookDelivery", webhookDeliverySchema);
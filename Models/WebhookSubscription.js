@@ -0,0 +1,40 @@
+const mongoose = require("mongoose");
+const { auditPlugin } = require("../services/auditService");
+const { EVENT_TYPES } = require("../services/eventBus");
+
+// An external endpoint that receives domain events as signed HTTP POSTs
+// (services/webhookService.js)
+const webhookSubscriptionSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true
+  },
+  // Event types delivered; "*" means every event
+  events: {
+    type: [{ type: String, enum: [...EVENT_TYPES, "*"] }],
+    required: true
+  },
+  description: {
+    type: String
+  },
+  // HMAC-SHA256 signing key, shown only when created or rotated
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Member",
+    populate: { withDeleted: true }
+  }
+}, { timestamps: true });
+
+webhookSubscriptionSchema.plugin(auditPlugin, { redact: ['secret'] });
+
+module.exports = mongoose.model("WebhookSubscription", webhookSubscriptionSchema);
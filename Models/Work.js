@@ -0,0 +1,39 @@
+const mongoose = require("mongoose");
+const { auditPlugin } = require("../services/auditService");
+const { normalizeName } = require("../utils/names");
+
+// The abstract work that editions (Books) are published from. Editions,
+// reprints and translations of one work share a Work through Book.workId.
+// A new book joins the work with the same title and authors unless a
+// workId is given explicitly (see services/bibliographyService.js).
+const workSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  titleNormalized: {
+    type: String,
+    required: true
+  },
+  authorIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Author"
+  }]
+}, { timestamps: true });
+
+workSchema.index({ titleNormalized: 1, authorIds: 1 });
+
+workSchema.pre('validate', function () {
+  if (this.isModified('title')) this.titleNormalized = normalizeName(this.title);
+});
+
+workSchema.pre('findOneAndUpdate', function () {
+  const update = this.getUpdate();
+  const target = update && (update.$set || update);
+  if (target && target.title !== undefined) target.titleNormalized = normalizeName(target.title);
+});
+
+workSchema.plugin(auditPlugin, { ignore: ['titleNormalized'] });
+
+module.exports = mongoose.model("Work", workSchema);
@@ -0,0 +1,30 @@
+/**
+ * Authentication Configuration
+ * Token signing secrets and lifetimes, read from the environment
+ */
+
+const authConfig = {
+  // Signing secrets - always override these outside development
+  accessTokenSecret: process.env.JWT_ACCESS_SECRET || 'libra-dev-access-secret',
+  refreshTokenSecret: process.env.JWT_REFRESH_SECRET || 'libra-dev-refresh-secret',
+
+  // Lifetimes (jsonwebtoken duration strings, e.g. "15m", "7d")
+  accessTokenTtl: process.env.ACCESS_TOKEN_TTL || '15m',
+  refreshTokenTtl: process.env.REFRESH_TOKEN_TTL || '7d',
+
+  issuer: 'libra-backend',
+
+  // Single-use links mailed to members (hours)
+  verifyEmailTokenTtlHours: parseInt(process.env.VERIFY_EMAIL_TOKEN_TTL_HOURS) || 48,
+  resetPasswordTokenTtlHours: parseInt(process.env.RESET_PASSWORD_TOKEN_TTL_HOURS) || 1,
+
+  // Front-end base URL the links in those emails point at
+  appUrl: process.env.APP_URL || 'http://localhost:3000'
+};
+
+if (process.env.NODE_ENV === 'production' &&
+    (!process.env.JWT_ACCESS_SECRET || !process.env.JWT_REFRESH_SECRET)) {
+  throw new Error('JWT_ACCESS_SECRET and JWT_REFRESH_SECRET must be set in production');
+}
+
+module.exports = authConfig;
@@ -0,0 +1,66 @@
+/**
+ * Circulation Configuration
+ * Lending rules applied by the checkout/return workflow
+ */
+
+/**
+ * Integer from the environment, for settings where 0 is meaningful
+ * @param {string} name - Variable name
+ * @param {number} fallback - Value when unset or not a number
+ * @returns {number}
+ */
+function envInteger(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+const circulationConfig = {
+  // Built-in circulation policy per member role. CirculationPolicy documents
+  // (see /policies) override these field by field, optionally per category.
+  defaultPolicy: {
+    student: {
+      loanPeriodDays: 14,
+      maxLoans: null,        // null = no limit
+      maxRenewals: 2,
+      overdueGraceDays: 3,   // days past dueDate a loan may still be renewed
+      dailyFine: 25,         // cents per started day overdue
+      maxFine: 1000          // cap per loan in cents (0 = no cap)
+    },
+    patron: {
+      loanPeriodDays: 21,
+      maxLoans: null,
+      maxRenewals: 3,
+      overdueGraceDays: 3,
+      dailyFine: 50,
+      maxFine: 2000
+    },
+    admin: {
+      loanPeriodDays: 28,
+      maxLoans: null,
+      maxRenewals: 5,
+      overdueGraceDays: 3,
+      dailyFine: 0,
+      maxFine: 0
+    }
+  },
+
+  fines: {
+    // Charged when a borrowed copy is declared lost (cents)
+    lostItem: {
+      replacementFee: 3000,
+      processingFee: 500
+    },
+    // Members owing more than this (cents) cannot check out books; 0 blocks
+    // any unpaid balance
+    blockThreshold: envInteger('FINE_BLOCK_THRESHOLD', 1000)
+  },
+
+  holds: {
+    // Days a returned copy is kept for the next member in the queue
+    pickupWindowDays: parseInt(process.env.HOLD_PICKUP_DAYS) || 3,
+    // Active (waiting or ready) holds a member may have at once
+    maxActiveHolds: 5
+  }
+};
+
+module.exports = circulationConfig;
@@ -0,0 +1,23 @@
+/**
+ * Metadata Enrichment Configuration
+ * Which provider fills in book metadata from an ISBN
+ * (services/enrichmentService.js)
+ */
+
+const path = require('path');
+
+const enrichmentConfig = {
+  // "openlibrary", "fixture" (offline, reads fixturePath) or "none"
+  provider: process.env.ENRICHMENT_PROVIDER || 'none',
+
+  // Give up on a lookup after this long and create the book without it
+  timeoutMs: parseInt(process.env.ENRICHMENT_TIMEOUT_MS) || 5000,
+
+  openLibrary: {
+    baseUrl: process.env.OPENLIBRARY_URL || 'https://openlibrary.org'
+  },
+
+  fixturePath: process.env.ENRICHMENT_FIXTURES || path.join(__dirname, '..', 'fixtures', 'isbnMetadata.json')
+};
+
+module.exports = enrichmentConfig;
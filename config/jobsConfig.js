@@ -0,0 +1,21 @@
+/**
+ * Background Job Configuration
+ * Run intervals for the in-process scheduler (milliseconds)
+ */
+
+const jobsConfig = {
+  // Set to "false" to disable every scheduled job (e.g. on extra API replicas)
+  enabled: process.env.JOBS_ENABLED !== 'false',
+
+  intervals: {
+    overdue: parseInt(process.env.OVERDUE_JOB_INTERVAL_MS) || 15 * 60 * 1000,
+    holds: parseInt(process.env.HOLDS_JOB_INTERVAL_MS) || 15 * 60 * 1000,
+    membership: parseInt(process.env.MEMBERSHIP_JOB_INTERVAL_MS) || 60 * 60 * 1000,
+    notifications: parseInt(process.env.NOTIFICATIONS_JOB_INTERVAL_MS) || 5 * 60 * 1000,
+    recommendations: parseInt(process.env.RECOMMENDATIONS_JOB_INTERVAL_MS) || 24 * 60 * 60 * 1000,
+    readingHistory: parseInt(process.env.READING_HISTORY_JOB_INTERVAL_MS) || 24 * 60 * 60 * 1000,
+    webhooks: parseInt(process.env.WEBHOOKS_JOB_INTERVAL_MS) || 30 * 1000
+  }
+};
+
+module.exports = jobsConfig;
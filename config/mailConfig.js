@@ -0,0 +1,18 @@
+/**
+ * Mail Configuration
+ * How account emails are delivered (services/mailService.js)
+ */
+
+const os = require('os');
+const path = require('path');
+
+const mailConfig = {
+  // "console" (log to stdout) or "file" (one .eml file per message in outboxDir)
+  transport: process.env.MAIL_TRANSPORT || 'console',
+
+  from: process.env.MAIL_FROM || 'Libra Library <no-reply@libra.local>',
+
+  outboxDir: process.env.MAIL_OUTBOX_DIR || path.join(os.tmpdir(), 'libra-mail')
+};
+
+module.exports = mailConfig;
@@ -0,0 +1,45 @@
+/**
+ * Membership Configuration
+ * How long memberships last and what happens when they run out
+ * (utils/membership.js, services/membershipService.js)
+ */
+
+/**
+ * Parse ACADEMIC_TERMS ("spring:05-31,summer:08-31,fall:12-31")
+ * @param {string} value - Environment value
+ * @returns {Array<Object>} [{ name, month, day }] in calendar order
+ */
+function parseTerms(value) {
+  return value.split(',').map((entry) => {
+    const [name, date] = entry.trim().split(':');
+    const [month, day] = date.split('-').map(Number);
+    return { name: name.toLowerCase(), month, day };
+  }).sort((a, b) => a.month - b.month || a.day - b.day);
+}
+
+const membershipConfig = {
+  // Roles whose membership runs for a fixed number of months from joining
+  // or renewing. Roles in neither list (admins) never expire.
+  termMonths: {
+    patron: parseInt(process.env.PATRON_TERM_MONTHS) || 12
+  },
+
+  // Roles whose membership runs to the end of an academic term
+  academicTermRoles: ['student'],
+
+  // Last day of each academic term (month-day, every year)
+  academicTerms: parseTerms(process.env.ACADEMIC_TERMS || 'spring:05-31,summer:08-31,fall:12-31'),
+
+  // What the membership job does to expired members: "block" only refuses
+  // checkouts, renewals and holds; "deactivate" also switches the account off
+  onExpiry: process.env.MEMBERSHIP_ON_EXPIRY || 'block',
+
+  // Members may renew their own fixed-term membership this many days before
+  // it expires (staff can renew any time)
+  selfRenewalWindowDays: parseInt(process.env.SELF_RENEWAL_WINDOW_DAYS) || 30,
+
+  // Prefix of generated library card numbers
+  cardPrefix: 'MEM'
+};
+
+module.exports = membershipConfig;
@@ -0,0 +1,38 @@
+/**
+ * Notification Configuration
+ * When members are notified and how delivery is retried
+ * (services/notificationService.js)
+ */
+
+const os = require('os');
+const path = require('path');
+
+const notificationConfig = {
+  // Remind members this many days before a loan is due
+  dueSoonDays: parseInt(process.env.DUE_SOON_DAYS) || 3,
+
+  // Warn this many hours before a ready hold's pickup window closes
+  holdExpiringHours: parseInt(process.env.HOLD_EXPIRING_HOURS) || 24,
+
+  // Events older than this are not notified (e.g. when the job first runs
+  // against an existing database)
+  lookbackDays: parseInt(process.env.NOTIFICATION_LOOKBACK_DAYS) || 7,
+
+  // Failed sends are retried after retryBaseMs, doubling each time, until
+  // maxAttempts have been made
+  maxAttempts: parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS) || 5,
+  retryBaseMs: parseInt(process.env.NOTIFICATION_RETRY_BASE_MS) || 5 * 60 * 1000,
+
+  // Notifications sent per job run
+  batchSize: 200,
+
+  // "console" (log to stdout) or "file" (one .txt file per message in smsOutboxDir);
+  // email goes through services/mailService.js
+  smsTransport: process.env.SMS_TRANSPORT || 'console',
+  smsOutboxDir: process.env.SMS_OUTBOX_DIR || path.join(os.tmpdir(), 'libra-sms'),
+
+  // Shown before fine amounts (stored in cents)
+  currencySymbol: process.env.CURRENCY_SYMBOL || '$'
+};
+
+module.exports = notificationConfig;
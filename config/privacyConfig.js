@@ -0,0 +1,14 @@
+/**
+ * Privacy Configuration
+ * Retention of reading history for members who opt out of keeping it
+ * (services/readingHistoryService.js)
+ */
+
+const privacyConfig = {
+  // Returned loans of opted-out members are detached from them this many
+  // days after return. Reviews need a returned loan, so this is also how
+  // long those members have to rate what they read.
+  readingHistoryGraceDays: parseInt(process.env.READING_HISTORY_GRACE_DAYS) || 30
+};
+
+module.exports = privacyConfig;
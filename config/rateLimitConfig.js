@@ -0,0 +1,57 @@
+/**
+ * Rate Limit Configuration
+ * Request buckets for middleware/rateLimit.js and the failed-login lockout
+ * of services/loginGuard.js
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * TRUST_PROXY as Express expects it: a hop count, true, or addresses/names
+ * @param {string} value - Environment value
+ * @returns {number|boolean|string}
+ */
+function parseTrustProxy(value) {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  return /^\d+$/.test(value) ? Number(value) : value;
+}
+
+const rateLimitConfig = {
+  // Set to "false" to turn every limit off (e.g. behind a gateway that limits)
+  enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+
+  // Express "trust proxy" setting, so limits key on the client's IP rather
+  // than the proxy's (e.g. "1" for one reverse proxy, "loopback")
+  trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
+
+  // Requests per client IP per window
+  buckets: {
+    default: {
+      windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * MINUTE_MS,
+      max: parseInt(process.env.RATE_LIMIT_MAX) || 900
+    },
+    login: {
+      windowMs: parseInt(process.env.LOGIN_RATE_LIMIT_WINDOW_MS) || 15 * MINUTE_MS,
+      max: parseInt(process.env.LOGIN_RATE_LIMIT_MAX) || 20
+    },
+    // Registration and the endpoints that send account email
+    register: {
+      windowMs: parseInt(process.env.REGISTER_RATE_LIMIT_WINDOW_MS) || 60 * MINUTE_MS,
+      max: parseInt(process.env.REGISTER_RATE_LIMIT_MAX) || 10
+    }
+  },
+
+  // Failed logins: after `threshold` failures within `windowMs` the account
+  // (or IP) is locked for lockMs, doubling with each further failure up to
+  // maxLockMs
+  lockout: {
+    windowMs: parseInt(process.env.LOGIN_FAILURE_WINDOW_MS) || 60 * MINUTE_MS,
+    accountThreshold: parseInt(process.env.LOGIN_ACCOUNT_THRESHOLD) || 5,
+    ipThreshold: parseInt(process.env.LOGIN_IP_THRESHOLD) || 25,
+    lockMs: parseInt(process.env.LOGIN_LOCK_MS) || MINUTE_MS,
+    maxLockMs: parseInt(process.env.LOGIN_MAX_LOCK_MS) || 60 * MINUTE_MS
+  }
+};
+
+module.exports = rateLimitConfig;
@@ -0,0 +1,31 @@
+/**
+ * Recommendation Configuration
+ * How co-borrowing similarity is computed and how recommendations are
+ * ranked (services/recommendationService.js)
+ */
+
+const recommendationConfig = {
+  // Loans older than this do not count towards similarity
+  lookbackDays: parseInt(process.env.RECOMMENDATION_LOOKBACK_DAYS) || 730,
+
+  // Only a member's most recent loans are paired, so one prolific
+  // borrower cannot dominate (or blow up) the computation
+  maxBooksPerMember: parseInt(process.env.RECOMMENDATION_MAX_BOOKS_PER_MEMBER) || 200,
+
+  // Two books are similar once this many members borrowed both
+  minCoBorrowers: parseInt(process.env.RECOMMENDATION_MIN_CO_BORROWERS) || 2,
+
+  // Similar books kept per book
+  neighbors: parseInt(process.env.RECOMMENDATION_NEIGHBORS) || 20,
+
+  // Weight of category/author affinity next to co-borrowing similarity
+  affinityWeight: parseFloat(process.env.RECOMMENDATION_AFFINITY_WEIGHT) || 0.5,
+
+  // Scores of titles with no copy on the shelf are multiplied by this
+  unavailableWeight: parseFloat(process.env.RECOMMENDATION_UNAVAILABLE_WEIGHT) || 0.5,
+
+  // Affinity candidates considered per request
+  affinityCandidates: 200
+};
+
+module.exports = recommendationConfig;
@@ -0,0 +1,20 @@
+/**
+ * Webhook Configuration
+ * Delivery timeouts and retries for outbound webhooks
+ * (services/webhookService.js)
+ */
+
+const webhookConfig = {
+  // How long a receiver has to answer before the attempt counts as failed
+  timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000,
+
+  // Failed deliveries are retried after retryBaseMs, doubling each time,
+  // until maxAttempts have been made; then they move to the dead letters
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8,
+  retryBaseMs: parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 30 * 1000,
+
+  // Deliveries sent per job run
+  batchSize: 100
+};
+
+module.exports = webhookConfig;
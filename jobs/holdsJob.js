@@ -0,0 +1,11 @@
+/**
+ * Hold Expiry Job
+ * Expires ready holds that were not picked up and passes the copy on
+ */
+
+const { expireHolds } = require('../services/holdService');
+
+module.exports = {
+  name: 'holds',
+  run: () => expireHolds()
+};
@@ -0,0 +1,26 @@
+/**
+ * Job Registry
+ * Registers every background job with the scheduler
+ */
+
+const jobsConfig = require('../config/jobsConfig');
+const { registerJob } = require('./scheduler');
+const overdueJob = require('./overdueJob');
+const holdsJob = require('./holdsJob');
+const membershipJob = require('./membershipJob');
+const notificationsJob = require('./notificationsJob');
+const recommendationsJob = require('./recommendationsJob');
+const readingHistoryJob = require('./readingHistoryJob');
+const webhooksJob = require('./webhooksJob');
+
+function registerAllJobs() {
+  registerJob({ name: overdueJob.name, intervalMs: jobsConfig.intervals.overdue, run: overdueJob.run });
+  registerJob({ name: holdsJob.name, intervalMs: jobsConfig.intervals.holds, run: holdsJob.run });
+  registerJob({ name: membershipJob.name, intervalMs: jobsConfig.intervals.membership, run: membershipJob.run });
+  registerJob({ name: notificationsJob.name, intervalMs: jobsConfig.intervals.notifications, run: notificationsJob.run });
+  registerJob({ name: recommendationsJob.name, intervalMs: jobsConfig.intervals.recommendations, run: recommendationsJob.run });
+  registerJob({ name: readingHistoryJob.name, intervalMs: jobsConfig.intervals.readingHistory, run: readingHistoryJob.run });
+  registerJob({ name: webhooksJob.name, intervalMs: jobsConfig.intervals.webhooks, run: webhooksJob.run });
+}
+
+module.exports = { registerAllJobs };
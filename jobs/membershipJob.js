@@ -0,0 +1,12 @@
+/**
+ * Membership Expiry Job
+ * Applies the expiry action (config/membershipConfig.js onExpiry) to
+ * members whose membership has run out
+ */
+
+const { expireMemberships } = require('../services/membershipService');
+
+module.exports = {
+  name: 'membership',
+  run: () => expireMemberships()
+};
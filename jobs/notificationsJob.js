@@ -0,0 +1,19 @@
+/**
+ * Notifications Job
+ * Queues notifications for new loan, hold and fine events, then sends
+ * whatever is due (first attempts and retries)
+ */
+
+const { queueDueNotifications, sendPendingNotifications } = require('../services/notificationService');
+
+async function run() {
+  const now = new Date();
+  const queued = await queueDueNotifications(now);
+  const delivery = await sendPendingNotifications(now);
+  return { queued, ...delivery };
+}
+
+module.exports = {
+  name: 'notifications',
+  run
+};
@@ -0,0 +1,61 @@
+/**
+ * Overdue Detection Job
+ * Keeps Borrowed.isOverdue in sync with dueDate for unreturned loans and
+ * accrues the matching overdue fines
+ */
+
+const Borrowed = require('../Models/Loan');
+const { accrueOverdueFines } = require('../services/fineService');
+const { emitEvent, loanEventData } = require('../services/eventBus');
+
+/**
+ * Flag unreturned loans that are past due (emitting loan.overdue for each)
+ * and clear stale flags
+ * @param {Date} now - Reference time (defaults to the current time)
+ * @returns {Promise<Object>} { markedOverdue, cleared }
+ */
+async function markOverdueLoans(now = new Date()) {
+  const candidates = await Borrowed.find({ returned: false, isOverdue: false, dueDate: { $lt: now } })
+    .select('_id')
+    .lean();
+
+  // Each loan is flagged on its own and only announced if this run flagged
+  // it: an overlapping run, a return or a renewal since the find wins.
+  // overdueSince records the moment the loan became overdue, i.e. the
+  // dueDate that was missed, not the time this job happened to notice it.
+  let markedOverdue = 0;
+  for (const { _id } of candidates) {
+    const loan = await Borrowed.findOneAndUpdate(
+      { _id, returned: false, isOverdue: false, dueDate: { $lt: now } },
+      [{ $set: { isOverdue: true, overdueSince: '$dueDate' } }],
+      { new: true, lean: true, updatePipeline: true, projection: { userId: 1, bookId: 1, copyId: 1, borrowDate: 1, dueDate: 1 } }
+    );
+    if (!loan) continue;
+    markedOverdue++;
+    emitEvent('loan.overdue', loanEventData(loan));
+  }
+
+  // A loan stops being overdue once it is returned or its dueDate is extended
+  const cleared = await Borrowed.updateMany(
+    { isOverdue: true, $or: [{ returned: true }, { dueDate: { $gte: now } }] },
+    { isOverdue: false }
+  );
+
+  return { markedOverdue, cleared: cleared.modifiedCount };
+}
+
+/**
+ * Flag overdue loans, then accrue their fines
+ */
+async function run() {
+  const now = new Date();
+  const flags = await markOverdueLoans(now);
+  const fines = await accrueOverdueFines(now);
+  return { ...flags, ...fines };
+}
+
+module.exports = {
+  name: 'overdue',
+  run,
+  markOverdueLoans
+};
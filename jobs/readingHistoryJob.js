@@ -0,0 +1,12 @@
+/**
+ * Reading History Job
+ * Detaches returned loans from members who opted out of keeping their
+ * reading history
+ */
+
+const { purgeReadingHistory } = require('../services/readingHistoryService');
+
+module.exports = {
+  name: 'reading-history',
+  run: () => purgeReadingHistory()
+};
@@ -0,0 +1,12 @@
+/**
+ * Recommendations Job
+ * Rebuilds the co-borrowing similarity lists behind /books/:id/similar and
+ * /members/:id/recommendations
+ */
+
+const { computeSimilarities } = require('../services/recommendationService');
+
+module.exports = {
+  name: 'recommendations',
+  run: () => computeSimilarities()
+};
@@ -0,0 +1,11 @@
+/**
+ * Webhooks Job
+ * Retries webhook deliveries that failed or were never attempted
+ */
+
+const { sendPendingDeliveries } = require('../services/webhookService');
+
+module.exports = {
+  name: 'webhooks',
+  run: () => sendPendingDeliveries()
+};
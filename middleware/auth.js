@@ -0,0 +1,100 @@
+/**
+ * Authentication & Authorization Middleware
+ */
+
+const Member = require('../Models/Members');
+const { verifyAccessToken } = require('../utils/tokenUtils');
+const { AppError } = require('../utils/errors');
+const { setActor } = require('../utils/requestContext');
+
+/**
+ * Require a valid Bearer access token. Populates req.user with
+ * { id, role, email } from the member's current record, so role changes,
+ * deactivation and token revocation take effect immediately.
+ */
+async function authenticate(req, res, next) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return next(new AppError(401, 'AUTH_REQUIRED', "Authentication required"));
+  }
+
+  let payload;
+  try {
+    payload = verifyAccessToken(token);
+  } catch (err) {
+    return next(err.name === 'TokenExpiredError'
+      ? new AppError(401, 'TOKEN_EXPIRED', "Access token expired")
+      : new AppError(401, 'INVALID_TOKEN', "Invalid access token"));
+  }
+
+  try {
+    const member = await Member.findById(payload.sub)
+      .select('role email isActive tokenVersion')
+      .lean();
+
+    if (!member || !member.isActive || (member.tokenVersion || 0) !== payload.ver) {
+      return next(new AppError(401, 'TOKEN_REVOKED', "Access token revoked"));
+    }
+
+    req.user = { id: String(member._id), role: member.role, email: member.email };
+    setActor(req.user);
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Restrict a route to the given roles
+ * @param {...string} roles - Allowed roles
+ */
+function authorize(...roles) {
+  const middleware = (req, res, next) => {
+    if (!req.user) return next(new AppError(401, 'AUTH_REQUIRED', "Authentication required"));
+    if (!roles.includes(req.user.role)) {
+      return next(new AppError(403, 'FORBIDDEN', "Insufficient permissions"));
+    }
+    next();
+  };
+  // Read by utils/openapi.js to document the route
+  middleware.roles = roles;
+  return middleware;
+}
+
+/**
+ * Check whether a user may act on a member's own records
+ * @param {Object} user - req.user
+ * @param {string|Object} memberId - Member ID (ObjectId, string or populated doc)
+ * @returns {boolean}
+ */
+function canAccessMember(user, memberId) {
+  if (!user) return false;
+  if (user.role === 'admin') return true;
+  const id = memberId && memberId._id ? memberId._id : memberId;
+  return String(id) === user.id;
+}
+
+/**
+ * Allow admins, or the member identified by a route parameter
+ * @param {string} param - Route parameter holding the member ID
+ */
+function authorizeSelfOrAdmin(param = 'id') {
+  const middleware = (req, res, next) => {
+    if (!req.user) return next(new AppError(401, 'AUTH_REQUIRED', "Authentication required"));
+    if (!canAccessMember(req.user, req.params[param])) {
+      return next(new AppError(403, 'FORBIDDEN', "Insufficient permissions"));
+    }
+    next();
+  };
+  middleware.selfOrAdmin = param;
+  return middleware;
+}
+
+module.exports = {
+  authenticate,
+  authorize,
+  authorizeSelfOrAdmin,
+  canAccessMember
+};
@@ -0,0 +1,50 @@
+/**
+ * Rate Limiting Middleware
+ * Fixed-window request limits per client IP, in named buckets configured in
+ * config/rateLimitConfig.js. Responses carry the IETF draft headers
+ * RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset (seconds until
+ * the window resets), plus Retry-After once the limit is hit. Counters live
+ * in utils/rateLimitStore.js.
+ */
+
+const rateLimitConfig = require('../config/rateLimitConfig');
+const { getStore } = require('../utils/rateLimitStore');
+const { AppError } = require('../utils/errors');
+
+/**
+ * Limit requests for a bucket
+ * @param {string} bucket - Key of rateLimitConfig.buckets ("default", "login", "register")
+ * @param {Object} options - { key(req) } to count by something other than the IP
+ * @returns {Function} Express middleware
+ */
+function rateLimit(bucket, { key = req => req.ip } = {}) {
+  const limits = rateLimitConfig.buckets[bucket];
+  if (!limits) throw new Error(`No rate limit bucket "${bucket}"`);
+
+  const middleware = async (req, res, next) => {
+    if (!rateLimitConfig.enabled) return next();
+
+    try {
+      const { count, resetAt } = await getStore().increment(`rate:${bucket}:${key(req)}`, limits.windowMs);
+      const resetSeconds = Math.max(0, Math.ceil((resetAt - Date.now()) / 1000));
+
+      res.set({
+        'RateLimit-Limit': String(limits.max),
+        'RateLimit-Remaining': String(Math.max(0, limits.max - count)),
+        'RateLimit-Reset': String(resetSeconds)
+      });
+
+      if (count > limits.max) {
+        res.set('Retry-After', String(resetSeconds));
+        return next(new AppError(429, 'RATE_LIMITED', `Too many requests; try again in ${resetSeconds} seconds`));
+      }
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+  middleware.bucket = bucket;
+  return middleware;
+}
+
+module.exports = { rateLimit };
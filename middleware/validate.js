@@ -0,0 +1,266 @@
+/**
+ * Request Validation Middleware
+ * Declarative checks for req.params, req.query and req.body.
+ *
+ * A schema maps each source to field specs:
+ *   { params: { id: { type: 'objectId', required: true } },
+ *     query:  { status: { type: 'string', enum: [...] } },
+ *     body:   { title: { type: 'string', required: true, maxLength: 500 },
+ *               role:  { type: 'string', enum: [...], roles: ['admin'] } } }
+ *
+ * Field spec keys: type ('string' | 'integer' | 'number' | 'boolean' |
+ * 'objectId' | 'date' | 'email' | 'isbn' | 'array' | 'object'), required, nullable,
+ * enum, min, max, minLength, maxLength, pattern, items (spec for array
+ * elements), fields (specs for object keys) and roles (body only: the roles
+ * allowed to write the field; omitted means anyone who reaches the route).
+ *
+ * The body is replaced by a copy holding only declared fields, with values
+ * coerced to their types. Unknown body fields are rejected rather than
+ * dropped so clients learn they were ignored. Query strings and params are
+ * checked but left as strings for the routes to interpret.
+ */
+
+const { AppError } = require('../utils/errors');
+const { parseIsbn } = require('../utils/isbn');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+
+/**
+ * Make every field in a body schema optional (for partial updates)
+ * @param {Object} fields - Field specs
+ * @returns {Object} Copies of the specs without `required`
+ */
+function optional(fields) {
+  const result = {};
+  for (const [name, spec] of Object.entries(fields)) {
+    const { required, ...rest } = spec;
+    result[name] = rest;
+  }
+  return result;
+}
+
+/**
+ * Allowed values of a Mongoose enum path, so schemas and models agree
+ * @param {Model} model - Mongoose model
+ * @param {string} path - Schema path
+ * @returns {Array<string>}
+ */
+function enumOf(model, path) {
+  return model.schema.path(path).enumValues;
+}
+
+/**
+ * Check and coerce one value
+ * @param {Object} spec - Field spec
+ * @param {*} value - Raw value (not undefined)
+ * @param {string} field - Field path for error reporting
+ * @param {Array} errors - Collected { code, field, message } entries
+ * @returns {*} Coerced value (undefined when invalid)
+ */
+function checkValue(spec, value, field, errors) {
+  const fail = (code, message) => {
+    errors.push({ code, field, message });
+    return undefined;
+  };
+
+  if (value === null || value === '') {
+    if (spec.nullable) return null;
+    if (value === null || spec.required) {
+      return fail(spec.required ? 'REQUIRED' : 'INVALID_TYPE', `${field} must not be empty`);
+    }
+  }
+
+  let result = value;
+  switch (spec.type) {
+    case 'string':
+    case 'email':
+      if (typeof value !== 'string') return fail('INVALID_TYPE', `${field} must be a string`);
+      result = value.trim();
+      if (spec.type === 'email') {
+        result = result.toLowerCase();
+        if (!EMAIL_PATTERN.test(result)) return fail('INVALID_VALUE', `${field} must be an email address`);
+      }
+      if (spec.minLength !== undefined && result.length < spec.minLength) {
+        return fail('INVALID_LENGTH', `${field} must be at least ${spec.minLength} characters`);
+      }
+      if (spec.maxLength !== undefined && result.length > spec.maxLength) {
+        return fail('INVALID_LENGTH', `${field} must be at most ${spec.maxLength} characters`);
+      }
+      if (spec.pattern && !spec.pattern.test(result)) return fail('INVALID_VALUE', `${field} has an invalid format`);
+      break;
+
+    case 'integer':
+    case 'number':
+      result = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof result !== 'number' || !Number.isFinite(result)) {
+        return fail('INVALID_TYPE', `${field} must be a number`);
+      }
+      if (spec.type === 'integer' && !Number.isInteger(result)) {
+        return fail('INVALID_TYPE', `${field} must be an integer`);
+      }
+      if (spec.min !== undefined && result < spec.min) return fail('OUT_OF_RANGE', `${field} must be at least ${spec.min}`);
+      if (spec.max !== undefined && result > spec.max) return fail('OUT_OF_RANGE', `${field} must be at most ${spec.max}`);
+      break;
+
+    case 'boolean':
+      if (value === 'true') result = true;
+      else if (value === 'false') result = false;
+      if (typeof result !== 'boolean') return fail('INVALID_TYPE', `${field} must be true or false`);
+      break;
+
+    case 'objectId':
+      if (typeof value !== 'string' || !OBJECT_ID_PATTERN.test(value)) {
+        return fail('INVALID_ID', `${field} must be a valid id`);
+      }
+      break;
+
+    case 'isbn': {
+      // Coerced to the stored ISBN-13 form
+      const parsed = typeof value === 'string' || typeof value === 'number' ? parseIsbn(value) : null;
+      if (!parsed) return fail('INVALID_ISBN', `${field} is not a valid ISBN-10 or ISBN-13`);
+      result = parsed.isbn13;
+      break;
+    }
+
+    case 'date':
+      result = new Date(value);
+      if ((typeof value !== 'string' && typeof value !== 'number') || Number.isNaN(result.getTime())) {
+        return fail('INVALID_TYPE', `${field} must be a date`);
+      }
+      break;
+
+    case 'array': {
+      if (!Array.isArray(value)) return fail('INVALID_TYPE', `${field} must be an array`);
+      if (spec.minLength !== undefined && value.length < spec.minLength) {
+        return fail('INVALID_LENGTH', `${field} must have at least ${spec.minLength} items`);
+      }
+      if (spec.maxLength !== undefined && value.length > spec.maxLength) {
+        return fail('INVALID_LENGTH', `${field} must have at most ${spec.maxLength} items`);
+      }
+      const before = errors.length;
+      result = spec.items
+        ? value.map((item, i) => checkValue(spec.items, item, `${field}[${i}]`, errors))
+        : value;
+      if (errors.length > before) return undefined;
+      break;
+    }
+
+    case 'object': {
+      if (typeof value !== 'object' || Array.isArray(value)) return fail('INVALID_TYPE', `${field} must be an object`);
+      const before = errors.length;
+      result = checkFields(spec.fields || {}, value, `${field}.`, errors, { rejectUnknown: true });
+      if (errors.length > before) return undefined;
+      break;
+    }
+
+    default:
+      throw new Error(`Unknown validation type "${spec.type}" for ${field}`);
+  }
+
+  if (spec.enum && !spec.enum.includes(result)) {
+    return fail('INVALID_VALUE', `${field} must be one of: ${spec.enum.join(', ')}`);
+  }
+  return result;
+}
+
+/**
+ * Check a set of fields
+ * @param {Object} specs - Field specs by name
+ * @param {Object} input - Values by name
+ * @param {string} prefix - Path prefix for nested fields
+ * @param {Array} errors - Collected errors
+ * @param {Object} options - { rejectUnknown, emptyAsMissing }
+ * @returns {Object} Declared fields with coerced values
+ */
+function checkFields(specs, input, prefix, errors, { rejectUnknown, emptyAsMissing = false }) {
+  const result = {};
+
+  if (rejectUnknown) {
+    for (const name of Object.keys(input)) {
+      if (!Object.prototype.hasOwnProperty.call(specs, name)) {
+        errors.push({ code: 'UNKNOWN_FIELD', field: prefix + name, message: `${prefix + name} is not an accepted field` });
+      }
+    }
+  }
+
+  for (const [name, spec] of Object.entries(specs)) {
+    const value = input[name];
+    if (value === undefined || (emptyAsMissing && value === '')) {
+      if (spec.required) errors.push({ code: 'REQUIRED', field: prefix + name, message: `${prefix + name} is required` });
+      continue;
+    }
+    const checked = checkValue(spec, value, prefix + name, errors);
+    if (checked !== undefined) result[name] = checked;
+  }
+  return result;
+}
+
+/**
+ * Validate a plain object against field specs outside of a request
+ * (e.g. rows of an import file)
+ * @param {Object} specs - Field specs by name
+ * @param {Object} input - Values by name
+ * @returns {Object} { value, errors } - coerced declared fields and any
+ *   { code, field, message } failures (unknown fields included)
+ */
+function validateFields(specs, input) {
+  const errors = [];
+  const value = checkFields(specs, input, '', errors, { rejectUnknown: true });
+  return { value, errors };
+}
+
+/**
+ * Build validation middleware for a route
+ * @param {Object} schema - { params, query, body } field specs
+ * @returns {Function} Express middleware
+ */
+function validate(schema) {
+  const middleware = (req, res, next) => {
+    const errors = [];
+
+    if (schema.params) checkFields(schema.params, req.params, '', errors, { rejectUnknown: false });
+    // ?category= is treated as "not filtering", as the routes always have
+    if (schema.query) checkFields(schema.query, req.query, '', errors, { rejectUnknown: false, emptyAsMissing: true });
+
+    if (schema.body) {
+      const body = req.body === undefined ? {} : req.body;
+      if (typeof body !== 'object' || body === null || Array.isArray(body)) {
+        return next(new AppError(400, 'INVALID_BODY', 'Request body must be a JSON object'));
+      }
+
+      // Role whitelist first: a forbidden field is a permission problem, not a typo
+      const role = req.user && req.user.role;
+      const forbidden = Object.keys(body).find(name => {
+        const spec = schema.body[name];
+        return spec && spec.roles && !spec.roles.includes(role);
+      });
+      if (forbidden) {
+        return next(new AppError(403, 'FIELD_NOT_WRITABLE', `${forbidden} cannot be changed by this account`, {
+          field: forbidden
+        }));
+      }
+
+      const sanitized = checkFields(schema.body, body, '', errors, { rejectUnknown: true });
+      if (!errors.length) req.body = sanitized;
+    }
+
+    if (errors.length) {
+      return next(new AppError(400, 'VALIDATION_FAILED', errors[0].message, {
+        field: errors[0].field,
+        details: errors
+      }));
+    }
+    next();
+  };
+  // Read by utils/openapi.js to document the route
+  middleware.schema = schema;
+  return middleware;
+}
+
+module.exports = {
+  validate,
+  validateFields,
+  optional,
+  enumOf
+};
@@ -0,0 +1,58 @@
+const express = require("express");
+const router = express.Router();
+const AuditLog = require("../Models/AuditLog");
+const { authenticate, authorize } = require("../middleware/auth");
+const { handleDBError } = require("../utils/dbUtils");
+const { paginate } = require("../utils/pagination");
+const { AppError } = require("../utils/errors");
+const { validate } = require("../middleware/validate");
+const schemas = require("../validators/audit");
+
+// Read-only: entries are written by services/auditService.js and never
+// changed or removed
+router.use(authenticate, authorize("admin"));
+
+// Query the audit log, newest first
+router.get("/", validate(schemas.list), async (req, res) => {
+  try {
+    const { actorId, targetModel, targetId, action, source, from, to } = req.query;
+
+    const filter = {};
+    if (actorId) filter.actorId = actorId;
+    if (targetModel) filter.targetModel = targetModel;
+    if (targetId) filter.targetId = targetId;
+    if (action) filter.action = action;
+    if (source) filter.source = source;
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    res.json(await paginate(AuditLog, filter, req.query, {
+      sortFields: ['createdAt'],
+      defaultSort: 'createdAt',
+      defaultLimit: 50,
+      select: '-__v',
+      populate: [['actorId', 'name email']]
+    }));
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Get a single entry
+router.get("/:id", validate(schemas.byId), async (req, res) => {
+  try {
+    const entry = await AuditLog.findById(req.params.id)
+      .populate('actorId', 'name email')
+      .lean()
+      .select('-__v');
+    if (!entry) throw new AppError(404, 'AUDIT_ENTRY_NOT_FOUND', "Audit entry not found");
+    res.json(entry);
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,72 @@
+const express = require("express");
+const router = express.Router();
+const Author = require("../Models/Author");
+const Book = require("../Models/Books");
+const { authenticate, authorize } = require("../middleware/auth");
+const { updateAuthor } = require("../services/bibliographyService");
+const { handleDBError, escapeRegex } = require("../utils/dbUtils");
+const { paginate } = require("../utils/pagination");
+const { normalizeName } = require("../utils/names");
+const { AppError } = require("../utils/errors");
+const { validate } = require("../middleware/validate");
+const schemas = require("../validators/authors");
+
+// Browsing is open to any signed-in member; edits are admin-only
+router.use(authenticate);
+
+// List authors alphabetically (?q= matches the start of the name)
+router.get("/", validate(schemas.list), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.q) filter.nameNormalized = new RegExp('^' + escapeRegex(normalizeName(req.query.q)));
+
+    res.json(await paginate(Author, filter, req.query, {
+      sortFields: ['name', 'createdAt'],
+      defaultSort: 'name',
+      defaultOrder: 'asc',
+      select: 'name'
+    }));
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Get an author with the number of books credited to them
+router.get("/:id", validate(schemas.byId), async (req, res) => {
+  try {
+    const author = await Author.findById(req.params.id).lean().select('-__v -nameNormalized');
+    if (!author) throw new AppError(404, 'AUTHOR_NOT_FOUND', "Author not found");
+    author.bookCount = await Book.countDocuments({ authorIds: author._id });
+    res.json(author);
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Books credited to an author
+router.get("/:id/books", validate(schemas.books), async (req, res) => {
+  try {
+    const exists = await Author.exists({ _id: req.params.id });
+    if (!exists) throw new AppError(404, 'AUTHOR_NOT_FOUND', "Author not found");
+
+    res.json(await paginate(Book, { authorIds: req.params.id }, req.query, {
+      sortFields: ['title', 'createdAt'],
+      defaultSort: 'title',
+      defaultOrder: 'asc',
+      select: 'title author isbn category available quantity publicationYear language workId'
+    }));
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Rename an author or edit their bio (bylines follow renames)
+router.put("/:id", authorize("admin"), validate(schemas.update), async (req, res) => {
+  try {
+    res.json(await updateAuthor(req.params.id, req.body));
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+module.exports = router;
@@ -1,89 +1,390 @@
 const express = require("express");
 const router = express.Router();
 const Book = require("../Models/Books");
+const Reservation = require("../Models/Reservation");
+const Copy = require("../Models/Copy");
+const Review = require("../Models/Review");
+const { authenticate, authorize, canAccessMember } = require("../middleware/auth");
+const { placeHold, cancelHold, getQueuePosition, receiveCopies, ACTIVE_STATUSES } = require("../services/holdService");
+const { addCopies } = require("../services/copyService");
+const { similarBooks } = require("../services/recommendationService");
+const { createReview } = require("../services/reviewService");
+const { searchCatalog, autocomplete } = require("../services/searchService");
+const { importBooks, detectFormat } = require("../services/importService");
+const { exportBooks } = require("../services/exportService");
+const { enrichBookFields, lookupIsbn, toBookFields } = require("../services/enrichmentService");
+const { linkBibliography } = require("../services/bibliographyService");
+const { softDelete, restore, purge } = require("../services/deletionService");
+const { emitEvent, bookEventData } = require("../services/eventBus");
+const { parseIsbn } = require("../utils/isbn");
+const { handleDBError, runInTransaction, buildSearchFilter } = require("../utils/dbUtils");
+const { paginate } = require("../utils/pagination");
+const { AppError } = require("../utils/errors");
+const { validate } = require("../middleware/validate");
+const schemas = require("../validators/books");
+const reviewSchemas = require("../validators/reviews");
+
+// Catalog reads are open to any signed-in member; writes are admin-only
+router.use(authenticate);
 
 // Get all books with pagination and filtering
-router.get("/", async (req, res) => {
+router.get("/", validate(schemas.list), async (req, res) => {
   try {
-    const { page = 1, limit = 10, category, available, search } = req.query;
-    const skip = (page - 1) * limit;
+    const { category, available, language, search } = req.query;
     
     let filter = {};
     if (category) filter.category = category;
     if (available !== undefined) filter.available = available === 'true';
-    if (search) {
-      filter.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { author: { $regex: search, $options: 'i' } }
-      ];
-    }
-    
-    const books = await Book.find(filter)
-      .lean()
-      .select('title author isbn category available quantity publicationYear')
-      .skip(skip)
-      .limit(parseInt(limit))
-      .sort({ createdAt: -1 });
-    
-    const total = await Book.countDocuments(filter);
+    if (language) filter.language = language.toLowerCase();
+    if (search) Object.assign(filter, buildSearchFilter(search, ['title', 'author']));
     
+    res.json(await paginate(Book, filter, req.query, {
+      sortFields: ['createdAt', 'title', 'author'],
+      defaultSort: 'createdAt',
+      select: 'title author isbn category available quantity publicationYear language workId ratingAverage ratingCount'
+    }));
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Relevance-ranked full-text search with facet counts
+router.get("/search", validate(schemas.search), async (req, res) => {
+  try {
+    const { q, category, available, yearFrom, yearTo } = req.query;
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 10));
+
+    const { data, total, facets } = await searchCatalog({
+      q,
+      category,
+      available: available === undefined ? undefined : available === 'true',
+      yearFrom: yearFrom === undefined ? undefined : parseInt(yearFrom),
+      yearTo: yearTo === undefined ? undefined : parseInt(yearTo),
+      skip: (page - 1) * limit,
+      limit
+    });
+
     res.json({
-      data: books,
-      pagination: {
-        total,
-        page: parseInt(page),
-        limit: parseInt(limit),
-        pages: Math.ceil(total / limit)
-      }
+      data,
+      facets,
+      pagination: { total, page, limit, pages: Math.ceil(total / limit) }
     });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    handleDBError(err, res);
+  }
+});
+
+// Title/author prefix suggestions for the search box
+router.get("/autocomplete", validate(schemas.autocomplete), async (req, res) => {
+  try {
+    const { q } = req.query;
+    if (!q || !q.trim()) return res.json({ titles: [], authors: [] });
+
+    const limit = Math.min(20, Math.max(1, parseInt(req.query.limit) || 8));
+    res.json(await autocomplete(q, limit));
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Bulk import from CSV, MARC21 or MARCXML sent as the raw request body.
+// ?dryRun=true validates every row without writing; ?onDuplicate=skip
+// leaves books with a known isbn untouched instead of merging.
+router.post("/import", authorize("admin"), validate(schemas.import), async (req, res) => {
+  try {
+    const format = detectFormat(req.query.format, req.headers['content-type']);
+    const report = await importBooks(req, {
+      format,
+      dryRun: req.query.dryRun === 'true',
+      onDuplicate: req.query.onDuplicate || 'merge'
+    });
+    res.json(report);
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Export the catalog as CSV (re-importable) or JSON
+router.get("/export", authorize("admin"), validate(schemas.export), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.category) filter.category = req.query.category;
+    await exportBooks(res, { format: req.query.format || 'csv', filter });
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Deleted books, most recently deleted first
+router.get("/deleted", authorize("admin"), validate(schemas.listDeleted), async (req, res) => {
+  try {
+    res.json(await paginate(Book, { deletedAt: { $ne: null } }, req.query, {
+      sortFields: ['deletedAt'],
+      defaultSort: 'deletedAt',
+      select: 'title author isbn deletedAt deletedBy',
+      populate: [['deletedBy', 'name email']]
+    }));
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Preview the metadata an isbn would be enriched with
+router.get("/lookup/:isbn", authorize("admin"), validate(schemas.lookup), async (req, res) => {
+  try {
+    const { isbn13, isbn10 } = parseIsbn(req.params.isbn);
+    const existing = await Book.findOne({ isbn: isbn13 }).select('_id').lean();
+    const { provider, metadata } = await lookupIsbn(isbn13);
+    res.json({
+      isbn: isbn13,
+      isbn10,
+      provider,
+      found: Boolean(metadata),
+      fields: metadata ? toBookFields(metadata) : null,
+      existingBookId: existing ? existing._id : null
+    });
+  } catch (err) {
+    handleDBError(err, res);
   }
 });
 
 // Get a single book by ID
-router.get("/:id", async (req, res) => {
+router.get("/:id", validate(schemas.byId), async (req, res) => {
   try {
     const book = await Book.findById(req.params.id)
+      .populate('authorIds', 'name')
+      .populate('subjectIds', 'name')
+      .populate('seriesId', 'title')
+      .populate('workId', 'title')
       .lean()
       .select('-__v');
-    if (!book) return res.status(404).json({ error: "Book not found" });
+    if (!book) throw new AppError(404, 'BOOK_NOT_FOUND', "Book not found");
     res.json(book);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    handleDBError(err, res);
   }
 });
 
-// Create a new book
-router.post("/", async (req, res) => {
+// Create a new book. quantity creates that many shelf copies with
+// generated barcodes; inventory is derived from copies from then on.
+// With an isbn, missing fields are filled in by the metadata provider.
+router.post("/", authorize("admin"), validate(schemas.create), async (req, res) => {
   try {
-    const book = new Book(req.body);
-    await book.save();
+    const { quantity = 1, ...given } = req.body;
+    const { fields } = await enrichBookFields(given);
+    const hint = fields.isbn ? ' (no metadata was found for this isbn)' : '';
+    if (!fields.title) throw new AppError(400, 'VALIDATION_FAILED', `title is required${hint}`, { field: 'title' });
+    if (!fields.author && !fields.authors) {
+      throw new AppError(400, 'VALIDATION_FAILED', `author or authors is required${hint}`, { field: 'author' });
+    }
+
+    const book = await runInTransaction(async (session) => {
+      const linked = await linkBibliography(fields, { session });
+      const created = new Book({ ...linked, quantity: 0, available: false });
+      await created.save({ session });
+      if (quantity > 0) await addCopies(created._id, Array.from({ length: quantity }, () => ({})), session);
+      return Book.findById(created._id).session(session);
+    });
+    emitEvent('book.created', bookEventData(book));
     res.status(201).json(book);
   } catch (err) {
-    res.status(400).json({ error: err.message });
+    handleDBError(err, res);
   }
 });
 
 // Update a book
-router.put("/:id", async (req, res) => {
+router.put("/:id", authorize("admin"), validate(schemas.update), async (req, res) => {
   try {
-    const book = await Book.findByIdAndUpdate(req.params.id, req.body, { new: true, lean: true });
-    if (!book) return res.status(404).json({ error: "Book not found" });
+    // quantity/available are derived from copies - manage them via /:id/copies
+    const book = await runInTransaction(async (session) => {
+      const current = await Book.findById(req.params.id)
+        .select('title category subjects authorIds seriesId seriesVolume workId')
+        .session(session)
+        .lean();
+      if (!current) throw new AppError(404, 'BOOK_NOT_FOUND', "Book not found");
+
+      const fields = await linkBibliography(req.body, { session, current });
+      return Book.findByIdAndUpdate(req.params.id, fields, { new: true, lean: true, runValidators: true, session });
+    });
     res.json(book);
   } catch (err) {
-    res.status(400).json({ error: err.message });
+    handleDBError(err, res);
   }
 });
 
-// Delete a book
-router.delete("/:id", async (req, res) => {
+// Delete a book (soft: restorable until purged). Refused while copies are on loan.
+router.delete("/:id", authorize("admin"), validate(schemas.byId), async (req, res) => {
   try {
-    const book = await Book.findByIdAndDelete(req.params.id);
-    if (!book) return res.status(404).json({ error: "Book not found" });
+    await softDelete('book', req.params.id, req.user.id);
+    emitEvent('book.deleted', { bookId: req.params.id });
     res.json({ message: "Book deleted" });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    handleDBError(err, res);
+  }
+});
+
+// Restore a deleted book
+router.post("/:id/restore", authorize("admin"), validate(schemas.byId), async (req, res) => {
+  try {
+    res.json(await restore('book', req.params.id));
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Permanently remove a deleted book
+router.delete("/:id/purge", authorize("admin"), validate(schemas.byId), async (req, res) => {
+  try {
+    await purge('book', req.params.id);
+    res.json({ message: "Book purged" });
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Other editions of the same work
+router.get("/:id/editions", validate(schemas.editions), async (req, res) => {
+  try {
+    const book = await Book.findById(req.params.id).select('workId').lean();
+    if (!book) throw new AppError(404, 'BOOK_NOT_FOUND', "Book not found");
+    // A book without a work (not yet migrated) has no other editions
+    const filter = book.workId ? { workId: book.workId, _id: { $ne: book._id } } : { _id: { $in: [] } };
+
+    res.json(await paginate(Book, filter, req.query, {
+      sortFields: ['createdAt', 'title'],
+      defaultSort: 'createdAt',
+      select: 'title author isbn edition language publisher publicationYear available quantity'
+    }));
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Books often borrowed by the same members ("also borrowed"), available ones first
+router.get("/:id/similar", validate(schemas.similar), async (req, res) => {
+  try {
+    res.json(await similarBooks(req.params.id, { limit: parseInt(req.query.limit) || undefined }));
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Reviews of a book, newest first (admins may ask for ?status=hidden)
+router.get("/:id/reviews", validate(reviewSchemas.byBook), async (req, res) => {
+  try {
+    const status = req.user.role === 'admin' && req.query.status ? req.query.status : 'visible';
+    res.json(await paginate(Review, { bookId: req.params.id, status }, req.query, {
+      sortFields: ['createdAt', 'rating'],
+      defaultSort: 'createdAt',
+      select: 'memberId rating text status createdAt updatedAt',
+      populate: [['memberId', 'name']]
+    }));
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Rate and review a book you borrowed and returned
+router.post("/:id/reviews", validate(reviewSchemas.create), async (req, res) => {
+  try {
+    const review = await createReview(req.user.id, req.params.id, req.body);
+    res.status(201).json({ message: "Review added", review });
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// List a book's copies
+router.get("/:id/copies", validate(schemas.listCopies), async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    let filter = { bookId: req.params.id };
+    if (status) filter.status = status;
+
+    res.json(await paginate(Copy, filter, req.query, {
+      sortFields: ['acquisitionDate', 'barcode', 'createdAt'],
+      defaultSort: 'acquisitionDate',
+      defaultOrder: 'asc',
+      select: '-__v'
+    }));
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Add copies: { copies: [{ barcode, shelfLocation, condition, acquisitionDate }] }
+// or { count, shelfLocation, condition } for generated barcodes. New copies
+// go to waiting holds first.
+router.post("/:id/copies", authorize("admin"), validate(schemas.addCopies), async (req, res) => {
+  try {
+    const exists = await Book.exists({ _id: req.params.id });
+    if (!exists) throw new AppError(404, 'BOOK_NOT_FOUND', "Book not found");
+
+    const { copies, count = 1, ...shared } = req.body;
+    const items = copies || Array.from({ length: count }, () => ({ ...shared }));
+
+    const created = await runInTransaction(session => receiveCopies(req.params.id, items, session));
+    res.status(201).json({ data: created });
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// List a book's active holds in FIFO order. Members only see their own
+// entries; admins see the whole queue. queueLength counts every waiting hold.
+router.get("/:id/holds", validate(schemas.listHolds), async (req, res) => {
+  try {
+    let filter = { bookId: req.params.id, status: { $in: ACTIVE_STATUSES } };
+    if (req.user.role !== 'admin') filter.memberId = req.user.id;
+
+    const result = await paginate(Reservation, filter, req.query, {
+      sortFields: ['requestedAt'],
+      defaultSort: 'requestedAt',
+      defaultOrder: 'asc',
+      select: '-__v',
+      populate: [['memberId', 'name email']]
+    });
+    for (const hold of result.data) hold.position = await getQueuePosition(hold);
+
+    const queueLength = await Reservation.countDocuments({ bookId: req.params.id, status: 'waiting' });
+    res.json({ ...result, queueLength });
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Place a hold on a book with no available copies
+router.post("/:id/holds", validate(schemas.placeHold), async (req, res) => {
+  try {
+    const memberId = req.body.memberId || req.user.id;
+    if (!canAccessMember(req.user, memberId)) {
+      throw new AppError(403, 'FORBIDDEN', "Cannot place holds for other members", { field: 'memberId' });
+    }
+
+    const hold = await placeHold({ bookId: req.params.id, memberId });
+    res.status(201).json({ ...hold.toObject(), position: await getQueuePosition(hold) });
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Cancel a hold (a ready copy passes to the next member in line)
+router.delete("/:id/holds/:holdId", validate(schemas.cancelHold), async (req, res) => {
+  try {
+    const existing = await Reservation.findOne({ _id: req.params.holdId, bookId: req.params.id })
+      .select('memberId')
+      .lean();
+    if (!existing) throw new AppError(404, 'HOLD_NOT_FOUND', "Hold not found");
+    if (!canAccessMember(req.user, existing.memberId)) {
+      throw new AppError(403, 'FORBIDDEN', "Insufficient permissions");
+    }
+
+    const hold = await cancelHold(req.params.holdId);
+    res.json({ message: "Hold cancelled", hold });
+  } catch (err) {
+    handleDBError(err, res);
   }
 });
 
@@ -102,7 +403,7 @@ router.get("/stats/by-category", async (req, res) => {
     ]);
     res.json(stats);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    handleDBError(err, res);
   }
 });
 
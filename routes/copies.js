@@ -0,0 +1,76 @@
+const express = require("express");
+const router = express.Router();
+const Copy = require("../Models/Copy");
+const Borrowed = require("../Models/Loan");
+const Reservation = require("../Models/Reservation");
+const { authenticate, authorize } = require("../middleware/auth");
+const { updateCopy, removeCopy } = require("../services/copyService");
+const { findCopyByBarcode } = require("../services/circulationService");
+const { handleDBError } = require("../utils/dbUtils");
+const { AppError } = require("../utils/errors");
+const { validate } = require("../middleware/validate");
+const schemas = require("../validators/copies");
+
+router.use(authenticate);
+
+// Barcode lookup for scanners: the copy, its book and (for staff) who has it
+router.get("/barcode/:barcode", validate(schemas.byBarcode), async (req, res) => {
+  try {
+    const { _id } = await findCopyByBarcode(req.params.barcode);
+    const copy = await Copy.findById(_id)
+      .populate('bookId', 'title author isbn category')
+      .lean()
+      .select('-__v');
+
+    const result = { copy };
+    if (req.user.role === 'admin') {
+      result.activeLoan = await Borrowed.findOne({ copyId: _id, returned: false })
+        .populate('userId', 'name email studentId')
+        .lean()
+        .select('userId borrowDate dueDate isOverdue');
+      result.hold = await Reservation.findOne({ copyId: _id, status: 'ready' })
+        .populate('memberId', 'name email')
+        .lean()
+        .select('memberId readyAt expiresAt');
+    }
+    res.json(result);
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Get a single copy
+router.get("/:id", validate(schemas.byId), async (req, res) => {
+  try {
+    const copy = await Copy.findById(req.params.id)
+      .populate('bookId', 'title author isbn')
+      .lean()
+      .select('-__v');
+    if (!copy) throw new AppError(404, 'COPY_NOT_FOUND', "Copy not found");
+    res.json(copy);
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Update a copy (location, condition, barcode, or on_shelf/lost/in_repair status)
+router.put("/:id", authorize("admin"), validate(schemas.update), async (req, res) => {
+  try {
+    const copy = await updateCopy(req.params.id, req.body);
+    res.json(copy);
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Withdraw a copy that is not in circulation
+router.delete("/:id", authorize("admin"), validate(schemas.byId), async (req, res) => {
+  try {
+    await removeCopy(req.params.id);
+    res.json({ message: "Copy deleted" });
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,48 @@
+const express = require("express");
+const crypto = require("crypto");
+const router = express.Router();
+const swaggerUi = require("swagger-ui-dist");
+const { buildOpenApiSpec } = require("../utils/openapi");
+
+// Built on first use; the routes do not change while the server runs
+let spec;
+
+// Explorer assets, served from the swagger-ui-dist package (pinned in
+// package.json) rather than a CDN
+router.use("/assets", express.static(swaggerUi.getAbsoluteFSPath(), { index: false }));
+
+// The OpenAPI 3 document
+router.get("/openapi.json", (req, res) => {
+  spec = spec || buildOpenApiSpec();
+  res.json(spec);
+});
+
+// Interactive explorer for the document (Swagger UI)
+router.get("/", (req, res) => {
+  // helmet's default policy only allows same-origin scripts and styles
+  const nonce = crypto.randomBytes(16).toString('base64');
+  res.set('Content-Security-Policy', [
+    "default-src 'self'",
+    `script-src 'self' 'nonce-${nonce}'`,
+    "style-src 'self' 'unsafe-inline'",
+    "img-src 'self' data:",
+    "connect-src 'self'"
+  ].join('; '));
+  res.type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Libra API</title>
+  <link rel="stylesheet" href="${req.baseUrl}/assets/swagger-ui.css">
+</head>
+<body>
+  <div id="explorer"></div>
+  <script src="${req.baseUrl}/assets/swagger-ui-bundle.js"></script>
+  <script nonce="${nonce}">
+    SwaggerUIBundle({ url: ${JSON.stringify(`${req.baseUrl}/openapi.json`)}, dom_id: '#explorer', persistAuthorization: true });
+  </script>
+</body>
+</html>`);
+});
+
+module.exports = router;
@@ -0,0 +1,115 @@
+const express = require("express");
+const router = express.Router();
+const Fine = require("../Models/Fine");
+const Payment = require("../Models/Payment");
+const { authenticate, authorize, authorizeSelfOrAdmin, canAccessMember } = require("../middleware/auth");
+const { createFine, applyLedgerEntry, getMemberBalance } = require("../services/fineService");
+const { handleDBError } = require("../utils/dbUtils");
+const { paginate } = require("../utils/pagination");
+const { AppError } = require("../utils/errors");
+const { validate } = require("../middleware/validate");
+const schemas = require("../validators/fines");
+const circulationConfig = require("../config/circulationConfig");
+
+router.use(authenticate);
+
+// Get all fines with pagination and filtering (amounts in cents)
+router.get("/", validate(schemas.list), async (req, res) => {
+  try {
+    const { memberId, status, type } = req.query;
+
+    let filter = {};
+    if (memberId) filter.memberId = memberId;
+    if (status) filter.status = status;
+    if (type) filter.type = type;
+    if (req.user.role !== 'admin') filter.memberId = req.user.id;
+
+    res.json(await paginate(Fine, filter, req.query, {
+      sortFields: ['createdAt', 'balance'],
+      defaultSort: 'createdAt',
+      select: '-__v',
+      populate: [
+        ['memberId', 'name email'],
+        ['bookId', 'title author']
+      ]
+    }));
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Get a member's outstanding balance and open fines
+router.get("/member/:memberId", validate(schemas.byMember), authorizeSelfOrAdmin("memberId"), async (req, res) => {
+  try {
+    const balance = await getMemberBalance(req.params.memberId);
+    const openFines = await Fine.find({ memberId: req.params.memberId, status: 'open' })
+      .populate('bookId', 'title author')
+      .lean()
+      .select('-__v')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      memberId: req.params.memberId,
+      balance,
+      blocked: balance > circulationConfig.fines.blockThreshold,
+      blockThreshold: circulationConfig.fines.blockThreshold,
+      openFines
+    });
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Get a single fine with its payment history
+router.get("/:id", validate(schemas.byId), async (req, res) => {
+  try {
+    const fine = await Fine.findById(req.params.id)
+      .populate('bookId', 'title author')
+      .lean()
+      .select('-__v');
+    if (!fine) throw new AppError(404, 'FINE_NOT_FOUND', "Fine not found");
+    if (!canAccessMember(req.user, fine.memberId)) {
+      throw new AppError(403, 'FORBIDDEN', "Insufficient permissions");
+    }
+
+    const payments = await Payment.find({ fineId: fine._id }).lean().select('-__v').sort({ createdAt: 1 });
+    res.json({ ...fine, payments });
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Record a manual charge (damage, other)
+router.post("/", authorize("admin"), validate(schemas.create), async (req, res) => {
+  try {
+    const { memberId, type, amount, description, loanId, bookId } = req.body;
+    const fine = await createFine({ memberId, type, amount, description, loanId, bookId }, req.user.id);
+    res.status(201).json(fine);
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Record a payment against a fine
+router.post("/:id/payments", authorize("admin"), validate(schemas.payment), async (req, res) => {
+  try {
+    const { amount, method, note } = req.body;
+    const result = await applyLedgerEntry(req.params.id, { type: 'payment', amount, method, note }, req.user.id);
+    res.status(201).json(result);
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Waive all or part of a fine (amount defaults to the full balance)
+router.post("/:id/waive", authorize("admin"), validate(schemas.waive), async (req, res) => {
+  try {
+    const { amount, note } = req.body;
+    const result = await applyLedgerEntry(req.params.id, { type: 'waiver', amount, note }, req.user.id);
+    res.status(201).json(result);
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,61 @@
+const express = require("express");
+const router = express.Router();
+const Reservation = require("../Models/Reservation");
+const { authenticate, authorize, authorizeSelfOrAdmin } = require("../middleware/auth");
+const { getQueuePosition, ACTIVE_STATUSES } = require("../services/holdService");
+const { handleDBError } = require("../utils/dbUtils");
+const { paginate } = require("../utils/pagination");
+const { validate } = require("../middleware/validate");
+const schemas = require("../validators/holds");
+
+router.use(authenticate);
+
+// Get all holds with pagination and filtering (admin)
+router.get("/", authorize("admin"), validate(schemas.list), async (req, res) => {
+  try {
+    const { status, bookId, memberId } = req.query;
+
+    let filter = {};
+    if (status) filter.status = status;
+    if (bookId) filter.bookId = bookId;
+    if (memberId) filter.memberId = memberId;
+
+    res.json(await paginate(Reservation, filter, req.query, {
+      sortFields: ['requestedAt'],
+      defaultSort: 'requestedAt',
+      defaultOrder: 'asc',
+      select: '-__v',
+      populate: [
+        ['memberId', 'name email'],
+        ['bookId', 'title author']
+      ]
+    }));
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Get a member's holds ("my holds"); active holds by default, ?status=all for history
+router.get("/user/:userId", validate(schemas.byUser), authorizeSelfOrAdmin("userId"), async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    let filter = { memberId: req.params.userId };
+    if (!status) filter.status = { $in: ACTIVE_STATUSES };
+    else if (status !== 'all') filter.status = status;
+
+    const result = await paginate(Reservation, filter, req.query, {
+      sortFields: ['requestedAt'],
+      defaultSort: 'requestedAt',
+      defaultOrder: 'desc',
+      select: '-__v',
+      populate: [['bookId', 'title author category']]
+    });
+    for (const hold of result.data) hold.position = await getQueuePosition(hold);
+    res.json(result);
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+module.exports = router;
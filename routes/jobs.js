@@ -0,0 +1,33 @@
+const express = require("express");
+const router = express.Router();
+const { authenticate, authorize } = require("../middleware/auth");
+const { listJobs, getJobStatus, runJob } = require("../jobs/scheduler");
+const { handleDBError } = require("../utils/dbUtils");
+const { AppError } = require("../utils/errors");
+
+router.use(authenticate, authorize("admin"));
+
+// List background jobs and their last run
+router.get("/", (req, res) => {
+  res.json(listJobs());
+});
+
+// Get a single job's status and last run results
+router.get("/:name", (req, res) => {
+  const status = getJobStatus(req.params.name);
+  if (!status) return handleDBError(new AppError(404, 'JOB_NOT_FOUND', "Job not found"), res);
+  res.json(status);
+});
+
+// Trigger a job run now and wait for its results
+router.post("/:name/run", async (req, res) => {
+  try {
+    const run = await runJob(req.params.name);
+    if (!run) throw new AppError(404, 'JOB_NOT_FOUND', "Job not found");
+    res.json({ name: req.params.name, ...run });
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+module.exports = router;
@@ -1,160 +1,286 @@
 const express = require("express");
 const router = express.Router();
 const Borrowed = require("../Models/Loan");
+const Book = require("../Models/Books");
+const Member = require("../Models/Members");
+const { authenticate, authorize, authorizeSelfOrAdmin, canAccessMember } = require("../middleware/auth");
+const {
+  checkoutBook, returnLoan, returnByBarcode, declareLost, renewLoan, computeDueDate
+} = require("../services/circulationService");
+const { resolvePolicy } = require("../services/policyService");
+const { handleDBError } = require("../utils/dbUtils");
+const { paginate } = require("../utils/pagination");
+const { exportLoans } = require("../services/exportService");
+const { softDelete, restore, purge } = require("../services/deletionService");
+const { emitEvent, loanEventData } = require("../services/eventBus");
+const { AppError } = require("../utils/errors");
+const { validate } = require("../middleware/validate");
+const schemas = require("../validators/loans");
+
+router.use(authenticate);
 
 // Get all loans with pagination and filtering
-router.get("/", async (req, res) => {
+router.get("/", validate(schemas.list), async (req, res) => {
   try {
-    const { page = 1, limit = 10, returned, userId, bookId, isOverdue } = req.query;
-    const skip = (page - 1) * limit;
+    const { returned, userId, bookId, isOverdue } = req.query;
     
     let filter = {};
     if (returned !== undefined) filter.returned = returned === 'true';
     if (userId) filter.userId = userId;
     if (bookId) filter.bookId = bookId;
     if (isOverdue !== undefined) filter.isOverdue = isOverdue === 'true';
+    // Students and patrons only ever see their own loans
+    if (req.user.role !== 'admin') filter.userId = req.user.id;
     
-    const loans = await Borrowed.find(filter)
-      .populate('userId', 'name email studentId role')
-      .populate('bookId', 'title author isbn category')
-      .lean()
-      .select('-__v')
-      .skip(skip)
-      .limit(parseInt(limit))
-      .sort({ borrowDate: -1 });
-    
-    const total = await Borrowed.countDocuments(filter);
-    
-    res.json({
-      data: loans,
-      pagination: {
-        total,
-        page: parseInt(page),
-        limit: parseInt(limit),
-        pages: Math.ceil(total / limit)
-      }
-    });
+    res.json(await paginate(Borrowed, filter, req.query, {
+      sortFields: ['borrowDate', 'dueDate'],
+      defaultSort: 'borrowDate',
+      select: '-__v',
+      populate: [
+        ['userId', 'name email studentId role'],
+        ['bookId', 'title author isbn category']
+      ]
+    }));
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    handleDBError(err, res);
+  }
+});
+
+// Export loan history as CSV or JSON, optionally for a borrowDate range
+router.get("/export", authorize("admin"), validate(schemas.export), async (req, res) => {
+  try {
+    const { returned, userId, bookId, from, to } = req.query;
+
+    let filter = {};
+    if (returned !== undefined) filter.returned = returned === 'true';
+    if (userId) filter.userId = userId;
+    if (bookId) filter.bookId = bookId;
+    if (from || to) {
+      filter.borrowDate = {};
+      if (from) filter.borrowDate.$gte = new Date(from);
+      if (to) filter.borrowDate.$lte = new Date(to);
+    }
+
+    await exportLoans(res, { format: req.query.format || 'csv', filter });
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Deleted loans, most recently deleted first
+router.get("/deleted", authorize("admin"), validate(schemas.listDeleted), async (req, res) => {
+  try {
+    res.json(await paginate(Borrowed, { deletedAt: { $ne: null } }, req.query, {
+      sortFields: ['deletedAt'],
+      defaultSort: 'deletedAt',
+      select: 'userId bookId borrowDate returnDate deletedAt deletedBy',
+      populate: [['userId', 'name email'], ['bookId', 'title author'], ['deletedBy', 'name email']]
+    }));
+  } catch (err) {
+    handleDBError(err, res);
   }
 });
 
 // Get a single loan by ID
-router.get("/:id", async (req, res) => {
+router.get("/:id", validate(schemas.byId), async (req, res) => {
   try {
     const loan = await Borrowed.findById(req.params.id)
       .populate('userId', 'name email studentId role')
       .populate('bookId', 'title author isbn category')
+      .populate('renewals.renewedBy', 'name role')
       .lean()
       .select('-__v');
-    if (!loan) return res.status(404).json({ error: "Loan not found" });
+    if (!loan) throw new AppError(404, 'LOAN_NOT_FOUND', "Loan not found");
+    if (!canAccessMember(req.user, loan.userId)) {
+      throw new AppError(403, 'FORBIDDEN', "Insufficient permissions");
+    }
+    res.json(loan);
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Check out a book by bookId, copyId or scanned barcode
+// (transactional: takes a copy off the shelf and sets dueDate)
+router.post("/checkout", validate(schemas.checkout), async (req, res) => {
+  try {
+    const { bookId, copyId, barcode } = req.body;
+    const userId = req.body.userId || req.user.id;
+    if (!bookId && !copyId && !barcode) {
+      throw new AppError(400, 'VALIDATION_FAILED', "bookId, copyId or barcode is required", { field: 'bookId' });
+    }
+    if (!canAccessMember(req.user, userId)) {
+      throw new AppError(403, 'FORBIDDEN', "Cannot check out books for other members", { field: 'userId' });
+    }
+
+    const loan = await checkoutBook({ memberId: userId, bookId, copyId, barcode });
+    emitEvent('loan.checked_out', loanEventData(loan));
+    await loan.populate('userId', 'name email');
+    await loan.populate('bookId', 'title author');
+    res.status(201).json(loan);
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Return a scanned copy at the desk
+router.post("/return", authorize("admin"), validate(schemas.returnByBarcode), async (req, res) => {
+  try {
+    const { barcode, condition } = req.body;
+    const loan = await returnByBarcode(barcode, { condition });
+    emitEvent('loan.returned', loanEventData(loan));
+    await loan.populate('userId', 'name email');
+    await loan.populate('bookId', 'title author');
+    res.json(loan);
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Return a book at the desk (transactional: shelves or re-allocates the copy
+// and stamps returnDate). Staff only, as the copy has to be in hand.
+router.post("/:id/return", authorize("admin"), validate(schemas.returnLoan), async (req, res) => {
+  try {
+    const loan = await returnLoan(req.params.id, { condition: req.body.condition });
+    emitEvent('loan.returned', loanEventData(loan));
+    await loan.populate('userId', 'name email');
+    await loan.populate('bookId', 'title author');
     res.json(loan);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    handleDBError(err, res);
+  }
+});
+
+// Renew a loan (extends dueDate by the loan period, subject to renewal limits)
+router.post("/:id/renew", validate(schemas.byId), async (req, res) => {
+  try {
+    const existing = await Borrowed.findById(req.params.id).select('userId').lean();
+    if (!existing) throw new AppError(404, 'LOAN_NOT_FOUND', "Loan not found");
+    if (!canAccessMember(req.user, existing.userId)) {
+      throw new AppError(403, 'FORBIDDEN', "Insufficient permissions");
+    }
+
+    const loan = await renewLoan(req.params.id, req.user.id);
+    await loan.populate('userId', 'name email');
+    await loan.populate('bookId', 'title author');
+    res.json(loan);
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Declare a borrowed copy lost and charge the replacement cost (amounts in cents)
+router.post("/:id/lost", authorize("admin"), validate(schemas.declareLost), async (req, res) => {
+  try {
+    const { replacementFee, processingFee } = req.body;
+    const result = await declareLost(req.params.id, { replacementFee, processingFee }, req.user.id);
+    res.json(result);
+  } catch (err) {
+    handleDBError(err, res);
   }
 });
 
-// Create a new loan
-router.post("/", async (req, res) => {
+// Create a raw loan record (admin override - does not touch inventory).
+// dueDate defaults to the circulation policy when not given.
+router.post("/", authorize("admin"), validate(schemas.create), async (req, res) => {
   try {
     const loan = new Borrowed(req.body);
+    if (!loan.dueDate && loan.userId && loan.bookId) {
+      const member = await Member.findById(loan.userId).select('role').lean();
+      const book = await Book.findById(loan.bookId).select('category').lean();
+      if (member && book) {
+        const policy = await resolvePolicy(member.role, book.category);
+        loan.dueDate = computeDueDate(policy, loan.borrowDate);
+      }
+    }
     await loan.save();
     await loan.populate('userId', 'name email');
     await loan.populate('bookId', 'title author');
     res.status(201).json(loan);
   } catch (err) {
-    res.status(400).json({ error: err.message });
+    handleDBError(err, res);
   }
 });
 
-// Update a loan (return book)
-router.put("/:id", async (req, res) => {
+// Update a loan (admin override - use POST /:id/return for returns)
+router.put("/:id", authorize("admin"), validate(schemas.update), async (req, res) => {
   try {
-    const loan = await Borrowed.findByIdAndUpdate(req.params.id, req.body, { new: true })
+    const loan = await Borrowed.findByIdAndUpdate(req.params.id, req.body, { new: true, runValidators: true })
       .populate('userId', 'name email')
       .populate('bookId', 'title author');
-    if (!loan) return res.status(404).json({ error: "Loan not found" });
+    if (!loan) throw new AppError(404, 'LOAN_NOT_FOUND', "Loan not found");
     res.json(loan);
   } catch (err) {
-    res.status(400).json({ error: err.message });
+    handleDBError(err, res);
   }
 });
 
-// Delete a loan
-router.delete("/:id", async (req, res) => {
+// Delete a loan (soft: restorable until purged). Only returned loans.
+router.delete("/:id", authorize("admin"), validate(schemas.byId), async (req, res) => {
   try {
-    const loan = await Borrowed.findByIdAndDelete(req.params.id);
-    if (!loan) return res.status(404).json({ error: "Loan not found" });
+    await softDelete('loan', req.params.id, req.user.id);
     res.json({ message: "Loan deleted" });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    handleDBError(err, res);
+  }
+});
+
+// Restore a deleted loan
+router.post("/:id/restore", authorize("admin"), validate(schemas.byId), async (req, res) => {
+  try {
+    res.json(await restore('loan', req.params.id));
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Permanently remove a deleted loan
+router.delete("/:id/purge", authorize("admin"), validate(schemas.byId), async (req, res) => {
+  try {
+    await purge('loan', req.params.id);
+    res.json({ message: "Loan purged" });
+  } catch (err) {
+    handleDBError(err, res);
   }
 });
 
 // Get user's borrowed books
-router.get("/user/:userId", async (req, res) => {
+router.get("/user/:userId", validate(schemas.byUser), authorizeSelfOrAdmin("userId"), async (req, res) => {
   try {
-    const { page = 1, limit = 10, returned } = req.query;
-    const skip = (page - 1) * limit;
+    const { returned } = req.query;
     
     let filter = { userId: req.params.userId };
     if (returned !== undefined) filter.returned = returned === 'true';
     
-    const loans = await Borrowed.find(filter)
-      .populate('bookId', 'title author category')
-      .lean()
-      .skip(skip)
-      .limit(parseInt(limit))
-      .sort({ borrowDate: -1 });
-    
-    const total = await Borrowed.countDocuments(filter);
-    
-    res.json({
-      data: loans,
-      pagination: {
-        total,
-        page: parseInt(page),
-        limit: parseInt(limit),
-        pages: Math.ceil(total / limit)
-      }
-    });
+    res.json(await paginate(Borrowed, filter, req.query, {
+      sortFields: ['borrowDate', 'dueDate'],
+      defaultSort: 'borrowDate',
+      populate: [['bookId', 'title author category']]
+    }));
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    handleDBError(err, res);
   }
 });
 
 // Get overdue loans
-router.get("/reports/overdue", async (req, res) => {
+router.get("/reports/overdue", authorize("admin"), validate(schemas.overdue), async (req, res) => {
   try {
-    const { page = 1, limit = 10 } = req.query;
-    const skip = (page - 1) * limit;
-    
-    const overdue = await Borrowed.find({ isOverdue: true, returned: false })
-      .populate('userId', 'name email phone')
-      .populate('bookId', 'title author')
-      .lean()
-      .skip(skip)
-      .limit(parseInt(limit))
-      .sort({ dueDate: 1 });
-    
-    const total = await Borrowed.countDocuments({ isOverdue: true, returned: false });
-    
-    res.json({
-      data: overdue,
-      pagination: {
-        total,
-        page: parseInt(page),
-        limit: parseInt(limit),
-        pages: Math.ceil(total / limit)
-      }
-    });
+    res.json(await paginate(Borrowed, { isOverdue: true, returned: false }, req.query, {
+      sortFields: ['dueDate', 'borrowDate'],
+      defaultSort: 'dueDate',
+      defaultOrder: 'asc',
+      populate: [
+        ['userId', 'name email phone'],
+        ['bookId', 'title author']
+      ]
+    }));
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    handleDBError(err, res);
   }
 });
 
 // Get borrowing statistics
-router.get("/stats/summary", async (req, res) => {
+router.get("/stats/summary", authorize("admin"), async (req, res) => {
   try {
     const stats = await Borrowed.aggregate([
       {
@@ -176,7 +302,7 @@ router.get("/stats/summary", async (req, res) => {
     ]);
     res.json(stats[0]);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    handleDBError(err, res);
   }
 });
 
@@ -2,48 +2,137 @@ const express = require("express");
 const router = express.Router();
 const Member = require("../Models/Members");
 const bcrypt = require('bcryptjs');
+const { authenticate, authorize, authorizeSelfOrAdmin } = require("../middleware/auth");
+const { buildSearchFilter, handleDBError } = require("../utils/dbUtils");
+const { paginate } = require("../utils/pagination");
+const { exportMembers } = require("../services/exportService");
+const { softDelete, restore, purge } = require("../services/deletionService");
+const {
+  sendVerificationEmail,
+  applyEmailChange,
+  verifyEmail,
+  resendVerification,
+  requestPasswordReset,
+  resetPassword,
+  changePassword
+} = require("../services/accountService");
+const { issueTokenPair, rotateRefreshToken, revokeRefreshToken, revokeAllTokens } = require("../utils/tokenUtils");
+const { renewMembership, replaceCard, importStudents } = require("../services/membershipService");
+const { recommendForMember } = require("../services/recommendationService");
+const { emitEvent, memberEventData } = require("../services/eventBus");
+const { lockedFor, recordFailure, recordSuccess, verifyPassword } = require("../services/loginGuard");
+const { AppError } = require("../utils/errors");
+const { validate } = require("../middleware/validate");
+const { rateLimit } = require("../middleware/rateLimit");
+const schemas = require("../validators/members");
 
 console.log("Members router loaded, bcrypt available:", typeof bcrypt === 'object');
 
-// Login endpoint
-router.post("/login", async (req, res) => {
+// Login endpoint (failed attempts lock the account and IP for a while; see services/loginGuard.js)
+router.post("/login", rateLimit("login"), validate(schemas.login), async (req, res) => {
   console.log("Login endpoint hit");
   const { email, password } = req.body;
   
-  if (!email || !password) {
-    return res.status(400).json({ message: "Email and password are required" });
-  }
-  
   try {
-    const user = await Member.findOne({ email }).lean();
-    if (!user) {
-      return res.status(401).json({ message: "Invalid email or password" });
+    const wait = await lockedFor(email, req.ip);
+    if (wait > 0) {
+      const seconds = Math.ceil(wait / 1000);
+      res.set('Retry-After', String(seconds));
+      throw new AppError(429, 'LOGIN_LOCKED', `Too many failed sign-in attempts; try again in ${seconds} seconds`);
+    }
+
+    const user = await Member.findOne({ email: email.toLowerCase() }).lean();
+    if (!(await verifyPassword(user, password))) {
+      await recordFailure(email, req.ip);
+      throw new AppError(401, 'INVALID_CREDENTIALS', "Invalid email or password");
     }
+    await recordSuccess(email);
     
-    const isPasswordValid = await bcrypt.compare(password, user.password);
-    if (!isPasswordValid) {
-      return res.status(401).json({ message: "Invalid email or password" });
+    if (!user.isActive) {
+      throw new AppError(403, 'ACCOUNT_INACTIVE', "Account is deactivated");
+    }
+
+    if (user.emailVerified === false) {
+      throw new AppError(403, 'EMAIL_NOT_VERIFIED', "Verify your email address before signing in");
     }
     
-    const { password: _, ...userWithoutPassword } = user;
-    res.status(200).json({ message: "login successful", user: userWithoutPassword });
+    const tokens = await issueTokenPair(user, req.ip);
+    const { password: _, tokenVersion: __, ...userWithoutPassword } = user;
+    res.status(200).json({ message: "login successful", user: userWithoutPassword, ...tokens });
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Exchange a refresh token for a new access/refresh token pair
+router.post("/refresh", validate(schemas.refreshToken), async (req, res) => {
+  try {
+    const tokens = await rotateRefreshToken(req.body.refreshToken, req.ip);
+    if (!tokens) throw new AppError(401, 'INVALID_REFRESH_TOKEN', "Invalid or expired refresh token");
+    res.json(tokens);
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Logout: revoke the presented refresh token (ends one session)
+router.post("/logout", validate(schemas.refreshToken), async (req, res) => {
+  try {
+    await revokeRefreshToken(req.body.refreshToken);
+    res.json({ message: "Logged out" });
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    handleDBError(err, res);
+  }
+});
+
+// Confirm an email address with the token from the verification email
+router.post("/verify-email", validate(schemas.verifyEmail), async (req, res) => {
+  try {
+    const member = await verifyEmail(req.body.token);
+    res.json({ message: "Email verified", email: member.email });
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Mail a new verification link (same answer whether or not the address is registered)
+router.post("/verify-email/resend", rateLimit("register"), validate(schemas.resendVerification), async (req, res) => {
+  try {
+    await resendVerification(req.body.email);
+    res.json({ message: "If the account exists and is unverified, a new link has been sent" });
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Mail a password reset link (same answer whether or not the address is registered)
+router.post("/forgot-password", rateLimit("register"), validate(schemas.forgotPassword), async (req, res) => {
+  try {
+    await requestPasswordReset(req.body.email);
+    res.json({ message: "If the account exists, a reset link has been sent" });
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Set a new password with the token from the reset email; signs out every session
+router.post("/reset-password", validate(schemas.resetPassword), async (req, res) => {
+  try {
+    await resetPassword(req.body.token, req.body.password);
+    res.json({ message: "Password reset; sign in with the new password" });
+  } catch (err) {
+    handleDBError(err, res);
   }
 });
 
 // Student Registration (must come before /:id routes)
-router.post("/register/student", async (req, res) => {
+router.post("/register/student", rateLimit("register"), validate(schemas.registerStudent), async (req, res) => {
   try {
     const { name, email, password, studentId, department, phone, address } = req.body;
-    
-    if (!name || !email || !password || !studentId) {
-      return res.status(400).json({ error: "Missing required fields: name, email, password, studentId" });
-    }
 
     const existingMember = await Member.findOne({ email }).lean();
     if (existingMember) {
-      return res.status(400).json({ error: "Email already registered" });
+      throw new AppError(400, 'EMAIL_TAKEN', "Email already registered", { field: 'email' });
     }
 
     const hashedPassword = await bcrypt.hash(password, 10);
@@ -59,24 +148,22 @@ router.post("/register/student", async (req, res) => {
     });
 
     await student.save();
-    res.status(201).json({ message: "Student registered successfully", _id: student._id, email: student.email });
+    emitEvent('member.registered', memberEventData(student, 'self'));
+    await sendVerificationEmail(student);
+    res.status(201).json({ message: "Student registered successfully; check your email to verify the account", _id: student._id, email: student.email });
   } catch (err) {
-    res.status(400).json({ error: err.message });
+    handleDBError(err, res);
   }
 });
 
 // Patron Registration
-router.post("/register/patron", async (req, res) => {
+router.post("/register/patron", rateLimit("register"), validate(schemas.registerPatron), async (req, res) => {
   try {
     const { name, email, password, phone, address } = req.body;
-    
-    if (!name || !email || !password) {
-      return res.status(400).json({ error: "Missing required fields: name, email, password" });
-    }
 
     const existingMember = await Member.findOne({ email }).lean();
     if (existingMember) {
-      return res.status(400).json({ error: "Email already registered" });
+      throw new AppError(400, 'EMAIL_TAKEN', "Email already registered", { field: 'email' });
     }
 
     const hashedPassword = await bcrypt.hash(password, 10);
@@ -90,139 +177,281 @@ router.post("/register/patron", async (req, res) => {
     });
 
     await patron.save();
-    res.status(201).json({ message: "Patron registered successfully", _id: patron._id, email: patron.email });
+    emitEvent('member.registered', memberEventData(patron, 'self'));
+    await sendVerificationEmail(patron);
+    res.status(201).json({ message: "Patron registered successfully; check your email to verify the account", _id: patron._id, email: patron.email });
   } catch (err) {
-    res.status(400).json({ error: err.message });
+    handleDBError(err, res);
+  }
+});
+
+// Everything below requires a signed-in member
+router.use(authenticate);
+
+// Logout everywhere: revoke all sessions and outstanding access tokens
+router.post("/logout-all", async (req, res) => {
+  try {
+    await revokeAllTokens(req.user.id);
+    res.json({ message: "All sessions revoked" });
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Change your own password; other sessions are signed out and this one gets new tokens
+router.post("/change-password", validate(schemas.changePassword), async (req, res) => {
+  try {
+    const member = await changePassword(req.user.id, req.body.currentPassword, req.body.newPassword);
+    res.json({ message: "Password changed", ...(await issueTokenPair(member, req.ip)) });
+  } catch (err) {
+    handleDBError(err, res);
   }
 });
 
 // Get all members with pagination and filtering
-router.get("/", async (req, res) => {
+router.get("/", authorize("admin"), validate(schemas.list), async (req, res) => {
   try {
-    const { page = 1, limit = 10, role, search, isActive } = req.query;
-    const skip = (page - 1) * limit;
+    const { role, search, isActive, expired } = req.query;
     
     let filter = {};
     if (role) filter.role = role;
     if (isActive !== undefined) filter.isActive = isActive === 'true';
-    if (search) {
-      filter.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { email: { $regex: search, $options: 'i' } },
-        { studentId: { $regex: search, $options: 'i' } }
-      ];
-    }
+    if (expired === 'true') filter.membershipExpiresAt = { $lt: new Date() };
+    if (expired === 'false') filter.membershipExpiresAt = { $not: { $lt: new Date() } };
+    if (search) Object.assign(filter, buildSearchFilter(search, ['name', 'email', 'studentId', 'cardNumber']));
     
-    const members = await Member.find(filter)
+    res.json(await paginate(Member, filter, req.query, {
+      sortFields: ['registrationDate', 'name', 'email'],
+      defaultSort: 'registrationDate',
+      select: '-password -tokenVersion -__v'
+    }));
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Export members as CSV or JSON (credentials are never included)
+router.get("/export", authorize("admin"), validate(schemas.export), async (req, res) => {
+  try {
+    const { role, isActive } = req.query;
+
+    let filter = {};
+    if (role) filter.role = role;
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+
+    await exportMembers(res, { format: req.query.format || 'csv', filter });
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Sync students from the registrar's CSV (raw request body). Known
+// studentIds are updated and their membership extended to the row's term;
+// new ones are created. ?dryRun=true reports without writing.
+router.post("/import/students", authorize("admin"), validate(schemas.importStudents), async (req, res) => {
+  try {
+    res.json(await importStudents(req, { dryRun: req.query.dryRun === 'true' }));
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Look up a member by library card (circulation desk scanners)
+router.get("/card/:cardNumber", authorize("admin"), validate(schemas.byCard), async (req, res) => {
+  try {
+    const member = await Member.findOne({ cardNumber: req.params.cardNumber.trim() })
       .lean()
-      .select('-password -__v')
-      .skip(skip)
-      .limit(parseInt(limit))
-      .sort({ registrationDate: -1 });
-    
-    const total = await Member.countDocuments(filter);
-    
-    res.json({
-      data: members,
-      pagination: {
-        total,
-        page: parseInt(page),
-        limit: parseInt(limit),
-        pages: Math.ceil(total / limit)
-      }
-    });
+      .select("-password -tokenVersion -__v");
+    if (!member) throw new AppError(404, 'MEMBER_NOT_FOUND', "No member has this card number");
+    res.json(member);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    handleDBError(err, res);
+  }
+});
+
+// Deleted members, most recently deleted first
+router.get("/deleted", authorize("admin"), validate(schemas.listDeleted), async (req, res) => {
+  try {
+    res.json(await paginate(Member, { deletedAt: { $ne: null } }, req.query, {
+      sortFields: ['deletedAt'],
+      defaultSort: 'deletedAt',
+      select: 'name email role studentId deletedAt deletedBy',
+      populate: [['deletedBy', 'name email']]
+    }));
+  } catch (err) {
+    handleDBError(err, res);
   }
 });
 
 // Get a single member by ID
-router.get("/:id", async (req, res) => {
+router.get("/:id", validate(schemas.byId), authorizeSelfOrAdmin(), async (req, res) => {
   try {
     const member = await Member.findById(req.params.id)
       .lean()
-      .select("-password -__v");
-    if (!member) return res.status(404).json({ error: "Member not found" });
+      .select("-password -tokenVersion -__v");
+    if (!member) throw new AppError(404, 'MEMBER_NOT_FOUND', "Member not found");
     res.json(member);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    handleDBError(err, res);
   }
 });
 
-// Create a new member
-router.post("/", async (req, res) => {
+// Create a new member (the password is hashed like a self-registration).
+// Staff create these accounts, so the email counts as verified.
+router.post("/", authorize("admin"), validate(schemas.create), async (req, res) => {
   try {
-    const member = new Member(req.body);
+    const { password, ...fields } = req.body;
+
+    const existingMember = await Member.findOne({ email: fields.email }).lean();
+    if (existingMember) {
+      throw new AppError(400, 'EMAIL_TAKEN', "Email already registered", { field: 'email' });
+    }
+
+    const member = new Member({
+      ...fields,
+      password: await bcrypt.hash(password, 10),
+      emailVerified: true,
+      emailVerifiedAt: new Date()
+    });
     await member.save();
+    emitEvent('member.registered', memberEventData(member, 'staff'));
     res.status(201).json({ message: "Member created", _id: member._id });
   } catch (err) {
-    res.status(400).json({ error: err.message });
+    handleDBError(err, res);
   }
 });
 
-// Update a member
-router.put("/:id", async (req, res) => {
+// Update a member (only admins may change roles or (de)activate accounts).
+// A changed email address has to be verified again before the next sign-in.
+router.put("/:id", validate(schemas.update), authorizeSelfOrAdmin(), async (req, res) => {
   try {
-    const { password, ...updateData } = req.body;
-    const member = await Member.findByIdAndUpdate(req.params.id, updateData, { new: true })
+    const existing = await Member.findById(req.params.id).select("email").lean();
+    if (!existing) throw new AppError(404, 'MEMBER_NOT_FOUND', "Member not found");
+    const verify = applyEmailChange(existing, req.body);
+    if (req.body.emailVerified !== undefined) req.body.emailVerifiedAt = req.body.emailVerified ? new Date() : null;
+    const member = await Member.findByIdAndUpdate(req.params.id, req.body, { new: true, runValidators: true })
       .lean()
-      .select("-password -__v");
-    if (!member) return res.status(404).json({ error: "Member not found" });
+      .select("-password -tokenVersion -__v");
+    if (!member) throw new AppError(404, 'MEMBER_NOT_FOUND', "Member not found");
+    if (verify) await sendVerificationEmail(member);
     res.json({ message: "Member updated successfully", member });
   } catch (err) {
-    res.status(400).json({ error: err.message });
+    handleDBError(err, res);
   }
 });
 
 // Update student profile
-router.put("/:id/student", async (req, res) => {
+router.put("/:id/student", validate(schemas.updateStudent), authorizeSelfOrAdmin(), async (req, res) => {
   try {
-    const { studentId, department, phone, address, name, email } = req.body;
-    const updateData = { studentId, department, phone, address, name, email };
-    
-    const member = await Member.findByIdAndUpdate(req.params.id, updateData, { new: true })
+    const existing = await Member.findById(req.params.id).select("role email").lean();
+    if (!existing) throw new AppError(404, 'MEMBER_NOT_FOUND', "Student not found");
+    if (existing.role !== "student") throw new AppError(400, 'NOT_A_STUDENT', "User is not a student");
+    const verify = applyEmailChange(existing, req.body);
+
+    const member = await Member.findByIdAndUpdate(req.params.id, req.body, { new: true, runValidators: true })
       .lean()
-      .select("-password -__v");
-    if (!member) return res.status(404).json({ error: "Student not found" });
-    if (member.role !== "student") return res.status(400).json({ error: "User is not a student" });
-    
+      .select("-password -tokenVersion -__v");
+    if (verify) await sendVerificationEmail(member);
+
     res.json({ message: "Student profile updated successfully", member });
   } catch (err) {
-    res.status(400).json({ error: err.message });
+    handleDBError(err, res);
   }
 });
 
 // Update patron profile
-router.put("/:id/patron", async (req, res) => {
+router.put("/:id/patron", validate(schemas.updatePatron), authorizeSelfOrAdmin(), async (req, res) => {
   try {
-    const { phone, address, name, email } = req.body;
-    const updateData = { phone, address, name, email };
-    
-    const member = await Member.findByIdAndUpdate(req.params.id, updateData, { new: true })
+    const existing = await Member.findById(req.params.id).select("role email").lean();
+    if (!existing) throw new AppError(404, 'MEMBER_NOT_FOUND', "Patron not found");
+    if (existing.role !== "patron") throw new AppError(400, 'NOT_A_PATRON', "User is not a patron");
+    const verify = applyEmailChange(existing, req.body);
+
+    const member = await Member.findByIdAndUpdate(req.params.id, req.body, { new: true, runValidators: true })
       .lean()
-      .select("-password -__v");
-    if (!member) return res.status(404).json({ error: "Patron not found" });
-    if (member.role !== "patron") return res.status(400).json({ error: "User is not a patron" });
-    
+      .select("-password -tokenVersion -__v");
+    if (verify) await sendVerificationEmail(member);
+
     res.json({ message: "Patron profile updated successfully", member });
   } catch (err) {
-    res.status(400).json({ error: err.message });
+    handleDBError(err, res);
   }
 });
 
-// Delete a member
-router.delete("/:id", async (req, res) => {
+// Delete a member (soft: restorable until purged). Refused while they
+// have books on loan; their holds are cancelled and sessions revoked.
+router.delete("/:id", authorize("admin"), validate(schemas.byId), async (req, res) => {
   try {
-    const member = await Member.findByIdAndDelete(req.params.id);
-    if (!member) return res.status(404).json({ error: "Member not found" });
+    await softDelete('member', req.params.id, req.user.id);
     res.json({ message: "Member deleted" });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    handleDBError(err, res);
+  }
+});
+
+// Restore a deleted member
+router.post("/:id/restore", authorize("admin"), validate(schemas.byId), async (req, res) => {
+  try {
+    res.json(await restore('member', req.params.id));
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Permanently remove a deleted member
+router.delete("/:id/purge", authorize("admin"), validate(schemas.byId), async (req, res) => {
+  try {
+    await purge('member', req.params.id);
+    res.json({ message: "Member purged" });
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Renew a membership for another term. Patrons may renew their own shortly
+// before it expires; staff can renew anyone, to a given term or date.
+router.post("/:id/renew", validate(schemas.renew), authorizeSelfOrAdmin(), async (req, res) => {
+  try {
+    const member = await renewMembership(req.params.id, req.body, req.user);
+    res.json({ message: "Membership renewed", member });
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Personalised suggestions from the member's loan history
+router.get("/:id/recommendations", validate(schemas.recommendations), authorizeSelfOrAdmin(), async (req, res) => {
+  try {
+    res.json(await recommendForMember(req.params.id, { limit: parseInt(req.query.limit) || undefined }));
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Issue a replacement library card; the old number stops working
+router.post("/:id/card", authorize("admin"), validate(schemas.byId), async (req, res) => {
+  try {
+    const member = await replaceCard(req.params.id);
+    res.json({ message: "Card replaced", cardNumber: member.cardNumber });
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Revoke all of a member's sessions (admin)
+router.post("/:id/revoke-tokens", authorize("admin"), validate(schemas.byId), async (req, res) => {
+  try {
+    const member = await Member.findById(req.params.id).select("_id").lean();
+    if (!member) throw new AppError(404, 'MEMBER_NOT_FOUND', "Member not found");
+    await revokeAllTokens(member._id);
+    res.json({ message: "Member sessions revoked" });
+  } catch (err) {
+    handleDBError(err, res);
   }
 });
 
 // Get member statistics
-router.get("/stats/overview", async (req, res) => {
+router.get("/stats/overview", authorize("admin"), async (req, res) => {
   try {
     const stats = await Member.aggregate([
       {
@@ -235,7 +464,7 @@ router.get("/stats/overview", async (req, res) => {
     ]);
     res.json(stats);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    handleDBError(err, res);
   }
 });
 
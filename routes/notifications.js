@@ -0,0 +1,62 @@
+const express = require("express");
+const router = express.Router();
+const Notification = require("../Models/Notification");
+const { authenticate, authorize, canAccessMember } = require("../middleware/auth");
+const { retryNotification } = require("../services/notificationService");
+const { handleDBError } = require("../utils/dbUtils");
+const { paginate } = require("../utils/pagination");
+const { AppError } = require("../utils/errors");
+const { validate } = require("../middleware/validate");
+const schemas = require("../validators/notifications");
+
+router.use(authenticate);
+
+// Notifications sent or queued (members see their own)
+router.get("/", validate(schemas.list), async (req, res) => {
+  try {
+    const { memberId, status, event, channel } = req.query;
+
+    let filter = {};
+    if (memberId) filter.memberId = memberId;
+    if (status) filter.status = status;
+    if (event) filter.event = event;
+    if (channel) filter.channel = channel;
+    if (req.user.role !== 'admin') filter.memberId = req.user.id;
+
+    res.json(await paginate(Notification, filter, req.query, {
+      sortFields: ['createdAt'],
+      defaultSort: 'createdAt',
+      select: '-__v -dedupeKey',
+      populate: [['memberId', 'name email']]
+    }));
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Get a single notification with its delivery attempts
+router.get("/:id", validate(schemas.byId), async (req, res) => {
+  try {
+    const notification = await Notification.findById(req.params.id)
+      .populate('memberId', 'name email')
+      .select('-__v')
+      .lean();
+    if (!notification || !canAccessMember(req.user, notification.memberId)) {
+      throw new AppError(404, 'NOTIFICATION_NOT_FOUND', "Notification not found");
+    }
+    res.json(notification);
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Send a failed notification again
+router.post("/:id/retry", authorize("admin"), validate(schemas.byId), async (req, res) => {
+  try {
+    res.json(await retryNotification(req.params.id));
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,114 @@
+const express = require("express");
+const router = express.Router();
+const CirculationPolicy = require("../Models/CirculationPolicy");
+const { authenticate, authorize, canAccessMember } = require("../middleware/auth");
+const { resolvePolicy, getDefaultPolicy } = require("../services/policyService");
+const { evaluateCheckout } = require("../services/circulationService");
+const { handleDBError } = require("../utils/dbUtils");
+const { AppError } = require("../utils/errors");
+const { validate } = require("../middleware/validate");
+const schemas = require("../validators/policies");
+
+router.use(authenticate);
+
+// Can a member borrow a book, and until when? (defaults to the caller)
+router.get("/evaluate", validate(schemas.evaluate), async (req, res) => {
+  try {
+    const { bookId } = req.query;
+    const memberId = req.query.memberId || req.user.id;
+    if (!canAccessMember(req.user, memberId)) {
+      throw new AppError(403, 'FORBIDDEN', "Insufficient permissions", { field: 'memberId' });
+    }
+
+    const { status, ...decision } = await evaluateCheckout(memberId, bookId);
+    res.json({ memberId, bookId, ...decision });
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Effective policy for a role and (optional) category
+router.get("/resolve", authorize("admin"), validate(schemas.resolve), async (req, res) => {
+  try {
+    const { role, category } = req.query;
+    res.json(await resolvePolicy(role, category));
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// List policy overrides alongside the built-in defaults
+router.get("/", authorize("admin"), validate(schemas.list), async (req, res) => {
+  try {
+    const { role, category } = req.query;
+
+    let filter = {};
+    if (role) filter.role = role;
+    if (category) filter.category = category;
+
+    const policies = await CirculationPolicy.find(filter)
+      .lean()
+      .select('-__v')
+      .sort({ role: 1, category: 1 });
+
+    res.json({
+      defaults: {
+        student: getDefaultPolicy('student'),
+        patron: getDefaultPolicy('patron'),
+        admin: getDefaultPolicy('admin')
+      },
+      data: policies
+    });
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Get a single policy override
+router.get("/:id", authorize("admin"), validate(schemas.byId), async (req, res) => {
+  try {
+    const policy = await CirculationPolicy.findById(req.params.id).lean().select('-__v');
+    if (!policy) throw new AppError(404, 'POLICY_NOT_FOUND', "Policy not found");
+    res.json(policy);
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Create a policy override
+router.post("/", authorize("admin"), validate(schemas.create), async (req, res) => {
+  try {
+    const policy = new CirculationPolicy(req.body);
+    await policy.save();
+    res.status(201).json(policy);
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Update a policy override
+router.put("/:id", authorize("admin"), validate(schemas.update), async (req, res) => {
+  try {
+    const policy = await CirculationPolicy.findByIdAndUpdate(req.params.id, req.body, {
+      new: true,
+      runValidators: true
+    }).lean();
+    if (!policy) throw new AppError(404, 'POLICY_NOT_FOUND', "Policy not found");
+    res.json(policy);
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Delete a policy override (the next less specific level applies again)
+router.delete("/:id", authorize("admin"), validate(schemas.byId), async (req, res) => {
+  try {
+    const policy = await CirculationPolicy.findByIdAndDelete(req.params.id);
+    if (!policy) throw new AppError(404, 'POLICY_NOT_FOUND', "Policy not found");
+    res.json({ message: "Policy deleted" });
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+module.exports = router;
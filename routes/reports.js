@@ -0,0 +1,95 @@
+const express = require("express");
+const router = express.Router();
+const { authenticate, authorize } = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const schemas = require("../validators/reports");
+const reports = require("../services/reportService");
+const { handleDBError } = require("../utils/dbUtils");
+
+router.use(authenticate, authorize("admin"));
+
+// Checkouts and returns per day, week or month
+router.get("/circulation", validate(schemas.circulation), async (req, res) => {
+  try {
+    const range = reports.parseRange(req.query);
+    const rows = await reports.circulation({ ...range, interval: req.query.interval });
+    if (req.query.format) return await reports.exportReport(res, { report: 'circulation', format: req.query.format, rows });
+    res.json({ ...range, rows });
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Most borrowed titles
+router.get("/top-titles", validate(schemas.top), async (req, res) => {
+  try {
+    const range = reports.parseRange(req.query);
+    const rows = await reports.topTitles({ ...range, limit: parseInt(req.query.limit) || undefined });
+    if (req.query.format) return await reports.exportReport(res, { report: 'topTitles', format: req.query.format, rows });
+    res.json({ ...range, rows });
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Most borrowed authors
+router.get("/top-authors", validate(schemas.top), async (req, res) => {
+  try {
+    const range = reports.parseRange(req.query);
+    const rows = await reports.topAuthors({ ...range, limit: parseInt(req.query.limit) || undefined });
+    if (req.query.format) return await reports.exportReport(res, { report: 'topAuthors', format: req.query.format, rows });
+    res.json({ ...range, rows });
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Loans and borrowers per member role or department
+router.get("/borrowing", validate(schemas.borrowing), async (req, res) => {
+  try {
+    const range = reports.parseRange(req.query);
+    const rows = await reports.borrowing({ ...range, by: req.query.by });
+    if (req.query.format) return await reports.exportReport(res, { report: 'borrowing', format: req.query.format, rows });
+    res.json({ ...range, rows });
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// How long returned loans were kept, by member role
+router.get("/loan-duration", validate(schemas.loanDuration), async (req, res) => {
+  try {
+    const range = reports.parseRange(req.query);
+    const rows = await reports.loanDuration(range);
+    if (req.query.format) return await reports.exportReport(res, { report: 'loanDuration', format: req.query.format, rows });
+    res.json({ ...range, rows });
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Share of loans returned late, per period of due date
+router.get("/overdue-rate", validate(schemas.overdueRate), async (req, res) => {
+  try {
+    const range = reports.parseRange(req.query);
+    const rows = await reports.overdueRate({ ...range, interval: req.query.interval });
+    if (req.query.format) return await reports.exportReport(res, { report: 'overdueRate', format: req.query.format, rows });
+    res.json({ ...range, rows });
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Titles not borrowed in the range, oldest acquisitions first (weeding)
+router.get("/never-borrowed", validate(schemas.neverBorrowed), async (req, res) => {
+  try {
+    const range = reports.parseRange(req.query);
+    const rows = await reports.neverBorrowed({ ...range, limit: parseInt(req.query.limit) || undefined });
+    if (req.query.format) return await reports.exportReport(res, { report: 'neverBorrowed', format: req.query.format, rows });
+    res.json({ ...range, rows });
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,90 @@
+const express = require("express");
+const router = express.Router();
+const Review = require("../Models/Review");
+const { authenticate, authorize } = require("../middleware/auth");
+const { updateReview, deleteReview, flagReview, moderateReview } = require("../services/reviewService");
+const { handleDBError } = require("../utils/dbUtils");
+const { paginate } = require("../utils/pagination");
+const { validate } = require("../middleware/validate");
+const schemas = require("../validators/reviews");
+
+router.use(authenticate);
+
+// List reviews: admins see all (e.g. ?flagged=true for the moderation
+// queue), members their own. Reviews of a book are under /books/:id/reviews.
+router.get("/", validate(schemas.list), async (req, res) => {
+  try {
+    const { bookId, memberId, status, flagged } = req.query;
+
+    let filter = {};
+    if (bookId) filter.bookId = bookId;
+    if (memberId) filter.memberId = memberId;
+    if (status) filter.status = status;
+    if (flagged !== undefined) filter.flagCount = flagged === 'true' ? { $gt: 0 } : 0;
+    if (req.user.role !== 'admin') filter.memberId = req.user.id;
+
+    res.json(await paginate(Review, filter, req.query, {
+      sortFields: ['createdAt', 'rating', 'flagCount'],
+      defaultSort: 'createdAt',
+      select: '-__v',
+      populate: [
+        ['memberId', 'name email'],
+        ['bookId', 'title author']
+      ]
+    }));
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Edit your own review
+router.put("/:id", validate(schemas.update), async (req, res) => {
+  try {
+    const review = await updateReview(req.params.id, req.user, req.body);
+    res.json({ message: "Review updated", review });
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Delete a review (its author or an admin)
+router.delete("/:id", validate(schemas.byId), async (req, res) => {
+  try {
+    await deleteReview(req.params.id, req.user);
+    res.json({ message: "Review deleted" });
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Flag someone else's review for the moderators
+router.post("/:id/flag", validate(schemas.flag), async (req, res) => {
+  try {
+    const review = await flagReview(req.params.id, req.user, req.body.reason);
+    res.json({ message: "Review flagged", flagCount: review.flagCount });
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Hide a review from the catalog (admin)
+router.post("/:id/hide", authorize("admin"), validate(schemas.moderate), async (req, res) => {
+  try {
+    const review = await moderateReview(req.params.id, 'hide', req.user, req.body.note);
+    res.json({ message: "Review hidden", review });
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Approve a review: visible again, flags cleared (admin)
+router.post("/:id/approve", authorize("admin"), validate(schemas.moderate), async (req, res) => {
+  try {
+    const review = await moderateReview(req.params.id, 'approve', req.user, req.body.note);
+    res.json({ message: "Review approved", review });
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,73 @@
+const express = require("express");
+const router = express.Router();
+const Series = require("../Models/Series");
+const Book = require("../Models/Books");
+const { authenticate, authorize } = require("../middleware/auth");
+const { handleDBError, escapeRegex } = require("../utils/dbUtils");
+const { paginate } = require("../utils/pagination");
+const { normalizeName } = require("../utils/names");
+const { AppError } = require("../utils/errors");
+const { validate } = require("../middleware/validate");
+const schemas = require("../validators/series");
+
+// Browsing is open to any signed-in member; edits are admin-only
+router.use(authenticate);
+
+// List series alphabetically (?q= matches the start of the title)
+router.get("/", validate(schemas.list), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.q) filter.titleNormalized = new RegExp('^' + escapeRegex(normalizeName(req.query.q)));
+
+    res.json(await paginate(Series, filter, req.query, {
+      sortFields: ['title', 'createdAt'],
+      defaultSort: 'title',
+      defaultOrder: 'asc',
+      select: 'title'
+    }));
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Get a series with the number of books in it
+router.get("/:id", validate(schemas.byId), async (req, res) => {
+  try {
+    const series = await Series.findById(req.params.id).lean().select('-__v -titleNormalized');
+    if (!series) throw new AppError(404, 'SERIES_NOT_FOUND', "Series not found");
+    series.bookCount = await Book.countDocuments({ seriesId: series._id });
+    res.json(series);
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Books in a series, in volume order
+router.get("/:id/books", validate(schemas.books), async (req, res) => {
+  try {
+    const exists = await Series.exists({ _id: req.params.id });
+    if (!exists) throw new AppError(404, 'SERIES_NOT_FOUND', "Series not found");
+
+    res.json(await paginate(Book, { seriesId: req.params.id }, req.query, {
+      sortFields: ['seriesVolume', 'title', 'createdAt'],
+      defaultSort: 'seriesVolume',
+      defaultOrder: 'asc',
+      select: 'title author isbn seriesVolume available quantity publicationYear language workId'
+    }));
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Rename a series
+router.put("/:id", authorize("admin"), validate(schemas.update), async (req, res) => {
+  try {
+    const series = await Series.findByIdAndUpdate(req.params.id, req.body, { new: true, lean: true, runValidators: true });
+    if (!series) throw new AppError(404, 'SERIES_NOT_FOUND', "Series not found");
+    res.json(series);
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,72 @@
+const express = require("express");
+const router = express.Router();
+const Subject = require("../Models/Subject");
+const Book = require("../Models/Books");
+const { authenticate, authorize } = require("../middleware/auth");
+const { updateSubject } = require("../services/bibliographyService");
+const { handleDBError, escapeRegex } = require("../utils/dbUtils");
+const { paginate } = require("../utils/pagination");
+const { normalizeName } = require("../utils/names");
+const { AppError } = require("../utils/errors");
+const { validate } = require("../middleware/validate");
+const schemas = require("../validators/subjects");
+
+// Browsing is open to any signed-in member; edits are admin-only
+router.use(authenticate);
+
+// List subjects alphabetically (?q= matches the start of the name)
+router.get("/", validate(schemas.list), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.q) filter.nameNormalized = new RegExp('^' + escapeRegex(normalizeName(req.query.q)));
+
+    res.json(await paginate(Subject, filter, req.query, {
+      sortFields: ['name', 'createdAt'],
+      defaultSort: 'name',
+      defaultOrder: 'asc',
+      select: 'name'
+    }));
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Get a subject with the number of books filed under it
+router.get("/:id", validate(schemas.byId), async (req, res) => {
+  try {
+    const subject = await Subject.findById(req.params.id).lean().select('-__v -nameNormalized');
+    if (!subject) throw new AppError(404, 'SUBJECT_NOT_FOUND', "Subject not found");
+    subject.bookCount = await Book.countDocuments({ subjectIds: subject._id });
+    res.json(subject);
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Books filed under a subject
+router.get("/:id/books", validate(schemas.books), async (req, res) => {
+  try {
+    const exists = await Subject.exists({ _id: req.params.id });
+    if (!exists) throw new AppError(404, 'SUBJECT_NOT_FOUND', "Subject not found");
+
+    res.json(await paginate(Book, { subjectIds: req.params.id }, req.query, {
+      sortFields: ['title', 'createdAt'],
+      defaultSort: 'title',
+      defaultOrder: 'asc',
+      select: 'title author isbn category available quantity publicationYear language workId'
+    }));
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Rename a subject (book categories and subject headings follow)
+router.put("/:id", authorize("admin"), validate(schemas.update), async (req, res) => {
+  try {
+    res.json(await updateSubject(req.params.id, req.body));
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+module.exports = router;
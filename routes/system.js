@@ -0,0 +1,36 @@
+const express = require("express");
+const router = express.Router();
+const Borrowed = require("../Models/Loan");
+const { authenticate, authorize } = require("../middleware/auth");
+const { handleDBError } = require("../utils/dbUtils");
+const { paginate } = require("../utils/pagination");
+const { validate } = require("../middleware/validate");
+const { listQuery } = require("../validators/common");
+
+// Borrowed endpoint (optimized)
+router.get("/borrowed", authenticate, authorize("admin"), validate({ query: listQuery }), async (req, res) => {
+  try {
+    res.json(await paginate(Borrowed, {}, req.query, {
+      sortFields: ['borrowDate'],
+      defaultSort: 'borrowDate',
+      defaultLimit: 20,
+      populate: [
+        ['userId', 'name email'],
+        ['bookId', 'title author']
+      ]
+    }));
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Health check endpoint
+router.get("/health", (req, res) => {
+  res.json({
+    status: 'healthy',
+    uptime: process.uptime(),
+    memory: process.memoryUsage()
+  });
+});
+
+module.exports = router;
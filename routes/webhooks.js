@@ -0,0 +1,163 @@
+const express = require("express");
+const router = express.Router();
+const WebhookSubscription = require("../Models/WebhookSubscription");
+const WebhookDelivery = require("../Models/WebhookDelivery");
+const { authenticate, authorize } = require("../middleware/auth");
+const {
+  createSubscription,
+  rotateSecret,
+  deleteSubscription,
+  redeliver,
+  pingSubscription
+} = require("../services/webhookService");
+const { handleDBError } = require("../utils/dbUtils");
+const { paginate } = require("../utils/pagination");
+const { AppError } = require("../utils/errors");
+const { validate } = require("../middleware/validate");
+const schemas = require("../validators/webhooks");
+
+router.use(authenticate, authorize("admin"));
+
+// List webhook subscriptions
+router.get("/", validate(schemas.list), async (req, res) => {
+  try {
+    let filter = {};
+    if (req.query.isActive !== undefined) filter.isActive = req.query.isActive === 'true';
+
+    res.json(await paginate(WebhookSubscription, filter, req.query, {
+      sortFields: ['createdAt', 'url'],
+      defaultSort: 'createdAt',
+      select: '-__v'
+    }));
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Subscribe an endpoint to events. The signing secret is only returned here
+// and by rotate-secret.
+router.post("/", validate(schemas.create), async (req, res) => {
+  try {
+    const subscription = await createSubscription(req.body, req.user.id);
+    res.status(201).json({ message: "Webhook created", subscription });
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Dead letters: deliveries that ran out of attempts, newest first
+router.get("/dead-letters", validate(schemas.deadLetters), async (req, res) => {
+  try {
+    const { subscriptionId, event } = req.query;
+
+    let filter = { status: 'dead' };
+    if (subscriptionId) filter.subscriptionId = subscriptionId;
+    if (event) filter.event = event;
+
+    res.json(await paginate(WebhookDelivery, filter, req.query, {
+      sortFields: ['deadAt', 'createdAt'],
+      defaultSort: 'deadAt',
+      select: '-payload -__v'
+    }));
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Get one delivery with its payload and attempt history
+router.get("/deliveries/:deliveryId", validate(schemas.byDelivery), async (req, res) => {
+  try {
+    const delivery = await WebhookDelivery.findById(req.params.deliveryId).select('-__v').lean();
+    if (!delivery) throw new AppError(404, 'DELIVERY_NOT_FOUND', "Delivery not found");
+    res.json(delivery);
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Redeliver a dead delivery (attempts start over)
+router.post("/deliveries/:deliveryId/redeliver", validate(schemas.byDelivery), async (req, res) => {
+  try {
+    const delivery = await redeliver(req.params.deliveryId);
+    res.json({ message: "Delivery requeued", delivery });
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Get a subscription
+router.get("/:id", validate(schemas.byId), async (req, res) => {
+  try {
+    const subscription = await WebhookSubscription.findById(req.params.id).select('-__v').lean();
+    if (!subscription) throw new AppError(404, 'WEBHOOK_NOT_FOUND', "Webhook subscription not found");
+    res.json(subscription);
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Update a subscription's url, events, description or active flag
+router.put("/:id", validate(schemas.update), async (req, res) => {
+  try {
+    const subscription = await WebhookSubscription.findByIdAndUpdate(req.params.id, req.body, {
+      new: true,
+      runValidators: true,
+      lean: true
+    });
+    if (!subscription) throw new AppError(404, 'WEBHOOK_NOT_FOUND', "Webhook subscription not found");
+    res.json({ message: "Webhook updated", subscription });
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Delete a subscription (queued deliveries are dropped, history is kept)
+router.delete("/:id", validate(schemas.byId), async (req, res) => {
+  try {
+    await deleteSubscription(req.params.id);
+    res.json({ message: "Webhook deleted" });
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Issue a new signing secret; the old one stops working immediately
+router.post("/:id/rotate-secret", validate(schemas.byId), async (req, res) => {
+  try {
+    const { _id, secret } = await rotateSecret(req.params.id);
+    res.json({ message: "Secret rotated", _id, secret });
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Send a test "webhook.ping" event and report how the receiver answered
+router.post("/:id/ping", validate(schemas.byId), async (req, res) => {
+  try {
+    const delivery = await pingSubscription(req.params.id);
+    res.json({ delivered: delivery.status === 'delivered', delivery });
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Delivery history of a subscription, newest first
+router.get("/:id/deliveries", validate(schemas.deliveries), async (req, res) => {
+  try {
+    const { status, event } = req.query;
+
+    let filter = { subscriptionId: req.params.id };
+    if (status) filter.status = status;
+    if (event) filter.event = event;
+
+    res.json(await paginate(WebhookDelivery, filter, req.query, {
+      sortFields: ['createdAt'],
+      defaultSort: 'createdAt',
+      select: '-payload -__v'
+    }));
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,58 @@
+const express = require("express");
+const router = express.Router();
+const Work = require("../Models/Work");
+const Book = require("../Models/Books");
+const { authenticate, authorize } = require("../middleware/auth");
+const { handleDBError } = require("../utils/dbUtils");
+const { paginate } = require("../utils/pagination");
+const { AppError } = require("../utils/errors");
+const { validate } = require("../middleware/validate");
+const schemas = require("../validators/works");
+
+// Browsing is open to any signed-in member; edits are admin-only
+router.use(authenticate);
+
+// Get a work with its authors and number of editions
+router.get("/:id", validate(schemas.byId), async (req, res) => {
+  try {
+    const work = await Work.findById(req.params.id)
+      .populate('authorIds', 'name')
+      .lean()
+      .select('-__v -titleNormalized');
+    if (!work) throw new AppError(404, 'WORK_NOT_FOUND', "Work not found");
+    work.editionCount = await Book.countDocuments({ workId: work._id });
+    res.json(work);
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Editions (books) of a work, oldest first
+router.get("/:id/books", validate(schemas.books), async (req, res) => {
+  try {
+    const exists = await Work.exists({ _id: req.params.id });
+    if (!exists) throw new AppError(404, 'WORK_NOT_FOUND', "Work not found");
+
+    res.json(await paginate(Book, { workId: req.params.id }, req.query, {
+      sortFields: ['createdAt', 'title'],
+      defaultSort: 'createdAt',
+      defaultOrder: 'asc',
+      select: 'title author isbn edition language publisher publicationYear available quantity'
+    }));
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+// Retitle a work (its editions keep their own titles)
+router.put("/:id", authorize("admin"), validate(schemas.update), async (req, res) => {
+  try {
+    const work = await Work.findByIdAndUpdate(req.params.id, req.body, { new: true, lean: true, runValidators: true });
+    if (!work) throw new AppError(404, 'WORK_NOT_FOUND', "Work not found");
+    res.json(work);
+  } catch (err) {
+    handleDBError(err, res);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,53 @@
+/**
+ * One-off migration: give members created before library cards and
+ * membership terms existed
+ *   - a card number,
+ *   - a membership expiry one term from today (their role's term; admins
+ *     and other non-expiring roles get none).
+ *
+ * Usage: node scripts/assignMembershipCards.js
+ */
+
+const mongoose = require("mongoose");
+require('dotenv').config();
+
+const Member = require("../Models/Members");
+const { generateCardNumber, membershipExpiry } = require("../utils/membership");
+
+const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/Libra';
+
+async function migrate() {
+  try {
+    await mongoose.connect(MONGO_URI);
+    console.log("Connected to MongoDB");
+
+    const now = new Date();
+    let cards = 0;
+    let terms = 0;
+    const cursor = Member.find({ $or: [{ cardNumber: null }, { membershipExpiresAt: { $exists: false } }] })
+      .setOptions({ withDeleted: true })
+      .select('role cardNumber membershipExpiresAt')
+      .lean()
+      .cursor();
+    for await (const member of cursor) {
+      const update = {};
+      if (!member.cardNumber) {
+        update.cardNumber = generateCardNumber();
+        cards++;
+      }
+      if (member.membershipExpiresAt === undefined) {
+        update.membershipExpiresAt = membershipExpiry(member.role, now);
+        if (update.membershipExpiresAt) terms++;
+      }
+      await Member.updateOne({ _id: member._id }, { $set: update }, { withDeleted: true });
+    }
+
+    console.log(`\n✅ Issued ${cards} cards and started ${terms} membership terms`);
+    await mongoose.connection.close();
+  } catch (err) {
+    console.error("Error assigning membership cards:", err);
+    process.exit(1);
+  }
+}
+
+migrate();
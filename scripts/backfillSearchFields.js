@@ -0,0 +1,47 @@
+/**
+ * One-off migration: populate the lowercased title/author fields used by
+ * GET /books/autocomplete for books created before they existed. The text
+ * index itself is built by Mongoose on startup.
+ *
+ * Usage: node scripts/backfillSearchFields.js
+ */
+
+const mongoose = require("mongoose");
+require('dotenv').config();
+
+const Book = require("../Models/Books");
+
+const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/Libra';
+const BATCH_SIZE = 500;
+
+async function backfill() {
+  try {
+    await mongoose.connect(MONGO_URI);
+    console.log("Connected to MongoDB");
+
+    let ops = [];
+    let updated = 0;
+    for await (const book of Book.find({ titleNormalized: null }).select('title author').lean().cursor()) {
+      ops.push({
+        updateOne: {
+          filter: { _id: book._id },
+          update: { titleNormalized: book.title.trim().toLowerCase(), authorNormalized: book.author.trim().toLowerCase() }
+        }
+      });
+      if (ops.length === BATCH_SIZE) {
+        updated += (await Book.bulkWrite(ops)).modifiedCount;
+        ops = [];
+      }
+    }
+    if (ops.length) updated += (await Book.bulkWrite(ops)).modifiedCount;
+
+    await Book.syncIndexes();
+    console.log(`\n✅ Backfilled ${updated} books and synced indexes`);
+    await mongoose.connection.close();
+  } catch (err) {
+    console.error("Error backfilling search fields:", err);
+    process.exit(1);
+  }
+}
+
+backfill();
@@ -0,0 +1,38 @@
+/**
+ * Keeps the OpenAPI document in step with the code (utils/openapi.js).
+ *
+ * Usage: node scripts/checkOpenApi.js [--write]
+ *   (no flag)  fail when docs/openapi.json differs from what the routes
+ *              produce, when a route is undocumented, or when a list
+ *              handler is not described with the Page envelope (see
+ *              findSpecProblems); part of npm test
+ *   --write    regenerate docs/openapi.json
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { buildOpenApiSpec, findSpecProblems } = require("../utils/openapi");
+
+const SNAPSHOT = path.join(__dirname, "..", "docs", "openapi.json");
+
+const spec = buildOpenApiSpec();
+const problems = findSpecProblems(spec);
+const generated = `${JSON.stringify(spec, null, 2)}\n`;
+
+if (process.argv.includes('--write')) {
+  fs.mkdirSync(path.dirname(SNAPSHOT), { recursive: true });
+  fs.writeFileSync(SNAPSHOT, generated);
+  console.log(`Wrote ${path.relative(process.cwd(), SNAPSHOT)} (${Object.keys(spec.paths).length} paths)`);
+} else {
+  const committed = fs.existsSync(SNAPSHOT) ? fs.readFileSync(SNAPSHOT, 'utf8') : null;
+  if (committed !== generated) {
+    problems.push('docs/openapi.json is out of date; run npm run docs:build and commit the result');
+  }
+}
+
+if (problems.length) {
+  for (const problem of problems) console.error(`✗ ${problem}`);
+  process.exitCode = 1;
+} else {
+  console.log(`✅ OpenAPI document matches the routes (${Object.keys(spec.paths).length} paths)`);
+}
@@ -0,0 +1,57 @@
+/**
+ * One-off migration: key overdue fines by the due date they were charged
+ * for, so a loan renewed during its grace period can accrue a new fine
+ * when it goes overdue again.
+ *   - sets dueDate on overdue fines created before it was stored: the
+ *     dueDate a renewal replaced when the fine was finalized by that
+ *     renewal, otherwise the loan's current dueDate,
+ *   - replaces the old one-overdue-fine-per-loan index.
+ *
+ * Usage: node scripts/keyOverdueFinesByDueDate.js
+ */
+
+const mongoose = require("mongoose");
+require('dotenv').config();
+
+const Fine = require("../Models/Fine");
+const Borrowed = require("../Models/Loan");
+
+const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/Libra';
+
+async function migrate() {
+  try {
+    await mongoose.connect(MONGO_URI);
+    console.log("Connected to MongoDB");
+
+    let keyed = 0;
+    let orphaned = 0;
+    const cursor = Fine.find({ type: 'overdue', dueDate: { $exists: false } })
+      .select('loanId finalizedAt')
+      .lean()
+      .cursor();
+    for await (const fine of cursor) {
+      const loan = await Borrowed.findById(fine.loanId)
+        .setOptions({ withDeleted: true })
+        .select('dueDate renewals')
+        .lean();
+      if (!loan) {
+        orphaned++;
+        continue;
+      }
+      const renewal = fine.finalizedAt &&
+        (loan.renewals || []).find(r => r.renewedAt && r.renewedAt.getTime() === fine.finalizedAt.getTime());
+      await Fine.updateOne({ _id: fine._id }, { $set: { dueDate: renewal ? renewal.previousDueDate : loan.dueDate } });
+      keyed++;
+    }
+
+    await Fine.syncIndexes();
+
+    console.log(`\n✅ Keyed ${keyed} overdue fines by due date${orphaned ? ` (${orphaned} without a loan left as they are)` : ''}`);
+    await mongoose.connection.close();
+  } catch (err) {
+    console.error("Error keying overdue fines:", err);
+    process.exit(1);
+  }
+}
+
+migrate();
@@ -0,0 +1,54 @@
+/**
+ * One-off migration: link books created before authors, subjects and works
+ * were entities. For each book without authorIds it
+ *   - creates (or reuses) an Author named after the book's author string,
+ *   - creates (or reuses) a Subject for its category and each subject,
+ *   - files it under the Work with the same title and author.
+ * Bylines naming several people ("A and B") become a single author; fix
+ * those afterwards with PUT /books/:id { authors: [...] }.
+ *
+ * Usage: node scripts/migrateBibliography.js
+ */
+
+const mongoose = require("mongoose");
+require('dotenv').config();
+
+const Book = require("../Models/Books");
+const { linkBibliography } = require("../services/bibliographyService");
+
+const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/Libra';
+
+async function migrate() {
+  try {
+    await mongoose.connect(MONGO_URI);
+    console.log("Connected to MongoDB");
+
+    let books = 0;
+    const cursor = Book.find({ authorIds: null })
+      .select('title author category subjects workId')
+      .lean()
+      .cursor();
+    for await (const book of cursor) {
+      const { authorIds, subjectIds, workId } = await linkBibliography({
+        title: book.title,
+        author: book.author,
+        category: book.category,
+        subjects: book.subjects
+      }, { current: { workId: book.workId } });
+
+      const update = { authorIds };
+      if (subjectIds) update.subjectIds = subjectIds;
+      if (workId) update.workId = workId;
+      await Book.updateOne({ _id: book._id }, { $set: update });
+      books++;
+    }
+
+    console.log(`\n✅ Linked ${books} books to authors, subjects and works`);
+    await mongoose.connection.close();
+  } catch (err) {
+    console.error("Error migrating bibliography:", err);
+    process.exit(1);
+  }
+}
+
+migrate();
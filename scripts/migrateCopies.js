@@ -0,0 +1,70 @@
+/**
+ * One-off migration: create Copy records for books that predate copy
+ * tracking. For each book without copies it creates
+ *   - one on_shelf copy per unit of the old Book.quantity,
+ *   - one on_loan copy per open loan (linked via Borrowed.copyId),
+ *   - one on_hold copy per ready hold (linked via Reservation.copyId),
+ * then recomputes quantity/available from the copies.
+ *
+ * Usage: node scripts/migrateCopies.js
+ */
+
+const mongoose = require("mongoose");
+require('dotenv').config();
+
+const Book = require("../Models/Books");
+const Copy = require("../Models/Copy");
+const Borrowed = require("../Models/Loan");
+const Reservation = require("../Models/Reservation");
+const { generateBarcode, syncBookInventory } = require("../services/copyService");
+
+const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/Libra';
+
+async function migrateBook(book) {
+  const note = 'Created by copy migration';
+
+  const shelf = Array.from({ length: book.quantity || 0 }, () => ({
+    bookId: book._id, barcode: generateBarcode(), status: 'on_shelf', notes: note
+  }));
+  if (shelf.length) await Copy.insertMany(shelf);
+
+  const loans = await Borrowed.find({ bookId: book._id, returned: false, copyId: null });
+  for (const loan of loans) {
+    const copy = await Copy.create({ bookId: book._id, barcode: generateBarcode(), status: 'on_loan', notes: note });
+    loan.copyId = copy._id;
+    await loan.save();
+  }
+
+  const holds = await Reservation.find({ bookId: book._id, status: 'ready', copyId: null });
+  for (const hold of holds) {
+    const copy = await Copy.create({ bookId: book._id, barcode: generateBarcode(), status: 'on_hold', notes: note });
+    hold.copyId = copy._id;
+    await hold.save();
+  }
+
+  await syncBookInventory(book._id);
+  return shelf.length + loans.length + holds.length;
+}
+
+async function migrate() {
+  try {
+    await mongoose.connect(MONGO_URI);
+    console.log("Connected to MongoDB");
+
+    let books = 0;
+    let copies = 0;
+    for await (const book of Book.find().lean().cursor()) {
+      if (await Copy.exists({ bookId: book._id })) continue;
+      copies += await migrateBook(book);
+      books++;
+    }
+
+    console.log(`\n✅ Created ${copies} copies for ${books} books`);
+    await mongoose.connection.close();
+  } catch (err) {
+    console.error("Error migrating copies:", err);
+    process.exit(1);
+  }
+}
+
+migrate();
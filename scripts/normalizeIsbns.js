@@ -0,0 +1,81 @@
+/**
+ * One-off migration: rewrite stored isbns as ISBN-13 digits and fill in
+ * isbn10, for books created before ISBNs were normalized. Invalid isbns
+ * and books that normalize to the same ISBN-13 as another book are left
+ * untouched and listed, to be fixed by hand.
+ *
+ * Usage: node scripts/normalizeIsbns.js [--dry-run]
+ */
+
+const mongoose = require("mongoose");
+require('dotenv').config();
+
+const Book = require("../Models/Books");
+const { parseIsbn } = require("../utils/isbn");
+
+const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/Libra';
+const BATCH_SIZE = 500;
+const dryRun = process.argv.includes('--dry-run');
+
+async function normalize() {
+  try {
+    await mongoose.connect(MONGO_URI);
+    console.log("Connected to MongoDB");
+
+    const books = await Book.find({ isbn: { $nin: [null, ''] } }).select('title isbn isbn10').lean();
+
+    // Stored isbns that are already normalized claim their value first
+    const owners = new Map();
+    for (const book of books) owners.set(book.isbn, book._id);
+
+    const invalid = [];
+    const collisions = [];
+    let ops = [];
+    let updated = 0;
+
+    for (const book of books) {
+      const parsed = parseIsbn(book.isbn);
+      if (!parsed) {
+        invalid.push(book);
+        continue;
+      }
+      if (parsed.isbn13 === book.isbn && (parsed.isbn10 || undefined) === book.isbn10) continue;
+
+      const owner = owners.get(parsed.isbn13);
+      if (owner && !owner.equals(book._id)) {
+        collisions.push({ book, isbn13: parsed.isbn13, owner });
+        continue;
+      }
+      owners.set(parsed.isbn13, book._id);
+
+      const update = parsed.isbn10
+        ? { $set: { isbn: parsed.isbn13, isbn10: parsed.isbn10 } }
+        : { $set: { isbn: parsed.isbn13 }, $unset: { isbn10: 1 } };
+      ops.push({ updateOne: { filter: { _id: book._id }, update } });
+      if (ops.length === BATCH_SIZE) {
+        if (!dryRun) updated += (await Book.bulkWrite(ops)).modifiedCount;
+        else updated += ops.length;
+        ops = [];
+      }
+    }
+    if (ops.length) {
+      if (!dryRun) updated += (await Book.bulkWrite(ops)).modifiedCount;
+      else updated += ops.length;
+    }
+
+    for (const book of invalid) {
+      console.log(`Invalid isbn "${book.isbn}" on book ${book._id} (${book.title})`);
+    }
+    for (const { book, isbn13, owner } of collisions) {
+      console.log(`Book ${book._id} (${book.title}) isbn "${book.isbn}" is ${isbn13}, already used by book ${owner}`);
+    }
+
+    console.log(`\n✅ ${dryRun ? 'Would normalize' : 'Normalized'} ${updated} isbns; ${invalid.length} invalid, ${collisions.length} duplicates`);
+    await mongoose.connection.close();
+  } catch (err) {
+    console.error("Error normalizing isbns:", err);
+    process.exit(1);
+  }
+}
+
+normalize();
@@ -0,0 +1,54 @@
+/**
+ * Local webhook receiver for trying out and testing webhook subscriptions.
+ * Prints every delivery and whether its signature checks out.
+ *
+ * Usage: node scripts/webhookReceiver.js [--port 4000] [--secret whsec_...] [--fail 500]
+ *   --secret  subscription secret to verify X-Libra-Signature with
+ *             (or WEBHOOK_SECRET)
+ *   --fail    answer every delivery with this status, to watch retries
+ *             and dead letters
+ *
+ * Then subscribe it, e.g. POST /webhooks
+ *   { "url": "http://localhost:4000/hook", "events": ["*"] }
+ * and POST /webhooks/<id>/ping.
+ */
+
+const http = require("http");
+const { verifySignature } = require("../services/webhookService");
+
+function option(name, fallback) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i !== -1 && process.argv[i + 1] ? process.argv[i + 1] : fallback;
+}
+
+const port = parseInt(option('port', process.env.PORT)) || 4000;
+const secret = option('secret', process.env.WEBHOOK_SECRET);
+const failWith = parseInt(option('fail')) || null;
+
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    const body = Buffer.concat(chunks).toString('utf8');
+    const signature = req.headers['x-libra-signature'];
+    const verified = secret ? verifySignature(secret, body, signature) : null;
+
+    console.log(`\n${new Date().toISOString()} ${req.method} ${req.url}`);
+    console.log(`  event:     ${req.headers['x-libra-event']}`);
+    console.log(`  delivery:  ${req.headers['x-libra-delivery']}`);
+    console.log(`  signature: ${verified === null ? 'not checked (no --secret)' : verified ? 'valid' : 'INVALID'}`);
+    try {
+      console.log(JSON.stringify(JSON.parse(body), null, 2));
+    } catch {
+      console.log(body);
+    }
+
+    const status = failWith || (verified === false ? 401 : 204);
+    res.writeHead(status);
+    res.end();
+  });
+});
+
+server.listen(port, () => {
+  console.log(`Webhook receiver listening on http://localhost:${port}`);
+});
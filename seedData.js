@@ -75,15 +75,15 @@ async function seedDatabase() {
     await mongoose.connect(MONGO_URI);
     console.log("Connected to MongoDB");
 
-    // Clear existing members
-    await Member.deleteMany({});
+    // Clear existing members (deleted ones too)
+    await Member.deleteMany({}, { purge: true });
     console.log("Cleared existing members");
 
     // Hash passwords and create members
     const hashedMembers = await Promise.all(
       mockMembers.map(async (member) => {
         const hashedPassword = await bcrypt.hash(member.password, 10);
-        return { ...member, password: hashedPassword };
+        return { ...member, password: hashedPassword, emailVerified: true };
       })
     );
 
@@ -5,70 +5,89 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 const bcrypt = require('bcryptjs');
 require('dotenv').config();
+const jobsConfig = require('./config/jobsConfig');
+const { registerAllJobs } = require('./jobs');
+const { startScheduler, stopScheduler } = require('./jobs/scheduler');
+const { requestContext } = require('./utils/requestContext');
+const rateLimitConfig = require('./config/rateLimitConfig');
+const { rateLimit } = require('./middleware/rateLimit');
+const { registerWebhookListener } = require('./services/webhookService');
 
 const app = express();
 
 const PORT = process.env.PORT || 5000;
 const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/Libra';
 
+// req.ip is the client's address behind a trusted proxy (rate limits key on it)
+app.set('trust proxy', rateLimitConfig.trustProxy);
+
 // Middleware
 app.use(helmet());
 app.use(cors());
 app.use(express.json());
 if (process.env.NODE_ENV !== 'production') app.use(morgan('dev'));
+// Actor and IP for the audit log (services/auditService.js)
+app.use(requestContext);
+// Per-IP limit on every route; login and registration add stricter ones
+app.use(rateLimit('default'));
 
 // Routes
 const booksRouter = require('./routes/books');
 const membersRouter = require('./routes/members');
 const loansRouter = require('./routes/loans');
-const Borrowed = require('./Models/Loan');
+const copiesRouter = require('./routes/copies');
+const finesRouter = require('./routes/fines');
+const holdsRouter = require('./routes/holds');
+const policiesRouter = require('./routes/policies');
+const jobsRouter = require('./routes/jobs');
+const auditRouter = require('./routes/audit');
+const authorsRouter = require('./routes/authors');
+const subjectsRouter = require('./routes/subjects');
+const seriesRouter = require('./routes/series');
+const worksRouter = require('./routes/works');
+const notificationsRouter = require('./routes/notifications');
+const reportsRouter = require('./routes/reports');
+const reviewsRouter = require('./routes/reviews');
+const webhooksRouter = require('./routes/webhooks');
+const docsRouter = require('./routes/docs');
+const systemRouter = require('./routes/system');
+const { handleDBError } = require('./utils/dbUtils');
+const { AppError } = require('./utils/errors');
 
 app.use('/books', booksRouter);
 app.use('/members', membersRouter);
 app.use('/loans', loansRouter);
+app.use('/copies', copiesRouter);
+app.use('/fines', finesRouter);
+app.use('/holds', holdsRouter);
+app.use('/policies', policiesRouter);
+app.use('/jobs', jobsRouter);
+app.use('/audit', auditRouter);
+app.use('/authors', authorsRouter);
+app.use('/subjects', subjectsRouter);
+app.use('/series', seriesRouter);
+app.use('/works', worksRouter);
+app.use('/notifications', notificationsRouter);
+app.use('/reports', reportsRouter);
+app.use('/reviews', reviewsRouter);
+app.use('/webhooks', webhooksRouter);
+// OpenAPI document and interactive explorer (public)
+app.use('/docs', docsRouter);
 
 app.get('/', (req, res) => res.json({ status: 'ok', env: process.env.NODE_ENV || 'development' }));
 
-// Borrowed endpoint (optimized)
-app.get("/borrowed", async (req, res) => {
-  try {
-    const { page = 1, limit = 20 } = req.query;
-    const skip = (page - 1) * limit;
-    
-    const loans = await Borrowed.find()
-      .populate('userId', 'name email')
-      .populate('bookId', 'title author')
-      .lean()
-      .skip(skip)
-      .limit(parseInt(limit))
-      .sort({ borrowDate: -1 });
-    
-    const total = await Borrowed.countDocuments();
-    
-    res.json({
-      data: loans,
-      pagination: { total, page: parseInt(page), limit: parseInt(limit), pages: Math.ceil(total / limit) }
-    });
-  } catch (err) {
-    res.status(500).json({ message: "Error fetching borrowed books", error: err.message });
-  }
+// /borrowed and /health (declared in a router so utils/openapi.js can
+// document them without loading this file)
+app.use(systemRouter);
+
+// Unknown routes get the same error format as everything else
+app.use((req, res, next) => {
+  next(new AppError(404, 'NOT_FOUND', `Cannot ${req.method} ${req.path}`));
 });
 
 // Global error handler (must be last)
 app.use((err, req, res, next) => {
-  console.error(err);
-  res.status(err.status || 500).json({ error: err.message || 'Internal Server Error' });
-});
-
-const User = require("./Models/Members");
-
-// Health check endpoint
-app.get("/health", (req, res) => {
-  res.json({ 
-    status: 'healthy',
-    uptime: process.uptime(),
-    memory: process.memoryUsage()
-  });
+  handleDBError(err, res);
 });
 
 // MongoDB Connection with optimized options
@@ -92,6 +111,14 @@ mongoose.connect(MONGO_URI, mongooseOptions)
       console.log(`Server running on port ${PORT}`);
       console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
     });
+
+    // Every replica forwards the events it emits; retries run with the jobs
+    registerWebhookListener();
+    registerAllJobs();
+    if (jobsConfig.enabled) {
+      startScheduler();
+      console.log('Background jobs scheduled');
+    }
   })
   .catch(err => {
     console.error('Failed to connect to MongoDB', err);
@@ -101,6 +128,7 @@ mongoose.connect(MONGO_URI, mongooseOptions)
 // Handle graceful shutdown
 process.on('SIGINT', async () => {
   console.log('\nShutting down gracefully...');
+  stopScheduler();
   await mongoose.connection.close();
   console.log('MongoDB connection closed');
   process.exit(0);
@@ -0,0 +1,261 @@
+/**
+ * Account Service
+ * Email verification, password resets and password changes.
+ *
+ * Verification and reset links carry a random token that is mailed to the
+ * member; only its hash is stored (Models/AccountToken.js). Tokens expire
+ * (config/authConfig.js) and work once: using one, or asking for a new one,
+ * retires the earlier ones. Setting a new password revokes every session.
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const Member = require('../Models/Members');
+const AccountToken = require('../Models/AccountToken');
+const authConfig = require('../config/authConfig');
+const { sendMail } = require('./mailService');
+const { revokeAllTokens } = require('../utils/tokenUtils');
+const { runInTransaction } = require('../utils/dbUtils');
+const { AppError } = require('../utils/errors');
+
+const HOUR_MS = 60 * 60 * 1000;
+const BCRYPT_ROUNDS = 10;
+
+const TOKEN_TTL_HOURS = {
+  verify_email: authConfig.verifyEmailTokenTtlHours,
+  reset_password: authConfig.resetPasswordTokenTtlHours
+};
+
+/**
+ * @param {string} token - Raw token
+ * @returns {string} Stored form of the token
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Issue a token for a member, retiring their unused ones for the same purpose
+ * @param {ObjectId} memberId - Member ID
+ * @param {string} purpose - "verify_email" | "reset_password"
+ * @param {ClientSession} session - Transaction session (optional)
+ * @returns {Promise<string>} The raw token (never stored)
+ */
+async function issueAccountToken(memberId, purpose, session) {
+  const now = new Date();
+  await AccountToken.updateMany({ memberId, purpose, usedAt: null }, { usedAt: now }, { session });
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await AccountToken.create([{
+    memberId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(now.getTime() + TOKEN_TTL_HOURS[purpose] * HOUR_MS)
+  }], { session });
+  return token;
+}
+
+/**
+ * Use up a token
+ * @param {string} token - Raw token from the member
+ * @param {string} purpose - "verify_email" | "reset_password"
+ * @param {ClientSession} session - Transaction session
+ * @returns {Promise<Object>} The token record (throws if unknown, used or expired)
+ */
+async function consumeAccountToken(token, purpose, session) {
+  const now = new Date();
+  const record = await AccountToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: now } },
+    { usedAt: now },
+    { new: true, lean: true, session }
+  );
+  if (!record) throw new AppError(400, 'INVALID_ACCOUNT_TOKEN', 'Invalid or expired token', { field: 'token' });
+  return record;
+}
+
+/**
+ * Send a message, logging rather than failing when delivery does not work:
+ * the member can always ask for another link
+ * @param {Object} message - { to, subject, text }
+ * @returns {Promise<boolean>} Whether the transport accepted it
+ */
+async function deliver(message) {
+  try {
+    await sendMail(message);
+    return true;
+  } catch (err) {
+    console.error(`Mail to ${message.to} failed:`, err);
+    return false;
+  }
+}
+
+/**
+ * Mail a member a link to verify their email address
+ * @param {Object} member - Member (needs _id, name, email)
+ * @returns {Promise<boolean>} Whether the mail was handed to the transport
+ */
+async function sendVerificationEmail(member) {
+  const token = await issueAccountToken(member._id, 'verify_email');
+  return deliver({
+    to: member.email,
+    subject: 'Verify your Libra account',
+    text: `Hello ${member.name},\n\n` +
+      `Confirm your email address to start using your library account:\n` +
+      `${authConfig.appUrl}/verify-email?token=${token}\n\n` +
+      `The link expires in ${authConfig.verifyEmailTokenTtlHours} hours.`
+  });
+}
+
+/**
+ * Apply the verification rule to a profile update: a new email address
+ * must be verified again before the member can sign in, unless an admin
+ * sets emailVerified in the same update. Send the mail with
+ * sendVerificationEmail() once the update is saved.
+ * @param {Object} existing - Member before the update ({ email })
+ * @param {Object} update - Validated update fields (changed in place)
+ * @returns {boolean} Whether the new address needs a verification email
+ */
+function applyEmailChange(existing, update) {
+  if (!update.email || update.email === existing.email) return false;
+  if (update.emailVerified === undefined) Object.assign(update, { emailVerified: false, emailVerifiedAt: null });
+  return update.emailVerified === false;
+}
+
+/**
+ * Mark a member's email as verified
+ * @param {string} token - Raw verification token
+ * @returns {Promise<Object>} { _id, email }
+ */
+async function verifyEmail(token) {
+  return runInTransaction(async (session) => {
+    const record = await consumeAccountToken(token, 'verify_email', session);
+    const member = await Member.findOneAndUpdate(
+      { _id: record.memberId },
+      { emailVerified: true, emailVerifiedAt: new Date() },
+      { new: true, lean: true, projection: { email: 1 }, session }
+    );
+    if (!member) throw new AppError(400, 'INVALID_ACCOUNT_TOKEN', 'Invalid or expired token', { field: 'token' });
+    return member;
+  });
+}
+
+/**
+ * Send a new verification link. Says nothing about whether the address is
+ * registered, so it cannot be used to probe for accounts.
+ * @param {string} email - Email address
+ */
+async function resendVerification(email) {
+  const member = await Member.findOne({ email: email.toLowerCase() }).select('name email emailVerified').lean();
+  if (member && member.emailVerified === false) await sendVerificationEmail(member);
+}
+
+/**
+ * Mail a password reset link to an active member. Unknown addresses are
+ * ignored silently, like resendVerification().
+ * @param {string} email - Email address
+ */
+async function requestPasswordReset(email) {
+  const member = await Member.findOne({ email: email.toLowerCase() }).select('name email isActive').lean();
+  if (!member || !member.isActive) return;
+
+  const token = await issueAccountToken(member._id, 'reset_password');
+  await deliver({
+    to: member.email,
+    subject: 'Reset your Libra password',
+    text: `Hello ${member.name},\n\n` +
+      `Someone asked to reset the password of your library account. If it was you, choose a new one here:\n` +
+      `${authConfig.appUrl}/reset-password?token=${token}\n\n` +
+      `The link expires in ${authConfig.resetPasswordTokenTtlHours} hours. If you did not ask, ignore this email.`
+  });
+}
+
+/**
+ * Store a new password and end every session
+ * @param {ObjectId} memberId - Member ID
+ * @param {string} password - New plain-text password
+ * @param {ClientSession} session - Active transaction
+ * @param {Object} extra - Other fields to set alongside
+ * @returns {Promise<Object>} The member (role, email, tokenVersion for issuing new tokens)
+ */
+async function setPassword(memberId, password, session, extra = {}) {
+  await Member.updateOne(
+    { _id: memberId },
+    { password: await bcrypt.hash(password, BCRYPT_ROUNDS), passwordChangedAt: new Date(), ...extra },
+    { session }
+  );
+  // Outstanding reset links must not undo the change
+  await AccountToken.updateMany(
+    { memberId, purpose: 'reset_password', usedAt: null },
+    { usedAt: new Date() },
+    { session }
+  );
+  await revokeAllTokens(memberId, session);
+  return Member.findById(memberId).select('name email role tokenVersion').session(session).lean();
+}
+
+/**
+ * Let the member know their password changed, in case it was not them
+ * @param {Object} member - Member (needs name, email)
+ */
+async function sendPasswordChangedNotice(member) {
+  await deliver({
+    to: member.email,
+    subject: 'Your Libra password was changed',
+    text: `Hello ${member.name},\n\n` +
+      `The password of your library account was just changed and all devices were signed out.\n` +
+      `If this was not you, reset your password at ${authConfig.appUrl}/forgot-password and contact the library.`
+  });
+}
+
+/**
+ * Set a new password with a reset token. Following the mailed link also
+ * proves the member owns the address, so it is marked verified.
+ * @param {string} token - Raw reset token
+ * @param {string} password - New password
+ */
+async function resetPassword(token, password) {
+  const member = await runInTransaction(async (session) => {
+    const record = await consumeAccountToken(token, 'reset_password', session);
+    const existing = await Member.findById(record.memberId).select('isActive emailVerified').session(session).lean();
+    if (!existing || !existing.isActive) {
+      throw new AppError(400, 'INVALID_ACCOUNT_TOKEN', 'Invalid or expired token', { field: 'token' });
+    }
+    const verified = existing.emailVerified === false ? { emailVerified: true, emailVerifiedAt: new Date() } : {};
+    return setPassword(record.memberId, password, session, verified);
+  });
+  await sendPasswordChangedNotice(member);
+}
+
+/**
+ * Change a signed-in member's password
+ * @param {string} memberId - Member ID
+ * @param {string} currentPassword - Password the member signed in with
+ * @param {string} newPassword - Replacement
+ * @returns {Promise<Object>} The member, for issuing a fresh token pair
+ */
+async function changePassword(memberId, currentPassword, newPassword) {
+  const member = await runInTransaction(async (session) => {
+    const existing = await Member.findById(memberId).select('password').session(session).lean();
+    if (!existing) throw new AppError(404, 'MEMBER_NOT_FOUND', 'Member not found');
+
+    if (!(await bcrypt.compare(currentPassword, existing.password))) {
+      throw new AppError(400, 'INVALID_CURRENT_PASSWORD', 'Current password is incorrect', { field: 'currentPassword' });
+    }
+    if (currentPassword === newPassword) {
+      throw new AppError(400, 'PASSWORD_UNCHANGED', 'New password must differ from the current one', { field: 'newPassword' });
+    }
+    return setPassword(memberId, newPassword, session);
+  });
+  await sendPasswordChangedNotice(member);
+  return member;
+}
+
+module.exports = {
+  sendVerificationEmail,
+  applyEmailChange,
+  verifyEmail,
+  resendVerification,
+  requestPasswordReset,
+  resetPassword,
+  changePassword
+};
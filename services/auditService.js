@@ -0,0 +1,254 @@
+/**
+ * Audit Service
+ * Records every create, update and delete on audited models in AuditLog.
+ *
+ * Models opt in with schema.plugin(auditPlugin, options). The plugin hooks
+ * document saves and the update/delete query methods, reads the affected
+ * documents before and after the write (inside the same session, so an
+ * aborted transaction leaves no entries), and stores the fields that
+ * changed. Who and where come from utils/requestContext.js. Its own reads
+ * include soft-deleted documents (utils/softDelete.js); the write's filter
+ * already carries the deleted filter when the write does. For updateMany
+ * only the fields the update writes are read, and the after-images are
+ * read and recorded in batches.
+ * Model.bulkWrite and raw collection access are not audited.
+ */
+
+const { isDeepStrictEqual } = require('util');
+const AuditLog = require('../Models/AuditLog');
+const { getContext } = require('../utils/requestContext');
+
+const UPDATE_OPS = ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'];
+const DELETE_OPS = ['deleteOne', 'deleteMany', 'findOneAndDelete'];
+const BULK_OPS = ['updateMany', 'deleteMany'];
+
+// Documents read (after the write) and recorded per round trip
+const BATCH_SIZE = 1000;
+
+// Pipeline stages that may rewrite any field
+const WHOLE_DOCUMENT_STAGES = ['$replaceWith', '$replaceRoot', '$project'];
+
+// Bookkeeping fields no entry should be about
+const ALWAYS_IGNORED = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+const REDACTED = '[redacted]';
+
+// Query options for the plugin's own reads
+const ALL = { withDeleted: true };
+
+/**
+ * Comparable form of a value (ObjectIds and Dates as strings)
+ * @param {*} value - Field value
+ * @returns {*}
+ */
+function comparable(value) {
+  return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * The fields that differ between two versions of a document
+ * @param {Object} before - Stored document before the write (or null)
+ * @param {Object} after - Stored document after the write (or null)
+ * @param {Object} options - { ignore, redact } field lists
+ * @returns {Object|null} { before, after } holding only the changed fields,
+ *   or null when nothing audited changed
+ */
+function diffDocuments(before, after, { ignore = [], redact = [] } = {}) {
+  const skip = new Set([...ALWAYS_IGNORED, ...ignore]);
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changed = { before: {}, after: {} };
+  let any = false;
+
+  for (const key of keys) {
+    if (skip.has(key)) continue;
+    const from = before ? before[key] : undefined;
+    const to = after ? after[key] : undefined;
+    if (isDeepStrictEqual(comparable(from), comparable(to))) continue;
+
+    any = true;
+    const secret = redact.includes(key);
+    if (before) changed.before[key] = secret && from !== undefined ? REDACTED : from;
+    if (after) changed.after[key] = secret && to !== undefined ? REDACTED : to;
+  }
+
+  if (!any) return null;
+  return { before: before ? changed.before : null, after: after ? changed.after : null };
+}
+
+/**
+ * Top-level fields an update writes
+ * @param {Object|Array} update - Query update: operators, plain fields or
+ *   an aggregation pipeline
+ * @returns {Array<string>|null} null when any field may change
+ */
+function updatedFields(update) {
+  if (!update) return null;
+  const fields = new Set();
+  const add = path => fields.add(String(path).split('.')[0]);
+
+  for (const stage of [].concat(update)) {
+    for (const [key, value] of Object.entries(stage)) {
+      if (!key.startsWith('$')) add(key);
+      else if (WHOLE_DOCUMENT_STAGES.includes(key)) return null;
+      // Pipeline $unset names the fields directly
+      else if (typeof value === 'string') add(value);
+      else if (Array.isArray(value)) value.forEach(add);
+      else if (value && typeof value === 'object') {
+        Object.keys(value).forEach(add);
+        if (key === '$rename') Object.values(value).forEach(add);
+      } else return null;
+    }
+  }
+  return fields.size ? [...fields] : null;
+}
+
+/**
+ * Write audit entries for one operation
+ * @param {string} targetModel - Model name
+ * @param {string} action - "create" | "update" | "delete"
+ * @param {Array<Array>} pairs - [[before, after], ...] stored documents
+ * @param {Object} options - Plugin options ({ ignore, redact })
+ * @param {ClientSession} session - Session of the write (optional)
+ */
+async function record(targetModel, action, pairs, options, session) {
+  const context = getContext() || { actor: null, source: 'system' };
+  const entries = [];
+
+  for (const [before, after] of pairs) {
+    const diff = diffDocuments(before, after, options);
+    if (!diff) continue;
+    entries.push({
+      actorId: context.actor ? context.actor.id : null,
+      actorRole: context.actor ? context.actor.role : undefined,
+      source: context.source || 'system',
+      action,
+      targetModel,
+      targetId: (before || after)._id,
+      before: diff.before,
+      after: diff.after,
+      ip: context.ip || undefined,
+      request: context.method ? `${context.method} ${context.path}` : undefined
+    });
+  }
+
+  if (entries.length) await AuditLog.insertMany(entries, { session });
+}
+
+/**
+ * Mongoose plugin auditing a model's writes
+ * @param {Schema} schema - Model schema
+ * @param {Object} options
+ * @param {Array<string>} options.ignore - Fields whose changes are not
+ *   worth an entry (derived or denormalized values)
+ * @param {Array<string>} options.redact - Fields recorded only as changed
+ */
+function auditPlugin(schema, options = {}) {
+  schema.pre('save', async function () {
+    this.$locals.auditAction = this.isNew ? 'create' : 'update';
+    this.$locals.auditBefore = this.isNew
+      ? null
+      : await this.constructor.findById(this._id).setOptions(ALL).session(this.$session() || null).lean();
+  });
+
+  schema.post('save', async function (doc) {
+    const after = doc.toObject({ depopulate: true });
+    await record(doc.constructor.modelName, doc.$locals.auditAction, [[doc.$locals.auditBefore, after]], options, doc.$session());
+  });
+
+  schema.pre([...UPDATE_OPS, ...DELETE_OPS], { document: false, query: true }, async function () {
+    const { session, sort } = this.getOptions();
+    let find = this.model.find(this.getFilter()).setOptions(ALL).session(session || null).lean();
+    if (!BULK_OPS.includes(this.op)) find = find.sort(sort || {}).limit(1);
+    // Other fields cannot change, so bulk updates leave them unread
+    this._auditFields = this.op === 'updateMany' ? updatedFields(this.getUpdate()) : null;
+    if (this._auditFields) find = find.select(this._auditFields.join(' '));
+    this._auditBefore = await find;
+  });
+
+  schema.post(UPDATE_OPS, { document: false, query: true }, async function () {
+    const { session, upsert } = this.getOptions();
+    const before = this._auditBefore || [];
+
+    if (!before.length) {
+      // Nothing matched: only an upsert wrote anything
+      if (!upsert) return;
+      const created = await this.model.findOne(this.getFilter()).setOptions(ALL).session(session || null).lean();
+      if (created) await record(this.model.modelName, 'create', [[null, created]], options, session);
+      return;
+    }
+
+    for (let i = 0; i < before.length; i += BATCH_SIZE) {
+      const batch = before.slice(i, i + BATCH_SIZE);
+      let find = this.model.find({ _id: { $in: batch.map(doc => doc._id) } })
+        .setOptions(ALL)
+        .session(session || null)
+        .lean();
+      if (this._auditFields) find = find.select(this._auditFields.join(' '));
+      const after = await find;
+      const byId = new Map(after.map(doc => [String(doc._id), doc]));
+      const pairs = batch.map(doc => [doc, byId.get(String(doc._id))]).filter(([, doc]) => doc);
+      await record(this.model.modelName, 'update', pairs, options, session);
+    }
+  });
+
+  schema.post(DELETE_OPS, { document: false, query: true }, async function () {
+    const { session } = this.getOptions();
+    const before = this._auditBefore || [];
+    if (!before.length) return;
+
+    // Only the documents that are really gone
+    for (let i = 0; i < before.length; i += BATCH_SIZE) {
+      const batch = before.slice(i, i + BATCH_SIZE);
+      const remaining = await this.model.find({ _id: { $in: batch.map(doc => doc._id) } })
+        .setOptions(ALL)
+        .select('_id')
+        .session(session || null)
+        .lean();
+      const kept = new Set(remaining.map(doc => String(doc._id)));
+      const pairs = batch.filter(doc => !kept.has(String(doc._id))).map(doc => [doc, null]);
+      await record(this.model.modelName, 'delete', pairs, options, session);
+    }
+  });
+}
+
+/**
+ * Blank fields out of the recorded history of some documents, for privacy
+ * erasure (services/readingHistoryService.js). This is the one write the
+ * log allows after the fact, so it goes to the collection directly, past
+ * the append-only hooks; the entries themselves are kept.
+ * @param {string} targetModel - Model name
+ * @param {Array<ObjectId>} targetIds - Documents whose entries to redact
+ * @param {Array<string>} fields - Fields to redact
+ * @param {Object} options
+ * @param {Array<ObjectId>} options.actors - Members whose own writes to these
+ *   documents are unlinked too (actorId and ip cleared)
+ * @returns {Promise<number>} Entries changed
+ */
+async function redactEntries(targetModel, targetIds, fields, { actors = [] } = {}) {
+  let modified = 0;
+  for (const side of ['before', 'after']) {
+    for (const field of fields) {
+      const path = `${side}.${field}`;
+      const result = await AuditLog.collection.updateMany(
+        { targetModel, targetId: { $in: targetIds }, [path]: { $exists: true, $ne: REDACTED } },
+        { $set: { [path]: REDACTED } }
+      );
+      modified += result.modifiedCount;
+    }
+  }
+  if (actors.length) {
+    const result = await AuditLog.collection.updateMany(
+      { targetModel, targetId: { $in: targetIds }, actorId: { $in: actors } },
+      { $set: { actorId: null, ip: null } }
+    );
+    modified += result.modifiedCount;
+  }
+  return modified;
+}
+
+module.exports = {
+  auditPlugin,
+  diffDocuments,
+  updatedFields,
+  redactEntries
+};
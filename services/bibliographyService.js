@@ -0,0 +1,186 @@
+/**
+ * Bibliography Service
+ * Links books to Author, Subject, Series and Work entities.
+ *
+ * Writers send names rather than ids: `authors` (credited names in order)
+ * or just the `author` byline for a single author, `category` and
+ * `subjects`, and `series` with `seriesVolume`. linkBibliography() turns
+ * them into the stored authorIds, subjectIds and seriesId, creating
+ * entities on first use, and files new books under a Work.
+ */
+
+const Book = require('../Models/Books');
+const Author = require('../Models/Author');
+const Subject = require('../Models/Subject');
+const Series = require('../Models/Series');
+const Work = require('../Models/Work');
+const { cleanName, normalizeName } = require('../utils/names');
+const { runInTransaction } = require('../utils/dbUtils');
+const { AppError } = require('../utils/errors');
+
+// Joins credited names into a generated byline ("Kernighan, Brian; Ritchie, Dennis")
+const BYLINE_SEPARATOR = '; ';
+
+/**
+ * Find or create named entities, keeping the given order
+ * @param {Model} model - Author, Subject or Series
+ * @param {string} key - Name field ("name" or "title")
+ * @param {Array<string>} names - Names as entered (blanks and repeats ignored)
+ * @param {ClientSession} session - Transaction session (optional)
+ * @returns {Promise<Array<ObjectId>>}
+ */
+async function upsertNames(model, key, names, session) {
+  const ids = [];
+  const seen = new Set();
+  for (const raw of names) {
+    if (!raw) continue;
+    const name = cleanName(raw);
+    const normalized = normalizeName(name);
+    if (!normalized || seen.has(normalized)) continue;
+    seen.add(normalized);
+
+    const entity = await model.findOneAndUpdate(
+      { [`${key}Normalized`]: normalized },
+      { $setOnInsert: { [key]: name } },
+      { upsert: true, new: true, lean: true, projection: { _id: 1 }, session }
+    );
+    ids.push(entity._id);
+  }
+  return ids;
+}
+
+/**
+ * The work with this title and exactly these authors, created if missing
+ * @param {string} title - Book title
+ * @param {Array<ObjectId>} authorIds - Credited authors
+ * @param {ClientSession} session - Transaction session (optional)
+ * @returns {Promise<ObjectId>}
+ */
+async function findOrCreateWork(title, authorIds, session) {
+  const existing = await Work.findOne({
+    titleNormalized: normalizeName(title),
+    authorIds: { $all: authorIds, $size: authorIds.length }
+  }).select('_id').session(session || null).lean();
+  if (existing) return existing._id;
+
+  const [work] = await Work.create([{ title, authorIds }], { session });
+  return work._id;
+}
+
+/**
+ * Turn the bibliographic fields of a create or update into stored fields.
+ * On updates `author` alone only relinks books with at most one credited
+ * author; use `authors` to change a co-authored book's credits. A book
+ * keeps its work on update unless workId is given.
+ * @param {Object} input - Validated book fields
+ * @param {Object} options
+ * @param {ClientSession} options.session - Transaction session (optional)
+ * @param {Object} options.current - Stored book on updates (null on create)
+ * @returns {Promise<Object>} Fields to write
+ */
+async function linkBibliography(input, { session, current = null } = {}) {
+  const { authors, series, ...fields } = input;
+
+  const singleAuthor = !current || !current.authorIds || current.authorIds.length <= 1;
+  if ((authors && authors.length) || (fields.author && singleAuthor)) {
+    const names = authors && authors.length ? authors.map(cleanName) : [fields.author];
+    fields.authorIds = await upsertNames(Author, 'name', names, session);
+    if (!fields.author) fields.author = names.join(BYLINE_SEPARATOR);
+  }
+
+  if (fields.category !== undefined || fields.subjects !== undefined) {
+    const category = fields.category !== undefined ? fields.category : current && current.category;
+    const subjects = fields.subjects !== undefined ? fields.subjects : current && current.subjects;
+    fields.subjectIds = await upsertNames(Subject, 'name', [category, ...(subjects || [])], session);
+  }
+
+  if (series === null || series === '') {
+    fields.seriesId = null;
+    fields.seriesVolume = null;
+  } else if (series !== undefined) {
+    [fields.seriesId] = await upsertNames(Series, 'title', [series], session);
+  }
+  const seriesId = fields.seriesId !== undefined ? fields.seriesId : current && current.seriesId;
+  const seriesVolume = fields.seriesVolume !== undefined ? fields.seriesVolume : current && current.seriesVolume;
+  if (seriesId && (seriesVolume === null || seriesVolume === undefined)) {
+    throw new AppError(400, 'VALIDATION_FAILED', 'seriesVolume is required for a book in a series', { field: 'seriesVolume' });
+  }
+  if (!seriesId && fields.seriesVolume !== undefined && fields.seriesVolume !== null) {
+    throw new AppError(400, 'VALIDATION_FAILED', 'seriesVolume needs a series', { field: 'series' });
+  }
+
+  if (fields.workId) {
+    const exists = await Work.exists({ _id: fields.workId }).session(session || null);
+    if (!exists) throw new AppError(400, 'WORK_NOT_FOUND', 'Work not found', { field: 'workId' });
+  } else if (!current || !current.workId) {
+    const title = fields.title || (current && current.title);
+    const authorIds = fields.authorIds || (current && current.authorIds);
+    if (title && authorIds && authorIds.length) fields.workId = await findOrCreateWork(title, authorIds, session);
+  }
+
+  return fields;
+}
+
+/**
+ * Rename an author. Book bylines that were the author's name (or the
+ * generated list of credited names) are rewritten; custom bylines are
+ * left alone.
+ * @param {string} authorId - Author ID
+ * @param {Object} fields - { name, bio }
+ * @returns {Promise<Object>} The updated author
+ */
+async function updateAuthor(authorId, fields) {
+  return runInTransaction(async (session) => {
+    const before = await Author.findById(authorId).session(session).lean();
+    if (!before) throw new AppError(404, 'AUTHOR_NOT_FOUND', 'Author not found');
+
+    const author = await Author.findByIdAndUpdate(authorId, fields, { new: true, lean: true, runValidators: true, session });
+    if (fields.name === undefined || author.name === before.name) return author;
+
+    const books = await Book.find({ authorIds: authorId }).select('author authorIds').session(session).lean();
+    for (const book of books) {
+      const credited = await Author.find({ _id: { $in: book.authorIds } }).select('name').session(session).lean();
+      const names = new Map(credited.map(a => [String(a._id), a.name]));
+      const byline = book.authorIds.map(id => names.get(String(id))).join(BYLINE_SEPARATOR);
+      const oldByline = book.authorIds
+        .map(id => (String(id) === String(authorId) ? before.name : names.get(String(id))))
+        .join(BYLINE_SEPARATOR);
+      if (book.author === oldByline) {
+        await Book.updateOne({ _id: book._id }, { author: byline }, { session });
+      }
+    }
+    return author;
+  });
+}
+
+/**
+ * Rename a subject, along with the category and subject headings of the
+ * books filed under it
+ * @param {string} subjectId - Subject ID
+ * @param {Object} fields - { name }
+ * @returns {Promise<Object>} The updated subject
+ */
+async function updateSubject(subjectId, fields) {
+  return runInTransaction(async (session) => {
+    const before = await Subject.findById(subjectId).session(session).lean();
+    if (!before) throw new AppError(404, 'SUBJECT_NOT_FOUND', 'Subject not found');
+
+    const subject = await Subject.findByIdAndUpdate(subjectId, fields, { new: true, lean: true, runValidators: true, session });
+    if (subject.name === before.name) return subject;
+
+    await Book.updateMany({ subjectIds: subjectId, category: before.name }, { category: subject.name }, { session });
+    await Book.updateMany(
+      { subjectIds: subjectId, subjects: before.name },
+      { $set: { 'subjects.$[old]': subject.name } },
+      { arrayFilters: [{ old: before.name }], session }
+    );
+    return subject;
+  });
+}
+
+module.exports = {
+  BYLINE_SEPARATOR,
+  linkBibliography,
+  updateAuthor,
+  updateSubject
+};
@@ -0,0 +1,356 @@
+/**
+ * Circulation Service
+ * Checkout and return workflow. Each operation runs in a MongoDB
+ * transaction so loans, copy statuses and Book inventory never drift apart.
+ */
+
+const Book = require('../Models/Books');
+const Member = require('../Models/Members');
+const Borrowed = require('../Models/Loan');
+const Reservation = require('../Models/Reservation');
+const Copy = require('../Models/Copy');
+const circulationConfig = require('../config/circulationConfig');
+const { AppError } = require('../utils/errors');
+const { runInTransaction } = require('../utils/dbUtils');
+const { getMemberBalance, finalizeOverdueFine, createFine } = require('./fineService');
+const { claimReadyHold, releaseCopy } = require('./holdService');
+const { resolvePolicy } = require('./policyService');
+const { syncBookInventory, generateBarcode } = require('./copyService');
+const { membershipExpiredError } = require('./membershipService');
+const { isMembershipExpired } = require('../utils/membership');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Compute a due date from a circulation policy
+ * @param {Object} policy - Resolved policy ({ loanPeriodDays })
+ * @param {Date} from - Start of the loan period
+ * @returns {Date}
+ */
+function computeDueDate(policy, from = new Date()) {
+  return new Date(from.getTime() + policy.loanPeriodDays * DAY_MS);
+}
+
+/**
+ * Decide whether a member may borrow a book, and until when. This is the
+ * single source of truth for checkout eligibility.
+ * @param {string} memberId - Member ID
+ * @param {string} bookId - Book ID
+ * @param {Object} options - { session, now }
+ * @returns {Promise<Object>} { allowed, status, code, reason, dueDate, policy, viaHold }
+ */
+async function evaluateCheckout(memberId, bookId, { session, now = new Date() } = {}) {
+  const deny = (status, code, reason, policy = null) => ({ allowed: false, status, code, reason, dueDate: null, policy });
+
+  const member = await Member.findById(memberId).select('role isActive membershipExpiresAt').session(session || null).lean();
+  if (!member) return deny(404, 'MEMBER_NOT_FOUND', 'Member not found');
+  if (!member.isActive) return deny(403, 'MEMBER_INACTIVE', 'Member account is not active');
+  if (isMembershipExpired(member, now)) {
+    const { status, code, message } = membershipExpiredError(member);
+    return deny(status, code, message);
+  }
+
+  const book = await Book.findById(bookId).select('category quantity').session(session || null).lean();
+  if (!book) return deny(404, 'BOOK_NOT_FOUND', 'Book not found');
+
+  const policy = await resolvePolicy(member.role, book.category, session);
+
+  const alreadyBorrowed = await Borrowed.exists({ userId: memberId, bookId, returned: false })
+    .session(session || null);
+  if (alreadyBorrowed) return deny(409, 'ALREADY_BORROWED', 'Member already has this book on loan', policy);
+
+  const balance = await getMemberBalance(memberId, session);
+  const { blockThreshold } = circulationConfig.fines;
+  if (balance > blockThreshold) {
+    return deny(403, 'OUTSTANDING_FINES', `Unpaid fines of ${balance} exceed the limit of ${blockThreshold}`, policy);
+  }
+
+  if (policy.maxLoans !== null && policy.maxLoans !== undefined) {
+    const activeLoans = await Borrowed.countDocuments({ userId: memberId, returned: false })
+      .session(session || null);
+    if (activeLoans >= policy.maxLoans) {
+      return deny(409, 'LOAN_LIMIT_REACHED', `Members may have at most ${policy.maxLoans} books on loan`, policy);
+    }
+  }
+
+  const viaHold = Boolean(await Reservation.exists({ bookId, memberId, status: 'ready' }).session(session || null));
+  if (!viaHold && book.quantity <= 0) {
+    return deny(409, 'NO_COPIES_AVAILABLE', 'No copies of this book are available', policy);
+  }
+
+  return {
+    allowed: true,
+    status: 200,
+    code: null,
+    reason: null,
+    dueDate: computeDueDate(policy, now),
+    policy,
+    viaHold
+  };
+}
+
+/**
+ * Take a copy off the shelf (a specific one when scanned)
+ * @param {string} bookId - Book ID
+ * @param {string} copyId - Specific copy, or undefined for any shelf copy
+ * @param {ClientSession} session - Active transaction
+ * @returns {Promise<Object>} The copy, now on_loan
+ */
+async function takeCopyFromShelf(bookId, copyId, session) {
+  const filter = { bookId, status: 'on_shelf' };
+  if (copyId) filter._id = copyId;
+
+  const copy = await Copy.findOneAndUpdate(filter, { status: 'on_loan' }, { new: true, session });
+  if (!copy) {
+    if (copyId) throw new AppError(409, 'COPY_NOT_AVAILABLE', 'This copy is not on the shelf');
+    throw new AppError(409, 'NO_COPIES_AVAILABLE', 'No copies of this book are available');
+  }
+  await syncBookInventory(bookId, session);
+  return copy;
+}
+
+/**
+ * The copy attached to a loan. Loans made before copies were tracked get a
+ * placeholder copy so they can still be closed.
+ * @param {Object} loan - Loan document
+ * @param {ClientSession} session - Active transaction
+ * @returns {Promise<string>} Copy ID
+ */
+async function ensureLoanCopy(loan, session) {
+  if (loan.copyId) return loan.copyId;
+
+  const [copy] = await Copy.create([{
+    bookId: loan.bookId,
+    barcode: generateBarcode(),
+    status: 'on_loan',
+    notes: 'Created for a loan made before copy tracking'
+  }], { session });
+  loan.copyId = copy._id;
+  await loan.save({ session });
+  return copy._id;
+}
+
+/**
+ * Look up a copy by barcode for scanner-driven circulation
+ * @param {string} barcode - Item barcode
+ * @param {ClientSession} session - Optional transaction
+ * @returns {Promise<Object>} The copy (lean)
+ */
+async function findCopyByBarcode(barcode, session) {
+  const copy = await Copy.findOne({ barcode: String(barcode).trim() }).session(session || null).lean();
+  if (!copy) throw new AppError(404, 'COPY_NOT_FOUND', 'No copy has this barcode');
+  return copy;
+}
+
+/**
+ * Check a copy of a book out to a member
+ * @param {Object} params
+ * @param {string} params.memberId - Borrowing member
+ * @param {string} params.bookId - Book to borrow (optional when a copy is given)
+ * @param {string} params.copyId - Specific copy (optional)
+ * @param {string} params.barcode - Scanned copy barcode (optional)
+ * @returns {Promise<Object>} The created loan
+ */
+async function checkoutBook({ memberId, bookId, copyId, barcode }) {
+  return runInTransaction(async (session) => {
+    if (barcode) {
+      const scanned = await findCopyByBarcode(barcode, session);
+      copyId = scanned._id;
+      bookId = scanned.bookId;
+    } else if (copyId) {
+      const requested = await Copy.findById(copyId).select('bookId').session(session).lean();
+      if (!requested) throw new AppError(404, 'COPY_NOT_FOUND', 'Copy not found');
+      bookId = requested.bookId;
+    }
+    if (!bookId) throw new AppError(400, 'BOOK_REQUIRED', 'bookId, copyId or barcode is required');
+
+    const now = new Date();
+    const decision = await evaluateCheckout(memberId, bookId, { session, now });
+    if (!decision.allowed) throw new AppError(decision.status, decision.code, decision.reason);
+
+    // Prefer the copy set aside for the member's ready hold. If staff scanned
+    // a different shelf copy instead, the held copy passes to the next hold.
+    const hold = decision.viaHold ? await claimReadyHold(bookId, memberId, session) : null;
+    let copy;
+    if (hold && hold.copyId && (!copyId || String(copyId) === String(hold.copyId))) {
+      copy = await Copy.findByIdAndUpdate(hold.copyId, { status: 'on_loan' }, { new: true, session });
+    } else {
+      copy = await takeCopyFromShelf(bookId, copyId, session);
+      if (hold && hold.copyId) await releaseCopy(bookId, hold.copyId, session);
+    }
+
+    const [loan] = await Borrowed.create([{
+      userId: memberId,
+      bookId,
+      copyId: copy._id,
+      borrowDate: now,
+      dueDate: decision.dueDate
+    }], { session });
+
+    if (hold) {
+      hold.loanId = loan._id;
+      await hold.save({ session });
+    }
+
+    return loan;
+  });
+}
+
+/**
+ * Return a borrowed copy
+ * @param {string} loanId - Loan to close
+ * @param {Object} options - { condition } recorded on the copy when given
+ * @returns {Promise<Object>} The updated loan
+ */
+async function returnLoan(loanId, { condition } = {}) {
+  return runInTransaction(async (session) => {
+    const returnDate = new Date();
+    const loan = await Borrowed.findOneAndUpdate(
+      { _id: loanId, returned: false },
+      { returned: true, returnDate, isOverdue: false },
+      { new: true, session }
+    );
+    if (!loan) {
+      const exists = await Borrowed.exists({ _id: loanId }).session(session);
+      if (!exists) throw new AppError(404, 'LOAN_NOT_FOUND', 'Loan not found');
+      throw new AppError(409, 'LOAN_ALREADY_RETURNED', 'Loan has already been returned');
+    }
+
+    const copyId = await ensureLoanCopy(loan, session);
+    if (condition) await Copy.updateOne({ _id: copyId }, { condition }, { session, runValidators: true });
+
+    // Damaged copies go to repair; others to the next hold or back on the shelf
+    if (condition === 'damaged') {
+      await Copy.updateOne({ _id: copyId }, { status: 'in_repair' }, { session });
+      await syncBookInventory(loan.bookId, session);
+    } else {
+      await releaseCopy(loan.bookId, copyId, session);
+    }
+    await finalizeOverdueFine(loan._id, returnDate, session);
+
+    return loan;
+  });
+}
+
+/**
+ * Return the open loan for a scanned copy
+ * @param {string} barcode - Item barcode
+ * @param {Object} options - Passed to returnLoan
+ * @returns {Promise<Object>} The updated loan
+ */
+async function returnByBarcode(barcode, options) {
+  const copy = await findCopyByBarcode(barcode);
+  const loan = await Borrowed.findOne({ copyId: copy._id, returned: false }).select('_id').lean();
+  if (!loan) throw new AppError(409, 'COPY_NOT_ON_LOAN', 'This copy is not on loan');
+  return returnLoan(loan._id, options);
+}
+
+/**
+ * Declare a borrowed copy lost: closes the loan without restoring inventory,
+ * stops overdue accrual and charges the replacement cost
+ * @param {string} loanId - Loan ID
+ * @param {Object} charge - { replacementFee, processingFee } in cents (config defaults)
+ * @param {string} actorId - Staff member declaring the loss
+ * @returns {Promise<Object>} { loan, fine }
+ */
+async function declareLost(loanId, charge, actorId) {
+  const defaults = circulationConfig.fines.lostItem;
+  const replacementFee = charge.replacementFee !== undefined ? charge.replacementFee : defaults.replacementFee;
+  const processingFee = charge.processingFee !== undefined ? charge.processingFee : defaults.processingFee;
+
+  return runInTransaction(async (session) => {
+    const lostAt = new Date();
+    const loan = await Borrowed.findOneAndUpdate(
+      { _id: loanId, returned: false },
+      { returned: true, lost: true, lostAt, isOverdue: false },
+      { new: true, session }
+    );
+    if (!loan) {
+      const exists = await Borrowed.exists({ _id: loanId }).session(session);
+      if (!exists) throw new AppError(404, 'LOAN_NOT_FOUND', 'Loan not found');
+      throw new AppError(409, 'LOAN_ALREADY_RETURNED', 'Loan has already been closed');
+    }
+
+    const copyId = await ensureLoanCopy(loan, session);
+    await Copy.updateOne({ _id: copyId }, { status: 'lost' }, { session });
+    await syncBookInventory(loan.bookId, session);
+
+    await finalizeOverdueFine(loan._id, lostAt, session);
+    const fine = await createFine({
+      memberId: loan.userId,
+      loanId: loan._id,
+      bookId: loan.bookId,
+      type: 'lost',
+      amount: replacementFee + processingFee,
+      description: `Lost item: replacement ${replacementFee}, processing ${processingFee}`
+    }, actorId, session);
+
+    return { loan, fine };
+  });
+}
+
+/**
+ * Renew a loan: push dueDate out by the loan period and record the renewal
+ * @param {string} loanId - Loan ID
+ * @param {string} actorId - Member performing the renewal
+ * @returns {Promise<Object>} The updated loan
+ */
+async function renewLoan(loanId, actorId) {
+  return runInTransaction(async (session) => {
+    const loan = await Borrowed.findById(loanId)
+      .populate('userId', 'role isActive membershipExpiresAt')
+      .populate('bookId', 'category')
+      .session(session);
+    if (!loan) throw new AppError(404, 'LOAN_NOT_FOUND', 'Loan not found');
+    if (loan.returned) throw new AppError(409, 'LOAN_ALREADY_RETURNED', 'Loan has already been returned');
+    if (!loan.userId || !loan.userId.isActive) {
+      throw new AppError(403, 'MEMBER_INACTIVE', 'Member account is not active');
+    }
+    if (isMembershipExpired(loan.userId)) throw membershipExpiredError(loan.userId);
+    // Purged books do not populate
+    if (!loan.bookId) throw new AppError(404, 'BOOK_NOT_FOUND', 'The book on this loan no longer exists');
+
+    const policy = await resolvePolicy(loan.userId.role, loan.bookId.category, session);
+    const { maxRenewals, overdueGraceDays } = policy;
+    if (loan.renewalCount >= maxRenewals) {
+      throw new AppError(409, 'RENEWAL_LIMIT_REACHED', `Loan has reached the limit of ${maxRenewals} renewals`);
+    }
+
+    const now = new Date();
+    if (now - loan.dueDate > overdueGraceDays * DAY_MS) {
+      throw new AppError(409, 'OVERDUE_PAST_GRACE',
+        `Loans more than ${overdueGraceDays} days overdue cannot be renewed`);
+    }
+
+    const pendingHolds = await Reservation.exists({ bookId: loan.bookId._id, status: 'waiting' })
+      .session(session);
+    if (pendingHolds) {
+      throw new AppError(409, 'HOLDS_PENDING', 'Other members are waiting for this book');
+    }
+
+    // Settle any fine from the grace period before the dueDate moves; if the
+    // loan goes overdue again it accrues a new fine for the new dueDate
+    await finalizeOverdueFine(loan._id, now, session);
+
+    const previousDueDate = loan.dueDate;
+    const newDueDate = computeDueDate(policy, previousDueDate);
+    loan.dueDate = newDueDate;
+    loan.isOverdue = newDueDate < now;
+    loan.renewalCount += 1;
+    loan.renewals.push({ renewedAt: now, previousDueDate, newDueDate, renewedBy: actorId });
+    await loan.save({ session });
+
+    return loan.depopulate();
+  });
+}
+
+module.exports = {
+  computeDueDate,
+  evaluateCheckout,
+  findCopyByBarcode,
+  checkoutBook,
+  returnLoan,
+  returnByBarcode,
+  declareLost,
+  renewLoan
+};
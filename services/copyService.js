@@ -0,0 +1,114 @@
+/**
+ * Copy Service
+ * Physical item bookkeeping. Book.quantity (copies on the shelf) and
+ * Book.available are derived here from copy statuses and nowhere else.
+ */
+
+const crypto = require('crypto');
+const Book = require('../Models/Books');
+const Copy = require('../Models/Copy');
+const { AppError } = require('../utils/errors');
+const { runInTransaction } = require('../utils/dbUtils');
+
+// Status changes staff may make directly; circulation owns on_loan/on_hold
+const MANUAL_STATUSES = ['on_shelf', 'lost', 'in_repair'];
+
+/**
+ * Generate a new item barcode
+ * @returns {string} e.g. "LIB4F7A9C21D0"
+ */
+function generateBarcode() {
+  return 'LIB' + crypto.randomBytes(5).toString('hex').toUpperCase();
+}
+
+/**
+ * Recompute Book.quantity and Book.available from the copies on the shelf
+ * @param {string} bookId - Book ID
+ * @param {ClientSession} session - Optional transaction
+ * @returns {Promise<number>} Copies on the shelf
+ */
+async function syncBookInventory(bookId, session) {
+  const onShelf = await Copy.countDocuments({ bookId, status: 'on_shelf' }).session(session || null);
+  // Deleted books too, so their counts are right if they are restored
+  await Book.updateOne({ _id: bookId }, { quantity: onShelf, available: onShelf > 0 }, { session, withDeleted: true });
+  return onShelf;
+}
+
+/**
+ * Add copies to a book
+ * @param {string} bookId - Book ID
+ * @param {Array<Object>} copies - Copy fields (barcode is generated when missing)
+ * @param {ClientSession} session - Optional transaction
+ * @returns {Promise<Array>} Created copies
+ */
+async function addCopies(bookId, copies, session) {
+  const docs = copies.map(({ barcode, shelfLocation, condition, acquisitionDate, notes }) => ({
+    bookId,
+    barcode: barcode || generateBarcode(),
+    shelfLocation,
+    condition,
+    acquisitionDate,
+    notes,
+    status: 'on_shelf'
+  }));
+  // ordered: true is required for multi-document inserts inside a transaction
+  const created = await Copy.create(docs, { session, ordered: true });
+  await syncBookInventory(bookId, session);
+  return created;
+}
+
+/**
+ * Update a copy's details or make a manual status change
+ * @param {string} copyId - Copy ID
+ * @param {Object} changes - { shelfLocation, condition, notes, status, barcode }
+ * @returns {Promise<Object>} Updated copy
+ */
+async function updateCopy(copyId, changes) {
+  return runInTransaction(async (session) => {
+    const copy = await Copy.findById(copyId).session(session);
+    if (!copy) throw new AppError(404, 'COPY_NOT_FOUND', 'Copy not found');
+
+    if (changes.status !== undefined && changes.status !== copy.status) {
+      if (!MANUAL_STATUSES.includes(changes.status) || !MANUAL_STATUSES.includes(copy.status)) {
+        throw new AppError(409, 'INVALID_STATUS_CHANGE',
+          `Cannot change status from ${copy.status} to ${changes.status} directly`);
+      }
+      copy.status = changes.status;
+    }
+    for (const field of ['barcode', 'shelfLocation', 'condition', 'notes']) {
+      if (changes[field] !== undefined) copy[field] = changes[field];
+    }
+
+    await copy.save({ session });
+    await syncBookInventory(copy.bookId, session);
+    return copy;
+  });
+}
+
+/**
+ * Withdraw a copy from the collection
+ * @param {string} copyId - Copy ID
+ * @returns {Promise<Object>} The removed copy
+ */
+async function removeCopy(copyId) {
+  return runInTransaction(async (session) => {
+    const copy = await Copy.findById(copyId).session(session);
+    if (!copy) throw new AppError(404, 'COPY_NOT_FOUND', 'Copy not found');
+    if (!MANUAL_STATUSES.includes(copy.status)) {
+      throw new AppError(409, 'COPY_IN_CIRCULATION', `Copy is ${copy.status} and cannot be removed`);
+    }
+
+    await copy.deleteOne({ session });
+    await syncBookInventory(copy.bookId, session);
+    return copy;
+  });
+}
+
+module.exports = {
+  MANUAL_STATUSES,
+  generateBarcode,
+  syncBookInventory,
+  addCopies,
+  updateCopy,
+  removeCopy
+};
@@ -0,0 +1,209 @@
+/**
+ * Deletion Service
+ * Soft delete, restore and purge for books, members and loans, and the
+ * integrity rules that go with them:
+ *   - a member with loans out, or a book with copies on loan, cannot be
+ *     deleted; nor can a loan that is still open;
+ *   - deleting a member or book cancels their active holds (ready copies
+ *     pass to the next member, or back to the shelf);
+ *   - purging (removing for good) only applies to deleted records, and is
+ *     refused while other records still point at them.
+ * Deleted records are hidden by utils/softDelete.js.
+ */
+
+const Book = require('../Models/Books');
+const Member = require('../Models/Members');
+const Borrowed = require('../Models/Loan');
+const Copy = require('../Models/Copy');
+const Fine = require('../Models/Fine');
+const Payment = require('../Models/Payment');
+const Reservation = require('../Models/Reservation');
+const RefreshToken = require('../Models/RefreshToken');
+const { ACTIVE_STATUSES, releaseCopy } = require('./holdService');
+const { syncBookInventory } = require('./copyService');
+const { revokeAllTokens } = require('../utils/tokenUtils');
+const { runInTransaction } = require('../utils/dbUtils');
+const { AppError } = require('../utils/errors');
+
+const ALL = { withDeleted: true };
+
+/**
+ * Throw when other records still reference a document
+ * @param {string} label - "Book" | "Member" | "Loan"
+ * @param {Array<Array>} counts - [[description, count], ...]
+ */
+function refuseIfReferenced(label, counts) {
+  const found = counts.filter(([, count]) => count > 0);
+  if (!found.length) return;
+  const list = found.map(([what, count]) => `${count} ${what}`).join(', ');
+  throw new AppError(409, 'HAS_REFERENCES', `${label} is still referenced by ${list}; purge those first`, {
+    details: found.map(([what, count]) => ({ collection: what, count }))
+  });
+}
+
+/**
+ * Cancel holds, releasing the copies of ready ones
+ * @param {Object} filter - Reservation filter (bookId or memberId)
+ * @param {ClientSession} session - Active transaction
+ * @param {boolean} passOn - Give freed copies to the next hold in line
+ */
+async function cancelActiveHolds(filter, session, passOn) {
+  const holds = await Reservation.find({ ...filter, status: { $in: ACTIVE_STATUSES } }).session(session).lean();
+  if (!holds.length) return;
+
+  await Reservation.updateMany(
+    { _id: { $in: holds.map(h => h._id) } },
+    { status: 'cancelled', cancelledAt: new Date() },
+    { session }
+  );
+  for (const hold of holds) {
+    if (hold.status !== 'ready') continue;
+    if (passOn) await releaseCopy(hold.bookId, hold.copyId, session);
+    else await Copy.updateOne({ _id: hold.copyId }, { status: 'on_shelf' }, { session });
+  }
+}
+
+const RULES = {
+  book: {
+    model: Book,
+    label: 'Book',
+    notFound: ['BOOK_NOT_FOUND', 'Book not found'],
+    async beforeDelete(book, session) {
+      const onLoan = await Copy.countDocuments({ bookId: book._id, status: 'on_loan' }).session(session);
+      if (onLoan) {
+        throw new AppError(409, 'BOOK_HAS_LOANS', `${onLoan} copies of this book are on loan; check them in first`);
+      }
+      await cancelActiveHolds({ bookId: book._id }, session, false);
+      await syncBookInventory(book._id, session);
+    },
+    async beforePurge(book, session) {
+      refuseIfReferenced('Book', [
+        ['loans', await Borrowed.countDocuments({ bookId: book._id }).setOptions(ALL).session(session)],
+        ['fines', await Fine.countDocuments({ bookId: book._id }).session(session)]
+      ]);
+      // Copies and holds have no meaning without their book
+      await Copy.deleteMany({ bookId: book._id }, { session });
+      await Reservation.deleteMany({ bookId: book._id }, { session });
+    }
+  },
+
+  member: {
+    model: Member,
+    label: 'Member',
+    notFound: ['MEMBER_NOT_FOUND', 'Member not found'],
+    async beforeDelete(member, session) {
+      const active = await Borrowed.countDocuments({ userId: member._id, returned: false }).session(session);
+      if (active) {
+        throw new AppError(409, 'MEMBER_HAS_ACTIVE_LOANS', `Member has ${active} books on loan; return them first`);
+      }
+      await cancelActiveHolds({ memberId: member._id }, session, true);
+      // Sessions stay revoked if the member is restored later
+      await revokeAllTokens(member._id, session);
+    },
+    async beforePurge(member, session) {
+      refuseIfReferenced('Member', [
+        ['loans', await Borrowed.countDocuments({ userId: member._id }).setOptions(ALL).session(session)],
+        ['fines', await Fine.countDocuments({ memberId: member._id }).session(session)],
+        ['payments', await Payment.countDocuments({ memberId: member._id }).session(session)]
+      ]);
+      await Reservation.deleteMany({ memberId: member._id }, { session });
+      await RefreshToken.deleteMany({ memberId: member._id }, { session });
+    }
+  },
+
+  loan: {
+    model: Borrowed,
+    label: 'Loan',
+    notFound: ['LOAN_NOT_FOUND', 'Loan not found'],
+    async beforeDelete(loan) {
+      if (!loan.returned) {
+        throw new AppError(409, 'LOAN_ACTIVE', 'Loan is still open; return it or declare it lost first');
+      }
+    },
+    async beforePurge(loan, session) {
+      refuseIfReferenced('Loan', [
+        ['fines', await Fine.countDocuments({ loanId: loan._id }).session(session)]
+      ]);
+    }
+  }
+};
+
+/**
+ * @param {string} type - "book" | "member" | "loan"
+ * @returns {Object} The type's rules
+ */
+function rulesFor(type) {
+  const rules = RULES[type];
+  if (!rules) throw new Error(`No deletion rules for "${type}"`);
+  return rules;
+}
+
+/**
+ * Soft-delete a record
+ * @param {string} type - "book" | "member" | "loan"
+ * @param {string} id - Record ID
+ * @param {string} actorId - Member performing the delete
+ * @returns {Promise<Object>} The deleted record
+ */
+async function softDelete(type, id, actorId) {
+  const rules = rulesFor(type);
+  return runInTransaction(async (session) => {
+    const existing = await rules.model.findById(id).session(session).lean();
+    if (!existing) throw new AppError(404, ...rules.notFound);
+
+    await rules.beforeDelete(existing, session);
+    return rules.model.findOneAndUpdate(
+      { _id: id, deletedAt: null },
+      { deletedAt: new Date(), deletedBy: actorId || null },
+      { new: true, lean: true, session }
+    );
+  });
+}
+
+/**
+ * Restore a soft-deleted record
+ * @param {string} type - "book" | "member" | "loan"
+ * @param {string} id - Record ID
+ * @returns {Promise<Object>} The restored record
+ */
+async function restore(type, id) {
+  const rules = rulesFor(type);
+  const doc = await rules.model.findOneAndUpdate(
+    { _id: id, deletedAt: { $ne: null } },
+    { deletedAt: null, deletedBy: null },
+    { new: true, lean: true }
+  );
+  if (!doc) {
+    const exists = await rules.model.exists({ _id: id });
+    if (exists) throw new AppError(409, 'NOT_DELETED', `${rules.label} is not deleted`);
+    throw new AppError(404, ...rules.notFound);
+  }
+  return doc;
+}
+
+/**
+ * Permanently remove a soft-deleted record
+ * @param {string} type - "book" | "member" | "loan"
+ * @param {string} id - Record ID
+ * @returns {Promise<Object>} The removed record
+ */
+async function purge(type, id) {
+  const rules = rulesFor(type);
+  return runInTransaction(async (session) => {
+    const doc = await rules.model.findById(id).setOptions(ALL).session(session).lean();
+    if (!doc) throw new AppError(404, ...rules.notFound);
+    if (!doc.deletedAt) {
+      throw new AppError(409, 'NOT_DELETED', `${rules.label} must be deleted before it can be purged`);
+    }
+
+    await rules.beforePurge(doc, session);
+    await rules.model.deleteOne({ _id: id, deletedAt: { $ne: null } }, { session, purge: true });
+    return doc;
+  });
+}
+
+module.exports = {
+  softDelete,
+  restore,
+  purge
+};
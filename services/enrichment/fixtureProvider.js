@@ -0,0 +1,39 @@
+/**
+ * Fixture Metadata Provider
+ * Serves metadata from a local JSON file keyed by ISBN (either form), for
+ * development without network access and for repeatable tests:
+ *   { "9780134685991": { "title": "...", "authors": ["..."], ... } }
+ */
+
+const fs = require('fs');
+const { parseIsbn } = require('../../utils/isbn');
+
+/**
+ * @param {Object} options - { path } to the fixture file, or { records } inline
+ * @returns {Object} Provider { name, lookup(isbn13) }
+ */
+function createFixtureProvider({ path, records }) {
+  let byIsbn;
+
+  // Loaded on first use so a missing file only matters once it is needed
+  const load = () => {
+    if (byIsbn) return byIsbn;
+    const raw = records || JSON.parse(fs.readFileSync(path, 'utf8'));
+    byIsbn = new Map();
+    for (const [isbn, metadata] of Object.entries(raw)) {
+      const parsed = parseIsbn(isbn);
+      if (parsed) byIsbn.set(parsed.isbn13, metadata);
+    }
+    return byIsbn;
+  };
+
+  return {
+    name: 'fixture',
+
+    async lookup(isbn13) {
+      return load().get(isbn13) || null;
+    }
+  };
+}
+
+module.exports = { createFixtureProvider };
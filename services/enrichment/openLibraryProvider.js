@@ -0,0 +1,45 @@
+/**
+ * Open Library Metadata Provider
+ * Looks books up through the Open Library Books API
+ * (GET /api/books?bibkeys=ISBN:...&jscmd=data&format=json).
+ */
+
+/**
+ * Map an Open Library "data" record onto provider metadata
+ * @param {Object} data - Books API record
+ * @returns {Object} Metadata (see services/enrichmentService.js)
+ */
+function toMetadata(data) {
+  const year = /\d{4}/.exec(data.publish_date || '');
+  return {
+    title: data.subtitle ? `${data.title}: ${data.subtitle}` : data.title,
+    authors: (data.authors || []).map(a => a.name).filter(Boolean),
+    publisher: data.publishers && data.publishers[0] ? data.publishers[0].name : undefined,
+    publicationYear: year ? Number(year[0]) : undefined,
+    pageCount: Number.isInteger(data.number_of_pages) ? data.number_of_pages : undefined,
+    subjects: (data.subjects || []).map(s => s.name).filter(Boolean),
+    coverUrl: data.cover ? data.cover.large || data.cover.medium || data.cover.small : undefined,
+    description: typeof data.notes === 'string' ? data.notes : undefined
+  };
+}
+
+/**
+ * @param {Object} options - { baseUrl }
+ * @returns {Object} Provider { name, lookup(isbn13, { signal }) }
+ */
+function createOpenLibraryProvider({ baseUrl }) {
+  return {
+    name: 'openlibrary',
+
+    async lookup(isbn13, { signal } = {}) {
+      const key = `ISBN:${isbn13}`;
+      const url = `${baseUrl}/api/books?bibkeys=${encodeURIComponent(key)}&jscmd=data&format=json`;
+      const response = await fetch(url, { signal, headers: { Accept: 'application/json' } });
+      if (!response.ok) throw new Error(`Open Library responded ${response.status}`);
+      const body = await response.json();
+      return body[key] ? toMetadata(body[key]) : null;
+    }
+  };
+}
+
+module.exports = { createOpenLibraryProvider };
@@ -0,0 +1,125 @@
+/**
+ * Metadata Enrichment Service
+ * Fills in missing book fields from an ISBN lookup.
+ *
+ * A provider is any object with
+ *   name: string
+ *   lookup(isbn13, { signal }) -> Promise<Metadata | null>
+ * where Metadata is
+ *   { title, authors: [string], publisher, publicationYear, pageCount,
+ *     subjects: [string], coverUrl, description }   (every field optional)
+ * and null means the ISBN is unknown to the provider. Built-in providers
+ * live in services/enrichment/ and are chosen by config/enrichmentConfig.js;
+ * setProvider() plugs in any other.
+ */
+
+const enrichmentConfig = require('../config/enrichmentConfig');
+const { createOpenLibraryProvider } = require('./enrichment/openLibraryProvider');
+const { createFixtureProvider } = require('./enrichment/fixtureProvider');
+const { AppError } = require('../utils/errors');
+
+const PROVIDERS = {
+  openlibrary: () => createOpenLibraryProvider(enrichmentConfig.openLibrary),
+  fixture: () => createFixtureProvider({ path: enrichmentConfig.fixturePath }),
+  none: () => null
+};
+
+// Keep enriched subject lists manageable
+const MAX_SUBJECTS = 20;
+
+let provider;
+
+/**
+ * The active provider (created from config on first use)
+ * @returns {Object|null} null when enrichment is disabled
+ */
+function getProvider() {
+  if (provider === undefined) {
+    const create = PROVIDERS[enrichmentConfig.provider];
+    if (!create) throw new Error(`Unknown ENRICHMENT_PROVIDER "${enrichmentConfig.provider}"`);
+    provider = create();
+  }
+  return provider;
+}
+
+/**
+ * Replace the active provider
+ * @param {Object|null} next - Provider, or null to disable enrichment
+ */
+function setProvider(next) {
+  provider = next;
+}
+
+/**
+ * Look up metadata for an ISBN
+ * @param {string} isbn13 - Normalized ISBN-13
+ * @returns {Promise<Object>} { provider, metadata } (metadata null when not found)
+ */
+async function lookupIsbn(isbn13) {
+  const active = getProvider();
+  if (!active) throw new AppError(503, 'ENRICHMENT_DISABLED', 'No metadata provider is configured');
+
+  try {
+    const metadata = await active.lookup(isbn13, { signal: AbortSignal.timeout(enrichmentConfig.timeoutMs) });
+    return { provider: active.name, metadata: metadata || null };
+  } catch (err) {
+    const reason = err.name === 'TimeoutError' ? 'timed out' : err.message;
+    throw new AppError(502, 'ENRICHMENT_FAILED', `Metadata lookup with ${active.name} failed: ${reason}`);
+  }
+}
+
+/**
+ * Map provider metadata onto Book fields
+ * @param {Object} metadata - Provider metadata
+ * @returns {Object} Book fields (only those the metadata has)
+ */
+function toBookFields(metadata) {
+  const fields = {
+    title: metadata.title,
+    authors: metadata.authors && metadata.authors.length ? metadata.authors : undefined,
+    publisher: metadata.publisher,
+    publicationYear: Number.isInteger(metadata.publicationYear) ? metadata.publicationYear : undefined,
+    pageCount: Number.isInteger(metadata.pageCount) && metadata.pageCount > 0 ? metadata.pageCount : undefined,
+    subjects: metadata.subjects && metadata.subjects.length ? metadata.subjects.slice(0, MAX_SUBJECTS) : undefined,
+    coverUrl: metadata.coverUrl,
+    description: metadata.description
+  };
+  for (const key of Object.keys(fields)) if (fields[key] === undefined || fields[key] === '') delete fields[key];
+  return fields;
+}
+
+/**
+ * Fill in the fields a new book is missing from its ISBN. Values given by
+ * the caller always win. A failed lookup is only an error when the book
+ * cannot be created without it (no title or author). Credits are taken
+ * from the provider only when the caller gave neither author nor authors.
+ * @param {Object} fields - Book fields (isbn already normalized)
+ * @returns {Promise<Object>} { fields, enrichment: { provider, found, error } | null }
+ */
+async function enrichBookFields(fields) {
+  if (!fields.isbn || !getProvider()) return { fields, enrichment: null };
+
+  let result;
+  try {
+    result = await lookupIsbn(fields.isbn);
+  } catch (err) {
+    if (!fields.title || (!fields.author && !fields.authors)) throw err;
+    return { fields, enrichment: { provider: getProvider().name, found: false, error: err.message } };
+  }
+
+  if (!result.metadata) return { fields, enrichment: { provider: result.provider, found: false } };
+
+  const found = toBookFields(result.metadata);
+  if (fields.author || fields.authors) delete found.authors;
+  const enriched = { ...found, ...fields };
+  enriched.enrichment = { provider: result.provider, enrichedAt: new Date() };
+  return { fields: enriched, enrichment: { provider: result.provider, found: true } };
+}
+
+module.exports = {
+  getProvider,
+  setProvider,
+  lookupIsbn,
+  toBookFields,
+  enrichBookFields
+};
@@ -0,0 +1,114 @@
+/**
+ * Domain Event Bus
+ * In-process publish/subscribe for things that happened in the library, so
+ * side effects (outbound webhooks today) stay out of the routers that
+ * cause them.
+ *
+ * Every event is an envelope
+ *   { id, type, occurredAt, data }
+ * emitted after the change it describes has been committed. Listeners run
+ * asynchronously; a failing listener is logged and never affects the
+ * request or the other listeners.
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const EVENT_TYPES = [
+  'book.created',
+  'book.deleted',
+  'member.registered',
+  'loan.checked_out',
+  'loan.returned',
+  'loan.overdue'
+];
+
+const emitter = new EventEmitter();
+// Any number of listeners may subscribe to '*'
+emitter.setMaxListeners(0);
+
+/**
+ * Publish an event
+ * @param {string} type - One of EVENT_TYPES
+ * @param {Object} data - Event payload (plain JSON values)
+ * @returns {Object} The envelope
+ */
+function emitEvent(type, data) {
+  if (!EVENT_TYPES.includes(type)) throw new Error(`Unknown event type "${type}"`);
+  const event = { id: crypto.randomUUID(), type, occurredAt: new Date().toISOString(), data };
+  emitter.emit(type, event);
+  emitter.emit('*', event);
+  return event;
+}
+
+/**
+ * Subscribe to one event type, or '*' for all of them
+ * @param {string} type - Event type or '*'
+ * @param {Function} listener - async (event) => void
+ * @returns {Function} Unsubscribes the listener
+ */
+function onEvent(type, listener) {
+  const wrapped = (event) => {
+    Promise.resolve()
+      .then(() => listener(event))
+      .catch(err => console.error(`Listener for ${event.type} failed:`, err));
+  };
+  emitter.on(type, wrapped);
+  return () => emitter.off(type, wrapped);
+}
+
+/**
+ * Payload describing a loan
+ * @param {Object} loan - Loan (ids may be populated)
+ * @returns {Object}
+ */
+function loanEventData(loan) {
+  const id = (value) => (value && value._id ? value._id : value) || null;
+  return {
+    loanId: String(loan._id),
+    memberId: id(loan.userId) && String(id(loan.userId)),
+    bookId: id(loan.bookId) && String(id(loan.bookId)),
+    copyId: id(loan.copyId) && String(id(loan.copyId)),
+    borrowDate: loan.borrowDate || null,
+    dueDate: loan.dueDate || null,
+    returnDate: loan.returnDate || null
+  };
+}
+
+/**
+ * Payload describing a book
+ * @param {Object} book - Book
+ * @returns {Object}
+ */
+function bookEventData(book) {
+  return { bookId: String(book._id), title: book.title, author: book.author, isbn: book.isbn || null };
+}
+
+/**
+ * Payload describing a new member (no credentials or contact details
+ * beyond the email address)
+ * @param {Object} member - Member
+ * @param {string} via - "self" (registration), "staff" (created by an admin)
+ *   or "import" (registrar sync)
+ * @returns {Object}
+ */
+function memberEventData(member, via) {
+  return {
+    memberId: String(member._id),
+    role: member.role,
+    email: member.email,
+    studentId: member.studentId || null,
+    department: member.department || null,
+    cardNumber: member.cardNumber || null,
+    via
+  };
+}
+
+module.exports = {
+  EVENT_TYPES,
+  emitEvent,
+  onEvent,
+  loanEventData,
+  bookEventData,
+  memberEventData
+};
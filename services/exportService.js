@@ -0,0 +1,237 @@
+/**
+ * Export Service
+ * Streams books, members and loan history as CSV or JSON straight from a
+ * database cursor, so exports of any size run in constant memory.
+ */
+
+const { once } = require('events');
+const Book = require('../Models/Books');
+const Member = require('../Models/Members');
+const Borrowed = require('../Models/Loan');
+const { formatCsvRow } = require('../utils/csv');
+
+// [column, value getter] per export. Book columns match the import
+// headers, so an exported catalog can be re-imported.
+const BOOK_COLUMNS = [
+  ['id', b => b._id],
+  ['title', b => b.title],
+  ['author', b => b.author],
+  ['authors', b => b.authors],
+  ['isbn', b => b.isbn],
+  ['category', b => b.category],
+  ['publicationYear', b => b.publicationYear],
+  ['publisher', b => b.publisher],
+  ['edition', b => b.edition],
+  ['language', b => b.language],
+  ['pageCount', b => b.pageCount],
+  ['series', b => b.series],
+  ['seriesVolume', b => b.seriesVolume],
+  // Copies held (anything not lost); `available` is the shelf count
+  ['quantity', b => b.held],
+  ['available', b => b.quantity],
+  ['description', b => b.description],
+  ['subjects', b => b.subjects]
+];
+
+const MEMBER_COLUMNS = [
+  ['id', m => m._id],
+  ['name', m => m.name],
+  ['email', m => m.email],
+  ['role', m => m.role],
+  ['studentId', m => m.studentId],
+  ['department', m => m.department],
+  ['phone', m => m.phone],
+  ['address', m => m.address],
+  ['registrationDate', m => m.registrationDate],
+  ['isActive', m => m.isActive],
+  ['cardNumber', m => m.cardNumber],
+  ['membershipExpiresAt', m => m.membershipExpiresAt]
+];
+
+const LOAN_COLUMNS = [
+  ['id', l => l._id],
+  ['memberId', l => l.userId && l.userId._id],
+  ['memberName', l => l.userId && l.userId.name],
+  ['memberEmail', l => l.userId && l.userId.email],
+  ['bookId', l => l.bookId && l.bookId._id],
+  ['title', l => l.bookId && l.bookId.title],
+  ['isbn', l => l.bookId && l.bookId.isbn],
+  ['copyId', l => l.copyId],
+  ['borrowDate', l => l.borrowDate],
+  ['dueDate', l => l.dueDate],
+  ['returnDate', l => l.returnDate],
+  ['returned', l => l.returned],
+  ['isOverdue', l => l.isOverdue],
+  ['lost', l => l.lost],
+  ['renewalCount', l => l.renewalCount]
+];
+
+/**
+ * Cursor over books with their held copy count, credited author names
+ * (in credit order) and series title
+ * @param {Object} filter - Book filter
+ * @returns {AsyncIterable<Object>}
+ */
+function bookCursor(filter) {
+  return Book.aggregate([
+    { $match: filter },
+    { $sort: { _id: 1 } },
+    {
+      $lookup: {
+        from: 'copies',
+        let: { bookId: '$_id' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$bookId', '$$bookId'] }, status: { $ne: 'lost' } } },
+          { $count: 'held' }
+        ],
+        as: 'holdings'
+      }
+    },
+    { $lookup: { from: 'authors', localField: 'authorIds', foreignField: '_id', as: 'credited' } },
+    { $lookup: { from: 'series', localField: 'seriesId', foreignField: '_id', as: 'inSeries' } },
+    {
+      $addFields: {
+        held: { $ifNull: [{ $first: '$holdings.held' }, 0] },
+        // $lookup does not keep the order of authorIds
+        authors: {
+          $map: {
+            input: { $ifNull: ['$authorIds', []] },
+            as: 'id',
+            in: { $arrayElemAt: ['$credited.name', { $indexOfArray: ['$credited._id', '$$id'] }] }
+          }
+        },
+        series: { $first: '$inSeries.title' }
+      }
+    },
+    { $project: { holdings: 0, credited: 0, inSeries: 0, titleNormalized: 0, authorNormalized: 0 } }
+  ]).cursor();
+}
+
+/**
+ * Cursor over members (credentials excluded)
+ * @param {Object} filter - Member filter
+ * @returns {AsyncIterable<Object>}
+ */
+function memberCursor(filter) {
+  return Member.find(filter)
+    .select('-password -tokenVersion -__v')
+    .sort({ _id: 1 })
+    .lean()
+    .cursor();
+}
+
+/**
+ * Cursor over loans with member and book details
+ * @param {Object} filter - Loan filter
+ * @returns {AsyncIterable<Object>}
+ */
+function loanCursor(filter) {
+  return Borrowed.find(filter)
+    .populate('userId', 'name email')
+    .populate('bookId', 'title isbn')
+    .sort({ borrowDate: 1, _id: 1 })
+    .lean()
+    .cursor();
+}
+
+/**
+ * Write a chunk, waiting for the client to drain when its buffer is full
+ * @param {Object} res - Express response
+ * @param {string} chunk - Data
+ */
+async function write(res, chunk) {
+  if (!res.write(chunk)) await once(res, 'drain');
+}
+
+/**
+ * Stream records to the response as a CSV or JSON attachment. Once the
+ * first row is written a failure can only abort the download, so errors
+ * after that point destroy the response instead of being rethrown.
+ * @param {Object} res - Express response
+ * @param {Object} options
+ * @param {string} options.name - File name stem ("books" -> books-2026-10-19.csv)
+ * @param {string} options.format - "csv" | "json"
+ * @param {AsyncIterable<Object>} options.cursor - Records
+ * @param {Array<Array>} options.columns - [[column, getter], ...]
+ */
+async function streamExport(res, { name, format, cursor, columns }) {
+  const iterator = cursor[Symbol.asyncIterator]();
+  // Pull the first record before sending headers so query errors can
+  // still become a normal error response
+  let next = await iterator.next();
+
+  const date = new Date().toISOString().slice(0, 10);
+  res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${name}-${date}.${format}"`);
+
+  try {
+    if (format === 'csv') await write(res, formatCsvRow(columns.map(([column]) => column)));
+    else await write(res, '[');
+
+    let first = true;
+    while (!next.done) {
+      const values = columns.map(([, get]) => get(next.value));
+      if (format === 'csv') {
+        await write(res, formatCsvRow(values));
+      } else {
+        const item = Object.fromEntries(columns.map(([column], i) => [column, values[i] === undefined ? null : values[i]]));
+        await write(res, (first ? '' : ',') + JSON.stringify(item));
+      }
+      first = false;
+      next = await iterator.next();
+    }
+
+    if (format === 'json') await write(res, ']');
+    res.end();
+  } catch (err) {
+    console.error(`Export of ${name} failed:`, err);
+    res.destroy(err);
+  } finally {
+    if (iterator.return) await iterator.return().catch(() => {});
+  }
+}
+
+/**
+ * Export the catalog
+ * @param {Object} res - Express response
+ * @param {Object} options - { format, filter }
+ */
+function exportBooks(res, { format, filter = {} }) {
+  return streamExport(res, { name: 'books', format, cursor: bookCursor(filter), columns: BOOK_COLUMNS });
+}
+
+/**
+ * Export members
+ * @param {Object} res - Express response
+ * @param {Object} options - { format, filter }
+ */
+function exportMembers(res, { format, filter = {} }) {
+  return streamExport(res, { name: 'members', format, cursor: memberCursor(filter), columns: MEMBER_COLUMNS });
+}
+
+/**
+ * Export loan history
+ * @param {Object} res - Express response
+ * @param {Object} options - { format, filter }
+ */
+function exportLoans(res, { format, filter = {} }) {
+  return streamExport(res, { name: 'loans', format, cursor: loanCursor(filter), columns: LOAN_COLUMNS });
+}
+
+/**
+ * Export rows already in memory (reports and other small result sets)
+ * @param {Object} res - Express response
+ * @param {Object} options - { name, format, rows, columns }
+ */
+function exportRows(res, { name, format, rows, columns }) {
+  const cursor = (async function* () { yield* rows; })();
+  return streamExport(res, { name, format, cursor, columns });
+}
+
+module.exports = {
+  streamExport,
+  exportRows,
+  exportBooks,
+  exportMembers,
+  exportLoans
+};
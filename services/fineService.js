@@ -0,0 +1,212 @@
+/**
+ * Fine Service
+ * Overdue accrual, manual charges, payments and waivers.
+ * All amounts are in cents.
+ */
+
+const mongoose = require('mongoose');
+const Fine = require('../Models/Fine');
+const Payment = require('../Models/Payment');
+const Borrowed = require('../Models/Loan');
+const { resolvePolicy } = require('./policyService');
+const { AppError } = require('../utils/errors');
+const { runInTransaction } = require('../utils/dbUtils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Compute the overdue fine for a loan. Every started day past dueDate counts.
+ * @param {Object} policy - Resolved circulation policy ({ dailyFine, maxFine })
+ * @param {Date} dueDate - Loan due date
+ * @param {Date} until - End of accrual
+ * @returns {Object} { daysOverdue, dailyRate, amount, capped }
+ */
+function computeOverdueFine({ dailyFine, maxFine }, dueDate, until = new Date()) {
+  const lateMs = until - new Date(dueDate);
+  const daysOverdue = lateMs > 0 ? Math.ceil(lateMs / DAY_MS) : 0;
+  const uncapped = daysOverdue * dailyFine;
+  const capped = maxFine > 0 && uncapped > maxFine;
+
+  return { daysOverdue, dailyRate: dailyFine, amount: capped ? maxFine : uncapped, capped };
+}
+
+/**
+ * Recompute balance and status after amount/amountPaid/amountWaived change
+ * @param {Object} fine - Fine document
+ */
+function applyBalance(fine) {
+  fine.balance = Math.max(0, fine.amount - fine.amountPaid - fine.amountWaived);
+  if (fine.balance > 0) fine.status = 'open';
+  else fine.status = fine.amountPaid > 0 ? 'paid' : 'waived';
+}
+
+/**
+ * Create or update the overdue fine for a loan's current due date. Fines for
+ * earlier due dates (before a renewal) stay as they are, but count towards
+ * the policy's maxFine, which caps the loan as a whole.
+ * @param {Object} loan - Loan with populated userId (role) and bookId (category)
+ * @param {Object} options - { until, finalize, session }
+ * @returns {Promise<Object|null>} The fine, or null if nothing is owed
+ */
+async function upsertOverdueFine(loan, { until = new Date(), finalize = false, session } = {}) {
+  const policy = await resolvePolicy(loan.userId.role, loan.bookId.category, session);
+  const computed = computeOverdueFine(policy, loan.dueDate, until);
+
+  let fine = await Fine.findOne({ loanId: loan._id, type: 'overdue', dueDate: loan.dueDate }).session(session || null);
+  if (fine && fine.finalizedAt) return fine;
+
+  if (policy.maxFine > 0) {
+    const earlier = await Fine.find({ loanId: loan._id, type: 'overdue', dueDate: { $ne: loan.dueDate } })
+      .select('amount')
+      .session(session || null)
+      .lean();
+    const room = Math.max(0, policy.maxFine - earlier.reduce((sum, f) => sum + f.amount, 0));
+    if (computed.amount > room) Object.assign(computed, { amount: room, capped: true });
+  }
+  if (!fine && computed.amount === 0) return null;
+
+  if (!fine) {
+    fine = new Fine({
+      memberId: loan.userId._id,
+      loanId: loan._id,
+      bookId: loan.bookId._id,
+      type: 'overdue',
+      dueDate: loan.dueDate,
+      description: 'Overdue fine'
+    });
+  }
+
+  fine.amount = computed.amount;
+  fine.daysOverdue = computed.daysOverdue;
+  fine.dailyRate = computed.dailyRate;
+  fine.capped = computed.capped;
+  if (finalize) fine.finalizedAt = until;
+  applyBalance(fine);
+
+  await fine.save({ session });
+  return fine;
+}
+
+/**
+ * Bring every accruing overdue fine up to date
+ * @param {Date} now - Reference time
+ * @returns {Promise<Object>} { finesUpdated }
+ */
+async function accrueOverdueFines(now = new Date()) {
+  const cursor = Borrowed.find({ returned: false, isOverdue: true })
+    .populate('userId', 'role')
+    .populate('bookId', 'category')
+    .cursor();
+
+  let finesUpdated = 0;
+  for await (const loan of cursor) {
+    if (!loan.userId || !loan.bookId) continue;
+    const fine = await upsertOverdueFine(loan, { until: now });
+    if (fine) finesUpdated++;
+  }
+  return { finesUpdated };
+}
+
+/**
+ * Stop accrual for a loan that is being closed (returned or lost)
+ * @param {string} loanId - Loan ID
+ * @param {Date} until - Close time
+ * @param {ClientSession} session - Active transaction
+ * @returns {Promise<Object|null>} The final fine, if any
+ */
+async function finalizeOverdueFine(loanId, until, session) {
+  const loan = await Borrowed.findById(loanId)
+    .populate('userId', 'role')
+    .populate('bookId', 'category')
+    .session(session);
+  if (!loan || !loan.userId || !loan.bookId || loan.dueDate >= until) return null;
+  return upsertOverdueFine(loan, { until, finalize: true, session });
+}
+
+/**
+ * Create a manual charge (lost item, damage, other)
+ * @param {Object} data - { memberId, type, amount, description, loanId, bookId }
+ * @param {string} actorId - Staff member recording the charge
+ * @param {ClientSession} session - Optional transaction
+ * @returns {Promise<Object>} The fine
+ */
+async function createFine({ memberId, type, amount, description, loanId, bookId }, actorId, session) {
+  if (type === 'overdue') {
+    throw new AppError(400, 'INVALID_FINE_TYPE', 'Overdue fines are accrued automatically');
+  }
+  if (!Number.isInteger(amount) || amount <= 0) {
+    throw new AppError(400, 'INVALID_AMOUNT', 'amount must be a positive integer number of cents');
+  }
+
+  const [fine] = await Fine.create([{
+    memberId, loanId, bookId, type, amount, description,
+    balance: amount,
+    createdBy: actorId
+  }], { session });
+  return fine;
+}
+
+/**
+ * Apply a payment or waiver to a fine
+ * @param {string} fineId - Fine ID
+ * @param {Object} entry - { type: 'payment'|'waiver', amount, method, note }
+ * @param {string} actorId - Staff member recording the entry
+ * @returns {Promise<Object>} { fine, payment }
+ */
+async function applyLedgerEntry(fineId, { type, amount, method, note }, actorId) {
+  return runInTransaction(async (session) => {
+    const fine = await Fine.findById(fineId).session(session);
+    if (!fine) throw new AppError(404, 'FINE_NOT_FOUND', 'Fine not found');
+    if (fine.balance === 0) throw new AppError(409, 'FINE_SETTLED', 'Fine has no outstanding balance');
+
+    // Waivers default to the full outstanding balance
+    const value = amount === undefined && type === 'waiver' ? fine.balance : amount;
+    if (!Number.isInteger(value) || value <= 0) {
+      throw new AppError(400, 'INVALID_AMOUNT', 'amount must be a positive integer number of cents');
+    }
+    if (value > fine.balance) {
+      throw new AppError(400, 'AMOUNT_EXCEEDS_BALANCE', `amount exceeds outstanding balance of ${fine.balance}`);
+    }
+
+    if (type === 'payment') fine.amountPaid += value;
+    else fine.amountWaived += value;
+    applyBalance(fine);
+    await fine.save({ session });
+
+    const [payment] = await Payment.create([{
+      fineId: fine._id,
+      memberId: fine.memberId,
+      type,
+      amount: value,
+      method: type === 'payment' ? method || 'cash' : undefined,
+      note,
+      recordedBy: actorId
+    }], { session });
+
+    return { fine, payment };
+  });
+}
+
+/**
+ * Outstanding balance for a member
+ * @param {string} memberId - Member ID
+ * @param {ClientSession} session - Optional transaction
+ * @returns {Promise<number>} Balance in cents
+ */
+async function getMemberBalance(memberId, session) {
+  const [result] = await Fine.aggregate([
+    { $match: { memberId: new mongoose.Types.ObjectId(String(memberId)), status: 'open' } },
+    { $group: { _id: null, balance: { $sum: '$balance' } } }
+  ]).session(session || null);
+  return result ? result.balance : 0;
+}
+
+module.exports = {
+  computeOverdueFine,
+  upsertOverdueFine,
+  accrueOverdueFines,
+  finalizeOverdueFine,
+  createFine,
+  applyLedgerEntry,
+  getMemberBalance
+};
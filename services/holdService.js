@@ -0,0 +1,214 @@
+/**
+ * Hold Service
+ * FIFO reservation queue for books with no copies on the shelf.
+ *
+ * A freed or newly added copy is allocated to the next waiting hold
+ * (status on_hold) and only goes on the shelf when nobody is waiting.
+ */
+
+const Book = require('../Models/Books');
+const Member = require('../Models/Members');
+const Borrowed = require('../Models/Loan');
+const Reservation = require('../Models/Reservation');
+const Copy = require('../Models/Copy');
+const circulationConfig = require('../config/circulationConfig');
+const { AppError } = require('../utils/errors');
+const { runInTransaction } = require('../utils/dbUtils');
+const { syncBookInventory, addCopies } = require('./copyService');
+const { membershipExpiredError } = require('./membershipService');
+const { isMembershipExpired } = require('../utils/membership');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ACTIVE_STATUSES = ['waiting', 'ready'];
+
+/**
+ * Position of a waiting hold in its book's queue (1-based)
+ * @param {Object} hold - Reservation
+ * @returns {Promise<number|null>} null for holds that are not waiting
+ */
+async function getQueuePosition(hold) {
+  if (hold.status !== 'waiting') return null;
+  const ahead = await Reservation.countDocuments({
+    bookId: hold.bookId,
+    status: 'waiting',
+    requestedAt: { $lt: hold.requestedAt }
+  });
+  return ahead + 1;
+}
+
+/**
+ * Place a hold on a book that has no available copies
+ * @param {Object} params - { bookId, memberId }
+ * @returns {Promise<Object>} The hold, with its queue position
+ */
+async function placeHold({ bookId, memberId }) {
+  return runInTransaction(async (session) => {
+    const member = await Member.findById(memberId).select('isActive membershipExpiresAt').session(session).lean();
+    if (!member) throw new AppError(404, 'MEMBER_NOT_FOUND', 'Member not found');
+    if (!member.isActive) throw new AppError(403, 'MEMBER_INACTIVE', 'Member account is not active');
+    if (isMembershipExpired(member)) throw membershipExpiredError(member);
+
+    const book = await Book.findById(bookId).select('quantity').session(session).lean();
+    if (!book) throw new AppError(404, 'BOOK_NOT_FOUND', 'Book not found');
+    if (book.quantity > 0) {
+      throw new AppError(409, 'COPIES_AVAILABLE', 'Copies are available - check the book out instead');
+    }
+
+    const borrowed = await Borrowed.exists({ userId: memberId, bookId, returned: false }).session(session);
+    if (borrowed) throw new AppError(409, 'ALREADY_BORROWED', 'Member already has this book on loan');
+
+    const existing = await Reservation.exists({ bookId, memberId, status: { $in: ACTIVE_STATUSES } })
+      .session(session);
+    if (existing) throw new AppError(409, 'HOLD_EXISTS', 'Member already has a hold on this book');
+
+    const activeHolds = await Reservation.countDocuments({ memberId, status: { $in: ACTIVE_STATUSES } })
+      .session(session);
+    if (activeHolds >= circulationConfig.holds.maxActiveHolds) {
+      throw new AppError(409, 'HOLD_LIMIT_REACHED',
+        `Members may have at most ${circulationConfig.holds.maxActiveHolds} active holds`);
+    }
+
+    const [hold] = await Reservation.create([{ bookId, memberId }], { session });
+    return hold;
+  });
+}
+
+/**
+ * Give a free copy to the next waiting hold
+ * @param {string} bookId - Book ID
+ * @param {string} copyId - The freed copy
+ * @param {ClientSession} session - Active transaction
+ * @returns {Promise<Object|null>} The hold that became ready, or null if none waiting
+ */
+async function allocateCopy(bookId, copyId, session) {
+  const now = new Date();
+  const hold = await Reservation.findOneAndUpdate(
+    { bookId, status: 'waiting' },
+    {
+      status: 'ready',
+      copyId,
+      readyAt: now,
+      expiresAt: new Date(now.getTime() + circulationConfig.holds.pickupWindowDays * DAY_MS)
+    },
+    { sort: { requestedAt: 1 }, new: true, session }
+  );
+  if (hold) await Copy.updateOne({ _id: copyId }, { status: 'on_hold' }, { session });
+  return hold;
+}
+
+/**
+ * A copy was freed (return, cancelled or expired ready hold): pass it to the
+ * next hold, or put it back on the shelf when the queue is empty
+ * @param {string} bookId - Book ID
+ * @param {string} copyId - The freed copy
+ * @param {ClientSession} session - Active transaction
+ * @returns {Promise<Object|null>} The hold that received the copy, if any
+ */
+async function releaseCopy(bookId, copyId, session) {
+  const next = await allocateCopy(bookId, copyId, session);
+  if (!next) await Copy.updateOne({ _id: copyId }, { status: 'on_shelf' }, { session });
+  await syncBookInventory(bookId, session);
+  return next;
+}
+
+/**
+ * Add copies to a book. Like returned copies, they go to the waiting holds
+ * first; the rest are put on the shelf.
+ * @param {string} bookId - Book ID
+ * @param {Array<Object>} copies - Copy fields (see copyService.addCopies)
+ * @param {ClientSession} session - Active transaction
+ * @returns {Promise<Array>} Created copies
+ */
+async function receiveCopies(bookId, copies, session) {
+  const created = await addCopies(bookId, copies, session);
+  let allocated = 0;
+  for (const copy of created) {
+    if (!await allocateCopy(bookId, copy._id, session)) break;
+    copy.status = 'on_hold';
+    allocated++;
+  }
+  if (allocated) await syncBookInventory(bookId, session);
+  return created;
+}
+
+/**
+ * Consume a member's ready hold at checkout. The caller decides what
+ * happens to the allocated copy (hold.copyId).
+ * @param {string} bookId - Book ID
+ * @param {string} memberId - Member ID
+ * @param {ClientSession} session - Active transaction
+ * @returns {Promise<Object|null>} The fulfilled hold, or null if the member had none ready
+ */
+async function claimReadyHold(bookId, memberId, session) {
+  return Reservation.findOneAndUpdate(
+    { bookId, memberId, status: 'ready' },
+    { status: 'fulfilled', fulfilledAt: new Date() },
+    { new: true, session }
+  );
+}
+
+/**
+ * Cancel a hold. A ready hold's copy passes to the next member.
+ * @param {string} holdId - Reservation ID
+ * @returns {Promise<Object>} The cancelled hold
+ */
+async function cancelHold(holdId) {
+  return runInTransaction(async (session) => {
+    const hold = await Reservation.findOneAndUpdate(
+      { _id: holdId, status: { $in: ACTIVE_STATUSES } },
+      { status: 'cancelled', cancelledAt: new Date() },
+      { session }
+    );
+    if (!hold) {
+      const exists = await Reservation.exists({ _id: holdId }).session(session);
+      if (!exists) throw new AppError(404, 'HOLD_NOT_FOUND', 'Hold not found');
+      throw new AppError(409, 'HOLD_NOT_ACTIVE', 'Hold is no longer active');
+    }
+
+    // findOneAndUpdate returned the pre-update document
+    if (hold.status === 'ready') await releaseCopy(hold.bookId, hold.copyId, session);
+    hold.status = 'cancelled';
+    return hold;
+  });
+}
+
+/**
+ * Expire ready holds whose pickup window has passed and pass their copies on
+ * @param {Date} now - Reference time
+ * @returns {Promise<Object>} { expired, reallocated }
+ */
+async function expireHolds(now = new Date()) {
+  const overdue = await Reservation.find({ status: 'ready', expiresAt: { $lt: now } })
+    .select('_id')
+    .lean();
+
+  let expired = 0;
+  let reallocated = 0;
+  for (const { _id } of overdue) {
+    const next = await runInTransaction(async (session) => {
+      const hold = await Reservation.findOneAndUpdate(
+        { _id, status: 'ready' },
+        { status: 'expired' },
+        { new: true, session }
+      );
+      if (!hold) return undefined;
+      return releaseCopy(hold.bookId, hold.copyId, session);
+    });
+    if (next === undefined) continue;
+    expired++;
+    if (next) reallocated++;
+  }
+  return { expired, reallocated };
+}
+
+module.exports = {
+  ACTIVE_STATUSES,
+  getQueuePosition,
+  placeHold,
+  allocateCopy,
+  releaseCopy,
+  receiveCopies,
+  claimReadyHold,
+  cancelHold,
+  expireHolds
+};
@@ -0,0 +1,329 @@
+/**
+ * Catalog Import Service
+ * Bulk book import from CSV, MARC21 (ISO 2709) and MARCXML.
+ *
+ * Records are read from the request stream one at a time, validated
+ * against the same field rules as POST /books (title and author are
+ * required; there is no metadata lookup), and deduplicated on isbn:
+ * a book whose isbn is already in the catalog (or earlier in the file) is
+ * merged - metadata from the file overwrites the stored values and copies
+ * are topped up to `quantity` - or skipped, depending on `onDuplicate`.
+ * A row whose isbn belongs to a deleted book fails until that book is
+ * restored or purged.
+ * Rows without an isbn are always created. Each row is written on its
+ * own, so a failed row does not undo the rows before it; run with dryRun
+ * first to see every problem without writing anything. New books are
+ * announced as book.created events, like books added through POST /books.
+ */
+
+const Book = require('../Models/Books');
+const Copy = require('../Models/Copy');
+const { validateFields } = require('../middleware/validate');
+const { importRow } = require('../validators/books');
+const { parseCsv, unguardCsvValue } = require('../utils/csv');
+const { readMarcRecords, readMarcXmlRecords, subfieldValues, firstValue } = require('../utils/marc');
+const { runInTransaction, describeError } = require('../utils/dbUtils');
+const { AppError } = require('../utils/errors');
+const { addCopies } = require('./copyService');
+const { receiveCopies } = require('./holdService');
+const { linkBibliography } = require('./bibliographyService');
+const { emitEvent, bookEventData } = require('./eventBus');
+
+// Keep the report bounded for very large files
+const MAX_REPORTED_ERRORS = 500;
+
+// CSV header (lowercased, letters and digits only) -> book field
+const CSV_COLUMNS = {
+  title: 'title',
+  author: 'author',
+  authors: 'authors',
+  isbn: 'isbn',
+  isbn13: 'isbn',
+  isbn10: 'isbn',
+  category: 'category',
+  genre: 'category',
+  publicationyear: 'publicationYear',
+  year: 'publicationYear',
+  pubyear: 'publicationYear',
+  quantity: 'quantity',
+  copies: 'quantity',
+  qty: 'quantity',
+  description: 'description',
+  summary: 'description',
+  subjects: 'subjects',
+  subject: 'subjects',
+  publisher: 'publisher',
+  edition: 'edition',
+  language: 'language',
+  pagecount: 'pageCount',
+  pages: 'pageCount',
+  series: 'series',
+  seriesvolume: 'seriesVolume',
+  volume: 'seriesVolume'
+};
+
+// CSV columns holding lists (separated by ";" or "|")
+const LIST_FIELDS = ['authors', 'subjects'];
+
+// Lost copies no longer count toward the holdings a merge tops up
+const HELD_STATUSES = ['on_shelf', 'on_loan', 'on_hold', 'in_repair'];
+
+/**
+ * Pick the import format from an explicit value or the request Content-Type
+ * @param {string} format - "csv" | "marc" | "marcxml" (optional)
+ * @param {string} contentType - Request Content-Type header
+ * @returns {string}
+ */
+function detectFormat(format, contentType = '') {
+  if (format) return format;
+  const type = contentType.split(';')[0].trim().toLowerCase();
+  if (type === 'text/csv') return 'csv';
+  if (type === 'application/marc') return 'marc';
+  if (type === 'application/marcxml+xml' || type === 'application/xml' || type === 'text/xml') return 'marcxml';
+  throw new AppError(400, 'UNSUPPORTED_FORMAT',
+    'Set format (csv, marc or marcxml) or send Content-Type text/csv, application/marc or application/marcxml+xml',
+    { field: 'format' });
+}
+
+/**
+ * Strip ISBD punctuation MARC cataloguers leave at the end of subfields
+ * @param {string} value - Subfield value
+ * @returns {string|undefined}
+ */
+function trimIsbd(value) {
+  if (value === undefined) return undefined;
+  const trimmed = value.replace(/[\s/:;,=]+$/, '').replace(/([^.\s]{3,})\.$/, '$1').trim();
+  return trimmed || undefined;
+}
+
+/**
+ * Map a parsed MARC record onto book fields
+ * @param {Object} record - { leader, fields } from utils/marc.js
+ * @returns {Object} Book fields
+ */
+function marcToBook(record) {
+  const title = [firstValue(record, '245', 'a'), firstValue(record, '245', 'b')]
+    .map(trimIsbd)
+    .filter(Boolean)
+    .join(': ');
+  // Main entry first, then added entries
+  const authors = ['100', '110', '111', '700', '710']
+    .flatMap(tag => subfieldValues(record, tag, 'a'))
+    .map(trimIsbd)
+    .filter(Boolean);
+  // 020 $a may carry a qualifier: "9780131103627 (pbk.)"
+  const isbn = (firstValue(record, '020', 'a') || '').split(/\s/)[0];
+  const dateText = firstValue(record, '264', 'c') || firstValue(record, '260', 'c') || '';
+  const year = /\d{4}/.exec(dateText) || /^\d{4}$/.exec((firstValue(record, '008') || '').slice(7, 11));
+  const subjects = [...new Set(subfieldValues(record, '650', 'a').map(trimIsbd).filter(Boolean))];
+  // One 852 (location) field per held copy when the export includes holdings
+  const holdings = record.fields.filter(f => f.tag === '852').length;
+  const language = firstValue(record, '041', 'a') || (firstValue(record, '008') || '').slice(35, 38).trim();
+  const pages = /(\d+)\s*p/.exec(firstValue(record, '300', 'a') || '');
+  // Unnumbered series statements are dropped: a series entry needs a volume
+  const volume = /\d+(\.\d+)?/.exec(firstValue(record, '490', 'v') || '');
+
+  const book = {
+    title: title || undefined,
+    authors: authors.length ? [...new Set(authors)] : undefined,
+    isbn: isbn || undefined,
+    category: subjects[0],
+    publicationYear: year ? year[0] : undefined,
+    publisher: trimIsbd(firstValue(record, '264', 'b') || firstValue(record, '260', 'b')),
+    edition: trimIsbd(firstValue(record, '250', 'a')),
+    language: /^[a-z]{3}$/i.test(language) ? language.toLowerCase() : undefined,
+    pageCount: pages ? pages[1] : undefined,
+    series: volume ? trimIsbd(firstValue(record, '490', 'a')) : undefined,
+    seriesVolume: volume ? volume[0] : undefined,
+    description: trimIsbd(firstValue(record, '520', 'a')),
+    subjects: subjects.length ? subjects : undefined,
+    quantity: holdings || undefined
+  };
+  for (const key of Object.keys(book)) if (book[key] === undefined) delete book[key];
+  return book;
+}
+
+/**
+ * Map a CSV row onto book fields using the header row
+ * @param {Array<string>} header - Book field per column (null = ignored column)
+ * @param {Array<string>} cells - Row values
+ * @returns {Object} Book fields (empty cells omitted)
+ */
+function csvToBook(header, cells) {
+  const book = {};
+  header.forEach((field, i) => {
+    // Exports from GET /books/export guard formula-like cells
+    const value = unguardCsvValue((cells[i] || '').trim());
+    if (!field || value === '') return;
+    book[field] = LIST_FIELDS.includes(field)
+      ? value.split(/[;|]/).map(s => s.trim()).filter(Boolean)
+      : value;
+  });
+  return book;
+}
+
+/**
+ * Records of an import stream as { row, fields } (or { row, error })
+ * @param {Readable} stream - Request stream
+ * @param {string} format - "csv" | "marc" | "marcxml"
+ * @yields {Object}
+ */
+async function* readBookRecords(stream, format) {
+  let row = 0;
+
+  if (format === 'csv') {
+    let header;
+    for await (const cells of parseCsv(stream)) {
+      if (!header) {
+        header = cells.map(name => CSV_COLUMNS[name.toLowerCase().replace(/[^a-z0-9]/g, '')] || null);
+        if (!header.includes('title') || !(header.includes('author') || header.includes('authors'))) {
+          throw new AppError(400, 'INVALID_CSV_HEADER', 'The first row must be a header naming at least title and author (or authors) columns');
+        }
+        continue;
+      }
+      row++;
+      yield { row, fields: csvToBook(header, cells) };
+    }
+    return;
+  }
+
+  const records = format === 'marc' ? readMarcRecords(stream) : readMarcXmlRecords(stream);
+  for await (const record of records) {
+    row++;
+    yield record.error
+      ? { row, error: { code: 'INVALID_RECORD', field: null, message: record.error } }
+      : { row, fields: marcToBook(record) };
+  }
+}
+
+/**
+ * Create a book and its copies, or merge into an existing one
+ * @param {Object} fields - Validated book fields (with quantity)
+ * @param {Object} existing - Existing book ({ _id }) or null
+ * @returns {Promise<Object>} The book ({ _id })
+ */
+async function writeBook({ quantity, ...input }, existing) {
+  return runInTransaction(async (session) => {
+    if (!existing) {
+      const fields = await linkBibliography(input, { session });
+      const book = new Book({ ...fields, quantity: 0, available: false });
+      await book.save({ session });
+      const count = quantity === undefined ? 1 : quantity;
+      if (count > 0) await addCopies(book._id, Array.from({ length: count }, () => ({})), session);
+      return book;
+    }
+
+    const current = await Book.findById(existing._id)
+      .select('title category subjects authorIds seriesId seriesVolume workId')
+      .session(session)
+      .lean();
+    const fields = await linkBibliography(input, { session, current });
+    await Book.updateOne({ _id: existing._id }, fields, { session, runValidators: true });
+    if (quantity !== undefined) {
+      const held = await Copy.countDocuments({ bookId: existing._id, status: { $in: HELD_STATUSES } })
+        .session(session);
+      if (quantity > held) {
+        await receiveCopies(existing._id, Array.from({ length: quantity - held }, () => ({})), session);
+      }
+    }
+    return existing;
+  });
+}
+
+/**
+ * Import books from a stream
+ * @param {Readable} stream - CSV, ISO 2709 or MARCXML content
+ * @param {Object} options
+ * @param {string} options.format - "csv" | "marc" | "marcxml"
+ * @param {boolean} options.dryRun - Validate and report without writing
+ * @param {string} options.onDuplicate - "merge" (default) | "skip" for known isbns
+ * @returns {Promise<Object>} Report: counts plus errors as
+ *   [{ row (1-based, CSV header excluded), isbn, title, errors: [{ code, field, message }] }]
+ */
+async function importBooks(stream, { format, dryRun = false, onDuplicate = 'merge' }) {
+  const report = {
+    format,
+    dryRun,
+    onDuplicate,
+    processed: 0,
+    created: 0,
+    merged: 0,
+    skipped: 0,
+    failed: 0,
+    errors: [],
+    errorsTruncated: false
+  };
+  // isbn -> book already seen in this file (a placeholder on dry runs)
+  const seen = new Map();
+
+  const fail = (row, fields, errors) => {
+    report.failed++;
+    if (report.errors.length >= MAX_REPORTED_ERRORS) {
+      report.errorsTruncated = true;
+      return;
+    }
+    report.errors.push({ row, isbn: fields && fields.isbn, title: fields && fields.title, errors });
+  };
+
+  for await (const record of readBookRecords(stream, format)) {
+    report.processed++;
+    if (record.error) {
+      fail(record.row, null, [record.error]);
+      continue;
+    }
+
+    // Normalizes isbn to ISBN-13, so hyphenated and ISBN-10 rows dedupe too
+    const { value, errors } = validateFields(importRow.body, record.fields);
+    if (!value.author && !value.authors && !errors.some(e => e.field === 'author' || e.field.startsWith('authors'))) {
+      errors.push({ code: 'REQUIRED', field: 'author', message: 'author or authors is required' });
+    }
+    if (errors.length) {
+      fail(record.row, record.fields, errors);
+      continue;
+    }
+
+    const { isbn } = value;
+
+    try {
+      // Deleted books keep their isbn (it is unique), so they are found too
+      const existing = isbn
+        ? seen.get(isbn) || await Book.findOne({ isbn }).setOptions({ withDeleted: true }).select('_id deletedAt').lean()
+        : null;
+
+      if (existing && existing.deletedAt) {
+        fail(record.row, value, [{
+          code: 'BOOK_DELETED',
+          field: 'isbn',
+          message: `isbn belongs to deleted book ${existing._id}; restore or purge it first`
+        }]);
+        continue;
+      }
+
+      if (existing && onDuplicate === 'skip') {
+        report.skipped++;
+        continue;
+      }
+
+      if (!dryRun) {
+        const book = await writeBook(value, existing);
+        if (isbn) seen.set(isbn, { _id: book._id });
+        if (!existing) emitEvent('book.created', bookEventData(book));
+      } else if (isbn) {
+        seen.set(isbn, existing || { _id: null });
+      }
+      report[existing ? 'merged' : 'created']++;
+    } catch (err) {
+      const { status, code, message, field, details } = describeError(err);
+      if (status >= 500) throw err;
+      fail(record.row, value, details || [{ code, field: field || null, message }]);
+    }
+  }
+
+  return report;
+}
+
+module.exports = {
+  detectFormat,
+  marcToBook,
+  importBooks
+};
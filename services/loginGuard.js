@@ -0,0 +1,102 @@
+/**
+ * Login Guard
+ * Brute-force protection for POST /members/login.
+ *
+ * Failed attempts are counted per account (email) and per client IP. Once
+ * either reaches its threshold (config/rateLimitConfig.js lockout) further
+ * attempts are refused for a lock period that doubles with every failure
+ * after that, until the failure window passes or the right password is
+ * given. Password checks take the same time whether or not the email is
+ * registered.
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const rateLimitConfig = require('../config/rateLimitConfig');
+const { getStore } = require('../utils/rateLimitStore');
+
+const { lockout } = rateLimitConfig;
+
+// Compared against when the email is unknown, so those attempts cost a
+// bcrypt round like real ones (same cost factor as stored passwords)
+const DUMMY_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), 10);
+
+/**
+ * Counter keys for an attempt
+ * @param {string} email - Email as entered
+ * @param {string} ip - Client IP
+ * @returns {Array<Array>} [[key, threshold], ...]
+ */
+function scopes(email, ip) {
+  return [
+    [`login:account:${String(email).trim().toLowerCase()}`, lockout.accountThreshold],
+    [`login:ip:${ip}`, lockout.ipThreshold]
+  ];
+}
+
+/**
+ * Whether an attempt may go ahead
+ * @param {string} email - Email as entered
+ * @param {string} ip - Client IP
+ * @returns {Promise<number>} 0, or milliseconds until the lock ends
+ */
+async function lockedFor(email, ip) {
+  if (!rateLimitConfig.enabled) return 0;
+  const store = getStore();
+  let wait = 0;
+  for (const [key] of scopes(email, ip)) {
+    const lock = await store.get(`${key}:lock`);
+    if (lock) wait = Math.max(wait, lock.resetAt - Date.now());
+  }
+  return wait;
+}
+
+/**
+ * Count a failed attempt, locking the account or IP once past its threshold
+ * @param {string} email - Email as entered
+ * @param {string} ip - Client IP
+ */
+async function recordFailure(email, ip) {
+  if (!rateLimitConfig.enabled) return;
+  const store = getStore();
+  for (const [key, threshold] of scopes(email, ip)) {
+    const { count } = await store.increment(`${key}:failures`, lockout.windowMs);
+    if (count < threshold) continue;
+
+    const lockMs = Math.min(lockout.lockMs * 2 ** (count - threshold), lockout.maxLockMs);
+    await store.reset(`${key}:lock`);
+    await store.increment(`${key}:lock`, lockMs);
+  }
+}
+
+/**
+ * Clear an account's failures after the right password. The IP's count is
+ * kept, so signing in to one account does not reset guesses at others.
+ * @param {string} email - Email as entered
+ */
+async function recordSuccess(email) {
+  if (!rateLimitConfig.enabled) return;
+  const store = getStore();
+  const [[key]] = scopes(email, null);
+  await store.reset(`${key}:failures`);
+  await store.reset(`${key}:lock`);
+}
+
+/**
+ * Check a password against a member's hash, or against a dummy hash when
+ * there is no member, so both cases take as long
+ * @param {Object|null} member - Member with password hash
+ * @param {string} password - Password as entered
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(member, password) {
+  const matches = await bcrypt.compare(password, member ? member.password : DUMMY_HASH);
+  return Boolean(member) && matches;
+}
+
+module.exports = {
+  lockedFor,
+  recordFailure,
+  recordSuccess,
+  verifyPassword
+};
@@ -0,0 +1,21 @@
+/**
+ * Console Mail Transport
+ * Prints each message to stdout instead of sending it (local development)
+ */
+
+/**
+ * @param {Object} options - { log } output function (default console.log)
+ * @returns {Object} Transport { name, send(message) }
+ */
+function createConsoleTransport({ log = console.log } = {}) {
+  return {
+    name: 'console',
+
+    async send({ from, to, subject, text }) {
+      log(`📧 Mail from ${from} to ${to}\nSubject: ${subject}\n\n${text}\n`);
+      return { id: null };
+    }
+  };
+}
+
+module.exports = { createConsoleTransport };
@@ -0,0 +1,36 @@
+/**
+ * File Mail Transport
+ * Writes each message to its own .eml file, so local setups and scripted
+ * checks can read the links they would have been mailed
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * @param {Object} options - { dir } the outbox directory (created on first send)
+ * @returns {Object} Transport { name, send(message) }
+ */
+function createFileTransport({ dir }) {
+  return {
+    name: 'file',
+
+    async send({ from, to, subject, text }) {
+      await fs.mkdir(dir, { recursive: true });
+      const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+      const file = path.join(dir, `${id}.eml`);
+      const headers = [
+        `From: ${from}`,
+        `To: ${to}`,
+        `Subject: ${subject}`,
+        `Date: ${new Date().toUTCString()}`,
+        'Content-Type: text/plain; charset=utf-8'
+      ];
+      await fs.writeFile(file, `${headers.join('\r\n')}\r\n\r\n${text}\r\n`);
+      return { id, file };
+    }
+  };
+}
+
+module.exports = { createFileTransport };
@@ -0,0 +1,57 @@
+/**
+ * Mail Service
+ * Sends account emails through a pluggable transport.
+ *
+ * A transport is any object with
+ *   name: string
+ *   send({ from, to, subject, text }) -> Promise<{ id }>
+ * Built-in transports live in services/mail/ and are chosen by
+ * config/mailConfig.js; setTransport() plugs in any other (e.g. SMTP).
+ */
+
+const mailConfig = require('../config/mailConfig');
+const { createConsoleTransport } = require('./mail/consoleTransport');
+const { createFileTransport } = require('./mail/fileTransport');
+
+const TRANSPORTS = {
+  console: () => createConsoleTransport(),
+  file: () => createFileTransport({ dir: mailConfig.outboxDir })
+};
+
+let transport;
+
+/**
+ * The active transport (created from config on first use)
+ * @returns {Object}
+ */
+function getTransport() {
+  if (!transport) {
+    const create = TRANSPORTS[mailConfig.transport];
+    if (!create) throw new Error(`Unknown MAIL_TRANSPORT "${mailConfig.transport}"`);
+    transport = create();
+  }
+  return transport;
+}
+
+/**
+ * Replace the active transport
+ * @param {Object} next - Transport
+ */
+function setTransport(next) {
+  transport = next;
+}
+
+/**
+ * Send a plain-text message
+ * @param {Object} message - { to, subject, text }
+ * @returns {Promise<Object>} Transport result
+ */
+async function sendMail({ to, subject, text }) {
+  return getTransport().send({ from: mailConfig.from, to, subject, text });
+}
+
+module.exports = {
+  getTransport,
+  setTransport,
+  sendMail
+};
@@ -0,0 +1,299 @@
+/**
+ * Membership Service
+ * Library cards, membership renewal and expiry, and the registrar import
+ * that keeps student memberships in step with enrolment.
+ *
+ * Expired members cannot check out, renew or place holds (see
+ * services/circulationService.js and services/holdService.js). With
+ * MEMBERSHIP_ON_EXPIRY=deactivate the membership job also switches their
+ * accounts off; renewing switches them back on.
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const Member = require('../Models/Members');
+const membershipConfig = require('../config/membershipConfig');
+const { validateFields } = require('../middleware/validate');
+const { registrarRow } = require('../validators/members');
+const { parseCsv } = require('../utils/csv');
+const { generateCardNumber, termEndDate, nextTermEnd, roleExpires, membershipExpiry } = require('../utils/membership');
+const { describeError } = require('../utils/dbUtils');
+const { emitEvent, memberEventData } = require('./eventBus');
+const { AppError } = require('../utils/errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Keep the report bounded for very large files
+const MAX_REPORTED_ERRORS = 500;
+
+// Registrar CSV header (lowercased, letters and digits only) -> field
+const REGISTRAR_COLUMNS = {
+  studentid: 'studentId',
+  id: 'studentId',
+  name: 'name',
+  fullname: 'name',
+  email: 'email',
+  department: 'department',
+  dept: 'department',
+  term: 'term',
+  semester: 'term',
+  expiresat: 'expiresAt',
+  expires: 'expiresAt',
+  expiry: 'expiresAt'
+};
+
+/**
+ * Formatted message for an expired membership
+ * @param {Object} member - Member (needs membershipExpiresAt)
+ * @returns {AppError}
+ */
+function membershipExpiredError(member) {
+  const date = new Date(member.membershipExpiresAt).toISOString().slice(0, 10);
+  return new AppError(403, 'MEMBERSHIP_EXPIRED', `Membership expired on ${date}; renew it to borrow`);
+}
+
+/**
+ * The expiry a renewal moves a member to: one more term counted from the
+ * current expiry, or from now when that has already passed
+ * @param {Object} member - Member (role, membershipExpiresAt)
+ * @param {Date} now - Reference time
+ * @returns {Date|null}
+ */
+function renewedExpiry(member, now) {
+  const current = member.membershipExpiresAt ? new Date(member.membershipExpiresAt) : null;
+  const from = current && current > now ? current : now;
+  return membershipExpiry(member.role, from);
+}
+
+/**
+ * Renew a membership
+ * @param {string} memberId - Member ID
+ * @param {Object} options - { term, expiresAt } set an exact expiry (staff only)
+ * @param {Object} actor - req.user ({ id, role })
+ * @returns {Promise<Object>} { _id, cardNumber, membershipExpiresAt, isActive }
+ */
+async function renewMembership(memberId, { term, expiresAt } = {}, actor) {
+  const member = await Member.findById(memberId).select('role membershipExpiresAt expiryDeactivatedAt').lean();
+  if (!member) throw new AppError(404, 'MEMBER_NOT_FOUND', 'Member not found');
+
+  const now = new Date();
+  let expiry;
+  if (expiresAt !== undefined) {
+    expiry = expiresAt;
+  } else if (term !== undefined) {
+    expiry = termEndDate(term);
+    if (!expiry) throw new AppError(400, 'INVALID_TERM', `Unknown academic term "${term}"`, { field: 'term' });
+  } else {
+    if (!roleExpires(member.role)) {
+      throw new AppError(409, 'MEMBERSHIP_DOES_NOT_EXPIRE', 'This membership does not expire');
+    }
+    if (actor.role !== 'admin') {
+      // Student terms follow enrolment, so only staff or the registrar import renew them
+      if (!membershipConfig.termMonths[member.role]) {
+        throw new AppError(403, 'RENEWAL_NOT_ALLOWED', 'Student memberships are renewed by the library from enrolment records');
+      }
+      const opensAt = new Date(member.membershipExpiresAt).getTime() - membershipConfig.selfRenewalWindowDays * DAY_MS;
+      if (now.getTime() < opensAt) {
+        throw new AppError(409, 'RENEWAL_TOO_EARLY',
+          `Memberships can be renewed from ${membershipConfig.selfRenewalWindowDays} days before they expire`);
+      }
+    }
+    expiry = renewedExpiry(member, now);
+  }
+
+  const update = { membershipExpiresAt: expiry };
+  if (member.expiryDeactivatedAt && (!expiry || expiry > now)) {
+    Object.assign(update, { isActive: true, expiryDeactivatedAt: null });
+  }
+  return Member.findByIdAndUpdate(memberId, update, {
+    new: true,
+    lean: true,
+    projection: { cardNumber: 1, membershipExpiresAt: 1, isActive: 1 }
+  });
+}
+
+/**
+ * Issue a new card number (lost or damaged card); the old one stops working
+ * @param {string} memberId - Member ID
+ * @returns {Promise<Object>} { _id, cardNumber }
+ */
+async function replaceCard(memberId) {
+  const member = await Member.findByIdAndUpdate(memberId, { cardNumber: generateCardNumber() }, {
+    new: true,
+    lean: true,
+    projection: { cardNumber: 1 }
+  });
+  if (!member) throw new AppError(404, 'MEMBER_NOT_FOUND', 'Member not found');
+  return member;
+}
+
+/**
+ * Apply the expiry action to members whose membership has run out
+ * @param {Date} now - Reference time
+ * @returns {Promise<Object>} { expired, deactivated }
+ */
+async function expireMemberships(now = new Date()) {
+  const filter = { isActive: true, membershipExpiresAt: { $lt: now } };
+  if (membershipConfig.onExpiry !== 'deactivate') {
+    return { expired: await Member.countDocuments(filter), deactivated: 0 };
+  }
+
+  const result = await Member.updateMany(filter, { isActive: false, expiryDeactivatedAt: now });
+  return { expired: result.matchedCount, deactivated: result.modifiedCount };
+}
+
+/**
+ * Map a registrar CSV row onto fields using the header row
+ * @param {Array<string>} header - Field per column (null = ignored column)
+ * @param {Array<string>} cells - Row values
+ * @returns {Object} Fields (empty cells omitted)
+ */
+function csvToStudent(header, cells) {
+  const student = {};
+  header.forEach((field, i) => {
+    const value = (cells[i] || '').trim();
+    if (field && value !== '') student[field] = value;
+  });
+  return student;
+}
+
+/**
+ * Create or update one student from a registrar row
+ * @param {Object} fields - Validated row
+ * @param {Date} expiry - Membership expiry for the row
+ * @param {boolean} dryRun - Check without writing
+ * @returns {Promise<string>} "created" | "updated"
+ */
+async function writeStudent({ studentId, name, email, department }, expiry, dryRun) {
+  // Deleted members keep their studentId, so they are matched too. Two
+  // matches can only be data from before studentId was unique: never guess.
+  const matches = await Member.find({ studentId })
+    .setOptions({ withDeleted: true })
+    .select('role email membershipExpiresAt expiryDeactivatedAt deletedAt')
+    .limit(2)
+    .lean();
+  if (matches.length > 1) {
+    throw new AppError(409, 'AMBIGUOUS_STUDENT_ID', `studentId ${studentId} is held by more than one member`, { field: 'studentId' });
+  }
+  const [existing] = matches;
+  if (existing && existing.deletedAt) {
+    throw new AppError(409, 'MEMBER_DELETED', `studentId ${studentId} belongs to a deleted member; restore it first`, { field: 'studentId' });
+  }
+
+  if (email && (!existing || existing.email !== email)) {
+    const taken = await Member.exists({ email, studentId: { $ne: studentId } });
+    if (taken) throw new AppError(400, 'EMAIL_TAKEN', 'Email already registered to another member', { field: 'email' });
+  }
+
+  if (!existing) {
+    if (!name || !email) {
+      throw new AppError(400, 'VALIDATION_FAILED', 'name and email are required for new students', {
+        field: name ? 'email' : 'name'
+      });
+    }
+    if (!dryRun) {
+      // Students set a password through /members/forgot-password, which
+      // mails their registrar address
+      const member = await Member.create({
+        name,
+        email,
+        department,
+        studentId,
+        role: 'student',
+        password: await bcrypt.hash(crypto.randomBytes(24).toString('hex'), 10),
+        emailVerified: true,
+        emailVerifiedAt: new Date(),
+        membershipExpiresAt: expiry
+      });
+      emitEvent('member.registered', memberEventData(member, 'import'));
+    }
+    return 'created';
+  }
+
+  if (existing.role !== 'student') {
+    throw new AppError(409, 'NOT_A_STUDENT', `studentId ${studentId} belongs to a ${existing.role} account`, { field: 'studentId' });
+  }
+
+  const update = {};
+  if (name) update.name = name;
+  if (email) update.email = email;
+  if (department) update.department = department;
+  // The registrar extends memberships; it never cuts one short
+  if (!existing.membershipExpiresAt || expiry > existing.membershipExpiresAt) {
+    update.membershipExpiresAt = expiry;
+    if (existing.expiryDeactivatedAt && expiry > new Date()) {
+      Object.assign(update, { isActive: true, expiryDeactivatedAt: null });
+    }
+  }
+  if (!dryRun) await Member.updateOne({ _id: existing._id }, update, { runValidators: true });
+  return 'updated';
+}
+
+/**
+ * Sync students from a registrar CSV. Each row names a student by
+ * studentId; known students get their details updated and their
+ * membership extended to the row's term (or expiresAt), unknown ones are
+ * created. Rows without a term or expiresAt run to the end of the current
+ * term. Students missing from the file keep their membership until it
+ * expires, which is how graduates stop borrowing.
+ * @param {Readable} stream - CSV content
+ * @param {Object} options - { dryRun } validate and report without writing
+ * @returns {Promise<Object>} Report: counts plus errors as
+ *   [{ row (1-based, header excluded), studentId, errors: [{ code, field, message }] }]
+ */
+async function importStudents(stream, { dryRun = false } = {}) {
+  const report = { dryRun, processed: 0, created: 0, updated: 0, failed: 0, errors: [], errorsTruncated: false };
+  const fail = (row, fields, errors) => {
+    report.failed++;
+    if (report.errors.length >= MAX_REPORTED_ERRORS) {
+      report.errorsTruncated = true;
+      return;
+    }
+    report.errors.push({ row, studentId: fields.studentId, errors });
+  };
+
+  let header;
+  let row = 0;
+  for await (const cells of parseCsv(stream)) {
+    if (!header) {
+      header = cells.map(name => REGISTRAR_COLUMNS[name.toLowerCase().replace(/[^a-z0-9]/g, '')] || null);
+      if (!header.includes('studentId')) {
+        throw new AppError(400, 'INVALID_CSV_HEADER', 'The first row must be a header naming at least a studentId column');
+      }
+      continue;
+    }
+    row++;
+    report.processed++;
+
+    const fields = csvToStudent(header, cells);
+    const { value, errors } = validateFields(registrarRow.body, fields);
+    let expiry = value.expiresAt;
+    if (!expiry && value.term) {
+      expiry = termEndDate(value.term);
+      if (!expiry) errors.push({ code: 'INVALID_TERM', field: 'term', message: `Unknown academic term "${value.term}"` });
+    }
+    if (errors.length) {
+      fail(row, fields, errors);
+      continue;
+    }
+
+    try {
+      const outcome = await writeStudent(value, expiry || nextTermEnd(new Date()), dryRun);
+      report[outcome]++;
+    } catch (err) {
+      const { status, code, message, field, details } = describeError(err);
+      if (status >= 500) throw err;
+      fail(row, fields, details || [{ code, field: field || null, message }]);
+    }
+  }
+
+  return report;
+}
+
+module.exports = {
+  membershipExpiredError,
+  renewMembership,
+  replaceCard,
+  expireMemberships,
+  importStudents
+};
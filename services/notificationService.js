@@ -0,0 +1,249 @@
+/**
+ * Notification Service
+ * Tells members about their loans, holds and fines.
+ *
+ * The notifications job scans for events - a loan due within a few days or
+ * overdue, a hold ready for pickup or about to lapse, a new fine - and
+ * queues one Notification per event and channel, rendered from
+ * services/notifications/templates.js. Each occurrence has a dedupe key,
+ * so scanning again never notifies twice. Queued messages are then sent,
+ * with failed sends retried with exponential backoff.
+ *
+ * Members choose their channels (notificationChannels: "email", "sms") and
+ * can mute events (mutedNotifications). A transport is any object with
+ *   name: string
+ *   send({ to, subject, text }) -> Promise<{ id }>
+ * Email goes through services/mailService.js; SMS transports live in
+ * services/sms/. setTransport() plugs in any other.
+ */
+
+const Notification = require('../Models/Notification');
+const Borrowed = require('../Models/Loan');
+const Reservation = require('../Models/Reservation');
+const Fine = require('../Models/Fine');
+const notificationConfig = require('../config/notificationConfig');
+const { renderTemplate } = require('./notifications/templates');
+const { sendMail, getTransport: getMailTransport } = require('./mailService');
+const { createConsoleTransport } = require('./sms/consoleTransport');
+const { createFileTransport } = require('./sms/fileTransport');
+const { AppError } = require('../utils/errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Member fields needed to address and personalise a notification
+const MEMBER_FIELDS = 'name email phone isActive deletedAt notificationChannels mutedNotifications';
+
+const SMS_TRANSPORTS = {
+  console: () => createConsoleTransport(),
+  file: () => createFileTransport({ dir: notificationConfig.smsOutboxDir })
+};
+
+const CHANNEL_TRANSPORTS = {
+  email: () => ({
+    name: `mail:${getMailTransport().name}`,
+    send: ({ to, subject, text }) => sendMail({ to, subject, text })
+  }),
+  sms: () => {
+    const create = SMS_TRANSPORTS[notificationConfig.smsTransport];
+    if (!create) throw new Error(`Unknown SMS_TRANSPORT "${notificationConfig.smsTransport}"`);
+    return create();
+  }
+};
+
+const transports = {};
+
+/**
+ * The active transport for a channel (created from config on first use)
+ * @param {string} channel - "email" | "sms"
+ * @returns {Object}
+ */
+function getTransport(channel) {
+  if (!transports[channel]) transports[channel] = CHANNEL_TRANSPORTS[channel]();
+  return transports[channel];
+}
+
+/**
+ * Replace the transport of a channel
+ * @param {string} channel - "email" | "sms"
+ * @param {Object} next - Transport
+ */
+function setTransport(channel, next) {
+  transports[channel] = next;
+}
+
+/**
+ * Where a member can be reached on each channel they chose
+ * @param {Object} member - Member (email, phone, notificationChannels)
+ * @returns {Array<Array>} [[channel, address], ...]
+ */
+function recipients(member) {
+  const channels = member.notificationChannels || ['email'];
+  const addresses = { email: member.email, sms: member.phone };
+  return channels.filter(channel => addresses[channel]).map(channel => [channel, addresses[channel]]);
+}
+
+/**
+ * Queue an event's notification on each of the member's channels. Already
+ * queued occurrences (same dedupe key and channel) are left alone.
+ * @param {string} event - Notification event
+ * @param {Object} member - Member with MEMBER_FIELDS
+ * @param {Object} context - { book, loan, hold, fine } for the template
+ * @param {string} dedupeKey - Identifies the occurrence
+ * @returns {Promise<number>} Notifications queued
+ */
+async function queueNotification(event, member, context, dedupeKey) {
+  if (!member || member.deletedAt || !member.isActive) return 0;
+  if ((member.mutedNotifications || []).includes(event)) return 0;
+
+  let queued = 0;
+  for (const [channel, to] of recipients(member)) {
+    const { subject, text } = renderTemplate(event, channel, { member, ...context });
+    const result = await Notification.updateOne(
+      { dedupeKey, channel },
+      { $setOnInsert: { memberId: member._id, event, to, subject, body: text, nextAttemptAt: new Date() } },
+      { upsert: true }
+    );
+    queued += result.upsertedCount;
+  }
+  return queued;
+}
+
+/**
+ * Queue notifications for every event that needs one
+ * @param {Date} now - Reference time
+ * @returns {Promise<Object>} Notifications queued per event
+ */
+async function queueDueNotifications(now = new Date()) {
+  const since = new Date(now.getTime() - notificationConfig.lookbackDays * DAY_MS);
+  const counts = { due_soon: 0, overdue: 0, hold_ready: 0, hold_expiring: 0, fine_issued: 0 };
+
+  const loans = (filter) => Borrowed.find({ returned: false, ...filter })
+    .select('userId bookId dueDate')
+    .populate('userId', MEMBER_FIELDS)
+    .populate('bookId', 'title')
+    .lean()
+    .cursor();
+  const holds = (filter) => Reservation.find({ status: 'ready', ...filter })
+    .select('memberId bookId readyAt expiresAt')
+    .populate('memberId', MEMBER_FIELDS)
+    .populate('bookId', 'title')
+    .lean()
+    .cursor();
+
+  const dueBy = new Date(now.getTime() + notificationConfig.dueSoonDays * DAY_MS);
+  for await (const loan of loans({ dueDate: { $gt: now, $lte: dueBy } })) {
+    if (!loan.bookId) continue;
+    counts.due_soon += await queueNotification('due_soon', loan.userId, { book: loan.bookId, loan },
+      `due_soon:${loan._id}:${loan.dueDate.toISOString()}`);
+  }
+
+  for await (const loan of loans({ dueDate: { $lt: now, $gte: since } })) {
+    if (!loan.bookId) continue;
+    counts.overdue += await queueNotification('overdue', loan.userId, { book: loan.bookId, loan },
+      `overdue:${loan._id}:${loan.dueDate.toISOString()}`);
+  }
+
+  for await (const hold of holds({ readyAt: { $gte: since } })) {
+    if (!hold.bookId) continue;
+    counts.hold_ready += await queueNotification('hold_ready', hold.memberId, { book: hold.bookId, hold },
+      `hold_ready:${hold._id}:${hold.readyAt.toISOString()}`);
+  }
+
+  const lapsesBy = new Date(now.getTime() + notificationConfig.holdExpiringHours * HOUR_MS);
+  for await (const hold of holds({ expiresAt: { $gt: now, $lte: lapsesBy } })) {
+    if (!hold.bookId) continue;
+    counts.hold_expiring += await queueNotification('hold_expiring', hold.memberId, { book: hold.bookId, hold },
+      `hold_expiring:${hold._id}:${hold.expiresAt.toISOString()}`);
+  }
+
+  const fines = Fine.find({ status: 'open', createdAt: { $gte: since } })
+    .select('memberId bookId type amount')
+    .populate('memberId', MEMBER_FIELDS)
+    .populate('bookId', 'title')
+    .lean()
+    .cursor();
+  for await (const fine of fines) {
+    counts.fine_issued += await queueNotification('fine_issued', fine.memberId, { book: fine.bookId, fine },
+      `fine_issued:${fine._id}`);
+  }
+
+  return counts;
+}
+
+/**
+ * Try to send one notification, recording the attempt
+ * @param {Document} notification - Pending notification
+ * @param {Date} now - Reference time for scheduling a retry
+ * @returns {Promise<string>} Resulting status
+ */
+async function deliver(notification, now) {
+  const attempt = { attemptedAt: new Date() };
+  notification.attempts += 1;
+  try {
+    const transport = getTransport(notification.channel);
+    attempt.transport = transport.name;
+    const result = await transport.send({ to: notification.to, subject: notification.subject, text: notification.body });
+    if (result && result.id) attempt.messageId = String(result.id);
+    notification.status = 'sent';
+    notification.sentAt = attempt.attemptedAt;
+    notification.lastError = undefined;
+  } catch (err) {
+    attempt.error = err.message;
+    notification.lastError = err.message;
+    if (notification.attempts >= notificationConfig.maxAttempts) {
+      notification.status = 'failed';
+    } else {
+      const delay = notificationConfig.retryBaseMs * 2 ** (notification.attempts - 1);
+      notification.nextAttemptAt = new Date(now.getTime() + delay);
+    }
+  }
+  notification.deliveries.push(attempt);
+  await notification.save();
+  return notification.status;
+}
+
+/**
+ * Send queued notifications that are due (oldest first, one batch)
+ * @param {Date} now - Reference time
+ * @returns {Promise<Object>} { sent, retrying, failed }
+ */
+async function sendPendingNotifications(now = new Date()) {
+  const batch = await Notification.find({ status: 'pending', nextAttemptAt: { $lte: now } })
+    .sort({ nextAttemptAt: 1 })
+    .limit(notificationConfig.batchSize);
+
+  const result = { sent: 0, retrying: 0, failed: 0 };
+  for (const notification of batch) {
+    const status = await deliver(notification, now);
+    result[status === 'pending' ? 'retrying' : status]++;
+  }
+  return result;
+}
+
+/**
+ * Queue a failed notification for another round of attempts
+ * @param {string} notificationId - Notification ID
+ * @returns {Promise<Object>} The notification
+ */
+async function retryNotification(notificationId) {
+  const notification = await Notification.findById(notificationId).select('status').lean();
+  if (!notification) throw new AppError(404, 'NOTIFICATION_NOT_FOUND', 'Notification not found');
+  if (notification.status !== 'failed') {
+    throw new AppError(409, 'NOTIFICATION_NOT_FAILED', 'Only failed notifications can be retried');
+  }
+  return Notification.findByIdAndUpdate(
+    notificationId,
+    { status: 'pending', attempts: 0, nextAttemptAt: new Date() },
+    { new: true, lean: true }
+  );
+}
+
+module.exports = {
+  getTransport,
+  setTransport,
+  queueNotification,
+  queueDueNotifications,
+  sendPendingNotifications,
+  retryNotification
+};
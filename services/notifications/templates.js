@@ -0,0 +1,105 @@
+/**
+ * Notification Templates
+ * Message text per event. Each template renders a context into
+ *   { subject, text }   for email
+ *   { text }            for SMS (kept short)
+ * Contexts carry { member, book, loan, hold, fine } as relevant.
+ */
+
+const notificationConfig = require('../../config/notificationConfig');
+
+/**
+ * @param {Date} date
+ * @returns {string} e.g. "Mon, 19 Oct 2026"
+ */
+function formatDate(date) {
+  return new Date(date).toUTCString().slice(0, 16);
+}
+
+/**
+ * @param {number} cents - Amount in minor units
+ * @returns {string} e.g. "$12.50"
+ */
+function formatAmount(cents) {
+  return `${notificationConfig.currencySymbol}${(cents / 100).toFixed(2)}`;
+}
+
+const SIGNATURE = '\n\nLibra Library';
+
+const TEMPLATES = {
+  due_soon: {
+    email: ({ member, book, loan }) => ({
+      subject: `Due soon: ${book.title}`,
+      text: `Hello ${member.name},\n\n"${book.title}" is due back on ${formatDate(loan.dueDate)}. ` +
+        'Return or renew it before then to avoid a fine.' + SIGNATURE
+    }),
+    sms: ({ book, loan }) => ({
+      text: `Libra: "${book.title}" is due ${formatDate(loan.dueDate)}. Return or renew to avoid a fine.`
+    })
+  },
+
+  overdue: {
+    email: ({ member, book, loan }) => ({
+      subject: `Overdue: ${book.title}`,
+      text: `Hello ${member.name},\n\n"${book.title}" was due back on ${formatDate(loan.dueDate)} and is now overdue. ` +
+        'Fines accrue for every day it is late; please return it as soon as you can.' + SIGNATURE
+    }),
+    sms: ({ book, loan }) => ({
+      text: `Libra: "${book.title}" was due ${formatDate(loan.dueDate)} and is overdue. Please return it.`
+    })
+  },
+
+  hold_ready: {
+    email: ({ member, book, hold }) => ({
+      subject: `Ready for pickup: ${book.title}`,
+      text: `Hello ${member.name},\n\n"${book.title}", which you placed on hold, is ready for pickup. ` +
+        `We will keep it for you until ${formatDate(hold.expiresAt)}.` + SIGNATURE
+    }),
+    sms: ({ book, hold }) => ({
+      text: `Libra: your hold "${book.title}" is ready. Pick it up by ${formatDate(hold.expiresAt)}.`
+    })
+  },
+
+  hold_expiring: {
+    email: ({ member, book, hold }) => ({
+      subject: `Last chance to pick up: ${book.title}`,
+      text: `Hello ${member.name},\n\n"${book.title}" is still waiting for you, but only until ${formatDate(hold.expiresAt)}. ` +
+        'After that it goes to the next member in line.' + SIGNATURE
+    }),
+    sms: ({ book, hold }) => ({
+      text: `Libra: pick up "${book.title}" by ${formatDate(hold.expiresAt)} or it goes to the next member.`
+    })
+  },
+
+  fine_issued: {
+    email: ({ member, book, fine }) => ({
+      subject: `New fine: ${formatAmount(fine.amount)}`,
+      text: `Hello ${member.name},\n\nA fine of ${formatAmount(fine.amount)} (${fine.type}) was added to your account` +
+        (book ? ` for "${book.title}"` : '') + '.' +
+        (fine.type === 'overdue' ? ' It grows each day until the book is returned.' : '') + SIGNATURE
+    }),
+    sms: ({ book, fine }) => ({
+      text: `Libra: a fine of ${formatAmount(fine.amount)} (${fine.type}) was added to your account` +
+        (book ? ` for "${book.title}"` : '') + '.'
+    })
+  }
+};
+
+/**
+ * Render the message for an event and channel
+ * @param {string} event - Notification event
+ * @param {string} channel - "email" | "sms"
+ * @param {Object} context - { member, book, loan, hold, fine }
+ * @returns {Object} { subject, text }
+ */
+function renderTemplate(event, channel, context) {
+  const template = TEMPLATES[event] && TEMPLATES[event][channel];
+  if (!template) throw new Error(`No ${channel} template for "${event}"`);
+  return template(context);
+}
+
+module.exports = {
+  EVENTS: Object.keys(TEMPLATES),
+  formatAmount,
+  renderTemplate
+};
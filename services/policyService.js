@@ -0,0 +1,64 @@
+/**
+ * Circulation Policy Service
+ * Resolves the effective lending rules for a member role and book category
+ */
+
+const CirculationPolicy = require('../Models/CirculationPolicy');
+const circulationConfig = require('../config/circulationConfig');
+
+const POLICY_FIELDS = ['loanPeriodDays', 'maxLoans', 'maxRenewals', 'overdueGraceDays', 'dailyFine', 'maxFine'];
+
+/**
+ * Built-in policy for a role (the behavior when no overrides exist)
+ * @param {string} role - Member role
+ * @returns {Object}
+ */
+function getDefaultPolicy(role) {
+  const { defaultPolicy } = circulationConfig;
+  return { ...(defaultPolicy[role] || defaultPolicy.student) };
+}
+
+/**
+ * Copy the policy fields that are set on an override document
+ * @param {Object} target - Policy being built
+ * @param {Object} override - CirculationPolicy document (may be null)
+ */
+function applyOverride(target, override) {
+  if (!override) return;
+  for (const field of POLICY_FIELDS) {
+    if (override[field] !== undefined) target[field] = override[field];
+  }
+}
+
+/**
+ * Resolve the effective policy: built-in default, then the role policy,
+ * then the role+category policy
+ * @param {string} role - Member role
+ * @param {string} category - Book category (optional)
+ * @param {ClientSession} session - Optional transaction
+ * @returns {Promise<Object>} Policy fields plus `sources` listing the overrides applied
+ */
+async function resolvePolicy(role, category, session) {
+  const categories = category ? [null, category] : [null];
+  const overrides = await CirculationPolicy.find({ role, category: { $in: categories } })
+    .session(session || null)
+    .lean();
+
+  const policy = getDefaultPolicy(role);
+  const sources = ['default'];
+  const roleOverride = overrides.find(p => p.category === null);
+  const categoryOverride = category && overrides.find(p => p.category === category);
+
+  applyOverride(policy, roleOverride);
+  if (roleOverride) sources.push(String(roleOverride._id));
+  applyOverride(policy, categoryOverride);
+  if (categoryOverride) sources.push(String(categoryOverride._id));
+
+  return { role, category: category || null, ...policy, sources };
+}
+
+module.exports = {
+  POLICY_FIELDS,
+  getDefaultPolicy,
+  resolvePolicy
+};
@@ -0,0 +1,118 @@
+/**
+ * Reading History Service
+ * Honours the keepReadingHistory privacy setting. For members who turned
+ * it off, returned loans are detached from them once
+ * privacyConfig.readingHistoryGraceDays have passed: the loan keeps its
+ * book and dates for circulation statistics, but no longer says who
+ * borrowed it. The same goes for everything else that ties the member to
+ * those loans:
+ *   - the loans' audit entries (including as the actor of their own
+ *     checkouts and renewals),
+ *   - the holds the loans fulfilled, and their audit entries,
+ *   - the audit entries the member wrote on the loaned copies (self-service
+ *     checkout),
+ *   - the loan event payloads stored with webhook deliveries.
+ * Their loan reminders are deleted.
+ *
+ * Loans with an open fine stay linked until the fine is settled; fines and
+ * payments are financial records and keep their member.
+ */
+
+const Member = require('../Models/Members');
+const Borrowed = require('../Models/Loan');
+const Reservation = require('../Models/Reservation');
+const WebhookDelivery = require('../Models/WebhookDelivery');
+const Fine = require('../Models/Fine');
+const Notification = require('../Models/Notification');
+const privacyConfig = require('../config/privacyConfig');
+const { redactEntries } = require('./auditService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BATCH_SIZE = 500;
+
+// Loan fields that identify the borrower
+const BORROWER_FIELDS = ['userId', 'renewals'];
+
+/**
+ * Detach one batch of loans from their borrowers
+ * @param {Array<Object>} loans - Loans ({ _id, userId, copyId })
+ * @param {Date} now - Reference time
+ * @returns {Promise<number>} Loans anonymized
+ */
+async function anonymizeLoans(loans, now) {
+  const ids = loans.map(loan => loan._id);
+  const result = await Borrowed.updateMany(
+    { _id: { $in: ids }, anonymizedAt: null },
+    { $set: { anonymizedAt: now, renewals: [] }, $unset: { userId: 1 } },
+    { withDeleted: true }
+  );
+  // Raw collection writes: ids must be ObjectIds, not strings
+  const borrowers = [...new Map(loans.map(loan => [String(loan.userId), loan.userId])).values()];
+  await redactEntries('Borrowed', ids, BORROWER_FIELDS, { actors: borrowers });
+
+  const holds = await Reservation.find({ loanId: { $in: ids } }).distinct('_id');
+  if (holds.length) {
+    await Reservation.updateMany({ _id: { $in: holds } }, { $unset: { memberId: 1 } });
+    await redactEntries('Reservation', holds, ['memberId'], { actors: borrowers });
+  }
+
+  // Copies do not name the borrower; only the member's own writes do
+  const copies = loans.map(loan => loan.copyId).filter(Boolean);
+  if (copies.length) await redactEntries('Copy', copies, [], { actors: borrowers });
+
+  await WebhookDelivery.updateMany(
+    { 'payload.data.loanId': { $in: ids.map(String) } },
+    { $set: { 'payload.data.memberId': null } }
+  );
+
+  // Reminders name the book; their dedupe keys start with event:loanId
+  const members = borrowers.map(String);
+  await Notification.deleteMany({
+    memberId: { $in: members },
+    event: { $in: ['due_soon', 'overdue'] },
+    dedupeKey: { $regex: `^(due_soon|overdue):(${ids.join('|')}):` }
+  });
+  return result.modifiedCount;
+}
+
+/**
+ * Anonymize the returned loans of members who opted out of keeping their
+ * reading history
+ * @param {Date} now - Reference time
+ * @returns {Promise<Object>} { members, loans }
+ */
+async function purgeReadingHistory(now = new Date()) {
+  const optedOut = await Member.find({ keepReadingHistory: false })
+    .setOptions({ withDeleted: true })
+    .distinct('_id');
+  if (!optedOut.length) return { members: 0, loans: 0 };
+
+  const cutoff = new Date(now.getTime() - privacyConfig.readingHistoryGraceDays * DAY_MS);
+  const unsettled = await Fine.distinct('loanId', { memberId: { $in: optedOut }, status: 'open', loanId: { $ne: null } });
+
+  const cursor = Borrowed.find({
+    userId: { $in: optedOut },
+    returned: true,
+    returnDate: { $lte: cutoff },
+    _id: { $nin: unsettled }
+  })
+    .setOptions({ withDeleted: true })
+    .select('userId copyId')
+    .lean()
+    .cursor();
+
+  let loans = 0;
+  let batch = [];
+  for await (const loan of cursor) {
+    batch.push(loan);
+    if (batch.length >= BATCH_SIZE) {
+      loans += await anonymizeLoans(batch, now);
+      batch = [];
+    }
+  }
+  if (batch.length) loans += await anonymizeLoans(batch, now);
+
+  return { members: optedOut.length, loans };
+}
+
+module.exports = { purgeReadingHistory };
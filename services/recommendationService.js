@@ -0,0 +1,245 @@
+/**
+ * Recommendation Service
+ * "Members who borrowed this also borrowed..." and per-member suggestions.
+ *
+ * The recommendations job rebuilds BookSimilarity from loan history: two
+ * books are similar when the same members borrowed both, scored by the
+ * cosine similarity of their borrower sets. Requests only read those
+ * precomputed lists, plus the member's own loans for their affinity to
+ * categories and authors, so they stay cheap. Titles with a copy on the
+ * shelf rank ahead of ones that are all out (unavailableWeight).
+ */
+
+const Book = require('../Models/Books');
+const Member = require('../Models/Members');
+const Borrowed = require('../Models/Loan');
+const Reservation = require('../Models/Reservation');
+const BookSimilarity = require('../Models/BookSimilarity');
+const recommendationConfig = require('../config/recommendationConfig');
+const { ACTIVE_STATUSES } = require('./holdService');
+const { AppError } = require('../utils/errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WRITE_BATCH = 500;
+
+// Fields returned for each suggested book
+const BOOK_FIELDS = 'title author isbn category publicationYear available quantity ratingAverage ratingCount authorIds';
+
+// Categories and authors a member's affinity looks at
+const TOP_CATEGORIES = 5;
+const TOP_AUTHORS = 10;
+
+/**
+ * @param {number} value
+ * @returns {number} Rounded to three decimals
+ */
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Prefer titles that can be picked up now
+ * @param {number} score - Unweighted score
+ * @param {Object} book - Book (available)
+ * @returns {number}
+ */
+function availabilityWeighted(score, book) {
+  return book.available ? score : score * recommendationConfig.unavailableWeight;
+}
+
+/**
+ * Rebuild the similar-books lists from recent loan history
+ * @param {Date} now - Reference time
+ * @returns {Promise<Object>} { members, books, pairs }
+ */
+async function computeSimilarities(now = new Date()) {
+  const since = new Date(now.getTime() - recommendationConfig.lookbackDays * DAY_MS);
+  const borrowers = new Map();
+  const pairs = new Map();
+  let members = 0;
+
+  const histories = Borrowed.aggregate([
+    // Anonymized loans (services/readingHistoryService.js) have no borrower
+    { $match: { borrowDate: { $gte: since }, userId: { $ne: null } } },
+    { $sort: { userId: 1, borrowDate: -1 } },
+    { $group: { _id: '$userId', books: { $push: '$bookId' } } }
+  ]).allowDiskUse(true).cursor();
+
+  for await (const { books } of histories) {
+    // Most recent first; a book borrowed twice counts once
+    const ids = [...new Set(books.map(String))].slice(0, recommendationConfig.maxBooksPerMember).sort();
+    members++;
+    for (let i = 0; i < ids.length; i++) {
+      borrowers.set(ids[i], (borrowers.get(ids[i]) || 0) + 1);
+      for (let j = i + 1; j < ids.length; j++) {
+        if (!pairs.has(ids[i])) pairs.set(ids[i], new Map());
+        const counts = pairs.get(ids[i]);
+        counts.set(ids[j], (counts.get(ids[j]) || 0) + 1);
+      }
+    }
+  }
+
+  const neighbors = new Map();
+  const addNeighbor = (bookId, entry) => {
+    if (!neighbors.has(bookId)) neighbors.set(bookId, []);
+    neighbors.get(bookId).push(entry);
+  };
+  let similarPairs = 0;
+  for (const [a, counts] of pairs) {
+    for (const [b, coBorrowers] of counts) {
+      if (coBorrowers < recommendationConfig.minCoBorrowers) continue;
+      const score = round(coBorrowers / Math.sqrt(borrowers.get(a) * borrowers.get(b)));
+      addNeighbor(a, { bookId: b, score, coBorrowers });
+      addNeighbor(b, { bookId: a, score, coBorrowers });
+      similarPairs++;
+    }
+  }
+
+  let ops = [];
+  for (const [bookId, similar] of neighbors) {
+    similar.sort((x, y) => y.score - x.score || y.coBorrowers - x.coBorrowers);
+    ops.push({
+      updateOne: {
+        filter: { bookId },
+        update: { $set: { similar: similar.slice(0, recommendationConfig.neighbors), computedAt: now } },
+        upsert: true
+      }
+    });
+    if (ops.length >= WRITE_BATCH) {
+      await BookSimilarity.bulkWrite(ops, { ordered: false });
+      ops = [];
+    }
+  }
+  if (ops.length) await BookSimilarity.bulkWrite(ops, { ordered: false });
+  // Books that lost all their neighbours since the last run
+  await BookSimilarity.deleteMany({ computedAt: { $lt: now } });
+
+  return { members, books: neighbors.size, pairs: similarPairs };
+}
+
+/**
+ * Books borrowed by the same members as a book
+ * @param {string} bookId - Book ID
+ * @param {Object} options - { limit }
+ * @returns {Promise<Object>} { bookId, computedAt, books: [{ ...book, score, coBorrowers }] }
+ */
+async function similarBooks(bookId, { limit = 10 } = {}) {
+  const book = await Book.exists({ _id: bookId });
+  if (!book) throw new AppError(404, 'BOOK_NOT_FOUND', 'Book not found');
+
+  const entry = await BookSimilarity.findOne({ bookId }).lean();
+  if (!entry) return { bookId, computedAt: null, books: [] };
+
+  const books = await Book.find({ _id: { $in: entry.similar.map(s => s.bookId) } }).select(BOOK_FIELDS).lean();
+  const byId = new Map(books.map(b => [String(b._id), b]));
+  const ranked = entry.similar
+    .filter(s => byId.has(String(s.bookId)))
+    .map(s => {
+      const similar = byId.get(String(s.bookId));
+      return { ...similar, score: round(availabilityWeighted(s.score, similar)), coBorrowers: s.coBorrowers };
+    })
+    .sort((a, b) => b.score - a.score);
+
+  return { bookId, computedAt: entry.computedAt, books: ranked.slice(0, limit) };
+}
+
+/**
+ * Share of a member's books per value, most frequent first
+ * @param {Array<*>} values - One value per book (arrays are flattened)
+ * @param {number} total - Books counted
+ * @param {number} top - Values to keep
+ * @returns {Map<string, number>} value -> share (0-1)
+ */
+function shares(values, total, top) {
+  const counts = new Map();
+  for (const value of values.flat()) {
+    if (value === undefined || value === null || value === '') continue;
+    counts.set(String(value), (counts.get(String(value)) || 0) + 1);
+  }
+  return new Map([...counts].sort((a, b) => b[1] - a[1]).slice(0, top).map(([value, n]) => [value, n / total]));
+}
+
+/**
+ * Suggest books for a member from what they borrowed: titles similar to
+ * their recent loans, and titles in their favourite categories or by
+ * their favourite authors. Books they have borrowed or are waiting for
+ * are never suggested.
+ * @param {string} memberId - Member ID
+ * @param {Object} options - { limit }
+ * @returns {Promise<Object>} { memberId, computedAt, books: [{ ...book, score, reasons }] }
+ */
+async function recommendForMember(memberId, { limit = 10 } = {}) {
+  const member = await Member.exists({ _id: memberId });
+  if (!member) throw new AppError(404, 'MEMBER_NOT_FOUND', 'Member not found');
+
+  const [loans, held] = await Promise.all([
+    Borrowed.find({ userId: memberId }).select('bookId').sort({ borrowDate: -1 }).lean(),
+    Reservation.distinct('bookId', { memberId, status: { $in: ACTIVE_STATUSES } })
+  ]);
+  const seen = new Set([...loans.map(l => String(l.bookId)), ...held.map(String)]);
+  const seeds = [...new Set(loans.map(l => String(l.bookId)))].slice(0, recommendationConfig.maxBooksPerMember);
+  if (!seeds.length) return { memberId, computedAt: null, books: [] };
+
+  // Co-borrowing: sum of similarities to the member's books
+  const candidates = new Map();
+  const candidate = (id) => {
+    if (!candidates.has(id)) candidates.set(id, { similarity: 0, reasons: new Set() });
+    return candidates.get(id);
+  };
+  const entries = await BookSimilarity.find({ bookId: { $in: seeds } }).lean();
+  let computedAt = null;
+  for (const entry of entries) {
+    if (!computedAt || entry.computedAt > computedAt) computedAt = entry.computedAt;
+    for (const s of entry.similar) {
+      const id = String(s.bookId);
+      if (seen.has(id)) continue;
+      const c = candidate(id);
+      c.similarity += s.score;
+      c.reasons.add('borrowed_together');
+    }
+  }
+
+  // Affinity: the categories and authors the member reads most
+  const history = await Book.find({ _id: { $in: seeds } }).select('category authorIds').setOptions({ withDeleted: true }).lean();
+  const categories = shares(history.map(b => b.category), history.length, TOP_CATEGORIES);
+  const authors = shares(history.map(b => b.authorIds || []), history.length, TOP_AUTHORS);
+
+  const [coBorrowedBooks, affinityBooks] = await Promise.all([
+    Book.find({ _id: { $in: [...candidates.keys()] } }).select(BOOK_FIELDS).lean(),
+    categories.size || authors.size
+      ? Book.find({
+        _id: { $nin: [...seen] },
+        $or: [{ category: { $in: [...categories.keys()] } }, { authorIds: { $in: [...authors.keys()] } }]
+      })
+        .select(BOOK_FIELDS)
+        .sort({ available: -1, _id: -1 })
+        .limit(recommendationConfig.affinityCandidates)
+        .lean()
+      : []
+  ]);
+
+  const maxSimilarity = Math.max(0, ...[...candidates.values()].map(c => c.similarity));
+  const books = new Map([...coBorrowedBooks, ...affinityBooks].map(b => [String(b._id), b]));
+  const ranked = [];
+  for (const [id, book] of books) {
+    const c = candidate(id);
+    const categoryShare = categories.get(String(book.category)) || 0;
+    const authorShare = Math.max(0, ...(book.authorIds || []).map(a => authors.get(String(a)) || 0));
+    if (categoryShare) c.reasons.add('category');
+    if (authorShare) c.reasons.add('author');
+
+    const similarity = maxSimilarity ? c.similarity / maxSimilarity : 0;
+    const affinity = (categoryShare + authorShare) / 2;
+    const score = availabilityWeighted(similarity + recommendationConfig.affinityWeight * affinity, book);
+    ranked.push({ ...book, score: round(score), reasons: [...c.reasons] });
+  }
+  ranked.sort((a, b) => b.score - a.score);
+
+  return { memberId, computedAt, books: ranked.slice(0, limit) };
+}
+
+module.exports = {
+  computeSimilarities,
+  similarBooks,
+  recommendForMember
+};
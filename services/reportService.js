@@ -0,0 +1,406 @@
+/**
+ * Report Service
+ * Circulation analytics. Every report takes an optional { from, to } date
+ * range (inclusive) and returns flat rows, so the same data can be sent as
+ * JSON or exported as CSV (see REPORT_COLUMNS).
+ *
+ * Reports count loan history, including loans of books and members that
+ * were deleted since; deleted loans themselves are left out.
+ */
+
+const Book = require('../Models/Books');
+const Borrowed = require('../Models/Loan');
+const { exportRows } = require('./exportService');
+const { AppError } = require('../utils/errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A `to` without a time of day covers that whole day (UTC)
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Periods circulation can be grouped by ($dateTrunc units)
+const INTERVALS = ['day', 'week', 'month'];
+
+// [column, value getter] per report, for CSV and JSON exports
+const REPORT_COLUMNS = {
+  circulation: [
+    ['period', r => r.period],
+    ['checkouts', r => r.checkouts],
+    ['returns', r => r.returns]
+  ],
+  topTitles: [
+    ['bookId', r => r.bookId],
+    ['title', r => r.title],
+    ['author', r => r.author],
+    ['isbn', r => r.isbn],
+    ['loans', r => r.loans],
+    ['borrowers', r => r.borrowers]
+  ],
+  topAuthors: [
+    ['authorId', r => r.authorId],
+    ['author', r => r.author],
+    ['loans', r => r.loans],
+    ['titles', r => r.titles]
+  ],
+  borrowing: [
+    ['group', r => r.group],
+    ['loans', r => r.loans],
+    ['borrowers', r => r.borrowers]
+  ],
+  loanDuration: [
+    ['role', r => r.role],
+    ['loans', r => r.loans],
+    ['averageDays', r => r.averageDays],
+    ['minDays', r => r.minDays],
+    ['maxDays', r => r.maxDays]
+  ],
+  overdueRate: [
+    ['period', r => r.period],
+    ['due', r => r.due],
+    ['overdue', r => r.overdue],
+    ['rate', r => r.rate]
+  ],
+  neverBorrowed: [
+    ['bookId', r => r.bookId],
+    ['title', r => r.title],
+    ['author', r => r.author],
+    ['isbn', r => r.isbn],
+    ['category', r => r.category],
+    ['publicationYear', r => r.publicationYear],
+    ['copies', r => r.copies],
+    ['addedAt', r => r.addedAt]
+  ]
+};
+
+/**
+ * Date range from report query parameters
+ * @param {Object} query - { from, to } date strings (to is inclusive; a
+ *   date-only to runs to the end of that day)
+ * @returns {Object} { from, to } as Dates, null when open
+ */
+function parseRange(query) {
+  const from = query.from ? new Date(query.from) : null;
+  let to = query.to ? new Date(query.to) : null;
+  if (to && DATE_ONLY.test(query.to)) to = new Date(to.getTime() + DAY_MS - 1);
+  if (from && to && from > to) {
+    throw new AppError(400, 'INVALID_DATE_RANGE', 'from must not be after to', { field: 'from' });
+  }
+  return { from, to };
+}
+
+/**
+ * Download report rows as CSV or JSON
+ * @param {Object} res - Express response
+ * @param {Object} options - { report (REPORT_COLUMNS key), format, rows }
+ */
+function exportReport(res, { report, format, rows }) {
+  const name = `report-${report.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)}`;
+  return exportRows(res, { name, format, rows, columns: REPORT_COLUMNS[report] });
+}
+
+/**
+ * $match condition for a date range
+ * @param {Object} range - { from, to } Dates (either optional)
+ * @returns {Object|undefined} undefined when the range is open on both ends
+ */
+function dateRange({ from, to }) {
+  if (!from && !to) return undefined;
+  const condition = {};
+  if (from) condition.$gte = from;
+  if (to) condition.$lte = to;
+  return condition;
+}
+
+/**
+ * A $match stage on a date field, or nothing for an open range
+ * @param {string} field - Date field
+ * @param {Object} range - { from, to }
+ * @param {Object} extra - Further conditions
+ * @returns {Object} $match stage
+ */
+function matchRange(field, range, extra = {}) {
+  const condition = dateRange(range);
+  return { $match: condition ? { ...extra, [field]: condition } : extra };
+}
+
+/**
+ * Expression truncating a date to the start of its period (UTC, weeks
+ * starting on Monday)
+ * @param {string} field - Date field path ("$borrowDate")
+ * @param {string} interval - "day" | "week" | "month"
+ * @returns {Object}
+ */
+function periodOf(field, interval) {
+  if (!INTERVALS.includes(interval)) {
+    throw new AppError(400, 'INVALID_INTERVAL', `interval must be one of: ${INTERVALS.join(', ')}`, { field: 'interval' });
+  }
+  return { $dateTrunc: { date: field, unit: interval, startOfWeek: 'monday', timezone: 'UTC' } };
+}
+
+/**
+ * @param {number} ms - Duration
+ * @returns {number} Days, to one decimal
+ */
+function toDays(ms) {
+  return ms === null || ms === undefined ? null : Math.round((ms / DAY_MS) * 10) / 10;
+}
+
+/**
+ * Checkouts and returns per period
+ * @param {Object} params - { from, to, interval }
+ * @returns {Promise<Array>} [{ period, checkouts, returns }] oldest first
+ */
+async function circulation({ from, to, interval = 'day' }) {
+  const [result] = await Borrowed.aggregate([
+    {
+      $facet: {
+        checkouts: [
+          matchRange('borrowDate', { from, to }),
+          { $group: { _id: periodOf('$borrowDate', interval), count: { $sum: 1 } } }
+        ],
+        returns: [
+          matchRange('returnDate', { from, to }, { returned: true, returnDate: { $ne: null } }),
+          { $group: { _id: periodOf('$returnDate', interval), count: { $sum: 1 } } }
+        ]
+      }
+    }
+  ]);
+
+  const periods = new Map();
+  const row = (date) => {
+    const key = date.toISOString();
+    if (!periods.has(key)) periods.set(key, { period: date, checkouts: 0, returns: 0 });
+    return periods.get(key);
+  };
+  for (const { _id, count } of result.checkouts) row(_id).checkouts = count;
+  for (const { _id, count } of result.returns) row(_id).returns = count;
+  return [...periods.values()].sort((a, b) => a.period - b.period);
+}
+
+/**
+ * Titles borrowed most often in the range
+ * @param {Object} params - { from, to, limit }
+ * @returns {Promise<Array>} [{ bookId, title, author, isbn, loans, borrowers }]
+ */
+async function topTitles({ from, to, limit = 10 }) {
+  return Borrowed.aggregate([
+    matchRange('borrowDate', { from, to }),
+    { $group: { _id: '$bookId', loans: { $sum: 1 }, borrowers: { $addToSet: '$userId' } } },
+    { $sort: { loans: -1, _id: 1 } },
+    { $limit: limit },
+    { $lookup: { from: 'books', localField: '_id', foreignField: '_id', as: 'book' } },
+    { $unwind: { path: '$book', preserveNullAndEmptyArrays: true } },
+    {
+      $project: {
+        _id: 0,
+        bookId: '$_id',
+        title: '$book.title',
+        author: '$book.author',
+        isbn: '$book.isbn',
+        loans: 1,
+        borrowers: { $size: '$borrowers' }
+      }
+    }
+  ]);
+}
+
+/**
+ * Authors whose books were borrowed most often in the range. Each credited
+ * author of a co-authored book counts the loan; books not yet linked to
+ * author records count under their byline.
+ * @param {Object} params - { from, to, limit }
+ * @returns {Promise<Array>} [{ authorId, author, loans, titles }]
+ */
+async function topAuthors({ from, to, limit = 10 }) {
+  return Borrowed.aggregate([
+    matchRange('borrowDate', { from, to }),
+    { $group: { _id: '$bookId', loans: { $sum: 1 } } },
+    { $lookup: { from: 'books', localField: '_id', foreignField: '_id', as: 'book' } },
+    { $unwind: '$book' },
+    {
+      $project: {
+        loans: 1,
+        credits: {
+          $cond: [
+            { $gt: [{ $size: { $ifNull: ['$book.authorIds', []] } }, 0] },
+            '$book.authorIds',
+            ['$book.author']
+          ]
+        }
+      }
+    },
+    { $unwind: '$credits' },
+    { $group: { _id: '$credits', loans: { $sum: '$loans' }, titles: { $sum: 1 } } },
+    { $sort: { loans: -1, _id: 1 } },
+    { $limit: limit },
+    { $lookup: { from: 'authors', localField: '_id', foreignField: '_id', as: 'author' } },
+    { $unwind: { path: '$author', preserveNullAndEmptyArrays: true } },
+    {
+      $project: {
+        _id: 0,
+        authorId: '$author._id',
+        author: { $ifNull: ['$author.name', '$_id'] },
+        loans: 1,
+        titles: 1
+      }
+    }
+  ]);
+}
+
+/**
+ * Loans and distinct borrowers per member role or department
+ * @param {Object} params - { from, to, by: "role" | "department" }
+ * @returns {Promise<Array>} [{ group, loans, borrowers }] busiest first
+ */
+async function borrowing({ from, to, by = 'role' }) {
+  return Borrowed.aggregate([
+    matchRange('borrowDate', { from, to }),
+    { $lookup: { from: 'members', localField: 'userId', foreignField: '_id', as: 'member' } },
+    { $unwind: { path: '$member', preserveNullAndEmptyArrays: true } },
+    {
+      $group: {
+        _id: `$member.${by}`,
+        loans: { $sum: 1 },
+        borrowers: { $addToSet: '$userId' }
+      }
+    },
+    { $sort: { loans: -1, _id: 1 } },
+    { $project: { _id: 0, group: '$_id', loans: 1, borrowers: { $size: '$borrowers' } } }
+  ]);
+}
+
+/**
+ * How long returned loans were kept, per member role and overall ("all").
+ * Lost items are left out.
+ * @param {Object} params - { from, to } range of return dates
+ * @returns {Promise<Array>} [{ role, loans, averageDays, minDays, maxDays }]
+ */
+async function loanDuration({ from, to }) {
+  const groups = await Borrowed.aggregate([
+    matchRange('returnDate', { from, to }, { returned: true, returnDate: { $ne: null } }),
+    { $project: { userId: 1, duration: { $subtract: ['$returnDate', '$borrowDate'] } } },
+    { $lookup: { from: 'members', localField: 'userId', foreignField: '_id', as: 'member' } },
+    { $unwind: { path: '$member', preserveNullAndEmptyArrays: true } },
+    {
+      $group: {
+        _id: '$member.role',
+        loans: { $sum: 1 },
+        total: { $sum: '$duration' },
+        min: { $min: '$duration' },
+        max: { $max: '$duration' }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  const all = { _id: 'all', loans: 0, total: 0, min: null, max: null };
+  for (const group of groups) {
+    all.loans += group.loans;
+    all.total += group.total;
+    all.min = all.min === null ? group.min : Math.min(all.min, group.min);
+    all.max = all.max === null ? group.max : Math.max(all.max, group.max);
+  }
+
+  return [...groups, all].filter(group => group.loans > 0).map(group => ({
+    role: group._id,
+    loans: group.loans,
+    averageDays: toDays(group.total / group.loans),
+    minDays: toDays(group.min),
+    maxDays: toDays(group.max)
+  }));
+}
+
+/**
+ * Share of loans that came due in each period and were returned late (or
+ * are still out past their due date)
+ * @param {Object} params - { from, to, interval } range of due dates
+ * @returns {Promise<Array>} [{ period, due, overdue, rate }] oldest first
+ */
+async function overdueRate({ from, to, interval = 'month' }) {
+  const now = new Date();
+  const rows = await Borrowed.aggregate([
+    matchRange('dueDate', { from, to }, { dueDate: { $lte: now } }),
+    {
+      $project: {
+        period: periodOf('$dueDate', interval),
+        late: {
+          $gt: [{ $ifNull: ['$returnDate', { $ifNull: ['$lostAt', now] }] }, '$dueDate']
+        }
+      }
+    },
+    { $group: { _id: '$period', due: { $sum: 1 }, overdue: { $sum: { $cond: ['$late', 1, 0] } } } },
+    { $sort: { _id: 1 } }
+  ]);
+  return rows.map(({ _id, due, overdue }) => ({
+    period: _id,
+    due,
+    overdue,
+    rate: Math.round((overdue / due) * 1000) / 1000
+  }));
+}
+
+/**
+ * Titles nobody borrowed in the range (or ever, without one), oldest
+ * acquisitions first: candidates for weeding. With a `from` date, books
+ * added after it are too new to judge and are left out.
+ * @param {Object} params - { from, to, limit }
+ * @returns {Promise<Array>} [{ bookId, title, author, isbn, category, publicationYear, copies, addedAt }]
+ */
+async function neverBorrowed({ from, to, limit = 100 }) {
+  const loanMatch = { $expr: { $eq: ['$bookId', '$$bookId'] }, deletedAt: null };
+  const range = dateRange({ from, to });
+  if (range) loanMatch.borrowDate = range;
+
+  return Book.aggregate([
+    { $match: from ? { createdAt: { $lte: from } } : {} },
+    {
+      $lookup: {
+        from: 'borroweds',
+        let: { bookId: '$_id' },
+        pipeline: [{ $match: loanMatch }, { $limit: 1 }, { $project: { _id: 1 } }],
+        as: 'loans'
+      }
+    },
+    { $match: { loans: { $size: 0 } } },
+    { $sort: { createdAt: 1, _id: 1 } },
+    { $limit: limit },
+    {
+      $lookup: {
+        from: 'copies',
+        let: { bookId: '$_id' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$bookId', '$$bookId'] }, status: { $ne: 'lost' } } },
+          { $count: 'held' }
+        ],
+        as: 'holdings'
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        bookId: '$_id',
+        title: 1,
+        author: 1,
+        isbn: 1,
+        category: 1,
+        publicationYear: 1,
+        copies: { $ifNull: [{ $first: '$holdings.held' }, 0] },
+        addedAt: '$createdAt'
+      }
+    }
+  ]);
+}
+
+module.exports = {
+  INTERVALS,
+  REPORT_COLUMNS,
+  parseRange,
+  exportReport,
+  circulation,
+  topTitles,
+  topAuthors,
+  borrowing,
+  loanDuration,
+  overdueRate,
+  neverBorrowed
+};
@@ -0,0 +1,158 @@
+/**
+ * Review Service
+ * Member ratings and reviews, and their moderation.
+ *
+ * A member may review a book once, after borrowing and returning it. Any
+ * member can flag someone else's review for the moderators; admins hide a
+ * review or approve it (which clears its flags). Books carry the mean and
+ * count of their visible ratings (ratingAverage, ratingCount), refreshed
+ * after every change.
+ */
+
+const mongoose = require('mongoose');
+const Book = require('../Models/Books');
+const Borrowed = require('../Models/Loan');
+const Review = require('../Models/Review');
+const { AppError } = require('../utils/errors');
+
+/**
+ * Recompute a book's rating from its visible reviews
+ * @param {ObjectId|string} bookId - Book ID
+ * @returns {Promise<Object>} { ratingAverage, ratingCount }
+ */
+async function refreshBookRating(bookId) {
+  const [summary] = await Review.aggregate([
+    { $match: { bookId: new mongoose.Types.ObjectId(String(bookId)), status: 'visible' } },
+    { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]);
+  const rating = {
+    ratingAverage: summary ? Math.round(summary.average * 100) / 100 : null,
+    ratingCount: summary ? summary.count : 0
+  };
+  await Book.updateOne({ _id: bookId }, rating);
+  return rating;
+}
+
+/**
+ * Load a review or fail with 404
+ * @param {string} reviewId - Review ID
+ * @returns {Promise<Document>}
+ */
+async function findReview(reviewId) {
+  const review = await Review.findById(reviewId);
+  if (!review) throw new AppError(404, 'REVIEW_NOT_FOUND', 'Review not found');
+  return review;
+}
+
+/**
+ * Rate and review a book
+ * @param {string} memberId - Reviewer
+ * @param {string} bookId - Book ID
+ * @param {Object} fields - { rating, text }
+ * @returns {Promise<Object>} The review
+ */
+async function createReview(memberId, bookId, { rating, text }) {
+  const book = await Book.exists({ _id: bookId });
+  if (!book) throw new AppError(404, 'BOOK_NOT_FOUND', 'Book not found');
+
+  const read = await Borrowed.exists({ userId: memberId, bookId, returned: true, returnDate: { $ne: null } });
+  if (!read) {
+    throw new AppError(403, 'REVIEW_NOT_ALLOWED', 'Only members who borrowed and returned this book can review it');
+  }
+  if (await Review.exists({ memberId, bookId })) {
+    throw new AppError(409, 'REVIEW_EXISTS', 'You have already reviewed this book; edit your review instead');
+  }
+
+  const review = await Review.create({ memberId, bookId, rating, text });
+  await refreshBookRating(bookId);
+  return review.toObject();
+}
+
+/**
+ * Edit one's own review
+ * @param {string} reviewId - Review ID
+ * @param {Object} actor - req.user ({ id, role })
+ * @param {Object} fields - { rating, text }
+ * @returns {Promise<Object>} The review
+ */
+async function updateReview(reviewId, actor, { rating, text }) {
+  const review = await findReview(reviewId);
+  if (String(review.memberId) !== String(actor.id)) {
+    throw new AppError(403, 'FORBIDDEN', 'You can only edit your own reviews');
+  }
+
+  if (rating !== undefined) review.rating = rating;
+  if (text !== undefined) review.text = text;
+  await review.save();
+  await refreshBookRating(review.bookId);
+  return review.toObject();
+}
+
+/**
+ * Delete a review (its author or an admin)
+ * @param {string} reviewId - Review ID
+ * @param {Object} actor - req.user ({ id, role })
+ */
+async function deleteReview(reviewId, actor) {
+  const review = await findReview(reviewId);
+  if (actor.role !== 'admin' && String(review.memberId) !== String(actor.id)) {
+    throw new AppError(403, 'FORBIDDEN', 'You can only delete your own reviews');
+  }
+
+  await Review.deleteOne({ _id: review._id });
+  await refreshBookRating(review.bookId);
+}
+
+/**
+ * Report a review to the moderators
+ * @param {string} reviewId - Review ID
+ * @param {Object} actor - req.user ({ id, role })
+ * @param {string} reason - Why it should be looked at
+ * @returns {Promise<Object>} { _id, flagCount }
+ */
+async function flagReview(reviewId, actor, reason) {
+  const review = await Review.findById(reviewId).select('memberId status').lean();
+  if (!review || review.status !== 'visible') throw new AppError(404, 'REVIEW_NOT_FOUND', 'Review not found');
+  if (String(review.memberId) === String(actor.id)) {
+    throw new AppError(400, 'CANNOT_FLAG_OWN_REVIEW', 'You cannot flag your own review');
+  }
+
+  const flagged = await Review.findOneAndUpdate(
+    { _id: reviewId, 'flags.memberId': { $ne: actor.id } },
+    { $push: { flags: { memberId: actor.id, reason, flaggedAt: new Date() } }, $inc: { flagCount: 1 } },
+    { new: true, lean: true, projection: { flagCount: 1 } }
+  );
+  if (!flagged) throw new AppError(409, 'ALREADY_FLAGGED', 'You have already flagged this review');
+  return flagged;
+}
+
+/**
+ * Hide a review, or approve it (visible again, flags cleared)
+ * @param {string} reviewId - Review ID
+ * @param {string} action - "hide" | "approve"
+ * @param {Object} actor - req.user of the moderator
+ * @param {string} note - Moderation note (optional)
+ * @returns {Promise<Object>} The review
+ */
+async function moderateReview(reviewId, action, actor, note) {
+  const update = { moderatedAt: new Date(), moderatedBy: actor.id, moderationNote: note };
+  if (action === 'hide') {
+    update.status = 'hidden';
+  } else {
+    Object.assign(update, { status: 'visible', flags: [], flagCount: 0 });
+  }
+
+  const review = await Review.findByIdAndUpdate(reviewId, update, { new: true, lean: true });
+  if (!review) throw new AppError(404, 'REVIEW_NOT_FOUND', 'Review not found');
+  await refreshBookRating(review.bookId);
+  return review;
+}
+
+module.exports = {
+  refreshBookRating,
+  createReview,
+  updateReview,
+  deleteReview,
+  flagReview,
+  moderateReview
+};
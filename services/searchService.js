@@ -0,0 +1,140 @@
+/**
+ * Catalog Search Service
+ * Relevance-ranked full-text search with facet counts, and prefix
+ * autocomplete for the search box
+ */
+
+const Book = require('../Models/Books');
+const Author = require('../Models/Author');
+const { escapeRegex } = require('../utils/dbUtils');
+const { parseIsbn } = require('../utils/isbn');
+
+// Publication year facet buckets: [lower bound, upper bound) pairs
+const YEAR_BOUNDARIES = [0, 1900, 1950, 1980, 2000, 2010, 2020, 10000];
+
+const RESULT_FIELDS = {
+  title: 1, author: 1, isbn: 1, category: 1, subjects: 1,
+  available: 1, quantity: 1, publicationYear: 1, ratingAverage: 1, ratingCount: 1
+};
+
+/**
+ * Human-readable label for a year bucket
+ * @param {number} min - Inclusive lower bound
+ * @returns {string}
+ */
+function yearBucketLabel(min) {
+  const i = YEAR_BOUNDARIES.indexOf(min);
+  const max = YEAR_BOUNDARIES[i + 1];
+  if (min === 0) return `before ${max}`;
+  if (max === 10000) return `${min} and later`;
+  return `${min}-${max - 1}`;
+}
+
+/**
+ * Search the catalog
+ * @param {Object} params
+ * @param {string} params.q - Search terms (MongoDB $text syntax: "phrases", -exclusions),
+ *   or an ISBN in either form for an exact match
+ * @param {string} params.category - Filter by category
+ * @param {boolean} params.available - Filter by availability
+ * @param {number} params.yearFrom - Earliest publication year (inclusive)
+ * @param {number} params.yearTo - Latest publication year (inclusive)
+ * @param {number} params.skip - Results to skip
+ * @param {number} params.limit - Results per page
+ * @returns {Promise<Object>} { data, total, facets }
+ */
+async function searchCatalog({ q, category, available, yearFrom, yearTo, skip = 0, limit = 10 }) {
+  // A query that is a valid ISBN is a lookup, not a text search
+  const isbn = parseIsbn(q);
+  const match = isbn ? { isbn: isbn.isbn13 } : { $text: { $search: q } };
+  if (category) match.category = category;
+  if (available !== undefined) match.available = available;
+  if (yearFrom !== undefined || yearTo !== undefined) {
+    match.publicationYear = {};
+    if (yearFrom !== undefined) match.publicationYear.$gte = yearFrom;
+    if (yearTo !== undefined) match.publicationYear.$lte = yearTo;
+  }
+
+  const [result] = await Book.aggregate([
+    { $match: match },
+    { $addFields: { score: isbn ? 1 : { $meta: 'textScore' } } },
+    {
+      $facet: {
+        data: [
+          { $sort: { score: -1, _id: 1 } },
+          { $skip: skip },
+          { $limit: limit },
+          { $project: { ...RESULT_FIELDS, score: 1 } }
+        ],
+        total: [{ $count: 'count' }],
+        categories: [
+          { $group: { _id: '$category', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } }
+        ],
+        publicationYears: [
+          {
+            $bucket: {
+              groupBy: '$publicationYear',
+              boundaries: YEAR_BOUNDARIES,
+              default: 'unknown',
+              output: { count: { $sum: 1 } }
+            }
+          }
+        ],
+        availability: [
+          { $group: { _id: '$available', count: { $sum: 1 } } }
+        ]
+      }
+    }
+  ]);
+
+  const availability = { available: 0, unavailable: 0 };
+  for (const { _id, count } of result.availability) {
+    availability[_id ? 'available' : 'unavailable'] += count;
+  }
+
+  return {
+    data: result.data,
+    total: result.total.length ? result.total[0].count : 0,
+    facets: {
+      categories: result.categories.map(({ _id, count }) => ({ value: _id || null, count })),
+      publicationYears: result.publicationYears.map(({ _id, count }) => (
+        _id === 'unknown'
+          ? { range: 'unknown', min: null, max: null, count }
+          : { range: yearBucketLabel(_id), min: _id, max: YEAR_BOUNDARIES[YEAR_BOUNDARIES.indexOf(_id) + 1] - 1, count }
+      )),
+      availability
+    }
+  };
+}
+
+/**
+ * Prefix suggestions for titles and authors
+ * @param {string} prefix - What the user has typed so far
+ * @param {number} limit - Maximum suggestions per kind
+ * @returns {Promise<Object>} { titles: [{ _id, title, author }], authors: [string] }
+ */
+async function autocomplete(prefix, limit = 8) {
+  // Anchored and case-normalized so the normalized-field indexes serve it
+  const pattern = new RegExp('^' + escapeRegex(prefix.trim().toLowerCase()));
+
+  const titles = await Book.find({ titleNormalized: pattern })
+    .select('title author')
+    .sort({ titleNormalized: 1 })
+    .limit(limit)
+    .lean();
+
+  // Credited authors, so co-authors match as well as the first name in a byline
+  const authors = await Author.find({ nameNormalized: pattern })
+    .select('name')
+    .sort({ nameNormalized: 1 })
+    .limit(limit)
+    .lean();
+
+  return { titles, authors: authors.map(a => a.name) };
+}
+
+module.exports = {
+  searchCatalog,
+  autocomplete
+};
@@ -0,0 +1,21 @@
+/**
+ * Console SMS Transport
+ * Prints each text message to stdout instead of sending it (local development)
+ */
+
+/**
+ * @param {Object} options - { log } output function (default console.log)
+ * @returns {Object} Transport { name, send(message) }
+ */
+function createConsoleTransport({ log = console.log } = {}) {
+  return {
+    name: 'console',
+
+    async send({ to, text }) {
+      log(`📱 SMS to ${to}: ${text}`);
+      return { id: null };
+    }
+  };
+}
+
+module.exports = { createConsoleTransport };
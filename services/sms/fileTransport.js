@@ -0,0 +1,28 @@
+/**
+ * File SMS Transport
+ * Writes each text message to its own file in an outbox directory
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * @param {Object} options - { dir } the outbox directory (created on first send)
+ * @returns {Object} Transport { name, send(message) }
+ */
+function createFileTransport({ dir }) {
+  return {
+    name: 'file',
+
+    async send({ to, text }) {
+      await fs.mkdir(dir, { recursive: true });
+      const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+      const file = path.join(dir, `${id}.txt`);
+      await fs.writeFile(file, `To: ${to}\n\n${text}\n`);
+      return { id, file };
+    }
+  };
+}
+
+module.exports = { createFileTransport };
@@ -0,0 +1,297 @@
+/**
+ * Webhook Service
+ * Delivers domain events (services/eventBus.js) to subscribed HTTP
+ * endpoints.
+ *
+ * Each event is queued as one WebhookDelivery per matching active
+ * subscription and sent straight away; failures are retried by the
+ * webhooks job with exponential backoff, and deliveries that run out of
+ * attempts become dead letters an admin can redeliver. Every attempt is
+ * kept in the delivery's history.
+ *
+ * Requests are POSTs of the event envelope as JSON with the headers
+ *   X-Libra-Event:      event type
+ *   X-Libra-Delivery:   delivery id (stable across retries)
+ *   X-Libra-Signature:  t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+ * keyed with the subscription's secret. Receivers should check the
+ * signature and that t is recent. Any 2xx answer counts as delivered.
+ */
+
+const crypto = require('crypto');
+const WebhookSubscription = require('../Models/WebhookSubscription');
+const WebhookDelivery = require('../Models/WebhookDelivery');
+const webhookConfig = require('../config/webhookConfig');
+const { onEvent } = require('./eventBus');
+const { AppError } = require('../utils/errors');
+
+const USER_AGENT = 'Libra-Webhooks/1.0';
+
+// Error text kept per attempt
+const MAX_ERROR_LENGTH = 500;
+
+/**
+ * @returns {string} A new signing secret
+ */
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * Signature header value for a request body
+ * @param {string} secret - Subscription secret
+ * @param {string} body - Exact request body
+ * @param {number} timestamp - Unix seconds
+ * @returns {string} "t=<timestamp>,v1=<hex>"
+ */
+function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Check a signature header (for receivers written in Node, and the sample
+ * receiver in scripts/webhookReceiver.js)
+ * @param {string} secret - Subscription secret
+ * @param {string} body - Raw request body
+ * @param {string} header - X-Libra-Signature value
+ * @param {number} toleranceSeconds - Maximum age of the timestamp
+ * @returns {boolean}
+ */
+function verifySignature(secret, body, header, toleranceSeconds = 300) {
+  const parts = Object.fromEntries(String(header || '').split(',').map(part => part.split('=')));
+  const timestamp = parseInt(parts.t);
+  if (!timestamp || !parts.v1) return false;
+  if (Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(signPayload(secret, body, timestamp).split('v1=')[1], 'hex');
+  const given = Buffer.from(parts.v1, 'hex');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Readable reason for a failed attempt
+ * @param {Error} err - Error from fetch or the status check
+ * @returns {string}
+ */
+function describeFailure(err) {
+  if (err.name === 'TimeoutError') return `Timed out after ${webhookConfig.timeoutMs}ms`;
+  // fetch() reports network errors as "fetch failed" with the reason in cause
+  if (err.cause) return `${err.message}: ${err.cause.code || err.cause.message}`;
+  return err.message;
+}
+
+/**
+ * Create a subscription
+ * @param {Object} fields - { url, events, description, isActive }
+ * @param {string} actorId - Admin creating it
+ * @returns {Promise<Object>} The subscription, including its secret
+ */
+async function createSubscription(fields, actorId) {
+  const secret = generateSecret();
+  const subscription = await WebhookSubscription.create({ ...fields, secret, createdBy: actorId });
+  return { ...subscription.toObject(), secret };
+}
+
+/**
+ * Replace a subscription's secret; the old one stops working at once
+ * @param {string} subscriptionId - Subscription ID
+ * @returns {Promise<Object>} { _id, secret }
+ */
+async function rotateSecret(subscriptionId) {
+  const secret = generateSecret();
+  const subscription = await WebhookSubscription.findByIdAndUpdate(subscriptionId, { secret }, {
+    new: true,
+    lean: true,
+    projection: { _id: 1 }
+  });
+  if (!subscription) throw new AppError(404, 'WEBHOOK_NOT_FOUND', 'Webhook subscription not found');
+  return { _id: subscription._id, secret };
+}
+
+/**
+ * Delete a subscription and its queued deliveries (history of delivered
+ * and dead ones is kept)
+ * @param {string} subscriptionId - Subscription ID
+ */
+async function deleteSubscription(subscriptionId) {
+  const result = await WebhookSubscription.deleteOne({ _id: subscriptionId });
+  if (!result.deletedCount) throw new AppError(404, 'WEBHOOK_NOT_FOUND', 'Webhook subscription not found');
+  await WebhookDelivery.deleteMany({ subscriptionId, status: 'pending' });
+}
+
+/**
+ * Queue an event for every active subscription that wants it
+ * @param {Object} event - Envelope from the event bus
+ * @returns {Promise<Array>} The queued deliveries
+ */
+async function queueEvent(event) {
+  const subscriptions = await WebhookSubscription.find({ isActive: true, events: { $in: [event.type, '*'] } })
+    .select('_id')
+    .lean();
+  if (!subscriptions.length) return [];
+
+  return WebhookDelivery.insertMany(subscriptions.map(subscription => ({
+    subscriptionId: subscription._id,
+    eventId: event.id,
+    event: event.type,
+    payload: event
+  })), { lean: true });
+}
+
+/**
+ * POST a delivery to its subscription and record the attempt. The
+ * delivery is claimed first, so a job run and an immediate send never
+ * post it twice at the same time.
+ * @param {string} deliveryId - Delivery ID
+ * @param {Date} now - Reference time
+ * @returns {Promise<string|null>} Resulting status, or null when the
+ *   delivery was not due (already sent, or claimed elsewhere)
+ */
+async function attemptDelivery(deliveryId, now = new Date()) {
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    { _id: deliveryId, status: 'pending', nextAttemptAt: { $lte: now } },
+    { nextAttemptAt: new Date(now.getTime() + webhookConfig.timeoutMs * 2), $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!delivery) return null;
+
+  const subscription = await WebhookSubscription.findById(delivery.subscriptionId).select('+secret').lean();
+  const attempt = { attemptedAt: new Date() };
+  try {
+    if (!subscription) throw new Error('Subscription was deleted');
+    if (!subscription.isActive) throw new Error('Subscription is inactive');
+
+    const body = JSON.stringify(delivery.payload);
+    const started = Date.now();
+    let response;
+    try {
+      response = await fetch(subscription.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': USER_AGENT,
+          'X-Libra-Event': delivery.event,
+          'X-Libra-Delivery': String(delivery._id),
+          'X-Libra-Signature': signPayload(subscription.secret, body)
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(webhookConfig.timeoutMs)
+      });
+    } finally {
+      attempt.durationMs = Date.now() - started;
+    }
+    attempt.statusCode = response.status;
+    // The body of the answer is not used
+    await response.body?.cancel().catch(() => {});
+    if (response.status < 200 || response.status >= 300) throw new Error(`Receiver answered ${response.status}`);
+
+    delivery.status = 'delivered';
+    delivery.deliveredAt = attempt.attemptedAt;
+    delivery.lastError = undefined;
+  } catch (err) {
+    attempt.error = describeFailure(err).slice(0, MAX_ERROR_LENGTH);
+    delivery.lastError = attempt.error;
+    if (delivery.attempts >= webhookConfig.maxAttempts) {
+      delivery.status = 'dead';
+      delivery.deadAt = attempt.attemptedAt;
+    } else {
+      const delay = webhookConfig.retryBaseMs * 2 ** (delivery.attempts - 1);
+      delivery.nextAttemptAt = new Date(now.getTime() + delay);
+    }
+  }
+  delivery.history.push(attempt);
+  await delivery.save();
+  return delivery.status;
+}
+
+/**
+ * Send deliveries that are due (oldest first, one batch)
+ * @param {Date} now - Reference time
+ * @returns {Promise<Object>} { delivered, retrying, dead }
+ */
+async function sendPendingDeliveries(now = new Date()) {
+  const batch = await WebhookDelivery.find({ status: 'pending', nextAttemptAt: { $lte: now } })
+    .select('_id')
+    .sort({ nextAttemptAt: 1 })
+    .limit(webhookConfig.batchSize)
+    .lean();
+
+  const result = { delivered: 0, retrying: 0, dead: 0 };
+  for (const { _id } of batch) {
+    const status = await attemptDelivery(_id, now);
+    if (status) result[status === 'pending' ? 'retrying' : status]++;
+  }
+  return result;
+}
+
+/**
+ * Queue a dead delivery for another round of attempts and try it now
+ * @param {string} deliveryId - Delivery ID
+ * @returns {Promise<Object>} The delivery after the attempt
+ */
+async function redeliver(deliveryId) {
+  const delivery = await WebhookDelivery.findById(deliveryId).select('status').lean();
+  if (!delivery) throw new AppError(404, 'DELIVERY_NOT_FOUND', 'Delivery not found');
+  if (delivery.status !== 'dead') {
+    throw new AppError(409, 'DELIVERY_NOT_DEAD', 'Only dead deliveries can be redelivered');
+  }
+
+  await WebhookDelivery.updateOne(
+    { _id: deliveryId },
+    { status: 'pending', attempts: 0, nextAttemptAt: new Date(), $unset: { deadAt: 1 } }
+  );
+  await attemptDelivery(deliveryId);
+  return WebhookDelivery.findById(deliveryId).select('-payload').lean();
+}
+
+/**
+ * Send a "webhook.ping" event to one subscription, to check the receiver
+ * and its signature handling
+ * @param {string} subscriptionId - Subscription ID
+ * @returns {Promise<Object>} The delivery after the first attempt
+ */
+async function pingSubscription(subscriptionId) {
+  const subscription = await WebhookSubscription.findById(subscriptionId).select('_id').lean();
+  if (!subscription) throw new AppError(404, 'WEBHOOK_NOT_FOUND', 'Webhook subscription not found');
+
+  const event = {
+    id: crypto.randomUUID(),
+    type: 'webhook.ping',
+    occurredAt: new Date().toISOString(),
+    data: { subscriptionId: String(subscription._id) }
+  };
+  const delivery = await WebhookDelivery.create({
+    subscriptionId: subscription._id,
+    eventId: event.id,
+    event: event.type,
+    payload: event
+  });
+  await attemptDelivery(delivery._id);
+  return WebhookDelivery.findById(delivery._id).select('-payload').lean();
+}
+
+/**
+ * Forward every domain event to the webhook queue (call once at startup)
+ * @returns {Function} Stops forwarding
+ */
+function registerWebhookListener() {
+  return onEvent('*', async (event) => {
+    const deliveries = await queueEvent(event);
+    for (const delivery of deliveries) await attemptDelivery(delivery._id);
+  });
+}
+
+module.exports = {
+  signPayload,
+  verifySignature,
+  createSubscription,
+  rotateSecret,
+  deleteSubscription,
+  queueEvent,
+  attemptDelivery,
+  sendPendingDeliveries,
+  redeliver,
+  pingSubscription,
+  registerWebhookListener
+};
@@ -0,0 +1,55 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Borrowed = require('../Models/Loan');
+const AuditLog = require('../Models/AuditLog');
+const { updatedFields } = require('../services/auditService');
+
+afterEach(() => mock.restoreAll());
+
+test('updatedFields names the top-level fields an update writes', () => {
+  assert.deepStrictEqual(updatedFields({ isActive: false, 'address.city': 'Accra' }), ['isActive', 'address']);
+  assert.deepStrictEqual(updatedFields({ $set: { isOverdue: false }, $unset: { overdueSince: 1 }, $push: { 'renewals.0': {} } }),
+    ['isOverdue', 'overdueSince', 'renewals']);
+  assert.deepStrictEqual(updatedFields({ $rename: { name: 'title' } }), ['name', 'title']);
+  assert.deepStrictEqual(updatedFields([{ $set: { isOverdue: true, overdueSince: '$dueDate' } }, { $unset: ['renewals'] }]),
+    ['isOverdue', 'overdueSince', 'renewals']);
+  assert.strictEqual(updatedFields([{ $replaceWith: '$$ROOT' }]), null);
+  assert.strictEqual(updatedFields(null), null);
+});
+
+test('a bulk update reads only the fields it writes and records in batches', async () => {
+  const loans = Array.from({ length: 2500 }, () => ({ _id: new mongoose.Types.ObjectId(), isOverdue: true }));
+  const reads = [];
+  mock.method(Borrowed, 'find', (filter) => {
+    const read = { filter, fields: null };
+    reads.push(read);
+    const query = {
+      select(fields) {
+        read.fields = fields;
+        return query;
+      },
+      then(resolve, reject) {
+        const ids = filter._id ? new Set(filter._id.$in.map(String)) : null;
+        const docs = ids
+          ? loans.filter(loan => ids.has(String(loan._id))).map(loan => ({ _id: loan._id, isOverdue: false }))
+          : loans;
+        return Promise.resolve(docs).then(resolve, reject);
+      }
+    };
+    for (const method of ['setOptions', 'session', 'lean', 'sort', 'limit']) query[method] = () => query;
+    return query;
+  });
+  mock.method(Borrowed.collection, 'updateMany', async () => ({ acknowledged: true, matchedCount: loans.length, modifiedCount: loans.length }));
+  const batches = [];
+  mock.method(AuditLog, 'insertMany', async (entries) => batches.push(entries));
+
+  await Borrowed.updateMany({ isOverdue: true }, { $set: { isOverdue: false } });
+
+  // One read before the write, then one per batch of after-images
+  assert.strictEqual(reads.length, 4);
+  for (const { fields } of reads) assert.ok(fields.split(' ').includes('isOverdue') && !fields.includes('userId'), fields);
+  assert.deepStrictEqual(batches.map(entries => entries.length), [1000, 1000, 500]);
+  assert.deepStrictEqual(batches[0][0].before, { isOverdue: true });
+  assert.deepStrictEqual(batches[0][0].after, { isOverdue: false });
+});
@@ -0,0 +1,253 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Book = require('../Models/Books');
+const Borrowed = require('../Models/Loan');
+const Copy = require('../Models/Copy');
+const Fine = require('../Models/Fine');
+const Reservation = require('../Models/Reservation');
+const CirculationPolicy = require('../Models/CirculationPolicy');
+const Member = require('../Models/Members');
+const circulationConfig = require('../config/circulationConfig');
+const { checkoutBook, renewLoan, returnLoan, evaluateCheckout } = require('../services/circulationService');
+const { accrueOverdueFines } = require('../services/fineService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const id = () => new mongoose.Types.ObjectId();
+
+// Query chain stand-in: every builder method returns itself
+function chain(result) {
+  const query = { then: (resolve, reject) => Promise.resolve(result).then(resolve, reject) };
+  for (const method of ['populate', 'session', 'select', 'lean', 'setOptions']) query[method] = () => query;
+  query.cursor = () => (async function* () { yield* [].concat(result); })();
+  return query;
+}
+
+// Transactions run their callback once, without a server
+function fakeTransactions() {
+  mock.method(mongoose, 'startSession', async () => ({
+    withTransaction: async (fn) => fn(),
+    endSession: async () => {}
+  }));
+}
+
+// Fine documents kept in memory, with the overdue unique index enforced
+function fakeFines() {
+  const fines = [];
+  const same = (a, b) => String(a) === String(b);
+  const find = ({ loanId, type, dueDate }) => fines.filter(f => same(f.loanId, loanId) && f.type === type &&
+    (dueDate && dueDate.$ne ? !same(f.dueDate, dueDate.$ne) : same(f.dueDate, dueDate)));
+
+  mock.method(Fine, 'findOne', (filter) => chain(find(filter)[0] || null));
+  mock.method(Fine, 'find', (filter) => chain(find(filter)));
+  mock.method(Fine.prototype, 'save', async function () {
+    if (fines.some(f => f !== this && f.type === 'overdue' && same(f.loanId, this.loanId) && same(f.dueDate, this.dueDate))) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    if (!fines.includes(this)) fines.push(this);
+    return this;
+  });
+  return fines;
+}
+
+afterEach(() => {
+  mock.restoreAll();
+  mock.timers.reset();
+});
+
+test('a loan renewed in its grace period is fined again when it goes overdue again', async () => {
+  const start = new Date('2024-03-01T10:00:00Z');
+  mock.timers.enable({ apis: ['Date'], now: start });
+  fakeTransactions();
+  const fines = fakeFines();
+
+  // Student policy: 14 days, 25 cents a day, capped at 1000, 3 days' grace
+  const firstDueDate = new Date(start.getTime() - 1.5 * DAY_MS);
+  const loan = {
+    _id: id(),
+    userId: { _id: id(), role: 'student', isActive: true },
+    bookId: { _id: id(), category: 'fiction' },
+    copyId: id(),
+    dueDate: firstDueDate,
+    returned: false,
+    isOverdue: true,
+    renewalCount: 0,
+    renewals: [],
+    save: async () => loan,
+    depopulate: () => loan
+  };
+  mock.method(CirculationPolicy, 'find', () => chain([]));
+  mock.method(Borrowed, 'findById', () => chain(loan));
+  mock.method(Borrowed, 'find', () => chain([loan]));
+  mock.method(Borrowed, 'findOneAndUpdate', async () => Object.assign(loan, { returned: true }));
+  mock.method(Reservation, 'exists', () => chain(null));
+  mock.method(Reservation, 'findOneAndUpdate', async () => null);
+  mock.method(Copy, 'updateOne', async () => ({}));
+  mock.method(Copy, 'countDocuments', () => chain(1));
+  mock.method(Book, 'updateOne', async () => ({}));
+
+  // Renewed 1.5 days late: two started days are charged and settled
+  await renewLoan(loan._id, loan.userId._id);
+  const secondDueDate = new Date(firstDueDate.getTime() + 14 * DAY_MS);
+  assert.strictEqual(loan.dueDate.getTime(), secondDueDate.getTime());
+
+  // Overdue again: the nightly accrual opens a fine for the new due date
+  mock.timers.setTime(secondDueDate.getTime() + 2.5 * DAY_MS);
+  await accrueOverdueFines(new Date());
+
+  // Returned 4.2 days after the new due date
+  mock.timers.setTime(secondDueDate.getTime() + 4.2 * DAY_MS);
+  await returnLoan(loan._id);
+
+  assert.deepStrictEqual(fines.map(f => [f.dueDate.getTime(), f.amount, f.balance, Boolean(f.finalizedAt)]), [
+    [firstDueDate.getTime(), 50, 50, true],
+    [secondDueDate.getTime(), 125, 125, true]
+  ]);
+});
+
+test('maxFine caps the fines of all due dates of a loan together', async () => {
+  const now = new Date('2024-06-01T10:00:00Z');
+  mock.timers.enable({ apis: ['Date'], now });
+  fakeTransactions();
+  const fines = fakeFines();
+
+  const loan = {
+    _id: id(),
+    userId: { _id: id(), role: 'student' },
+    bookId: { _id: id(), category: 'fiction' },
+    dueDate: new Date(now.getTime() - 60 * DAY_MS)
+  };
+  // Charged for an earlier due date before a renewal
+  const earlier = new Fine({ memberId: loan.userId._id, loanId: loan._id, type: 'overdue', dueDate: new Date(0), amount: 300, balance: 300, finalizedAt: new Date(0) });
+  await earlier.save();
+  mock.method(CirculationPolicy, 'find', () => chain([]));
+  mock.method(Borrowed, 'find', () => chain([loan]));
+
+  await accrueOverdueFines(now);
+
+  assert.strictEqual(fines.length, 2);
+  assert.strictEqual(fines[1].amount, 700);
+  assert.strictEqual(fines[1].capped, true);
+});
+
+test('a fine block threshold of 0 blocks any unpaid balance', async () => {
+  const configPath = require.resolve('../config/circulationConfig');
+  process.env.FINE_BLOCK_THRESHOLD = '0';
+  delete require.cache[configPath];
+  try {
+    assert.strictEqual(require(configPath).fines.blockThreshold, 0);
+  } finally {
+    delete process.env.FINE_BLOCK_THRESHOLD;
+    delete require.cache[configPath];
+  }
+
+  const { blockThreshold } = circulationConfig.fines;
+  circulationConfig.fines.blockThreshold = 0;
+  try {
+    mock.method(Member, 'findById', () => chain({ role: 'student', isActive: true }));
+    mock.method(Book, 'findById', () => chain({ category: 'fiction', quantity: 1 }));
+    mock.method(CirculationPolicy, 'find', () => chain([]));
+    mock.method(Borrowed, 'exists', () => chain(null));
+    mock.method(Fine, 'aggregate', () => chain([{ balance: 1 }]));
+
+    const decision = await evaluateCheckout(id(), id());
+    assert.strictEqual(decision.allowed, false);
+    assert.strictEqual(decision.code, 'OUTSTANDING_FINES');
+  } finally {
+    circulationConfig.fines.blockThreshold = blockThreshold;
+  }
+});
+
+// A book with one shelf copy, checked out by an active student
+function fakeCheckout({ member = { role: 'student', isActive: true }, shelf = 1 } = {}) {
+  const book = { _id: id(), category: 'fiction', quantity: shelf, available: shelf > 0 };
+  const copies = Array.from({ length: shelf }, () => ({ _id: id(), bookId: book._id, status: 'on_shelf' }));
+  const loans = [];
+  mock.method(Member, 'findById', () => chain(member));
+  mock.method(Book, 'findById', () => chain(book));
+  mock.method(CirculationPolicy, 'find', () => chain([]));
+  mock.method(Borrowed, 'exists', () => chain(null));
+  mock.method(Fine, 'aggregate', () => chain([]));
+  mock.method(Reservation, 'exists', () => chain(null));
+  mock.method(Copy, 'findOneAndUpdate', async (filter, update) => {
+    const copy = copies.find(c => c.status === filter.status);
+    return copy ? Object.assign(copy, update) : null;
+  });
+  mock.method(Copy, 'countDocuments', ({ status }) => chain(copies.filter(c => c.status === status).length));
+  mock.method(Book, 'updateOne', async (filter, update) => Object.assign(book, update));
+  mock.method(Borrowed, 'create', async (docs) => {
+    const created = docs.map(doc => ({ _id: id(), returned: false, ...doc }));
+    loans.push(...created);
+    return created;
+  });
+  return { book, copies, loans };
+}
+
+test('checkout takes a copy off the shelf, sets the due date and updates the inventory', async () => {
+  const now = new Date('2024-03-01T10:00:00Z');
+  mock.timers.enable({ apis: ['Date'], now });
+  fakeTransactions();
+  const { book, copies, loans } = fakeCheckout();
+
+  const loan = await checkoutBook({ memberId: id(), bookId: book._id });
+
+  assert.strictEqual(loans.length, 1);
+  assert.strictEqual(String(loan.copyId), String(copies[0]._id));
+  assert.strictEqual(copies[0].status, 'on_loan');
+  // Student loan period: 14 days
+  assert.strictEqual(loan.dueDate.getTime(), now.getTime() + 14 * DAY_MS);
+  assert.strictEqual(book.quantity, 0);
+  assert.strictEqual(book.available, false);
+});
+
+test('checkout is refused for inactive members and books without shelf copies', async () => {
+  fakeTransactions();
+  fakeCheckout({ member: { role: 'student', isActive: false } });
+  await assert.rejects(checkoutBook({ memberId: id(), bookId: id() }), { status: 403, code: 'MEMBER_INACTIVE' });
+
+  mock.restoreAll();
+  fakeTransactions();
+  const { book, loans } = fakeCheckout({ shelf: 0 });
+  await assert.rejects(checkoutBook({ memberId: id(), bookId: book._id }), { status: 409, code: 'NO_COPIES_AVAILABLE' });
+  assert.strictEqual(loans.length, 0);
+});
+
+test('a return shelves the copy once; returning again is refused', async () => {
+  fakeTransactions();
+  const book = { _id: id(), quantity: 0, available: false };
+  const copy = { _id: id(), status: 'on_loan' };
+  const loan = { _id: id(), bookId: book._id, copyId: copy._id, returned: false, dueDate: new Date(Date.now() + DAY_MS) };
+  mock.method(Borrowed, 'findOneAndUpdate', async (filter, update) => (loan.returned === filter.returned ? Object.assign(loan, update) : null));
+  mock.method(Borrowed, 'exists', () => chain({ _id: loan._id }));
+  mock.method(Borrowed, 'findById', () => chain(loan));
+  mock.method(Reservation, 'findOneAndUpdate', async () => null);
+  mock.method(Copy, 'updateOne', async (filter, update) => Object.assign(copy, update));
+  mock.method(Copy, 'countDocuments', ({ status }) => chain(copy.status === status ? 1 : 0));
+  mock.method(Book, 'updateOne', async (filter, update) => Object.assign(book, update));
+
+  const returned = await returnLoan(loan._id);
+  assert.strictEqual(returned.returned, true);
+  assert.ok(returned.returnDate instanceof Date);
+  assert.strictEqual(copy.status, 'on_shelf');
+  assert.deepStrictEqual([book.quantity, book.available], [1, true]);
+
+  await assert.rejects(returnLoan(loan._id), { status: 409, code: 'LOAN_ALREADY_RETURNED' });
+});
+
+test('a scanned barcode checks out that copy, not just any shelf copy', async () => {
+  fakeTransactions();
+  const { book, copies } = fakeCheckout({ shelf: 2 });
+  const scanned = copies[1];
+  mock.method(Copy, 'findOne', () => chain({ _id: scanned._id, bookId: book._id }));
+  mock.method(Copy, 'findOneAndUpdate', async (filter, update) => {
+    const copy = copies.find(c => c.status === filter.status && (!filter._id || String(c._id) === String(filter._id)));
+    return copy ? Object.assign(copy, update) : null;
+  });
+
+  const loan = await checkoutBook({ memberId: id(), barcode: 'LIB0123456789' });
+
+  assert.strictEqual(String(loan.copyId), String(scanned._id));
+  assert.strictEqual(String(loan.bookId), String(book._id));
+  assert.deepStrictEqual(copies.map(c => c.status), ['on_shelf', 'on_loan']);
+  assert.strictEqual(book.quantity, 1);
+});
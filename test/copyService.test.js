@@ -0,0 +1,77 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Book = require('../Models/Books');
+const Copy = require('../Models/Copy');
+const { generateBarcode, syncBookInventory, updateCopy, removeCopy } = require('../services/copyService');
+const { findCopyByBarcode } = require('../services/circulationService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Query chain stand-in: every builder method returns itself
+function chain(result) {
+  const query = { then: (resolve, reject) => Promise.resolve(result).then(resolve, reject) };
+  for (const method of ['session', 'select', 'lean']) query[method] = () => query;
+  return query;
+}
+
+// One book whose copies live in memory
+function fakeCopies(statuses) {
+  mock.method(mongoose, 'startSession', async () => ({ withTransaction: async (fn) => fn(), endSession: async () => {} }));
+  const bookId = id();
+  const book = {};
+  const copies = statuses.map(status => new Copy({ bookId, barcode: generateBarcode(), status }));
+  mock.method(Copy, 'findById', (copyId) => chain(copies.find(copy => String(copy._id) === String(copyId)) || null));
+  mock.method(Copy, 'countDocuments', ({ status }) => chain(copies.filter(copy => copy.status === status).length));
+  mock.method(Copy.prototype, 'save', async function () { return this; });
+  mock.method(Copy.prototype, 'deleteOne', async function () {
+    copies.splice(copies.indexOf(this), 1);
+    return this;
+  });
+  mock.method(Book, 'updateOne', async (filter, update) => Object.assign(book, update));
+  return { bookId, book, copies };
+}
+
+afterEach(() => mock.restoreAll());
+
+test('quantity and available are derived from the copies on the shelf', async () => {
+  const { bookId, book } = fakeCopies(['on_shelf', 'on_shelf', 'on_loan', 'on_hold', 'in_repair']);
+
+  assert.strictEqual(await syncBookInventory(bookId), 2);
+  assert.deepStrictEqual(book, { quantity: 2, available: true });
+});
+
+test('staff may move copies between shelf, repair and lost, but not out of circulation', async () => {
+  const { book, copies } = fakeCopies(['on_shelf', 'on_loan']);
+  const [shelved, loaned] = copies;
+
+  await updateCopy(shelved._id, { status: 'in_repair', shelfLocation: 'Repair desk' });
+  assert.deepStrictEqual([shelved.status, shelved.shelfLocation], ['in_repair', 'Repair desk']);
+  assert.deepStrictEqual(book, { quantity: 0, available: false });
+
+  await assert.rejects(updateCopy(loaned._id, { status: 'on_shelf' }), { status: 409, code: 'INVALID_STATUS_CHANGE' });
+  await assert.rejects(updateCopy(shelved._id, { status: 'on_loan' }), { status: 409, code: 'INVALID_STATUS_CHANGE' });
+  assert.strictEqual(loaned.status, 'on_loan');
+});
+
+test('copies on loan or on hold cannot be withdrawn', async () => {
+  const { book, copies } = fakeCopies(['on_shelf', 'on_loan', 'on_hold']);
+  const [shelved, loaned, held] = copies;
+
+  await assert.rejects(removeCopy(loaned._id), { status: 409, code: 'COPY_IN_CIRCULATION' });
+  await assert.rejects(removeCopy(held._id), { status: 409, code: 'COPY_IN_CIRCULATION' });
+
+  await removeCopy(shelved._id);
+  assert.strictEqual(copies.length, 2);
+  assert.deepStrictEqual(book, { quantity: 0, available: false });
+});
+
+test('scanned barcodes are looked up trimmed; unknown ones are a 404', async () => {
+  const copy = { _id: id(), barcode: 'LIB0123456789' };
+  const lookup = mock.method(Copy, 'findOne', ({ barcode }) => chain(barcode === copy.barcode ? copy : null));
+
+  assert.strictEqual(await findCopyByBarcode(' LIB0123456789\n'), copy);
+  assert.deepStrictEqual(lookup.mock.calls[0].arguments[0], { barcode: 'LIB0123456789' });
+  await assert.rejects(findCopyByBarcode('LIB-NOPE'), { status: 404, code: 'COPY_NOT_FOUND' });
+  assert.match(generateBarcode(), /^LIB[0-9A-F]{10}$/);
+});
@@ -0,0 +1,126 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Book = require('../Models/Books');
+const Member = require('../Models/Members');
+const Borrowed = require('../Models/Loan');
+const Copy = require('../Models/Copy');
+const Fine = require('../Models/Fine');
+const Payment = require('../Models/Payment');
+const Reservation = require('../Models/Reservation');
+const RefreshToken = require('../Models/RefreshToken');
+const { softDelete, restore, purge } = require('../services/deletionService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Query chain stand-in: every builder method returns itself
+function chain(result) {
+  const query = { then: (resolve, reject) => Promise.resolve(result).then(resolve, reject) };
+  for (const method of ['session', 'select', 'lean', 'setOptions']) query[method] = () => query;
+  return query;
+}
+
+// Transactions run their callback once, without a server
+function fakeTransactions() {
+  mock.method(mongoose, 'startSession', async () => ({ withTransaction: async (fn) => fn(), endSession: async () => {} }));
+}
+
+afterEach(() => mock.restoreAll());
+
+test('default queries hide deleted records unless they opt in', async () => {
+  const filters = [];
+  mock.method(Book.collection, 'countDocuments', async (filter) => {
+    filters.push(filter);
+    return 0;
+  });
+
+  await Book.countDocuments({ category: 'fiction' });
+  await Book.countDocuments({ category: 'fiction' }).setOptions({ withDeleted: true });
+  await Book.countDocuments({ deletedAt: { $ne: null } });
+
+  assert.deepStrictEqual(filters, [
+    { category: 'fiction', deletedAt: null },
+    { category: 'fiction' },
+    { deletedAt: { $ne: null } }
+  ]);
+  await assert.rejects(Book.deleteOne({ _id: id() }), /soft-deleted/);
+});
+
+test('members with books out and books with copies on loan cannot be deleted', async () => {
+  fakeTransactions();
+  const member = { _id: id() };
+  const book = { _id: id() };
+  mock.method(Member, 'findById', () => chain(member));
+  mock.method(Book, 'findById', () => chain(book));
+  mock.method(Borrowed, 'countDocuments', () => chain(2));
+  mock.method(Copy, 'countDocuments', () => chain(1));
+  const markMember = mock.method(Member, 'findOneAndUpdate', async () => member);
+  const markBook = mock.method(Book, 'findOneAndUpdate', async () => book);
+
+  await assert.rejects(softDelete('member', member._id, id()), { status: 409, code: 'MEMBER_HAS_ACTIVE_LOANS' });
+  await assert.rejects(softDelete('book', book._id, id()), { status: 409, code: 'BOOK_HAS_LOANS' });
+  assert.strictEqual(markMember.mock.callCount() + markBook.mock.callCount(), 0);
+});
+
+test('deleting a member cancels their holds, revokes their sessions and marks the record', async () => {
+  fakeTransactions();
+  const member = { _id: id() };
+  const actorId = id();
+  mock.method(Member, 'findById', () => chain(member));
+  mock.method(Borrowed, 'countDocuments', () => chain(0));
+  mock.method(Reservation, 'find', () => chain([{ _id: id(), status: 'waiting' }]));
+  const cancel = mock.method(Reservation, 'updateMany', async () => ({ modifiedCount: 1 }));
+  const bump = mock.method(Member, 'updateOne', async () => ({ modifiedCount: 1 }));
+  mock.method(RefreshToken, 'updateMany', async () => ({ modifiedCount: 1 }));
+  const mark = mock.method(Member, 'findOneAndUpdate', async (filter, update) => ({ ...member, ...update }));
+
+  const deleted = await softDelete('member', member._id, actorId);
+
+  assert.strictEqual(cancel.mock.calls[0].arguments[1].status, 'cancelled');
+  assert.deepStrictEqual(bump.mock.calls[0].arguments[1], { $inc: { tokenVersion: 1 } });
+  assert.deepStrictEqual(mark.mock.calls[0].arguments[0], { _id: member._id, deletedAt: null });
+  assert.ok(deleted.deletedAt instanceof Date);
+  assert.strictEqual(deleted.deletedBy, actorId);
+});
+
+test('only deleted records can be restored', async () => {
+  const loan = { _id: id(), deletedAt: new Date() };
+  const write = mock.method(Borrowed, 'findOneAndUpdate', async () => null);
+  const exists = mock.method(Borrowed, 'exists', async () => ({ _id: loan._id }));
+
+  await assert.rejects(restore('loan', loan._id), { status: 409, code: 'NOT_DELETED' });
+  exists.mock.mockImplementation(async () => null);
+  await assert.rejects(restore('loan', loan._id), { status: 404, code: 'LOAN_NOT_FOUND' });
+
+  write.mock.mockImplementation(async (filter, update) => ({ ...loan, ...update }));
+  const restored = await restore('loan', loan._id);
+  assert.deepStrictEqual(write.mock.calls[2].arguments[0], { _id: loan._id, deletedAt: { $ne: null } });
+  assert.deepStrictEqual([restored.deletedAt, restored.deletedBy], [null, null]);
+});
+
+test('purging needs a deleted record that nothing else points at', async () => {
+  fakeTransactions();
+  const member = { _id: id(), deletedAt: null };
+  mock.method(Member, 'findById', () => chain(member));
+  mock.method(Borrowed, 'countDocuments', () => chain(3));
+  mock.method(Fine, 'countDocuments', () => chain(0));
+  mock.method(Payment, 'countDocuments', () => chain(1));
+  mock.method(Reservation, 'deleteMany', async () => ({}));
+  mock.method(RefreshToken, 'deleteMany', async () => ({}));
+  const remove = mock.method(Member, 'deleteOne', async () => ({ deletedCount: 1 }));
+
+  await assert.rejects(purge('member', member._id), { status: 409, code: 'NOT_DELETED' });
+
+  member.deletedAt = new Date();
+  await assert.rejects(purge('member', member._id), (err) => {
+    assert.deepStrictEqual([err.status, err.code], [409, 'HAS_REFERENCES']);
+    assert.deepStrictEqual(err.details, [{ collection: 'loans', count: 3 }, { collection: 'payments', count: 1 }]);
+    return true;
+  });
+  assert.strictEqual(remove.mock.callCount(), 0);
+
+  mock.method(Borrowed, 'countDocuments', () => chain(0));
+  mock.method(Payment, 'countDocuments', () => chain(0));
+  assert.strictEqual(await purge('member', member._id), member);
+  assert.strictEqual(remove.mock.calls[0].arguments[1].purge, true);
+});
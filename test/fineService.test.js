@@ -0,0 +1,110 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Book = require('../Models/Books');
+const Borrowed = require('../Models/Loan');
+const Fine = require('../Models/Fine');
+const Member = require('../Models/Members');
+const Payment = require('../Models/Payment');
+const Reservation = require('../Models/Reservation');
+const CirculationPolicy = require('../Models/CirculationPolicy');
+const { computeOverdueFine, applyLedgerEntry } = require('../services/fineService');
+const { resolvePolicy } = require('../services/policyService');
+const { evaluateCheckout } = require('../services/circulationService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const id = () => new mongoose.Types.ObjectId();
+
+// Query chain stand-in: every builder method returns itself
+function chain(result) {
+  const query = { then: (resolve, reject) => Promise.resolve(result).then(resolve, reject) };
+  for (const method of ['populate', 'session', 'select', 'lean']) query[method] = () => query;
+  return query;
+}
+
+afterEach(() => mock.restoreAll());
+
+test('overdue fines count every started day and stop at the cap', () => {
+  const dueDate = new Date('2024-03-01T12:00:00Z');
+  const policy = { dailyFine: 25, maxFine: 1000 };
+
+  assert.deepStrictEqual(computeOverdueFine(policy, dueDate, dueDate),
+    { daysOverdue: 0, dailyRate: 25, amount: 0, capped: false });
+  assert.deepStrictEqual(computeOverdueFine(policy, dueDate, new Date(dueDate.getTime() + 1)),
+    { daysOverdue: 1, dailyRate: 25, amount: 25, capped: false });
+  assert.deepStrictEqual(computeOverdueFine(policy, dueDate, new Date(dueDate.getTime() + 50 * DAY_MS)),
+    { daysOverdue: 50, dailyRate: 25, amount: 1000, capped: true });
+  // maxFine 0 means no cap
+  assert.strictEqual(computeOverdueFine({ dailyFine: 25, maxFine: 0 }, dueDate, new Date(dueDate.getTime() + 50 * DAY_MS)).amount, 1250);
+});
+
+test('rates come from the role default, then the role policy, then the role and category policy', async () => {
+  const rolePolicy = { _id: id(), role: 'patron', category: null, dailyFine: 40 };
+  const categoryPolicy = { _id: id(), role: 'patron', category: 'reference', dailyFine: 100, maxFine: 5000 };
+  mock.method(CirculationPolicy, 'find', ({ category }) =>
+    chain([rolePolicy, categoryPolicy].filter(p => category.$in.includes(p.category))));
+
+  const fiction = await resolvePolicy('patron', 'fiction');
+  assert.deepStrictEqual([fiction.dailyFine, fiction.maxFine], [40, 2000]);
+  assert.deepStrictEqual(fiction.sources, ['default', String(rolePolicy._id)]);
+
+  const reference = await resolvePolicy('patron', 'reference');
+  assert.deepStrictEqual([reference.dailyFine, reference.maxFine], [100, 5000]);
+});
+
+// One open fine; saves and payments are kept in memory
+function fakeLedger(fields) {
+  mock.method(mongoose, 'startSession', async () => ({ withTransaction: async (fn) => fn(), endSession: async () => {} }));
+  const fine = new Fine({ memberId: id(), type: 'lost', amount: 3500, balance: 3500, ...fields });
+  const payments = [];
+  mock.method(Fine, 'findById', () => chain(fine));
+  mock.method(Fine.prototype, 'save', async function () { return this; });
+  mock.method(Payment, 'create', async (docs) => {
+    payments.push(...docs);
+    return docs;
+  });
+  return { fine, payments };
+}
+
+test('payments and waivers reduce the balance and settle the fine', async () => {
+  const { fine, payments } = fakeLedger();
+
+  await applyLedgerEntry(fine._id, { type: 'payment', amount: 1500, method: 'card' }, id());
+  assert.deepStrictEqual([fine.amountPaid, fine.balance, fine.status], [1500, 2000, 'open']);
+
+  // A waiver without an amount clears what is left
+  await applyLedgerEntry(fine._id, { type: 'waiver', note: 'first offence' }, id());
+  assert.deepStrictEqual([fine.amountWaived, fine.balance, fine.status], [2000, 0, 'paid']);
+  assert.deepStrictEqual(payments.map(p => [p.type, p.amount]), [['payment', 1500], ['waiver', 2000]]);
+
+  await assert.rejects(applyLedgerEntry(fine._id, { type: 'payment', amount: 1 }, id()), { code: 'FINE_SETTLED' });
+});
+
+test('a payment larger than the balance is refused', async () => {
+  const { fine, payments } = fakeLedger({ amount: 500, balance: 500 });
+
+  await assert.rejects(applyLedgerEntry(fine._id, { type: 'payment', amount: 501 }, id()),
+    { status: 400, code: 'AMOUNT_EXCEEDS_BALANCE' });
+  await assert.rejects(applyLedgerEntry(fine._id, { type: 'payment', amount: 2.5 }, id()),
+    { status: 400, code: 'INVALID_AMOUNT' });
+  assert.strictEqual(fine.balance, 500);
+  assert.strictEqual(payments.length, 0);
+});
+
+test('members owing more than the threshold cannot check out', async () => {
+  let balance;
+  mock.method(Member, 'findById', () => chain({ role: 'student', isActive: true }));
+  mock.method(Book, 'findById', () => chain({ category: 'fiction', quantity: 1 }));
+  mock.method(CirculationPolicy, 'find', () => chain([]));
+  mock.method(Borrowed, 'exists', () => chain(null));
+  mock.method(Reservation, 'exists', () => chain(null));
+  mock.method(Fine, 'aggregate', () => chain([{ balance }]));
+
+  // Default threshold: 1000 cents
+  balance = 1000;
+  assert.strictEqual((await evaluateCheckout(id(), id())).allowed, true);
+
+  balance = 1001;
+  const decision = await evaluateCheckout(id(), id());
+  assert.deepStrictEqual([decision.allowed, decision.status, decision.code], [false, 403, 'OUTSTANDING_FINES']);
+});
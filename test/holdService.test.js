@@ -0,0 +1,135 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Book = require('../Models/Books');
+const Member = require('../Models/Members');
+const Borrowed = require('../Models/Loan');
+const Copy = require('../Models/Copy');
+const Reservation = require('../Models/Reservation');
+const { receiveCopies, placeHold, releaseCopy, cancelHold, expireHolds } = require('../services/holdService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Query chain stand-in: every builder method returns itself
+function chain(result) {
+  const query = { then: (resolve, reject) => Promise.resolve(result).then(resolve, reject) };
+  for (const method of ['populate', 'session', 'select', 'lean', 'sort']) query[method] = () => query;
+  return query;
+}
+
+// Copies and holds kept in memory; Book.quantity follows the shelf count
+function fakeShelf(holds, copies = []) {
+  const book = { quantity: 0 };
+  mock.method(Copy, 'create', async (docs) => {
+    const created = docs.map(doc => ({ _id: id(), ...doc }));
+    copies.push(...created);
+    return created.map(copy => ({ ...copy }));
+  });
+  mock.method(Copy, 'updateOne', async ({ _id }, update) => {
+    Object.assign(copies.find(copy => String(copy._id) === String(_id)), update);
+    return { modifiedCount: 1 };
+  });
+  mock.method(Copy, 'countDocuments', ({ status }) => chain(copies.filter(copy => copy.status === status).length));
+  mock.method(Book, 'updateOne', async (filter, { quantity }) => {
+    book.quantity = quantity;
+    return { modifiedCount: 1 };
+  });
+  // Oldest matching hold first; like the driver, returns the old version
+  // unless { new: true }
+  mock.method(Reservation, 'findOneAndUpdate', async (filter, update, options = {}) => {
+    const statuses = [].concat(filter.status.$in || filter.status);
+    const hold = holds
+      .filter(h => statuses.includes(h.status) && (!filter._id || String(h._id) === String(filter._id)))
+      .sort((a, b) => a.requestedAt - b.requestedAt)[0];
+    if (!hold) return null;
+    const before = { ...hold };
+    Object.assign(hold, update);
+    return options.new ? hold : before;
+  });
+  mock.method(Reservation, 'find', () => chain(holds.filter(h => h.status === 'ready' && h.expiresAt < new Date())));
+  mock.method(mongoose, 'startSession', async () => ({ withTransaction: async (fn) => fn(), endSession: async () => {} }));
+  return { copies, book };
+}
+
+afterEach(() => mock.restoreAll());
+
+test('new copies go to the waiting holds first, in queue order', async () => {
+  const bookId = id();
+  const holds = [
+    { _id: id(), status: 'waiting', requestedAt: new Date('2024-01-02') },
+    { _id: id(), status: 'waiting', requestedAt: new Date('2024-01-01') }
+  ];
+  const { copies, book } = fakeShelf(holds);
+
+  const created = await receiveCopies(bookId, [{}, {}, {}], null);
+
+  assert.deepStrictEqual(created.map(copy => copy.status), ['on_hold', 'on_hold', 'on_shelf']);
+  assert.deepStrictEqual(copies.map(copy => copy.status), ['on_hold', 'on_hold', 'on_shelf']);
+  assert.strictEqual(String(holds[1].copyId), String(copies[0]._id));
+  assert.strictEqual(String(holds[0].copyId), String(copies[1]._id));
+  assert.ok(holds.every(hold => hold.status === 'ready' && hold.expiresAt > hold.readyAt));
+  assert.strictEqual(book.quantity, 1);
+});
+
+test('holds can only be placed on books with no copies on the shelf, once per member', async () => {
+  fakeShelf([]);
+  const book = { quantity: 1 };
+  mock.method(Member, 'findById', () => chain({ isActive: true }));
+  mock.method(Book, 'findById', () => chain(book));
+  mock.method(Borrowed, 'exists', () => chain(null));
+  mock.method(Reservation, 'countDocuments', () => chain(0));
+  const existing = mock.method(Reservation, 'exists', () => chain(null));
+  mock.method(Reservation, 'create', async (docs) => docs.map(doc => ({ _id: id(), status: 'waiting', ...doc })));
+
+  await assert.rejects(placeHold({ bookId: id(), memberId: id() }), { status: 409, code: 'COPIES_AVAILABLE' });
+
+  book.quantity = 0;
+  const hold = await placeHold({ bookId: id(), memberId: id() });
+  assert.strictEqual(hold.status, 'waiting');
+
+  existing.mock.mockImplementation(() => chain({ _id: hold._id }));
+  await assert.rejects(placeHold({ bookId: id(), memberId: id() }), { status: 409, code: 'HOLD_EXISTS' });
+});
+
+test('a returned copy is kept for the oldest waiting hold, and shelved when nobody waits', async () => {
+  const holds = [
+    { _id: id(), status: 'waiting', requestedAt: new Date('2024-01-02') },
+    { _id: id(), status: 'waiting', requestedAt: new Date('2024-01-01') }
+  ];
+  const copy = { _id: id(), status: 'on_loan' };
+  const { book } = fakeShelf(holds, [copy]);
+
+  const next = await releaseCopy(id(), copy._id, null);
+  assert.strictEqual(next, holds[1]);
+  assert.strictEqual(copy.status, 'on_hold');
+  // Default pickup window: 3 days
+  assert.strictEqual(next.expiresAt - next.readyAt, 3 * 24 * 60 * 60 * 1000);
+  assert.strictEqual(book.quantity, 0);
+
+  holds[0].status = 'cancelled';
+  copy.status = 'on_loan';
+  assert.strictEqual(await releaseCopy(id(), copy._id, null), null);
+  assert.strictEqual(copy.status, 'on_shelf');
+  assert.strictEqual(book.quantity, 1);
+});
+
+test('cancelled and expired ready holds pass their copy to the next member', async () => {
+  const copy = { _id: id(), status: 'on_hold' };
+  const past = new Date(Date.now() - 1000);
+  const holds = [
+    { _id: id(), status: 'ready', copyId: copy._id, requestedAt: new Date('2024-01-01'), expiresAt: past },
+    { _id: id(), status: 'waiting', requestedAt: new Date('2024-01-02') },
+    { _id: id(), status: 'waiting', requestedAt: new Date('2024-01-03') }
+  ];
+  fakeShelf(holds, [copy]);
+
+  assert.deepStrictEqual(await expireHolds(), { expired: 1, reallocated: 1 });
+  assert.deepStrictEqual(holds.map(h => h.status), ['expired', 'ready', 'waiting']);
+  assert.strictEqual(String(holds[1].copyId), String(copy._id));
+
+  const cancelled = await cancelHold(holds[1]._id);
+  assert.strictEqual(cancelled.status, 'cancelled');
+  assert.deepStrictEqual(holds.map(h => h.status), ['expired', 'cancelled', 'ready']);
+  assert.strictEqual(String(holds[2].copyId), String(copy._id));
+  assert.strictEqual(copy.status, 'on_hold');
+});
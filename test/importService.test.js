@@ -0,0 +1,38 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { Readable } = require('stream');
+const mongoose = require('mongoose');
+const Book = require('../Models/Books');
+const { formatCsvRow } = require('../utils/csv');
+const { importBooks } = require('../services/importService');
+
+afterEach(() => mock.restoreAll());
+
+test('values guarded by the CSV export import back unchanged', async () => {
+  const titles = ['-Foo', '=SUM(A1)', "'@home", 'Plain'];
+  // No isbn, so nothing is looked up; the missing author makes each row report its title
+  const csv = formatCsvRow(['title', 'author']) + titles.map(title => formatCsvRow([title, ''])).join('');
+
+  const report = await importBooks(Readable.from([csv]), { format: 'csv', dryRun: true });
+
+  assert.deepStrictEqual(report.errors.map(error => error.title), titles);
+});
+
+test('a row whose isbn belongs to a deleted book is reported', async () => {
+  const deleted = { _id: new mongoose.Types.ObjectId(), deletedAt: new Date() };
+  let options;
+  mock.method(Book, 'findOne', () => ({
+    setOptions(value) {
+      options = value;
+      return { select: () => ({ lean: async () => deleted }) };
+    }
+  }));
+
+  const csv = formatCsvRow(['title', 'author', 'isbn']) + formatCsvRow(['Dune', 'Frank Herbert', '9780306406157']);
+  const report = await importBooks(Readable.from([csv]), { format: 'csv', dryRun: true });
+
+  assert.deepStrictEqual(options, { withDeleted: true });
+  assert.strictEqual(report.failed, 1);
+  assert.strictEqual(report.created + report.merged, 0);
+  assert.strictEqual(report.errors[0].errors[0].code, 'BOOK_DELETED');
+});
@@ -0,0 +1,43 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const mongoose = require('mongoose');
+const Member = require('../Models/Members');
+const Borrowed = require('../Models/Loan');
+const loansRouter = require('../routes/loans');
+const { signAccessToken } = require('../utils/tokenUtils');
+const { handleDBError } = require('../utils/dbUtils');
+
+afterEach(() => mock.restoreAll());
+
+// The loans router behind the same error handler as server.js
+async function request(method, path, member) {
+  const app = express();
+  app.use(express.json());
+  app.use('/loans', loansRouter);
+  app.use((err, req, res, next) => handleDBError(err, res));
+
+  mock.method(Member, 'findById', () => ({ select: () => ({ lean: async () => member }) }));
+  const server = app.listen(0);
+  try {
+    const res = await fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+      method,
+      headers: { authorization: `Bearer ${signAccessToken(member)}`, 'content-type': 'application/json' },
+      body: '{}'
+    });
+    return { status: res.status, body: await res.json() };
+  } finally {
+    server.close();
+  }
+}
+
+test('members cannot return their own loan by id; the desk checks the copy in', async () => {
+  const member = { _id: new mongoose.Types.ObjectId(), role: 'student', email: 's@example.com', isActive: true, tokenVersion: 0 };
+  const write = mock.method(Borrowed, 'findOneAndUpdate', async () => null);
+
+  const { status, body } = await request('POST', `/loans/${new mongoose.Types.ObjectId()}/return`, member);
+
+  assert.strictEqual(status, 403);
+  assert.strictEqual(body.code, 'FORBIDDEN');
+  assert.strictEqual(write.mock.callCount(), 0);
+});
@@ -0,0 +1,30 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Borrowed = require('../Models/Loan');
+const { onEvent } = require('../services/eventBus');
+const { markOverdueLoans } = require('../jobs/overdueJob');
+
+afterEach(() => mock.restoreAll());
+
+test('loan.overdue is emitted only for loans this run flagged', async () => {
+  const flagged = { _id: new mongoose.Types.ObjectId(), userId: new mongoose.Types.ObjectId(), bookId: new mongoose.Types.ObjectId() };
+  // Returned (or flagged by an overlapping run) after the find
+  const raced = { _id: new mongoose.Types.ObjectId() };
+
+  mock.method(Borrowed, 'find', () => ({ select: () => ({ lean: async () => [flagged, raced] }) }));
+  mock.method(Borrowed, 'findOneAndUpdate', async ({ _id }) => (String(_id) === String(flagged._id) ? flagged : null));
+  mock.method(Borrowed, 'updateMany', async () => ({ modifiedCount: 0 }));
+
+  const events = [];
+  const stop = onEvent('loan.overdue', event => events.push(event));
+  try {
+    const result = await markOverdueLoans(new Date());
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.deepStrictEqual(result, { markedOverdue: 1, cleared: 0 });
+    assert.deepStrictEqual(events.map(event => event.data.loanId), [String(flagged._id)]);
+  } finally {
+    stop();
+  }
+});
@@ -0,0 +1,31 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { encodeCursor, decodeCursor } = require('../utils/pagination');
+
+const ID = '65f1c2a4b7e8d90012345678';
+const encode = payload => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+test('cursors from encodeCursor decode to their sort value', () => {
+  const date = new Date('2024-03-31T10:00:00Z');
+  const byDate = decodeCursor(encodeCursor({ _id: ID, createdAt: date }, { sort: 'createdAt', order: 'desc', direction: 'next' }));
+  assert.strictEqual(byDate.value.getTime(), date.getTime());
+  assert.strictEqual(String(byDate.id), ID);
+
+  const byTitle = decodeCursor(encodeCursor({ _id: ID, title: 'Dune' }, { sort: 'title', order: 'asc', direction: 'prev' }));
+  assert.strictEqual(byTitle.value, 'Dune');
+});
+
+test('cursors carrying query operators or non-scalar values are rejected', () => {
+  const base = { s: 'title', o: 'asc', d: 'next', id: ID };
+  for (const v of [{ $ne: null }, { $gt: '' }, ['a'], null]) {
+    assert.throws(() => decodeCursor(encode({ ...base, v })), { code: 'INVALID_CURSOR' }, JSON.stringify(v));
+  }
+  assert.throws(() => decodeCursor(encode({ ...base, v: 'not a date', t: 'date' })), { code: 'INVALID_CURSOR' });
+  assert.throws(() => decodeCursor(encode({ ...base, v: 'x', t: 'regex' })), { code: 'INVALID_CURSOR' });
+});
+
+test('cursors with an invalid id are rejected', () => {
+  for (const id of ['aaaaaaaaaaaa', { $ne: null }, 12]) {
+    assert.throws(() => decodeCursor(encode({ s: 'title', o: 'asc', d: 'next', id, v: 'Dune' })), { code: 'INVALID_CURSOR' });
+  }
+});
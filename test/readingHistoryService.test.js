@@ -0,0 +1,145 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Member = require('../Models/Members');
+const Borrowed = require('../Models/Loan');
+const Fine = require('../Models/Fine');
+const Notification = require('../Models/Notification');
+const Reservation = require('../Models/Reservation');
+const WebhookDelivery = require('../Models/WebhookDelivery');
+const AuditLog = require('../Models/AuditLog');
+const { purgeReadingHistory } = require('../services/readingHistoryService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Query chain stand-in: every builder method returns itself
+function chain(result) {
+  const query = { then: (resolve, reject) => Promise.resolve(result).then(resolve, reject) };
+  for (const method of ['setOptions', 'select', 'lean']) query[method] = () => query;
+  query.distinct = async () => result;
+  query.cursor = () => (async function* () { yield* result; })();
+  return query;
+}
+
+function valueAt(doc, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+}
+
+// Enough of MongoDB's matching for the filters redactEntries sends
+function matches(doc, filter) {
+  return Object.entries(filter).every(([path, condition]) => {
+    const value = valueAt(doc, path);
+    if (condition && typeof condition === 'object' && !(condition instanceof mongoose.Types.ObjectId)) {
+      if ('$in' in condition && !condition.$in.some(v => String(v) === String(value))) return false;
+      if ('$exists' in condition && (value !== undefined) !== condition.$exists) return false;
+      if ('$ne' in condition && value === condition.$ne) return false;
+      return true;
+    }
+    return String(value) === String(condition);
+  });
+}
+
+// updateMany over in-memory documents ($set and $unset only)
+function fakeUpdateMany(target, docs) {
+  mock.method(target, 'updateMany', async (filter, { $set = {}, $unset = {} }) => {
+    let modifiedCount = 0;
+    for (const doc of docs.filter(d => matches(d, filter))) {
+      for (const [path, value] of [...Object.entries($set), ...Object.keys($unset).map(p => [p, undefined])]) {
+        const keys = path.split('.');
+        const parent = keys.slice(0, -1).reduce((obj, key) => obj[key], doc);
+        if (value === undefined) delete parent[keys[keys.length - 1]];
+        else parent[keys[keys.length - 1]] = value;
+      }
+      modifiedCount++;
+    }
+    return { modifiedCount };
+  });
+}
+
+afterEach(() => mock.restoreAll());
+
+test('opting out removes the member from the audit entries of their returned loans', async () => {
+  const member = id();
+  const admin = id();
+  const loan = id();
+  const otherLoan = id();
+  const bookId = id();
+
+  const entries = [
+    // Self-service checkout and renewal, then a return at the desk
+    { targetModel: 'Borrowed', targetId: loan, action: 'create', actorId: member, ip: '10.0.0.7', before: null, after: { userId: member, bookId, renewals: [] } },
+    { targetModel: 'Borrowed', targetId: loan, action: 'update', actorId: member, ip: '10.0.0.7', before: { renewals: [] }, after: { renewals: [{ renewedBy: member }] } },
+    { targetModel: 'Borrowed', targetId: loan, action: 'update', actorId: admin, ip: '10.0.0.1', before: { returned: false }, after: { returned: true } },
+    // A loan that is not being anonymized (e.g. still out)
+    { targetModel: 'Borrowed', targetId: otherLoan, action: 'create', actorId: member, ip: '10.0.0.7', before: null, after: { userId: member, bookId } }
+  ];
+  fakeUpdateMany(AuditLog.collection, entries);
+
+  mock.method(Member, 'find', () => chain([member]));
+  mock.method(Fine, 'distinct', async () => []);
+  mock.method(Reservation, 'find', () => chain([]));
+  mock.method(Reservation, 'updateMany', async () => ({ modifiedCount: 0 }));
+  mock.method(WebhookDelivery, 'updateMany', async () => ({ modifiedCount: 0 }));
+  mock.method(Borrowed, 'find', () => chain([{ _id: loan, userId: member }]));
+  mock.method(Borrowed, 'updateMany', async () => ({ modifiedCount: 1 }));
+  mock.method(Notification, 'deleteMany', async () => ({ deletedCount: 0 }));
+
+  const result = await purgeReadingHistory(new Date());
+  assert.deepStrictEqual(result, { members: 1, loans: 1 });
+
+  const [checkout, renewal, desk, other] = entries;
+  for (const entry of [checkout, renewal, desk]) {
+    assert.ok(!JSON.stringify(entry).includes(String(member)), `entry still names the member: ${JSON.stringify(entry)}`);
+  }
+  assert.strictEqual(checkout.actorId, null);
+  assert.strictEqual(checkout.ip, null);
+  assert.strictEqual(checkout.after.bookId, bookId);
+  assert.strictEqual(String(desk.actorId), String(admin));
+  assert.strictEqual(desk.ip, '10.0.0.1');
+  assert.strictEqual(String(other.actorId), String(member));
+  assert.strictEqual(String(other.after.userId), String(member));
+});
+
+test('opting out also unlinks the member from the holds, copies and webhook events of those loans', async () => {
+  const member = id();
+  const admin = id();
+  const loan = id();
+  const copy = id();
+  const hold = id();
+  const bookId = id();
+
+  const entries = [
+    { targetModel: 'Reservation', targetId: hold, action: 'create', actorId: member, ip: '10.0.0.7', before: null, after: { memberId: member, bookId, status: 'waiting' } },
+    { targetModel: 'Reservation', targetId: hold, action: 'update', actorId: null, before: { status: 'ready' }, after: { status: 'fulfilled', loanId: loan } },
+    // Self-service checkout, then the return at the desk
+    { targetModel: 'Copy', targetId: copy, action: 'update', actorId: member, ip: '10.0.0.7', request: 'POST /loans/checkout', before: { status: 'on_hold' }, after: { status: 'on_loan' } },
+    { targetModel: 'Copy', targetId: copy, action: 'update', actorId: admin, ip: '10.0.0.1', request: 'POST /loans/return', before: { status: 'on_loan' }, after: { status: 'on_shelf' } }
+  ];
+  const holds = [{ _id: hold, memberId: member, bookId, loanId: loan, status: 'fulfilled' }];
+  const deliveries = [
+    { payload: { type: 'loan.checked_out', data: { loanId: String(loan), memberId: String(member), bookId: String(bookId), copyId: String(copy) } } },
+    { payload: { type: 'loan.checked_out', data: { loanId: String(id()), memberId: String(member), bookId: String(bookId) } } }
+  ];
+  fakeUpdateMany(AuditLog.collection, entries);
+  fakeUpdateMany(Reservation, holds);
+  fakeUpdateMany(WebhookDelivery, deliveries);
+
+  mock.method(Member, 'find', () => chain([member]));
+  mock.method(Fine, 'distinct', async () => []);
+  mock.method(Reservation, 'find', () => chain([hold]));
+  mock.method(Borrowed, 'find', () => chain([{ _id: loan, userId: member, copyId: copy }]));
+  mock.method(Borrowed, 'updateMany', async () => ({ modifiedCount: 1 }));
+  mock.method(Notification, 'deleteMany', async () => ({ deletedCount: 0 }));
+
+  await purgeReadingHistory(new Date());
+
+  const [placed, fulfilled, checkout, desk] = entries;
+  for (const record of [placed, fulfilled, checkout, holds[0], deliveries[0]]) {
+    assert.ok(!JSON.stringify(record).includes(String(member)), `record still names the member: ${JSON.stringify(record)}`);
+  }
+  assert.strictEqual(holds[0].bookId, bookId);
+  assert.strictEqual(deliveries[0].payload.data.bookId, String(bookId));
+  assert.strictEqual(String(desk.actorId), String(admin));
+  // Events of loans that are not anonymized yet are left alone
+  assert.strictEqual(deliveries[1].payload.data.memberId, String(member));
+});
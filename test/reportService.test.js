@@ -0,0 +1,41 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const Borrowed = require('../Models/Loan');
+const { parseRange, circulation } = require('../services/reportService');
+
+// Whether a date satisfies a { $gte, $lte, $lt } condition
+function inRange(date, condition) {
+  if (condition.$gte && date < condition.$gte) return false;
+  if (condition.$lte && date > condition.$lte) return false;
+  if (condition.$lt && date >= condition.$lt) return false;
+  return true;
+}
+
+afterEach(() => mock.restoreAll());
+
+test('a date-only to includes loans from that whole day', async () => {
+  let pipeline;
+  mock.method(Borrowed, 'aggregate', async (stages) => {
+    pipeline = stages;
+    return [{ checkouts: [], returns: [] }];
+  });
+
+  await circulation(parseRange({ from: '2024-03-01', to: '2024-03-31' }));
+  const condition = pipeline[0].$facet.checkouts[0].$match.borrowDate;
+
+  assert.ok(inRange(new Date('2024-03-31T00:00:00Z'), condition));
+  assert.ok(inRange(new Date('2024-03-31T18:45:00Z'), condition));
+  assert.ok(inRange(new Date('2024-03-31T23:59:59.999Z'), condition));
+  assert.ok(!inRange(new Date('2024-04-01T00:00:00Z'), condition));
+  assert.ok(!inRange(new Date('2024-02-29T23:59:59Z'), condition));
+});
+
+test('a to with a time of day is used as given', () => {
+  const { to } = parseRange({ to: '2024-03-31T12:00:00Z' });
+  assert.strictEqual(to.toISOString(), '2024-03-31T12:00:00.000Z');
+});
+
+test('from and to may name the same day', () => {
+  const { from, to } = parseRange({ from: '2024-03-31', to: '2024-03-31' });
+  assert.ok(from < to);
+});
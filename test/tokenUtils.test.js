@@ -0,0 +1,48 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const RefreshToken = require('../Models/RefreshToken');
+const Member = require('../Models/Members');
+const jwt = require('jsonwebtoken');
+const { issueTokenPair, rotateRefreshToken } = require('../utils/tokenUtils');
+
+afterEach(() => mock.restoreAll());
+
+// In-memory RefreshToken collection; each call yields once, like a round
+// trip, so concurrent callers interleave
+function fakeRefreshTokens() {
+  const records = [];
+  const tick = () => new Promise(resolve => setImmediate(resolve));
+  mock.method(RefreshToken, 'create', async (doc) => {
+    await tick();
+    records.push({ _id: new mongoose.Types.ObjectId(), revokedAt: null, ...doc });
+  });
+  mock.method(RefreshToken, 'findOneAndUpdate', async (filter, update) => {
+    await tick();
+    const record = records.find(r => r.jti === filter.jti && r.revokedAt === null && r.expiresAt > filter.expiresAt.$gt);
+    if (!record) return null;
+    Object.assign(record, update.$set);
+    return { _id: record._id };
+  });
+  mock.method(RefreshToken, 'updateOne', async ({ _id }, update) => {
+    await tick();
+    Object.assign(records.find(r => String(r._id) === String(_id)), update);
+  });
+  return records;
+}
+
+test('a refresh token can only be rotated once, even by concurrent requests', async () => {
+  const member = { _id: new mongoose.Types.ObjectId(), role: 'patron', email: 'a@example.com', isActive: true, tokenVersion: 0 };
+  const records = fakeRefreshTokens();
+  mock.method(Member, 'findById', () => ({ select: () => ({ lean: async () => member }) }));
+
+  const { refreshToken: token } = await issueTokenPair(member, '127.0.0.1');
+  const { jti } = jwt.decode(token);
+  const results = await Promise.all([rotateRefreshToken(token, '127.0.0.1'), rotateRefreshToken(token, '127.0.0.1')]);
+
+  assert.strictEqual(results.filter(Boolean).length, 1);
+  const original = records.find(r => r.jti === jti);
+  assert.ok(original.revokedAt);
+  assert.ok(original.replacedBy);
+  assert.strictEqual(await rotateRefreshToken(token, '127.0.0.1'), null);
+});
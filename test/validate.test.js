@@ -0,0 +1,126 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const mongoose = require('mongoose');
+const Member = require('../Models/Members');
+const membersRouter = require('../routes/members');
+const { validate, validateFields } = require('../middleware/validate');
+const { signAccessToken } = require('../utils/tokenUtils');
+const { handleDBError } = require('../utils/dbUtils');
+
+const id = () => new mongoose.Types.ObjectId();
+
+afterEach(() => mock.restoreAll());
+
+// Run the middleware on its own; resolves with what it passed to next()
+function run(schema, req) {
+  req.params = req.params || {};
+  req.query = req.query || {};
+  return new Promise(resolve => validate(schema)(req, {}, resolve));
+}
+
+// The members router behind the same error handler as server.js
+async function request(method, path, member, body) {
+  const app = express();
+  app.use(express.json());
+  app.use('/members', membersRouter);
+  app.use((err, req, res, next) => handleDBError(err, res));
+
+  mock.method(Member, 'findById', () => ({ select: () => ({ lean: async () => member }) }));
+  const server = app.listen(0);
+  try {
+    const res = await fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+      method,
+      headers: { authorization: `Bearer ${signAccessToken(member)}`, 'content-type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  } finally {
+    server.close();
+  }
+}
+
+test('body values are coerced and only declared fields are kept', async () => {
+  const schema = {
+    body: {
+      copies: { type: 'integer', min: 1 },
+      dueDate: { type: 'date' },
+      tags: { type: 'array', items: { type: 'string', maxLength: 10 } }
+    }
+  };
+  const req = { body: { copies: '3', dueDate: '2024-03-01', tags: ['a'] } };
+
+  assert.strictEqual(await run(schema, req), undefined);
+  assert.strictEqual(req.body.copies, 3);
+  assert.ok(req.body.dueDate instanceof Date);
+  assert.deepStrictEqual(req.body.tags, ['a']);
+
+  const { value, errors } = validateFields(schema.body, { copies: '0', _id: 'x' });
+  assert.deepStrictEqual(value, {});
+  assert.deepStrictEqual(errors.map(e => [e.code, e.field]), [['UNKNOWN_FIELD', '_id'], ['OUT_OF_RANGE', 'copies']]);
+});
+
+test('params and query are checked but left as strings', async () => {
+  const schema = {
+    params: { id: { type: 'objectId', required: true } },
+    query: { limit: { type: 'integer', max: 100 } }
+  };
+
+  const bad = await run(schema, { params: { id: 'not-an-id' } });
+  assert.deepStrictEqual([bad.status, bad.code, bad.field], [400, 'VALIDATION_FAILED', 'id']);
+
+  const req = { params: { id: String(id()) }, query: { limit: '20' } };
+  assert.strictEqual(await run(schema, req), undefined);
+  assert.strictEqual(req.query.limit, '20');
+  // ?limit= means "not given"
+  assert.strictEqual(await run(schema, { params: req.params, query: { limit: '' } }), undefined);
+});
+
+test('members cannot write admin-only fields of their own record', async () => {
+  const member = { _id: id(), role: 'student', email: 's@example.com', isActive: true, tokenVersion: 0 };
+  const write = mock.method(Member, 'findByIdAndUpdate', () => ({ lean: () => ({ select: async () => member }) }));
+
+  const forbidden = await request('PUT', `/members/${member._id}`, member, { name: 'Sam', role: 'admin' });
+  assert.strictEqual(forbidden.status, 403);
+  assert.deepStrictEqual([forbidden.body.code, forbidden.body.field], ['FIELD_NOT_WRITABLE', 'role']);
+
+  const unknown = await request('PUT', `/members/${member._id}`, member, { name: 'Sam', _id: String(id()) });
+  assert.strictEqual(unknown.status, 400);
+  assert.deepStrictEqual([unknown.body.code, unknown.body.field], ['VALIDATION_FAILED', '_id']);
+  assert.deepStrictEqual(unknown.body.details.map(d => d.code), ['UNKNOWN_FIELD']);
+
+  assert.strictEqual(write.mock.callCount(), 0);
+});
+
+test('admins may write the role-restricted fields', async () => {
+  const admin = { _id: id(), role: 'admin', email: 'a@example.com', isActive: true, tokenVersion: 0 };
+  const write = mock.method(Member, 'findByIdAndUpdate', () => ({ lean: () => ({ select: async () => admin }) }));
+
+  const { status } = await request('PUT', `/members/${id()}`, admin, { role: 'patron', isActive: false });
+
+  assert.strictEqual(status, 200);
+  assert.deepStrictEqual(write.mock.calls[0].arguments[1], { role: 'patron', isActive: false });
+});
+
+test('every error has the same shape: code, message, field, error and optional details', () => {
+  const sent = [];
+  const res = { status(code) { sent.push(code); return this; }, json(body) { sent.push(body); return this; } };
+
+  const invalid = new mongoose.Error.ValidationError();
+  invalid.addError('title', new mongoose.Error.ValidatorError({ path: 'title', type: 'required', message: 'title is required' }));
+  handleDBError(invalid, res);
+  handleDBError(new mongoose.Error.CastError('ObjectId', 'nope', 'bookId'), res);
+
+  assert.deepStrictEqual(sent, [
+    400,
+    {
+      code: 'VALIDATION_FAILED',
+      message: 'title is required',
+      field: 'title',
+      error: 'title is required',
+      details: [{ code: 'REQUIRED', field: 'title', message: 'title is required' }]
+    },
+    400,
+    { code: 'INVALID_ID', message: 'bookId must be a valid id', field: 'bookId', error: 'bookId must be a valid id' }
+  ]);
+});
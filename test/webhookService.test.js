@@ -0,0 +1,130 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const mongoose = require('mongoose');
+const WebhookDelivery = require('../Models/WebhookDelivery');
+const WebhookSubscription = require('../Models/WebhookSubscription');
+const webhookConfig = require('../config/webhookConfig');
+const { signPayload, verifySignature, attemptDelivery } = require('../services/webhookService');
+
+const SECRET = 'whsec_test';
+
+afterEach(() => mock.restoreAll());
+
+// A receiver on 127.0.0.1 that answers with the given status and keeps
+// what it was sent
+async function listen(status) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.statusCode = status;
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { url: `http://127.0.0.1:${server.address().port}/hooks`, received, server };
+}
+
+// One delivery kept in memory; the claim works like the real filter
+function fakeDelivery(url) {
+  const subscription = { _id: new mongoose.Types.ObjectId(), url, secret: SECRET, isActive: true };
+  const delivery = new WebhookDelivery({
+    subscriptionId: subscription._id,
+    eventId: 'evt-1',
+    event: 'loan.created',
+    payload: { id: 'evt-1', type: 'loan.created', data: { loanId: 'abc' } },
+    nextAttemptAt: new Date(0)
+  });
+  mock.method(WebhookDelivery, 'findOneAndUpdate', async ({ nextAttemptAt }, { nextAttemptAt: claimedUntil }) => {
+    if (delivery.status !== 'pending' || delivery.nextAttemptAt > nextAttemptAt.$lte) return null;
+    delivery.attempts++;
+    delivery.nextAttemptAt = claimedUntil;
+    return delivery;
+  });
+  mock.method(WebhookDelivery.prototype, 'save', async function () { return this; });
+  mock.method(WebhookSubscription, 'findById', () => ({ select: () => ({ lean: async () => subscription }) }));
+  return delivery;
+}
+
+test('signatures cover the timestamp and body and expire', () => {
+  const body = '{"id":"evt-1"}';
+  const header = signPayload(SECRET, body);
+
+  assert.match(header, /^t=\d+,v1=[0-9a-f]{64}$/);
+  assert.strictEqual(verifySignature(SECRET, body, header), true);
+  assert.strictEqual(verifySignature('whsec_other', body, header), false);
+  assert.strictEqual(verifySignature(SECRET, '{"id":"evt-2"}', header), false);
+  const stale = signPayload(SECRET, body, Math.floor(Date.now() / 1000) - 301);
+  assert.strictEqual(verifySignature(SECRET, body, stale), false);
+});
+
+test('deliveries are POSTed signed to the receiver and recorded', async () => {
+  const receiver = await listen(204);
+  try {
+    const delivery = fakeDelivery(receiver.url);
+
+    assert.strictEqual(await attemptDelivery(delivery._id), 'delivered');
+
+    const [{ headers, body }] = receiver.received;
+    assert.deepStrictEqual(JSON.parse(body), delivery.payload);
+    assert.strictEqual(headers['x-libra-event'], 'loan.created');
+    assert.strictEqual(headers['x-libra-delivery'], String(delivery._id));
+    assert.strictEqual(verifySignature(SECRET, body, headers['x-libra-signature']), true);
+
+    assert.ok(delivery.deliveredAt instanceof Date);
+    assert.strictEqual(delivery.history.length, 1);
+    assert.strictEqual(delivery.history[0].statusCode, 204);
+    // Not sent twice
+    assert.strictEqual(await attemptDelivery(delivery._id), null);
+    assert.strictEqual(receiver.received.length, 1);
+  } finally {
+    receiver.server.close();
+  }
+});
+
+test('failed deliveries back off exponentially and become dead letters', async () => {
+  const receiver = await listen(500);
+  const { maxAttempts, retryBaseMs } = webhookConfig;
+  Object.assign(webhookConfig, { maxAttempts: 3, retryBaseMs: 1000 });
+  try {
+    const delivery = fakeDelivery(receiver.url);
+    const start = new Date('2024-03-01T10:00:00Z');
+
+    assert.strictEqual(await attemptDelivery(delivery._id, start), 'pending');
+    assert.strictEqual(delivery.nextAttemptAt - start, 1000);
+
+    // Not due yet
+    assert.strictEqual(await attemptDelivery(delivery._id, new Date(start.getTime() + 999)), null);
+
+    const second = new Date(start.getTime() + 1000);
+    assert.strictEqual(await attemptDelivery(delivery._id, second), 'pending');
+    assert.strictEqual(delivery.nextAttemptAt - second, 2000);
+
+    assert.strictEqual(await attemptDelivery(delivery._id, new Date(second.getTime() + 2000)), 'dead');
+    assert.ok(delivery.deadAt instanceof Date);
+    assert.strictEqual(delivery.attempts, 3);
+    assert.strictEqual(delivery.lastError, 'Receiver answered 500');
+    assert.deepStrictEqual(delivery.history.map(a => [a.statusCode, a.error]), [
+      [500, 'Receiver answered 500'],
+      [500, 'Receiver answered 500'],
+      [500, 'Receiver answered 500']
+    ]);
+    assert.strictEqual(receiver.received.length, 3);
+  } finally {
+    Object.assign(webhookConfig, { maxAttempts, retryBaseMs });
+    receiver.server.close();
+  }
+});
+
+test('unreachable receivers are recorded as failed attempts', async () => {
+  const receiver = await listen(204);
+  await new Promise(resolve => receiver.server.close(resolve));
+  const delivery = fakeDelivery(receiver.url);
+
+  assert.strictEqual(await attemptDelivery(delivery._id), 'pending');
+  assert.match(delivery.history[0].error, /^fetch failed: ECONNREFUSED/);
+  assert.strictEqual(delivery.history[0].statusCode, undefined);
+});
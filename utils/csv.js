@@ -0,0 +1,113 @@
+/**
+ * CSV Utilities
+ * Streaming RFC 4180 parsing for imports and row formatting for exports
+ */
+
+/**
+ * Parse CSV from a readable stream, one row at a time
+ * @param {Readable} stream - Text or byte stream (decoded as UTF-8)
+ * @yields {Array<string>} Fields of each non-blank row
+ */
+async function* parseCsv(stream) {
+  if (typeof stream.setEncoding === 'function') stream.setEncoding('utf8');
+
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let quoteSeen = false; // a quote inside a quoted field: escaped "" or the closing quote
+  let first = true;
+
+  for await (let chunk of stream) {
+    if (first) {
+      chunk = chunk.replace(/^\uFEFF/, '');
+      first = false;
+    }
+
+    const rows = [];
+    for (const c of chunk) {
+      if (inQuotes) {
+        if (quoteSeen) {
+          quoteSeen = false;
+          if (c === '"') {
+            field += '"';
+            continue;
+          }
+          inQuotes = false;
+        } else if (c === '"') {
+          quoteSeen = true;
+          continue;
+        } else {
+          field += c;
+          continue;
+        }
+      }
+
+      if (c === '"' && field === '') {
+        inQuotes = true;
+      } else if (c === ',') {
+        row.push(field);
+        field = '';
+      } else if (c === '\n') {
+        row.push(field);
+        if (row.length > 1 || row[0] !== '') rows.push(row);
+        row = [];
+        field = '';
+      } else if (c !== '\r') {
+        field += c;
+      }
+    }
+    yield* rows;
+  }
+
+  if (field !== '' || row.length) {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') yield row;
+  }
+}
+
+// Cells a spreadsheet would run as a formula, and cells that already look
+// guarded (so unguardCsvValue can tell the two apart)
+const FORMULA_PREFIX = /^'*[=+\-@\t\r]/;
+
+/**
+ * Format one value for a CSV cell. Cells that a spreadsheet would run as a
+ * formula are prefixed with a quote.
+ * @param {*} value - Cell value
+ * @returns {string}
+ */
+function formatCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  let text;
+  if (value instanceof Date) text = value.toISOString();
+  else if (Array.isArray(value)) text = value.join('; ');
+  else text = String(value);
+
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Undo formatCsvValue's formula guard, so our own exports import back
+ * unchanged
+ * @param {string} text - Parsed cell
+ * @returns {string}
+ */
+function unguardCsvValue(text) {
+  return /^'+[=+\-@\t\r]/.test(text) ? text.slice(1) : text;
+}
+
+/**
+ * Format a row of values as a CSV line (with CRLF terminator)
+ * @param {Array} values - Cell values
+ * @returns {string}
+ */
+function formatCsvRow(values) {
+  return values.map(formatCsvValue).join(',') + '\r\n';
+}
+
+module.exports = {
+  parseCsv,
+  formatCsvValue,
+  unguardCsvValue,
+  formatCsvRow
+};
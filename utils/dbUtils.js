@@ -3,6 +3,8 @@
  * Common functions for optimized database operations
  */
 
+const mongoose = require('mongoose');
+
 /**
  * Build filter object from query parameters
  * @param {Object} queryParams - Query parameters from request
@@ -31,7 +33,16 @@ function buildFilter(queryParams, allowedFields) {
 }
 
 /**
- * Build search filter with regex
+ * Escape regex metacharacters so user input is matched literally
+ * @param {string} value - Raw user input
+ * @returns {string} Regex-safe string
+ */
+function escapeRegex(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build search filter with regex (input is matched literally)
  * @param {string} searchTerm - Search term
  * @param {Array} searchFields - Fields to search in
  * @returns {Object} MongoDB search filter
@@ -39,9 +50,10 @@ function buildFilter(queryParams, allowedFields) {
 function buildSearchFilter(searchTerm, searchFields) {
   if (!searchTerm) return {};
   
+  const pattern = escapeRegex(searchTerm);
   return {
     $or: searchFields.map(field => ({
-      [field]: { $regex: searchTerm, $options: 'i' }
+      [field]: { $regex: pattern, $options: 'i' }
     }))
   };
 }
@@ -49,11 +61,12 @@ function buildSearchFilter(searchTerm, searchFields) {
 /**
  * Get pagination parameters
  * @param {Object} query - Query object from request
+ * @param {number} defaultLimit - Page size when none is requested
  * @returns {Object} { page, limit, skip }
  */
-function getPaginationParams(query) {
+function getPaginationParams(query, defaultLimit = 10) {
   const page = Math.max(1, parseInt(query.page) || 1);
-  const limit = Math.min(100, Math.max(1, parseInt(query.limit) || 10));
+  const limit = Math.min(100, Math.max(1, parseInt(query.limit) || defaultLimit));
   const skip = (page - 1) * limit;
   
   return { page, limit, skip };
@@ -80,27 +93,74 @@ function formatPaginationResponse(data, total, page, limit) {
 }
 
 /**
- * Handle database errors consistently
+ * Describe an error in the API's uniform format. AppErrors, Mongoose
+ * validation and cast errors, duplicate keys and malformed JSON bodies map
+ * to 4xx; anything else is an internal error.
  * @param {Error} error - Error object
- * @param {Object} res - Express response object
+ * @returns {Object} { status, code, message, field, details }
  */
-function handleDBError(error, res) {
-  console.error('Database error:', error);
+function describeError(error) {
+  // Expected business-rule failures carry their own status and code
+  if (error.name === 'AppError') {
+    const { status, code, message, field, details } = error;
+    return { status, code, message, field, details };
+  }
   
-  if (error.name === 'ValidationError') {
-    return res.status(400).json({ error: 'Validation failed', details: error.message });
+  if (error.name === 'ValidationError' && error.errors) {
+    const details = Object.values(error.errors).map(e => ({
+      code: e.kind === 'required' ? 'REQUIRED' : 'INVALID_VALUE',
+      field: e.path,
+      message: e.message
+    }));
+    return {
+      status: 400,
+      code: 'VALIDATION_FAILED',
+      message: details.length ? details[0].message : 'Validation failed',
+      field: details.length ? details[0].field : null,
+      details
+    };
   }
   
   if (error.name === 'CastError') {
-    return res.status(400).json({ error: 'Invalid ID format' });
+    const invalidId = error.kind === 'ObjectId';
+    return {
+      status: 400,
+      code: invalidId ? 'INVALID_ID' : 'INVALID_VALUE',
+      message: invalidId ? `${error.path} must be a valid id` : `${error.path} has an invalid value`,
+      field: error.path
+    };
   }
   
   if (error.code === 11000) {
-    const field = Object.keys(error.keyPattern)[0];
-    return res.status(400).json({ error: `${field} must be unique` });
+    const field = Object.keys(error.keyPattern || {})[0];
+    return { status: 400, code: 'DUPLICATE_VALUE', message: `${field} must be unique`, field };
+  }
+  
+  // Errors raised by express.json() (malformed or oversized bodies)
+  if (error.type === 'entity.parse.failed') {
+    return { status: 400, code: 'INVALID_JSON', message: 'Request body is not valid JSON' };
+  }
+  if (error.expose && error.status >= 400 && error.status < 500) {
+    return { status: error.status, code: 'BAD_REQUEST', message: error.message };
   }
   
-  return res.status(500).json({ error: 'Database operation failed', message: error.message });
+  return { status: 500, code: 'INTERNAL_ERROR', message: 'Internal server error' };
+}
+
+/**
+ * Send an error response in the uniform format:
+ * { code, message, field, details } plus `error` (same as message) for
+ * clients written against the old { error } responses
+ * @param {Error} error - Error object
+ * @param {Object} res - Express response object
+ */
+function handleDBError(error, res) {
+  const { status, code, message, field, details } = describeError(error);
+  if (status >= 500) console.error('Database error:', error);
+  
+  const body = { code, message, field: field || null, error: message };
+  if (details) body.details = details;
+  return res.status(status).json(body);
 }
 
 /**
@@ -137,12 +197,33 @@ function createOptimizedQuery(model, filter, options = {}) {
   return query;
 }
 
+/**
+ * Run a function inside a MongoDB transaction (retried on transient errors)
+ * @param {Function} fn - async (session) => result
+ * @returns {Promise<*>} Whatever fn resolves to
+ */
+async function runInTransaction(fn) {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+}
+
 module.exports = {
   buildFilter,
   buildSearchFilter,
+  escapeRegex,
   getPaginationParams,
   formatPaginationResponse,
+  describeError,
   handleDBError,
   isValidObjectId,
-  createOptimizedQuery
+  createOptimizedQuery,
+  runInTransaction
 };
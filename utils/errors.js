@@ -0,0 +1,25 @@
+/**
+ * Application Errors
+ * Errors thrown by services that carry an HTTP status and a stable,
+ * machine-readable code for clients
+ */
+
+class AppError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} code - Machine-readable error code (e.g. "NO_COPIES_AVAILABLE")
+   * @param {string} message - Human-readable message
+   * @param {Object} options - { field, details }: the offending input field, and
+   *   per-field { code, field, message } entries when several fields failed
+   */
+  constructor(status, code, message, { field, details } = {}) {
+    super(message);
+    this.name = 'AppError';
+    this.status = status;
+    this.code = code;
+    this.field = field;
+    this.details = details;
+  }
+}
+
+module.exports = { AppError };
@@ -0,0 +1,89 @@
+/**
+ * ISBN Utilities
+ * Checksum validation and conversion between ISBN-10 and ISBN-13.
+ * Books store the ISBN-13 digits as `isbn` (the unique key) and the
+ * ISBN-10 form as `isbn10` when one exists (978-prefixed ISBNs only).
+ */
+
+/**
+ * Strip hyphens and spaces; uppercase the ISBN-10 "X" check digit
+ * @param {string} input - ISBN as typed or printed
+ * @returns {string}
+ */
+function compactIsbn(input) {
+  return String(input).replace(/[\s-]/g, '').toUpperCase();
+}
+
+/**
+ * @param {string} isbn - 10 compact characters
+ * @returns {boolean}
+ */
+function isValidIsbn10(isbn) {
+  if (!/^\d{9}[\dX]$/.test(isbn)) return false;
+  let sum = 0;
+  for (let i = 0; i < 10; i++) {
+    const digit = isbn[i] === 'X' ? 10 : Number(isbn[i]);
+    sum += digit * (10 - i);
+  }
+  return sum % 11 === 0;
+}
+
+/**
+ * @param {string} isbn - 13 compact digits
+ * @returns {boolean}
+ */
+function isValidIsbn13(isbn) {
+  if (!/^97[89]\d{10}$/.test(isbn)) return false;
+  let sum = 0;
+  for (let i = 0; i < 13; i++) sum += Number(isbn[i]) * (i % 2 ? 3 : 1);
+  return sum % 10 === 0;
+}
+
+/**
+ * ISBN-13 for a valid ISBN-10
+ * @param {string} isbn10 - Compact ISBN-10
+ * @returns {string}
+ */
+function isbn10To13(isbn10) {
+  const stem = '978' + isbn10.slice(0, 9);
+  let sum = 0;
+  for (let i = 0; i < 12; i++) sum += Number(stem[i]) * (i % 2 ? 3 : 1);
+  return stem + ((10 - (sum % 10)) % 10);
+}
+
+/**
+ * ISBN-10 for a valid ISBN-13, or null for 979-prefixed ISBNs (which
+ * have no ISBN-10 form)
+ * @param {string} isbn13 - Compact ISBN-13
+ * @returns {string|null}
+ */
+function isbn13To10(isbn13) {
+  if (!isbn13.startsWith('978')) return null;
+  const stem = isbn13.slice(3, 12);
+  let sum = 0;
+  for (let i = 0; i < 9; i++) sum += Number(stem[i]) * (10 - i);
+  const check = (11 - (sum % 11)) % 11;
+  return stem + (check === 10 ? 'X' : String(check));
+}
+
+/**
+ * Validate and normalize an ISBN in either form
+ * @param {string} input - ISBN-10 or ISBN-13, with or without hyphens
+ * @returns {Object|null} { isbn13, isbn10 } or null when invalid
+ */
+function parseIsbn(input) {
+  if (input === undefined || input === null) return null;
+  const isbn = compactIsbn(input);
+  if (isbn.length === 10 && isValidIsbn10(isbn)) return { isbn13: isbn10To13(isbn), isbn10: isbn };
+  if (isbn.length === 13 && isValidIsbn13(isbn)) return { isbn13: isbn, isbn10: isbn13To10(isbn) };
+  return null;
+}
+
+module.exports = {
+  compactIsbn,
+  isValidIsbn10,
+  isValidIsbn13,
+  isbn10To13,
+  isbn13To10,
+  parseIsbn
+};
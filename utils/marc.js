@@ -0,0 +1,196 @@
+/**
+ * MARC Utilities
+ * Streaming readers for MARC21 transmission format (ISO 2709) and MARCXML.
+ *
+ * Both readers yield records in one shape:
+ *   { leader, fields: [{ tag, value }                      (control fields)
+ *                     | { tag, ind1, ind2, subfields: [{ code, value }] }] }
+ *
+ * Binary records are decoded as UTF-8 (leader/09 = "a"). MARC-8 records
+ * decode correctly for plain ASCII only; diacritics need converting to
+ * UTF-8 (e.g. with MarcEdit) before import.
+ */
+
+const RECORD_TERMINATOR = 0x1d;
+const FIELD_TERMINATOR = 0x1e;
+const SUBFIELD_DELIMITER = 0x1f;
+
+/**
+ * Parse one ISO 2709 record
+ * @param {Buffer} buffer - Record bytes (without the record terminator)
+ * @returns {Object} { leader, fields }
+ */
+function parseMarcRecord(buffer) {
+  const leader = buffer.toString('utf8', 0, 24);
+  const baseAddress = parseInt(leader.slice(12, 17), 10);
+  if (buffer.length < 24 || !Number.isInteger(baseAddress) || baseAddress > buffer.length) {
+    throw new Error('Malformed MARC record leader');
+  }
+
+  const fields = [];
+  // Directory: 12-byte entries (tag, length, start) up to the field terminator
+  for (let pos = 24; pos + 12 <= baseAddress - 1 && buffer[pos] !== FIELD_TERMINATOR; pos += 12) {
+    const entry = buffer.toString('ascii', pos, pos + 12);
+    const tag = entry.slice(0, 3);
+    const length = parseInt(entry.slice(3, 7), 10);
+    const start = baseAddress + parseInt(entry.slice(7, 12), 10);
+    let data = buffer.subarray(start, start + length);
+    if (data[data.length - 1] === FIELD_TERMINATOR) data = data.subarray(0, data.length - 1);
+
+    if (tag < '010') {
+      fields.push({ tag, value: data.toString('utf8') });
+      continue;
+    }
+
+    const subfields = [];
+    let offset = data.indexOf(SUBFIELD_DELIMITER);
+    while (offset !== -1) {
+      const next = data.indexOf(SUBFIELD_DELIMITER, offset + 1);
+      const part = data.subarray(offset + 1, next === -1 ? data.length : next);
+      if (part.length) subfields.push({ code: String.fromCharCode(part[0]), value: part.subarray(1).toString('utf8') });
+      offset = next;
+    }
+    fields.push({ tag, ind1: String.fromCharCode(data[0] || 32), ind2: String.fromCharCode(data[1] || 32), subfields });
+  }
+
+  return { leader, fields };
+}
+
+/**
+ * Read ISO 2709 records from a byte stream
+ * @param {Readable} stream - Byte stream
+ * @yields {Object} Parsed record, or { error } for a record that could not be parsed
+ */
+async function* readMarcRecords(stream) {
+  let pending = Buffer.alloc(0);
+
+  for await (const chunk of stream) {
+    pending = pending.length ? Buffer.concat([pending, chunk]) : Buffer.from(chunk);
+    let end;
+    while ((end = pending.indexOf(RECORD_TERMINATOR)) !== -1) {
+      const bytes = pending.subarray(0, end);
+      pending = pending.subarray(end + 1);
+      if (!bytes.toString('ascii').trim()) continue;
+      try {
+        yield parseMarcRecord(bytes);
+      } catch (err) {
+        yield { error: err.message };
+      }
+    }
+  }
+
+  if (pending.toString('ascii').trim()) yield { error: 'Truncated MARC record at end of file' };
+}
+
+/**
+ * Decode XML character entities
+ * @param {string} text - XML text content
+ * @returns {string}
+ */
+function decodeXml(text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#\d+|amp|lt|gt|quot|apos);/g, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }[entity];
+  });
+}
+
+/**
+ * Parse the inside of a MARCXML <record> element
+ * @param {string} xml - Record content
+ * @returns {Object} { leader, fields }
+ */
+function parseMarcXmlRecord(xml) {
+  const leaderMatch = /<(?:[\w-]+:)?leader\b[^>]*>([\s\S]*?)<\//.exec(xml);
+  const fields = [];
+  const fieldPattern = /<(?:[\w-]+:)?(controlfield|datafield)\b([^>]*)>([\s\S]*?)<\/(?:[\w-]+:)?\1>/g;
+  const attribute = (attrs, name) => {
+    const match = new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`).exec(attrs);
+    return match ? match[1] : ' ';
+  };
+
+  let match;
+  while ((match = fieldPattern.exec(xml))) {
+    const [, kind, attrs, content] = match;
+    const tag = attribute(attrs, 'tag');
+    if (kind === 'controlfield') {
+      fields.push({ tag, value: decodeXml(content) });
+      continue;
+    }
+    const subfields = [];
+    const subfieldPattern = /<(?:[\w-]+:)?subfield\b([^>]*)>([\s\S]*?)<\/(?:[\w-]+:)?subfield>/g;
+    let sub;
+    while ((sub = subfieldPattern.exec(content))) {
+      subfields.push({ code: attribute(sub[1], 'code'), value: decodeXml(sub[2]) });
+    }
+    fields.push({ tag, ind1: attribute(attrs, 'ind1'), ind2: attribute(attrs, 'ind2'), subfields });
+  }
+
+  return { leader: leaderMatch ? decodeXml(leaderMatch[1]) : '', fields };
+}
+
+/**
+ * Read MARCXML records (a <collection> of <record>s, any namespace prefix)
+ * @param {Readable} stream - Text or byte stream (decoded as UTF-8)
+ * @yields {Object} Parsed record
+ */
+async function* readMarcXmlRecords(stream) {
+  if (typeof stream.setEncoding === 'function') stream.setEncoding('utf8');
+  const recordPattern = /<((?:[\w-]+:)?record)\b[^>]*>([\s\S]*?)<\/\1\s*>/g;
+  let pending = '';
+
+  for await (const chunk of stream) {
+    pending += chunk;
+    recordPattern.lastIndex = 0;
+    let consumed = 0;
+    let match;
+    while ((match = recordPattern.exec(pending))) {
+      consumed = recordPattern.lastIndex;
+      yield parseMarcXmlRecord(match[2]);
+    }
+    // Keep only the incomplete tail for the next chunk
+    if (consumed) pending = pending.slice(consumed);
+  }
+}
+
+/**
+ * Values of a subfield across every occurrence of a tag
+ * @param {Object} record - Parsed record
+ * @param {string} tag - Field tag (e.g. "650")
+ * @param {string} code - Subfield code (e.g. "a")
+ * @returns {Array<string>}
+ */
+function subfieldValues(record, tag, code) {
+  const values = [];
+  for (const field of record.fields) {
+    if (field.tag !== tag || !field.subfields) continue;
+    for (const sub of field.subfields) if (sub.code === code) values.push(sub.value);
+  }
+  return values;
+}
+
+/**
+ * First value of a subfield, or a control field's value when code is omitted
+ * @param {Object} record - Parsed record
+ * @param {string} tag - Field tag
+ * @param {string} code - Subfield code
+ * @returns {string|undefined}
+ */
+function firstValue(record, tag, code) {
+  if (!code) {
+    const field = record.fields.find(f => f.tag === tag && f.value !== undefined);
+    return field && field.value;
+  }
+  return subfieldValues(record, tag, code)[0];
+}
+
+module.exports = {
+  parseMarcRecord,
+  readMarcRecords,
+  parseMarcXmlRecord,
+  readMarcXmlRecords,
+  subfieldValues,
+  firstValue
+};
@@ -0,0 +1,102 @@
+/**
+ * Membership Utilities
+ * Card numbers, academic terms and expiry dates, following
+ * config/membershipConfig.js
+ */
+
+const crypto = require('crypto');
+const membershipConfig = require('../config/membershipConfig');
+
+/**
+ * Generate a new library card number
+ * @returns {string} e.g. "MEM4F7A9C21D0"
+ */
+function generateCardNumber() {
+  return membershipConfig.cardPrefix + crypto.randomBytes(5).toString('hex').toUpperCase();
+}
+
+/**
+ * The last moment of a day (UTC)
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @param {number} day
+ * @returns {Date}
+ */
+function endOfDay(year, month, day) {
+  return new Date(Date.UTC(year, month - 1, day, 23, 59, 59, 999));
+}
+
+/**
+ * When an academic term ends
+ * @param {string} term - "2026-fall", "fall-2026" or "Fall 2026"
+ * @returns {Date|null} null when the term is not recognised
+ */
+function termEndDate(term) {
+  const match = String(term).trim().toLowerCase().match(/^(?:(\d{4})[\s_-]*([a-z]+)|([a-z]+)[\s_-]*(\d{4}))$/);
+  if (!match) return null;
+  const year = Number(match[1] || match[4]);
+  const name = match[2] || match[3];
+  const found = membershipConfig.academicTerms.find(t => t.name === name);
+  return found ? endOfDay(year, found.month, found.day) : null;
+}
+
+/**
+ * End of the first academic term finishing after a date
+ * @param {Date} after - Reference date
+ * @returns {Date}
+ */
+function nextTermEnd(after) {
+  const year = after.getUTCFullYear();
+  for (const y of [year, year + 1]) {
+    for (const { month, day } of membershipConfig.academicTerms) {
+      const end = endOfDay(y, month, day);
+      if (end > after) return end;
+    }
+  }
+  return null;
+}
+
+/**
+ * Whether a role's membership expires at all
+ * @param {string} role - Member role
+ * @returns {boolean}
+ */
+function roleExpires(role) {
+  return Boolean(membershipConfig.termMonths[role]) || membershipConfig.academicTermRoles.includes(role);
+}
+
+/**
+ * Expiry of a membership started or renewed at a date: the end of the
+ * current academic term for students, a fixed term for patrons
+ * @param {string} role - Member role
+ * @param {Date} from - Start of the term
+ * @returns {Date|null} null for roles that never expire
+ */
+function membershipExpiry(role, from = new Date()) {
+  if (membershipConfig.academicTermRoles.includes(role)) return nextTermEnd(from);
+
+  const months = membershipConfig.termMonths[role];
+  if (!months) return null;
+  const end = new Date(from);
+  end.setUTCMonth(end.getUTCMonth() + months);
+  return end;
+}
+
+/**
+ * Whether a member's membership has run out
+ * @param {Object} member - Member (needs membershipExpiresAt)
+ * @param {Date} now - Reference time
+ * @returns {boolean}
+ */
+function isMembershipExpired(member, now = new Date()) {
+  return Boolean(member.membershipExpiresAt) && new Date(member.membershipExpiresAt) < now;
+}
+
+module.exports = {
+  generateCardNumber,
+  termEndDate,
+  nextTermEnd,
+  roleExpires,
+  membershipExpiry,
+  isMembershipExpired
+};
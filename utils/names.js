@@ -0,0 +1,28 @@
+/**
+ * Name Utilities
+ * Matching keys for the catalog's named entities (authors, subjects,
+ * series and works)
+ */
+
+/**
+ * Collapse whitespace and trim a name as entered
+ * @param {string} name - Name
+ * @returns {string}
+ */
+function cleanName(name) {
+  return String(name).trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Case- and spacing-insensitive key for a name
+ * @param {string} name - Name
+ * @returns {string}
+ */
+function normalizeName(name) {
+  return cleanName(name).toLowerCase();
+}
+
+module.exports = {
+  cleanName,
+  normalizeName
+};
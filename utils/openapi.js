@@ -0,0 +1,643 @@
+/**
+ * OpenAPI Document
+ * Builds the OpenAPI 3 description of the books, members, loans and system
+ * (/borrowed, /health) routers from the code itself:
+ *   - paths and methods from the routers' stacks,
+ *   - parameters and request bodies from the validate() schema of each route
+ *     (middleware/validate.js),
+ *   - security, roles and rate limits from the auth and rateLimit middleware,
+ *   - summaries from the `// comment` above each route in its source file,
+ *   - component schemas from the Mongoose models.
+ * Response bodies are listed by hand in RESPONSES. scripts/checkOpenApi.js
+ * (run by npm test) fails when a route is missing from it, when an entry no
+ * longer matches a route, when docs/openapi.json is out of date, or when an
+ * entry and its handler disagree about the list envelope: handlers that
+ * call paginate() or send `pagination` must be described with page() (the
+ * shared Page schema), and only those. Other fields are not compared, so
+ * update the entry along with the handler.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { STATUS_CODES } = require('http');
+const Book = require('../Models/Books');
+const Member = require('../Models/Members');
+const Borrowed = require('../Models/Loan');
+const Copy = require('../Models/Copy');
+const Reservation = require('../Models/Reservation');
+const Review = require('../Models/Review');
+const Fine = require('../Models/Fine');
+const { authenticate } = require('../middleware/auth');
+const { version } = require('../package.json');
+
+const ROOT = path.join(__dirname, '..');
+
+// Documented routers, by mount path in server.js ('' is mounted at the root)
+const ROUTERS = [
+  { prefix: '/books', file: 'routes/books.js', tag: 'Books' },
+  { prefix: '/members', file: 'routes/members.js', tag: 'Members' },
+  { prefix: '/loans', file: 'routes/loans.js', tag: 'Loans' },
+  { prefix: '', file: 'routes/system.js', tag: 'System' }
+];
+
+// A handler that sends the list envelope of utils/pagination.js
+const SENDS_PAGE = /\bpaginate\(|\bpagination:/;
+
+// Component schemas built from models; credentials are never returned
+const MODELS = [
+  { name: 'Book', model: Book },
+  { name: 'Member', model: Member, omit: ['password', 'tokenVersion'] },
+  { name: 'Loan', model: Borrowed },
+  { name: 'Copy', model: Copy },
+  { name: 'Hold', model: Reservation },
+  { name: 'Review', model: Review },
+  { name: 'Fine', model: Fine }
+];
+
+const OBJECT_ID = { type: 'string', pattern: '^[0-9a-fA-F]{24}$' };
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const object = properties => ({ type: 'object', properties });
+const arrayOf = items => ({ type: 'array', items });
+const page = name => ({ allOf: [ref('Page'), object({ data: arrayOf(ref(name)) })] });
+const message = (properties = {}) => object({ message: { type: 'string' }, ...properties });
+const withTokens = properties => ({ allOf: [ref('TokenPair'), message(properties)] });
+// Export endpoints answer with a file in the ?format= asked for
+const download = name => ({
+  content: {
+    'text/csv': { schema: { type: 'string' } },
+    'application/json': { schema: arrayOf(ref(name)) }
+  }
+});
+
+const importReport = properties => object({
+  dryRun: { type: 'boolean' },
+  processed: { type: 'integer' },
+  created: { type: 'integer' },
+  ...properties,
+  failed: { type: 'integer' },
+  errors: arrayOf(object({ row: { type: 'integer' }, errors: arrayOf(ref('FieldError')) })),
+  errorsTruncated: { type: 'boolean' }
+});
+
+const ranked = properties => arrayOf({ allOf: [ref('Book'), object({ score: { type: 'number' }, ...properties })] });
+
+// Success body of every documented route, keyed by "METHOD /path" (written
+// by hand; lists must use page(), see findSpecProblems)
+const RESPONSES = {
+  'GET /books': page('Book'),
+  'GET /books/search': {
+    allOf: [page('Book'), object({
+      facets: object({
+        categories: arrayOf(object({ value: { type: 'string', nullable: true }, count: { type: 'integer' } })),
+        publicationYears: arrayOf(object({
+          range: { type: 'string' },
+          min: { type: 'integer', nullable: true },
+          max: { type: 'integer', nullable: true },
+          count: { type: 'integer' }
+        })),
+        availability: object({ available: { type: 'integer' }, unavailable: { type: 'integer' } })
+      })
+    })]
+  },
+  'GET /books/autocomplete': object({
+    titles: arrayOf(object({ _id: OBJECT_ID, title: { type: 'string' }, author: { type: 'string' } })),
+    authors: arrayOf({ type: 'string' })
+  }),
+  'POST /books/import': importReport({
+    format: { type: 'string' },
+    onDuplicate: { type: 'string' },
+    merged: { type: 'integer' },
+    skipped: { type: 'integer' }
+  }),
+  'GET /books/export': download('Book'),
+  'GET /books/deleted': page('Book'),
+  'GET /books/lookup/{isbn}': object({
+    isbn: { type: 'string' },
+    isbn10: { type: 'string', nullable: true },
+    provider: { type: 'string' },
+    found: { type: 'boolean' },
+    fields: { type: 'object', nullable: true, description: 'Book fields the provider knows' },
+    existingBookId: { ...OBJECT_ID, nullable: true }
+  }),
+  'GET /books/{id}': ref('Book'),
+  'POST /books': ref('Book'),
+  'PUT /books/{id}': ref('Book'),
+  'DELETE /books/{id}': message(),
+  'POST /books/{id}/restore': ref('Book'),
+  'DELETE /books/{id}/purge': message(),
+  'GET /books/{id}/editions': page('Book'),
+  'GET /books/{id}/similar': object({
+    bookId: OBJECT_ID,
+    computedAt: { type: 'string', format: 'date-time', nullable: true },
+    books: ranked({ coBorrowers: { type: 'integer' } })
+  }),
+  'GET /books/{id}/reviews': page('Review'),
+  'POST /books/{id}/reviews': message({ review: ref('Review') }),
+  'GET /books/{id}/copies': page('Copy'),
+  'POST /books/{id}/copies': object({ data: arrayOf(ref('Copy')) }),
+  'GET /books/{id}/holds': { allOf: [page('Hold'), object({ queueLength: { type: 'integer' } })] },
+  'POST /books/{id}/holds': { allOf: [ref('Hold'), object({ position: { type: 'integer' } })] },
+  'DELETE /books/{id}/holds/{holdId}': message({ hold: ref('Hold') }),
+  'GET /books/stats/by-category': arrayOf(object({
+    _id: { type: 'string', description: 'Category' },
+    total: { type: 'integer' },
+    available: { type: 'integer' }
+  })),
+
+  'POST /members/login': withTokens({ user: ref('Member') }),
+  'POST /members/refresh': ref('TokenPair'),
+  'POST /members/logout': message(),
+  'POST /members/verify-email': message({ email: { type: 'string' } }),
+  'POST /members/verify-email/resend': message(),
+  'POST /members/forgot-password': message(),
+  'POST /members/reset-password': message(),
+  'POST /members/register/student': message({ _id: OBJECT_ID, email: { type: 'string' } }),
+  'POST /members/register/patron': message({ _id: OBJECT_ID, email: { type: 'string' } }),
+  'POST /members/logout-all': message(),
+  'POST /members/change-password': withTokens(),
+  'GET /members': page('Member'),
+  'GET /members/export': download('Member'),
+  'POST /members/import/students': importReport({ updated: { type: 'integer' } }),
+  'GET /members/card/{cardNumber}': ref('Member'),
+  'GET /members/deleted': page('Member'),
+  'GET /members/{id}': ref('Member'),
+  'POST /members': message({ _id: OBJECT_ID }),
+  'PUT /members/{id}': message({ member: ref('Member') }),
+  'PUT /members/{id}/student': message({ member: ref('Member') }),
+  'PUT /members/{id}/patron': message({ member: ref('Member') }),
+  'DELETE /members/{id}': message(),
+  'POST /members/{id}/restore': ref('Member'),
+  'DELETE /members/{id}/purge': message(),
+  'POST /members/{id}/renew': message({ member: ref('Member') }),
+  'GET /members/{id}/recommendations': object({
+    memberId: OBJECT_ID,
+    computedAt: { type: 'string', format: 'date-time', nullable: true },
+    books: ranked({ reasons: arrayOf({ type: 'string', enum: ['borrowed_together', 'category', 'author'] }) })
+  }),
+  'POST /members/{id}/card': message({ cardNumber: { type: 'string' } }),
+  'POST /members/{id}/revoke-tokens': message(),
+  'GET /members/stats/overview': arrayOf(object({
+    _id: { type: 'string', description: 'Role' },
+    count: { type: 'integer' },
+    active: { type: 'integer' }
+  })),
+
+  'GET /loans': page('Loan'),
+  'GET /loans/export': download('Loan'),
+  'GET /loans/deleted': page('Loan'),
+  'GET /loans/{id}': ref('Loan'),
+  'POST /loans/checkout': ref('Loan'),
+  'POST /loans/return': ref('Loan'),
+  'POST /loans/{id}/return': ref('Loan'),
+  'POST /loans/{id}/renew': ref('Loan'),
+  'POST /loans/{id}/lost': object({ loan: ref('Loan'), fine: ref('Fine') }),
+  'POST /loans': ref('Loan'),
+  'PUT /loans/{id}': ref('Loan'),
+  'DELETE /loans/{id}': message(),
+  'POST /loans/{id}/restore': ref('Loan'),
+  'DELETE /loans/{id}/purge': message(),
+  'GET /loans/user/{userId}': page('Loan'),
+  'GET /loans/reports/overdue': page('Loan'),
+  'GET /loans/stats/summary': object(Object.fromEntries(['activeLoans', 'returnedLoans', 'overdueLoans'].map(name => [
+    name,
+    arrayOf(object({ total: { type: 'integer' } }))
+  ]))),
+
+  'GET /borrowed': page('Loan'),
+  'GET /health': object({
+    status: { type: 'string' },
+    uptime: { type: 'number', description: 'Seconds' },
+    memory: { type: 'object', description: 'process.memoryUsage() in bytes' }
+  })
+};
+
+// Routes that take a raw (non-JSON) request body
+const RAW_BODIES = {
+  'POST /books/import': ['text/csv', 'application/marc', 'application/marcxml+xml'],
+  'POST /members/import/students': ['text/csv']
+};
+
+const SHARED_SCHEMAS = {
+  Error: {
+    type: 'object',
+    description: 'Every error response has this shape',
+    properties: {
+      code: { type: 'string', example: 'VALIDATION_FAILED' },
+      message: { type: 'string' },
+      field: { type: 'string', nullable: true, description: 'Field at fault, when there is one' },
+      error: { type: 'string', description: 'Same as message (kept for older clients)' },
+      details: arrayOf(ref('FieldError'))
+    },
+    required: ['code', 'message', 'field', 'error']
+  },
+  FieldError: object({ code: { type: 'string' }, field: { type: 'string' }, message: { type: 'string' } }),
+  Page: object({
+    data: { type: 'array', items: {} },
+    pagination: object({
+      limit: { type: 'integer' },
+      sort: { type: 'string' },
+      order: { type: 'string', enum: ['asc', 'desc'] },
+      hasNext: { type: 'boolean' },
+      hasPrev: { type: 'boolean' },
+      nextCursor: { type: 'string', nullable: true },
+      prevCursor: { type: 'string', nullable: true },
+      total: { type: 'integer', description: 'Page mode only (no ?cursor=)' },
+      page: { type: 'integer', description: 'Page mode only' },
+      pages: { type: 'integer', description: 'Page mode only' }
+    })
+  }),
+  TokenPair: object({
+    accessToken: { type: 'string' },
+    refreshToken: { type: 'string' },
+    tokenType: { type: 'string', example: 'Bearer' },
+    expiresIn: { type: 'integer', description: 'Access token lifetime in seconds' }
+  })
+};
+
+/**
+ * OpenAPI schema for a validate() field spec
+ * @param {Object} spec - Field spec
+ * @returns {Object}
+ */
+function fieldSchema(spec) {
+  let schema;
+  switch (spec.type) {
+    case 'email': schema = { type: 'string', format: 'email' }; break;
+    case 'objectId': schema = { ...OBJECT_ID }; break;
+    case 'date': schema = { type: 'string', format: 'date-time' }; break;
+    case 'isbn': schema = { type: 'string', description: 'ISBN-10 or ISBN-13 (stored as ISBN-13)' }; break;
+    case 'array':
+      schema = arrayOf(spec.items ? fieldSchema(spec.items) : {});
+      if (spec.minLength !== undefined) schema.minItems = spec.minLength;
+      if (spec.maxLength !== undefined) schema.maxItems = spec.maxLength;
+      break;
+    case 'object':
+      schema = { ...objectSchema(spec.fields || {}), additionalProperties: false };
+      break;
+    default: schema = { type: spec.type };
+  }
+
+  if (schema.type === 'string') {
+    if (spec.minLength !== undefined) schema.minLength = spec.minLength;
+    if (spec.maxLength !== undefined) schema.maxLength = spec.maxLength;
+    if (spec.pattern) schema.pattern = spec.pattern.source;
+  }
+  if (spec.min !== undefined) schema.minimum = spec.min;
+  if (spec.max !== undefined) schema.maximum = spec.max;
+  if (spec.enum) schema.enum = spec.enum;
+  if (spec.nullable) schema.nullable = true;
+  if (spec.roles) {
+    schema['x-roles'] = spec.roles;
+    schema.description = [schema.description, `Only ${spec.roles.join(', ')} may set this field`].filter(Boolean).join('. ');
+  }
+  return schema;
+}
+
+/**
+ * OpenAPI object schema for a set of field specs
+ * @param {Object} specs - Field specs by name
+ * @returns {Object}
+ */
+function objectSchema(specs) {
+  const schema = { type: 'object', properties: {} };
+  const required = [];
+  for (const [name, spec] of Object.entries(specs)) {
+    schema.properties[name] = fieldSchema(spec);
+    if (spec.required) required.push(name);
+  }
+  if (required.length) schema.required = required;
+  return schema;
+}
+
+/**
+ * OpenAPI schema for one Mongoose path
+ * @param {SchemaType} schemaType - Mongoose schema type
+ * @returns {Object}
+ */
+function pathSchema(schemaType) {
+  const { options } = schemaType;
+  switch (schemaType.instance) {
+    case 'String': {
+      const schema = { type: 'string' };
+      if (schemaType.enumValues && schemaType.enumValues.length) schema.enum = schemaType.enumValues;
+      return schema;
+    }
+    case 'Number': {
+      const schema = { type: 'number' };
+      // min/max may be given as [value, message]
+      if (options.min !== undefined) schema.minimum = [].concat(options.min)[0];
+      if (options.max !== undefined) schema.maximum = [].concat(options.max)[0];
+      return schema;
+    }
+    case 'Boolean': return { type: 'boolean' };
+    case 'Date': return { type: 'string', format: 'date-time' };
+    case 'ObjectId': {
+      const schema = { ...OBJECT_ID };
+      if (options.ref) schema.description = `${options.ref} ID (some routes return the ${options.ref} itself)`;
+      return schema;
+    }
+    case 'Array':
+      return arrayOf(schemaType.schema ? modelSchema(schemaType.schema) : pathSchema(schemaType.embeddedSchemaType));
+    case 'Embedded':
+      return modelSchema(schemaType.schema);
+    default:
+      return {};
+  }
+}
+
+/**
+ * OpenAPI schema for a Mongoose schema (nested paths become nested objects)
+ * @param {Schema} mongooseSchema - Mongoose schema
+ * @param {Array<string>} omit - Paths to leave out
+ * @returns {Object}
+ */
+function modelSchema(mongooseSchema, omit = []) {
+  const schema = { type: 'object', properties: {} };
+  mongooseSchema.eachPath((name, schemaType) => {
+    if (name === '__v' || omit.includes(name) || schemaType.options.select === false) return;
+
+    const parts = name.split('.');
+    let node = schema;
+    for (const part of parts.slice(0, -1)) {
+      node.properties[part] = node.properties[part] || { type: 'object', properties: {} };
+      node = node.properties[part];
+    }
+    node.properties[parts[parts.length - 1]] = pathSchema(schemaType);
+  });
+  return schema;
+}
+
+/**
+ * Comments above each route declaration in a source file
+ * @param {string} file - Path relative to the project root
+ * @returns {Object} "method /path" -> comment text
+ */
+function routeComments(file) {
+  const lines = fs.readFileSync(path.join(ROOT, file), 'utf8').split('\n');
+  const comments = {};
+  lines.forEach((line, i) => {
+    const match = line.match(/^router\.(get|post|put|patch|delete)\("([^"]+)"/);
+    if (!match) return;
+    const block = [];
+    for (let j = i - 1; j >= 0 && lines[j].startsWith('// '); j--) block.unshift(lines[j].slice(3).trim());
+    comments[`${match[1]} ${match[2]}`] = block.join(' ');
+  });
+  return comments;
+}
+
+/**
+ * Routes of a router with the middleware that runs for each (router-level
+ * middleware applies to the routes declared after it)
+ * @param {Router} router - Express router
+ * @param {string} prefix - Mount path
+ * @returns {Array<Object>} [{ method, path, routerPath, stack }]
+ */
+function routerRoutes(router, prefix) {
+  const routes = [];
+  const shared = [];
+  for (const layer of router.stack) {
+    if (!layer.route) {
+      shared.push(layer.handle);
+      continue;
+    }
+    for (const method of Object.keys(layer.route.methods)) {
+      routes.push({
+        method,
+        path: layer.route.path === '/' ? prefix : prefix + layer.route.path,
+        routerPath: layer.route.path,
+        stack: [...shared, ...layer.route.stack.map(l => l.handle)]
+      });
+    }
+  }
+  return routes;
+}
+
+/**
+ * Every documented route
+ * @returns {Array<Object>} [{ method, path, stack, tag, comment }]
+ */
+function collectRoutes() {
+  const routes = [];
+  for (const { prefix, file, tag } of ROUTERS) {
+    const comments = routeComments(file);
+    for (const route of routerRoutes(require(path.join(ROOT, file)), prefix)) {
+      routes.push({ ...route, tag, comment: comments[`${route.method} ${route.routerPath}`] });
+    }
+  }
+  return routes;
+}
+
+/**
+ * @param {string} expressPath - e.g. "/books/:id"
+ * @returns {string} e.g. "/books/{id}"
+ */
+function toOpenApiPath(expressPath) {
+  return expressPath.replace(/:(\w+)/g, '{$1}');
+}
+
+/**
+ * @param {string} method - HTTP method
+ * @param {string} openApiPath - e.g. "/books/{id}/holds"
+ * @returns {string} e.g. "getBooksByIdHolds"
+ */
+function operationId(method, openApiPath) {
+  const words = openApiPath.split(/[/-]/).filter(Boolean).map(word => {
+    const param = word.match(/^\{(\w+)\}$/);
+    const text = param ? `by-${param[1]}` : word;
+    return text.split('-').map(w => w.charAt(0).toUpperCase() + w.slice(1)).join('');
+  });
+  return method + words.join('');
+}
+
+/**
+ * Component name of an error response
+ * @param {number} status - HTTP status
+ * @returns {string} e.g. "NotFound"
+ */
+function errorResponseName(status) {
+  return STATUS_CODES[status].replace(/[^A-Za-z]/g, '');
+}
+
+/**
+ * OpenAPI operation for a route
+ * @param {Object} route - From collectRoutes()
+ * @param {string} key - "METHOD /path"
+ * @returns {Object}
+ */
+function describeOperation(route, key) {
+  const { stack } = route;
+  const handler = stack[stack.length - 1];
+  const source = handler ? handler.toString() : '';
+  const schema = (stack.find(fn => fn.schema) || {}).schema || {};
+  const roles = stack.filter(fn => fn.roles).flatMap(fn => fn.roles);
+  const selfParam = (stack.find(fn => fn.selfOrAdmin) || {}).selfOrAdmin;
+  const buckets = stack.filter(fn => fn.bucket).map(fn => fn.bucket);
+  const authenticated = stack.includes(authenticate);
+  const openApiPath = toOpenApiPath(route.path);
+
+  // "First sentence. Further detail" -> summary and description
+  const comment = route.comment || '';
+  const [, first = comment, rest = ''] = comment.match(/^(.+?)\.(?:\s+(.*))?$/) || [];
+  const notes = [];
+  if (rest) notes.push(comment);
+  if (roles.length) notes.push(`Requires the ${roles.join(' or ')} role.`);
+  if (selfParam) notes.push(`Members may only use their own ID as ${selfParam}; admins may use any.`);
+  if (buckets.length) notes.push(`Also limited by the ${buckets.join(', ')} rate limit bucket.`);
+
+  const operation = {
+    tags: [route.tag],
+    summary: first,
+    operationId: operationId(route.method, openApiPath)
+  };
+  if (notes.length) operation.description = notes.join('\n\n');
+  if (roles.length) operation['x-roles'] = roles;
+  operation.security = authenticated ? [{ bearerAuth: [] }] : [];
+
+  const parameters = [];
+  const pathParams = [...openApiPath.matchAll(/\{(\w+)\}/g)].map(match => match[1]);
+  for (const name of pathParams) {
+    const spec = (schema.params || {})[name];
+    parameters.push({ name, in: 'path', required: true, schema: spec ? fieldSchema(spec) : { type: 'string' } });
+  }
+  for (const [name, spec] of Object.entries(schema.query || {})) {
+    const parameter = { name, in: 'query', schema: fieldSchema(spec) };
+    if (spec.required) parameter.required = true;
+    parameters.push(parameter);
+  }
+  if (parameters.length) operation.parameters = parameters;
+
+  if (RAW_BODIES[key]) {
+    operation.requestBody = {
+      required: true,
+      content: Object.fromEntries(RAW_BODIES[key].map(type => [type, { schema: { type: 'string' } }]))
+    };
+  } else if (schema.body) {
+    const body = objectSchema(schema.body);
+    operation.requestBody = {
+      required: Boolean(body.required),
+      content: { 'application/json': { schema: { ...body, additionalProperties: false } } }
+    };
+  }
+
+  const success = (source.match(/res\.status\((2\d\d)\)/) || [])[1] || '200';
+  const body = RESPONSES[key] || {};
+  operation.responses = {
+    [success]: {
+      description: STATUS_CODES[success],
+      content: body.content || { 'application/json': { schema: body } }
+    }
+  };
+
+  // Errors the route's own middleware and handler raise; services can add
+  // others, always in the Error format
+  const errors = new Set([429]);
+  if (schema.params || schema.query || schema.body) errors.add(400);
+  if (authenticated) errors.add(401);
+  if (roles.length || selfParam) errors.add(403);
+  if (pathParams.length) errors.add(404);
+  for (const match of source.matchAll(/new AppError\((\d{3})/g)) errors.add(Number(match[1]));
+  for (const status of [...errors].sort((a, b) => a - b)) {
+    operation.responses[status] = { $ref: `#/components/responses/${errorResponseName(status)}` };
+  }
+  operation.responses.default = { $ref: '#/components/responses/Error' };
+  return operation;
+}
+
+/**
+ * Build the OpenAPI document
+ * @returns {Object}
+ */
+function buildOpenApiSpec() {
+  const paths = {};
+  const errorStatuses = new Set();
+  for (const route of collectRoutes()) {
+    const openApiPath = toOpenApiPath(route.path);
+    const operation = describeOperation(route, `${route.method.toUpperCase()} ${openApiPath}`);
+    paths[openApiPath] = paths[openApiPath] || {};
+    paths[openApiPath][route.method] = operation;
+    Object.keys(operation.responses).filter(status => status >= 400).forEach(status => errorStatuses.add(Number(status)));
+  }
+
+  const errorBody = { 'application/json': { schema: ref('Error') } };
+  const responses = { Error: { description: 'Error', content: errorBody } };
+  for (const status of [...errorStatuses].sort((a, b) => a - b)) {
+    responses[errorResponseName(status)] = { description: STATUS_CODES[status], content: errorBody };
+  }
+  responses.TooManyRequests.headers = {
+    'Retry-After': { description: 'Seconds until the limit resets', schema: { type: 'integer' } }
+  };
+
+  const schemas = {};
+  for (const { name, model, omit } of MODELS) schemas[name] = modelSchema(model.schema, omit);
+  Object.assign(schemas, SHARED_SCHEMAS);
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Libra API',
+      version,
+      description: 'Library catalog, membership and circulation. Errors always use the Error schema. ' +
+        'Paths, parameters and request bodies are generated from the routes; response bodies are maintained by hand.'
+    },
+    tags: ROUTERS.map(({ tag, prefix }) => (prefix ? { name: tag, description: `Routes under ${prefix}` } : { name: tag })),
+    security: [{ bearerAuth: [] }],
+    paths,
+    components: {
+      securitySchemes: { bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' } },
+      schemas,
+      responses
+    }
+  };
+}
+
+/**
+ * Ways the document can fall behind the code
+ * @param {Object} spec - From buildOpenApiSpec()
+ * @returns {Array<string>} Problems (empty when in step)
+ */
+function findSpecProblems(spec) {
+  const problems = [];
+  const documented = new Set();
+  const operationIds = new Set();
+
+  // List handlers and their RESPONSES entries must agree on the envelope
+  for (const route of collectRoutes()) {
+    const key = `${route.method.toUpperCase()} ${toOpenApiPath(route.path)}`;
+    if (!RESPONSES[key]) continue;
+    const sendsPage = SENDS_PAGE.test(route.stack[route.stack.length - 1].toString());
+    const documentsPage = JSON.stringify(RESPONSES[key]).includes('"#/components/schemas/Page"');
+    if (sendsPage && !documentsPage) problems.push(`${key} sends a page; describe it with page() in RESPONSES`);
+    if (documentsPage && !sendsPage) problems.push(`${key} is described with page() but its handler does not paginate`);
+  }
+
+  for (const [openApiPath, operations] of Object.entries(spec.paths)) {
+    for (const [method, operation] of Object.entries(operations)) {
+      const key = `${method.toUpperCase()} ${openApiPath}`;
+      documented.add(key);
+      if (!operation.summary) problems.push(`${key} has no "// comment" above its declaration`);
+      if (!RESPONSES[key]) problems.push(`${key} has no entry in RESPONSES (utils/openapi.js)`);
+      if (operationIds.has(operation.operationId)) problems.push(`${key} repeats operationId ${operation.operationId}`);
+      operationIds.add(operation.operationId);
+    }
+  }
+  for (const key of Object.keys(RESPONSES).concat(Object.keys(RAW_BODIES))) {
+    if (!documented.has(key)) problems.push(`${key} is described in utils/openapi.js but no such route exists`);
+  }
+
+  // Every $ref must point at a component
+  const json = JSON.stringify(spec);
+  for (const [, kind, name] of json.matchAll(/"#\/components\/(\w+)\/(\w+)"/g)) {
+    if (!spec.components[kind] || !spec.components[kind][name]) problems.push(`Unresolved $ref #/components/${kind}/${name}`);
+  }
+
+  const server = fs.readFileSync(path.join(ROOT, 'server.js'), 'utf8');
+  for (const { prefix, file } of ROUTERS) {
+    const variable = `${path.basename(file, '.js')}Router`;
+    const mount = prefix ? `app.use('${prefix}', ${variable})` : `app.use(${variable})`;
+    if (!server.includes(mount)) problems.push(`server.js no longer mounts ${file} at ${prefix || '/'}`);
+  }
+  return [...new Set(problems)];
+}
+
+module.exports = { buildOpenApiSpec, findSpecProblems };
@@ -0,0 +1,193 @@
+/**
+ * List Pagination
+ * Keyset (cursor) pagination keyed on a sort field plus _id, with a shared
+ * response envelope. Requests without a cursor fall back to page/limit so
+ * existing clients keep working while they migrate.
+ *
+ * Query parameters understood by paginate():
+ *   limit   - page size (1-100, default 10 unless the route says otherwise)
+ *   sort    - one of the route's sortable fields
+ *   order   - "asc" | "desc"
+ *   cursor  - opaque nextCursor/prevCursor from a previous response
+ *   page    - legacy page number (ignored when cursor is given)
+ */
+
+const mongoose = require('mongoose');
+const { AppError } = require('./errors');
+const { getPaginationParams } = require('./dbUtils');
+
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+
+/**
+ * Encode a cursor pointing at a document
+ * @param {Object} doc - Boundary document
+ * @param {Object} spec - { sort, order, direction }
+ * @returns {string} Opaque base64url cursor
+ */
+function encodeCursor(doc, { sort, order, direction }) {
+  const value = doc[sort];
+  const payload = {
+    s: sort,
+    o: order,
+    d: direction,
+    id: String(doc._id),
+    v: value instanceof Date ? value.toISOString() : value,
+    t: value instanceof Date ? 'date' : undefined
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decode and validate a cursor
+ * @param {string} cursor - Opaque cursor from a previous response
+ * @returns {Object} { sort, order, direction, id, value }
+ */
+function decodeCursor(cursor) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (err) {
+    throw new AppError(400, 'INVALID_CURSOR', 'cursor is malformed');
+  }
+  if (!payload || typeof payload !== 'object' || typeof payload.id !== 'string' ||
+      !OBJECT_ID_PATTERN.test(payload.id) || !['next', 'prev'].includes(payload.d)) {
+    throw new AppError(400, 'INVALID_CURSOR', 'cursor is malformed');
+  }
+
+  // The value goes into a query as is, so it must be a plain scalar (an
+  // object such as { $ne: null } would be read as an operator)
+  const value = payload.t === 'date' ? new Date(payload.v) : payload.v;
+  const valid = payload.t === 'date'
+    ? typeof payload.v === 'string' && !Number.isNaN(value.getTime())
+    : payload.t === undefined && (typeof value === 'string' || typeof value === 'boolean' || Number.isFinite(value));
+  if (!valid) throw new AppError(400, 'INVALID_CURSOR', 'cursor is malformed');
+
+  return {
+    sort: payload.s,
+    order: payload.o,
+    direction: payload.d,
+    id: new mongoose.Types.ObjectId(payload.id),
+    value
+  };
+}
+
+/**
+ * Parse list parameters against a route's options
+ * @param {Object} query - req.query
+ * @param {Object} options - { sortFields, defaultSort, defaultOrder, defaultLimit }
+ * @returns {Object} { limit, sort, order, cursor, page, skip }
+ */
+function parseListParams(query, { sortFields, defaultSort, defaultOrder = 'desc', defaultLimit }) {
+  const { page, limit, skip } = getPaginationParams(query, defaultLimit);
+
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor);
+    if (!sortFields.includes(cursor.sort) || !['asc', 'desc'].includes(cursor.order)) {
+      throw new AppError(400, 'INVALID_CURSOR', 'cursor does not match this list');
+    }
+    // The cursor carries its own sort so later pages stay consistent
+    return { limit, sort: cursor.sort, order: cursor.order, cursor, page: null, skip: 0 };
+  }
+
+  const sort = query.sort || defaultSort;
+  if (!sortFields.includes(sort)) {
+    throw new AppError(400, 'INVALID_SORT', `sort must be one of: ${sortFields.join(', ')}`);
+  }
+  const order = query.order || defaultOrder;
+  if (!['asc', 'desc'].includes(order)) {
+    throw new AppError(400, 'INVALID_SORT', 'order must be "asc" or "desc"');
+  }
+
+  return { limit, sort, order, cursor: null, page, skip };
+}
+
+/**
+ * Filter selecting documents after (or before) the cursor position
+ * @param {Object} cursor - Decoded cursor
+ * @param {number} direction - 1 when walking in sort order, -1 when walking back
+ * @returns {Object} MongoDB filter
+ */
+function keysetFilter({ sort, value, id }, direction) {
+  const op = direction > 0 ? '$gt' : '$lt';
+  if (sort === '_id') return { _id: { [op]: id } };
+  return {
+    $or: [
+      { [sort]: { [op]: value } },
+      { [sort]: value, _id: { [op]: id } }
+    ]
+  };
+}
+
+/**
+ * Run a paginated find and build the list envelope
+ * @param {Model} model - Mongoose model
+ * @param {Object} filter - Base filter
+ * @param {Object} query - req.query
+ * @param {Object} options
+ * @param {Array<string>} options.sortFields - Sortable fields (must never be null)
+ * @param {string} options.defaultSort - Sort field when none is requested
+ * @param {string} options.defaultOrder - "asc" | "desc" (default "desc")
+ * @param {number} options.defaultLimit - Page size when none is requested (default 10)
+ * @param {string} options.select - Projection
+ * @param {Array<Array>} options.populate - [[path, fields], ...]
+ * @returns {Promise<Object>} { data, pagination }
+ */
+async function paginate(model, filter, query, options) {
+  const { limit, sort, order, cursor, page, skip } = parseListParams(query, options);
+  const orderSign = order === 'asc' ? 1 : -1;
+  const walkingBack = cursor && cursor.direction === 'prev';
+  // Walking back reverses the sort; results are flipped again below
+  const querySign = walkingBack ? -orderSign : orderSign;
+
+  const conditions = cursor
+    ? { $and: [filter, keysetFilter(cursor, querySign)] }
+    : filter;
+
+  let find = model.find(conditions)
+    .sort(sort === '_id' ? { _id: querySign } : { [sort]: querySign, _id: querySign })
+    .skip(skip)
+    .limit(limit + 1)
+    .lean();
+  if (options.select) {
+    // Inclusion projections must carry the sort key for the cursors
+    const inclusive = !options.select.trim().startsWith('-');
+    find = find.select(inclusive ? `${options.select} ${sort}` : options.select);
+  }
+  for (const [path, fields] of options.populate || []) find = find.populate(path, fields);
+
+  const docs = await find;
+  const hasMore = docs.length > limit;
+  if (hasMore) docs.pop();
+  if (walkingBack) docs.reverse();
+
+  const hasNext = walkingBack ? true : hasMore;
+  const hasPrev = walkingBack ? hasMore : Boolean(cursor) || page > 1;
+  const spec = { sort, order };
+  const first = docs[0];
+  const last = docs[docs.length - 1];
+
+  const pagination = {
+    limit,
+    sort,
+    order,
+    hasNext,
+    hasPrev,
+    nextCursor: hasNext && last ? encodeCursor(last, { ...spec, direction: 'next' }) : null,
+    prevCursor: hasPrev && first ? encodeCursor(first, { ...spec, direction: 'prev' }) : null
+  };
+
+  // Legacy page mode keeps the fields existing clients read
+  if (!cursor) {
+    const total = await model.countDocuments(filter);
+    Object.assign(pagination, { total, page, pages: Math.ceil(total / limit) });
+  }
+
+  return { data: docs, pagination };
+}
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  parseListParams,
+  paginate
+};
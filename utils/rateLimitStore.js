@@ -0,0 +1,85 @@
+/**
+ * Rate Limit Store
+ * Counters for middleware/rateLimit.js and services/loginGuard.js.
+ *
+ * A store is any object with
+ *   increment(key, windowMs) -> Promise<{ count, resetAt }>
+ *     counts a hit on key; the count starts over windowMs after the first hit
+ *   get(key) -> Promise<{ count, resetAt } | null>
+ *   reset(key) -> Promise<void>
+ * Every method is async so a store shared between processes (e.g. Redis
+ * INCR + PEXPIRE) can implement the same interface. The in-memory store
+ * below only limits per process.
+ */
+
+// How often expired counters are swept from memory
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * @returns {Object} In-memory store
+ */
+function createMemoryStore() {
+  const counters = new Map();
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of counters) if (entry.resetAt <= now) counters.delete(key);
+  }, SWEEP_INTERVAL_MS);
+  // Never keep the process alive just to sweep
+  sweep.unref();
+
+  const live = (key) => {
+    const entry = counters.get(key);
+    if (entry && entry.resetAt <= Date.now()) {
+      counters.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  return {
+    async increment(key, windowMs) {
+      let entry = live(key);
+      if (!entry) {
+        entry = { count: 0, resetAt: Date.now() + windowMs };
+        counters.set(key, entry);
+      }
+      entry.count++;
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+
+    async get(key) {
+      const entry = live(key);
+      return entry ? { count: entry.count, resetAt: entry.resetAt } : null;
+    },
+
+    async reset(key) {
+      counters.delete(key);
+    }
+  };
+}
+
+let store;
+
+/**
+ * The store shared by the limiters (in-memory unless replaced)
+ * @returns {Object}
+ */
+function getStore() {
+  if (!store) store = createMemoryStore();
+  return store;
+}
+
+/**
+ * Replace the shared store (call before the app handles requests)
+ * @param {Object} next - Store
+ */
+function setStore(next) {
+  store = next;
+}
+
+module.exports = {
+  createMemoryStore,
+  getStore,
+  setStore
+};
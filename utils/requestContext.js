@@ -0,0 +1,53 @@
+/**
+ * Request Context
+ * Per-request state that deep callers (Mongoose hooks, services) need
+ * without it being threaded through every call: who is acting and from
+ * where. Backed by AsyncLocalStorage, so it follows the request across
+ * awaits.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Express middleware opening a context for the request. Mount it after the
+ * body parsers so their stream callbacks don't lose it.
+ */
+function requestContext(req, res, next) {
+  storage.run({ actor: null, ip: req.ip, method: req.method, path: req.originalUrl, source: 'api' }, next);
+}
+
+/**
+ * Run a function in a context of its own (background jobs, scripts)
+ * @param {Object} context - { actor, source, ... }
+ * @param {Function} fn - Function to run
+ * @returns {*} fn's result
+ */
+function runWithContext(context, fn) {
+  return storage.run({ actor: null, ip: null, method: null, path: null, ...context }, fn);
+}
+
+/**
+ * The current context, or null outside of any
+ * @returns {Object|null}
+ */
+function getContext() {
+  return storage.getStore() || null;
+}
+
+/**
+ * Record the authenticated user on the current context
+ * @param {Object} user - req.user ({ id, role, email })
+ */
+function setActor(user) {
+  const store = storage.getStore();
+  if (store) store.actor = user;
+}
+
+module.exports = {
+  requestContext,
+  runWithContext,
+  getContext,
+  setActor
+};
@@ -0,0 +1,57 @@
+/**
+ * Soft Delete Plugin
+ * Deleted documents keep their data and are marked with deletedAt and
+ * deletedBy. Models using the plugin hide them from every find, count,
+ * update and aggregate unless the query opts in:
+ *
+ *   Book.find(filter).setOptions({ withDeleted: true })
+ *   Book.find({ deletedAt: { $ne: null } })     // filtering on deletedAt opts in
+ *   Book.aggregate([{ $match: { deletedAt: { $ne: null } } }, ...])
+ *
+ * Hard deletes are refused unless the query sets { purge: true }; deleting,
+ * restoring and purging go through services/deletionService.js, which owns
+ * the rules about what may be removed. Ref paths to these models declare
+ * populate: { withDeleted: true } so history keeps showing deleted records.
+ */
+
+const mongoose = require('mongoose');
+
+const FILTERED_OPS = [
+  'find', 'findOne', 'countDocuments', 'distinct',
+  'findOneAndUpdate', 'updateOne', 'updateMany', 'replaceOne', 'findOneAndReplace'
+];
+const DELETE_OPS = ['deleteOne', 'deleteMany', 'findOneAndDelete'];
+
+/**
+ * @param {Schema} schema - Model schema
+ */
+function softDeletePlugin(schema) {
+  schema.add({
+    deletedAt: { type: Date, default: null, index: true },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Member', populate: { withDeleted: true }, default: null }
+  });
+
+  schema.pre(FILTERED_OPS, { document: false, query: true }, function () {
+    if (this.getOptions().withDeleted || 'deletedAt' in this.getFilter()) return;
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre(DELETE_OPS, { document: false, query: true }, function () {
+    if (!this.getOptions().purge) {
+      throw new Error(`${this.model.modelName} documents are soft-deleted; use services/deletionService.js`);
+    }
+  });
+
+  schema.pre('aggregate', function () {
+    const pipeline = this.pipeline();
+    const first = pipeline[0];
+    if (first && first.$match) {
+      // Merged rather than prepended: a $text $match must stay first
+      if (!('deletedAt' in first.$match)) first.$match.deletedAt = null;
+    } else {
+      pipeline.unshift({ $match: { deletedAt: null } });
+    }
+  });
+}
+
+module.exports = { softDeletePlugin };
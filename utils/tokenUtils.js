@@ -0,0 +1,155 @@
+/**
+ * Token Utilities
+ * Issue, rotate and revoke JWT access/refresh token pairs
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const authConfig = require('../config/authConfig');
+const RefreshToken = require('../Models/RefreshToken');
+const Member = require('../Models/Members');
+
+/**
+ * Sign a short-lived access token for a member
+ * @param {Object} member - Member document (needs _id, role, email, tokenVersion)
+ * @returns {string} Signed JWT
+ */
+function signAccessToken(member) {
+  return jwt.sign(
+    { role: member.role, email: member.email, ver: member.tokenVersion || 0 },
+    authConfig.accessTokenSecret,
+    { subject: String(member._id), expiresIn: authConfig.accessTokenTtl, issuer: authConfig.issuer }
+  );
+}
+
+/**
+ * Verify an access token
+ * @param {string} token - Raw JWT
+ * @returns {Object} Decoded payload (throws if invalid or expired)
+ */
+function verifyAccessToken(token) {
+  return jwt.verify(token, authConfig.accessTokenSecret, { issuer: authConfig.issuer });
+}
+
+/**
+ * Issue a refresh token and persist its session record
+ * @param {Object} member - Member document
+ * @param {string} ip - Client IP address
+ * @returns {Promise<{token: string, jti: string}>}
+ */
+async function issueRefreshToken(member, ip) {
+  const jti = crypto.randomUUID();
+  const token = jwt.sign(
+    { ver: member.tokenVersion || 0 },
+    authConfig.refreshTokenSecret,
+    { subject: String(member._id), jwtid: jti, expiresIn: authConfig.refreshTokenTtl, issuer: authConfig.issuer }
+  );
+
+  const { exp } = jwt.decode(token);
+  await RefreshToken.create({
+    memberId: member._id,
+    jti,
+    expiresAt: new Date(exp * 1000),
+    createdByIp: ip
+  });
+
+  return { token, jti };
+}
+
+/**
+ * Issue a fresh access/refresh token pair
+ * @param {Object} member - Member document
+ * @param {string} ip - Client IP address
+ * @returns {Promise<Object>} { accessToken, refreshToken, tokenType, expiresIn }
+ */
+async function issueTokenPair(member, ip) {
+  const { token: refreshToken } = await issueRefreshToken(member, ip);
+  return {
+    accessToken: signAccessToken(member),
+    refreshToken,
+    tokenType: 'Bearer',
+    expiresIn: authConfig.accessTokenTtl
+  };
+}
+
+/**
+ * Exchange a refresh token for a new pair. The presented token is revoked
+ * (rotation), so each refresh token can be used exactly once.
+ * @param {string} token - Raw refresh JWT
+ * @param {string} ip - Client IP address
+ * @returns {Promise<Object|null>} New token pair, or null if the token is not usable
+ */
+async function rotateRefreshToken(token, ip) {
+  let payload;
+  try {
+    payload = jwt.verify(token, authConfig.refreshTokenSecret, { issuer: authConfig.issuer });
+  } catch (err) {
+    return null;
+  }
+
+  // Claim the token in one write, so of two concurrent refreshes with the
+  // same token only one gets a new pair
+  const now = new Date();
+  const session = await RefreshToken.findOneAndUpdate(
+    { jti: payload.jti, revokedAt: null, expiresAt: { $gt: now } },
+    { $set: { revokedAt: now } },
+    { new: true, lean: true, projection: { _id: 1 } }
+  );
+  if (!session) return null;
+
+  const member = await Member.findById(payload.sub).select('role email isActive tokenVersion').lean();
+  if (!member || !member.isActive || (member.tokenVersion || 0) !== payload.ver) return null;
+
+  const { token: refreshToken, jti } = await issueRefreshToken(member, ip);
+  await RefreshToken.updateOne({ _id: session._id }, { replacedBy: jti });
+
+  return {
+    accessToken: signAccessToken(member),
+    refreshToken,
+    tokenType: 'Bearer',
+    expiresIn: authConfig.accessTokenTtl
+  };
+}
+
+/**
+ * Revoke a single refresh token (logout of one session). Expired tokens are
+ * still accepted so a client can always clean up its own session.
+ * @param {string} token - Raw refresh JWT
+ * @returns {Promise<boolean>} True if a session was revoked
+ */
+async function revokeRefreshToken(token) {
+  let payload;
+  try {
+    payload = jwt.verify(token, authConfig.refreshTokenSecret, {
+      issuer: authConfig.issuer,
+      ignoreExpiration: true
+    });
+  } catch (err) {
+    return false;
+  }
+
+  const result = await RefreshToken.updateOne(
+    { jti: payload.jti, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Revoke every session of a member and invalidate outstanding access tokens
+ * @param {string} memberId - Member ID
+ * @param {ClientSession} session - Optional transaction
+ */
+async function revokeAllTokens(memberId, session) {
+  await Member.updateOne({ _id: memberId }, { $inc: { tokenVersion: 1 } }, { session });
+  await RefreshToken.updateMany({ memberId, revokedAt: null }, { revokedAt: new Date() }, { session });
+}
+
+module.exports = {
+  signAccessToken,
+  verifyAccessToken,
+  issueTokenPair,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllTokens
+};
@@ -0,0 +1,24 @@
+/**
+ * Audit Log Route Schemas
+ */
+
+const AuditLog = require('../Models/AuditLog');
+const { enumOf } = require('../middleware/validate');
+const { objectId, idParam, listQuery } = require('./common');
+
+module.exports = {
+  list: {
+    query: {
+      ...listQuery,
+      actorId: objectId,
+      targetModel: { type: 'string', maxLength: 50 },
+      targetId: objectId,
+      action: { type: 'string', enum: enumOf(AuditLog, 'action') },
+      source: { type: 'string', maxLength: 100 },
+      // createdAt range (inclusive)
+      from: { type: 'date' },
+      to: { type: 'date' }
+    }
+  },
+  byId: { params: idParam }
+};
@@ -0,0 +1,20 @@
+/**
+ * Author Route Schemas
+ */
+
+const { idParam, listQuery } = require('./common');
+
+module.exports = {
+  list: {
+    query: { ...listQuery, q: { type: 'string', maxLength: 200 } }
+  },
+  byId: { params: idParam },
+  books: { params: idParam, query: listQuery },
+  update: {
+    params: idParam,
+    body: {
+      name: { type: 'string', minLength: 1, maxLength: 300 },
+      bio: { type: 'string', maxLength: 5000 }
+    }
+  }
+};
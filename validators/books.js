@@ -0,0 +1,126 @@
+/**
+ * Book Route Schemas
+ */
+
+const Copy = require('../Models/Copy');
+const { optional, enumOf } = require('../middleware/validate');
+const { objectId, idParam, listQuery, exportFormat } = require('./common');
+
+// Writable catalog fields. quantity/available are derived from copies and
+// are never accepted directly.
+const bookFields = {
+  title: { type: 'string', required: true, minLength: 1, maxLength: 500 },
+  // Display byline; with no `authors` it is also the one credited author
+  author: { type: 'string', required: true, minLength: 1, maxLength: 300 },
+  // Credited authors in order (services/bibliographyService.js)
+  authors: { type: 'array', minLength: 1, maxLength: 50, items: { type: 'string', minLength: 1, maxLength: 300 } },
+  // Either form, hyphens allowed; stored as ISBN-13
+  isbn: { type: 'isbn' },
+  category: { type: 'string', maxLength: 100 },
+  publicationYear: { type: 'integer', min: 0, max: 9999 },
+  description: { type: 'string', maxLength: 5000 },
+  subjects: { type: 'array', maxLength: 50, items: { type: 'string', maxLength: 100 } },
+  publisher: { type: 'string', maxLength: 200 },
+  coverUrl: { type: 'string', maxLength: 1000, pattern: /^https?:\/\//i },
+  edition: { type: 'string', maxLength: 100 },
+  language: { type: 'string', pattern: /^[a-z]{2,3}$/i },
+  pageCount: { type: 'integer', min: 1, max: 100000 },
+  // Series title (null leaves the series) and the book's number in it
+  series: { type: 'string', maxLength: 300, nullable: true },
+  seriesVolume: { type: 'number', min: 0, max: 100000, nullable: true },
+  // Edition of an existing work; by default books with the same title and
+  // authors share a work
+  workId: objectId
+};
+
+// Number of shelf copies to create with generated barcodes
+const quantity = { type: 'integer', min: 0, max: 500 };
+
+const copyFields = {
+  barcode: { type: 'string', minLength: 1, maxLength: 50 },
+  shelfLocation: { type: 'string', maxLength: 100 },
+  condition: { type: 'string', enum: enumOf(Copy, 'condition') },
+  acquisitionDate: { type: 'date' },
+  notes: { type: 'string', maxLength: 1000 }
+};
+
+module.exports = {
+  list: {
+    query: {
+      ...listQuery,
+      category: { type: 'string', maxLength: 100 },
+      available: { type: 'boolean' },
+      language: { type: 'string', maxLength: 3 },
+      search: { type: 'string', maxLength: 200 }
+    }
+  },
+  search: {
+    query: {
+      q: { type: 'string', required: true, maxLength: 200 },
+      category: { type: 'string', maxLength: 100 },
+      available: { type: 'boolean' },
+      yearFrom: { type: 'integer' },
+      yearTo: { type: 'integer' },
+      page: listQuery.page,
+      limit: listQuery.limit
+    }
+  },
+  autocomplete: {
+    query: {
+      q: { type: 'string', maxLength: 200 },
+      limit: { type: 'integer', min: 1 }
+    }
+  },
+  // The file is the raw request body (see services/importService.js)
+  import: {
+    query: {
+      format: { type: 'string', enum: ['csv', 'marc', 'marcxml'] },
+      dryRun: { type: 'boolean' },
+      onDuplicate: { type: 'string', enum: ['merge', 'skip'] }
+    }
+  },
+  listDeleted: { query: listQuery },
+  export: {
+    query: { format: exportFormat, category: { type: 'string', maxLength: 100 } }
+  },
+  lookup: {
+    params: { isbn: { type: 'isbn', required: true } }
+  },
+  byId: { params: idParam },
+  editions: { params: idParam, query: listQuery },
+  similar: { params: idParam, query: { limit: { type: 'integer', min: 1, max: 50 } } },
+  // title and author may be left out when an isbn is given: the route
+  // fills them in from the metadata provider
+  create: {
+    body: { ...optional(bookFields), quantity }
+  },
+  // One row of a bulk import (services/importService.js). author may be
+  // replaced by authors.
+  importRow: {
+    body: { ...bookFields, author: optional(bookFields).author, quantity }
+  },
+  update: { params: idParam, body: optional(bookFields) },
+  listCopies: {
+    params: idParam,
+    query: { ...listQuery, status: { type: 'string', enum: enumOf(Copy, 'status') } }
+  },
+  listHolds: { params: idParam, query: listQuery },
+  addCopies: {
+    params: idParam,
+    body: {
+      copies: { type: 'array', minLength: 1, maxLength: 500, items: { type: 'object', fields: copyFields } },
+      count: { type: 'integer', min: 1, max: 500 },
+      shelfLocation: copyFields.shelfLocation,
+      condition: copyFields.condition,
+      acquisitionDate: copyFields.acquisitionDate,
+      notes: copyFields.notes
+    }
+  },
+  placeHold: {
+    params: idParam,
+    body: { memberId: objectId }
+  },
+  cancelHold: {
+    params: { ...idParam, holdId: { type: 'objectId', required: true } }
+  }
+};
@@ -0,0 +1,29 @@
+/**
+ * Shared Validation Schemas
+ * Field specs reused across routers (see middleware/validate.js)
+ */
+
+const objectId = { type: 'objectId' };
+
+// :id route parameter
+const idParam = { id: { type: 'objectId', required: true } };
+
+// Query parameters understood by utils/pagination.js#paginate (limit is
+// clamped to 100 there)
+const listQuery = {
+  page: { type: 'integer', min: 1 },
+  limit: { type: 'integer', min: 1 },
+  sort: { type: 'string', maxLength: 50 },
+  order: { type: 'string', enum: ['asc', 'desc'] },
+  cursor: { type: 'string', maxLength: 1000 }
+};
+
+// ?format= for the export endpoints (services/exportService.js)
+const exportFormat = { type: 'string', enum: ['csv', 'json'] };
+
+module.exports = {
+  objectId,
+  idParam,
+  listQuery,
+  exportFormat
+};
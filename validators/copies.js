@@ -0,0 +1,26 @@
+/**
+ * Copy Route Schemas
+ */
+
+const Copy = require('../Models/Copy');
+const { MANUAL_STATUSES } = require('../services/copyService');
+const { enumOf } = require('../middleware/validate');
+const { idParam } = require('./common');
+
+module.exports = {
+  byBarcode: {
+    params: { barcode: { type: 'string', required: true, minLength: 1, maxLength: 50 } }
+  },
+  byId: { params: idParam },
+  update: {
+    params: idParam,
+    body: {
+      barcode: { type: 'string', minLength: 1, maxLength: 50 },
+      shelfLocation: { type: 'string', maxLength: 100 },
+      condition: { type: 'string', enum: enumOf(Copy, 'condition') },
+      notes: { type: 'string', maxLength: 1000 },
+      // on_loan/on_hold are set by circulation, never by hand
+      status: { type: 'string', enum: MANUAL_STATUSES }
+    }
+  }
+};
@@ -0,0 +1,47 @@
+/**
+ * Fine Route Schemas
+ * Amounts are integer cents.
+ */
+
+const Fine = require('../Models/Fine');
+const Payment = require('../Models/Payment');
+const { enumOf } = require('../middleware/validate');
+const { objectId, idParam, listQuery } = require('./common');
+
+const amount = { type: 'integer', min: 1 };
+const note = { type: 'string', maxLength: 1000 };
+
+module.exports = {
+  list: {
+    query: {
+      ...listQuery,
+      memberId: objectId,
+      status: { type: 'string', enum: enumOf(Fine, 'status') },
+      type: { type: 'string', enum: enumOf(Fine, 'type') }
+    }
+  },
+  byMember: { params: { memberId: { type: 'objectId', required: true } } },
+  byId: { params: idParam },
+  create: {
+    body: {
+      memberId: { type: 'objectId', required: true },
+      type: { type: 'string', required: true, enum: enumOf(Fine, 'type') },
+      amount: { ...amount, required: true },
+      description: { type: 'string', maxLength: 1000 },
+      loanId: objectId,
+      bookId: objectId
+    }
+  },
+  payment: {
+    params: idParam,
+    body: {
+      amount: { ...amount, required: true },
+      method: { type: 'string', enum: enumOf(Payment, 'method') },
+      note
+    }
+  },
+  waive: {
+    params: idParam,
+    body: { amount, note }
+  }
+};
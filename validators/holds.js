@@ -0,0 +1,19 @@
+/**
+ * Hold Route Schemas
+ */
+
+const Reservation = require('../Models/Reservation');
+const { enumOf } = require('../middleware/validate');
+const { objectId, listQuery } = require('./common');
+
+const status = { type: 'string', enum: enumOf(Reservation, 'status') };
+
+module.exports = {
+  list: {
+    query: { ...listQuery, status, bookId: objectId, memberId: objectId }
+  },
+  byUser: {
+    params: { userId: { type: 'objectId', required: true } },
+    query: { ...listQuery, status: { ...status, enum: [...status.enum, 'all'] } }
+  }
+};
@@ -0,0 +1,81 @@
+/**
+ * Loan Route Schemas
+ * The raw create/update overrides accept loan bookkeeping fields only;
+ * renewals, fines and copy status are managed by the circulation routes.
+ */
+
+const Copy = require('../Models/Copy');
+const { enumOf } = require('../middleware/validate');
+const { objectId, idParam, listQuery, exportFormat } = require('./common');
+
+const condition = { type: 'string', enum: enumOf(Copy, 'condition') };
+
+const loanFields = {
+  userId: { type: 'objectId', required: true },
+  bookId: { type: 'objectId', required: true },
+  copyId: objectId,
+  borrowDate: { type: 'date' },
+  dueDate: { type: 'date' },
+  returnDate: { type: 'date', nullable: true },
+  returned: { type: 'boolean' },
+  isOverdue: { type: 'boolean' }
+};
+
+// Who and what a loan is for are fixed once it exists
+const { userId, bookId, ...bookkeepingFields } = loanFields;
+
+const fee = { type: 'integer', min: 0 };
+
+module.exports = {
+  list: {
+    query: {
+      ...listQuery,
+      returned: { type: 'boolean' },
+      isOverdue: { type: 'boolean' },
+      userId: objectId,
+      bookId: objectId
+    }
+  },
+  listDeleted: { query: listQuery },
+  export: {
+    query: {
+      format: exportFormat,
+      returned: { type: 'boolean' },
+      userId: objectId,
+      bookId: objectId,
+      // borrowDate range (inclusive)
+      from: { type: 'date' },
+      to: { type: 'date' }
+    }
+  },
+  byId: { params: idParam },
+  checkout: {
+    body: {
+      userId: objectId,
+      bookId: objectId,
+      copyId: objectId,
+      barcode: { type: 'string', minLength: 1, maxLength: 50 }
+    }
+  },
+  returnByBarcode: {
+    body: {
+      barcode: { type: 'string', required: true, minLength: 1, maxLength: 50 },
+      condition
+    }
+  },
+  returnLoan: { params: idParam, body: { condition } },
+  declareLost: {
+    params: idParam,
+    body: { replacementFee: fee, processingFee: fee }
+  },
+  create: { body: loanFields },
+  update: {
+    params: idParam,
+    body: bookkeepingFields
+  },
+  byUser: {
+    params: { userId: { type: 'objectId', required: true } },
+    query: { ...listQuery, returned: { type: 'boolean' } }
+  },
+  overdue: { query: listQuery }
+};
@@ -0,0 +1,164 @@
+/**
+ * Member Route Schemas
+ * role, isActive, emailVerified and (after registration) studentId are
+ * writable by admins only; password and tokenVersion are never accepted on
+ * profile updates (passwords change through /members/change-password and
+ * /members/reset-password).
+ */
+
+const Member = require('../Models/Members');
+const Notification = require('../Models/Notification');
+const { optional, enumOf } = require('../middleware/validate');
+const { idParam, listQuery, exportFormat } = require('./common');
+
+const profileFields = {
+  name: { type: 'string', required: true, minLength: 1, maxLength: 200 },
+  email: { type: 'email', required: true, maxLength: 254 },
+  phone: { type: 'string', maxLength: 30 },
+  address: { type: 'string', maxLength: 500 }
+};
+
+// Notification preferences, writable by the member (services/notificationService.js)
+const notificationFields = {
+  notificationChannels: {
+    type: 'array',
+    maxLength: 2,
+    items: { type: 'string', enum: enumOf(Notification, 'channel') }
+  },
+  mutedNotifications: {
+    type: 'array',
+    maxLength: 5,
+    items: { type: 'string', enum: enumOf(Notification, 'event') }
+  }
+};
+
+const studentFields = {
+  studentId: { type: 'string', required: true, minLength: 1, maxLength: 50 },
+  department: { type: 'string', maxLength: 100 }
+};
+
+// Profile edits: the registrar sync matches students on studentId, so only
+// staff may change it once the account exists
+const studentUpdateFields = {
+  ...optional(studentFields),
+  studentId: { ...optional(studentFields).studentId, roles: ['admin'] }
+};
+
+const password = { type: 'string', required: true, minLength: 8, maxLength: 128 };
+
+// Single-use token from a verification or reset email
+const accountToken = { type: 'string', required: true, pattern: /^[0-9a-f]{64}$/ };
+const emailOnly = { email: { type: 'email', required: true, maxLength: 254 } };
+
+module.exports = {
+  login: {
+    body: {
+      email: { type: 'string', required: true, maxLength: 254 },
+      password: { type: 'string', required: true, maxLength: 128 }
+    }
+  },
+  refreshToken: {
+    body: { refreshToken: { type: 'string', required: true, maxLength: 2000 } }
+  },
+  verifyEmail: {
+    body: { token: accountToken }
+  },
+  resendVerification: {
+    body: emailOnly
+  },
+  forgotPassword: {
+    body: emailOnly
+  },
+  resetPassword: {
+    body: { token: accountToken, password }
+  },
+  changePassword: {
+    body: {
+      currentPassword: { type: 'string', required: true, maxLength: 128 },
+      newPassword: password
+    }
+  },
+  registerStudent: {
+    body: { ...profileFields, ...studentFields, password }
+  },
+  registerPatron: {
+    body: { ...profileFields, password }
+  },
+  list: {
+    query: {
+      ...listQuery,
+      role: { type: 'string', enum: enumOf(Member, 'role') },
+      isActive: { type: 'boolean' },
+      // Membership past its expiry date (or not)
+      expired: { type: 'boolean' },
+      search: { type: 'string', maxLength: 200 }
+    }
+  },
+  listDeleted: { query: listQuery },
+  export: {
+    query: {
+      format: exportFormat,
+      role: { type: 'string', enum: enumOf(Member, 'role') },
+      isActive: { type: 'boolean' }
+    }
+  },
+  byId: { params: idParam },
+  recommendations: { params: idParam, query: { limit: { type: 'integer', min: 1, max: 50 } } },
+  byCard: {
+    params: { cardNumber: { type: 'string', required: true, maxLength: 50 } }
+  },
+  renew: {
+    params: idParam,
+    body: {
+      // Academic term ("2026-fall") or exact date the membership should run to
+      term: { type: 'string', maxLength: 30, roles: ['admin'] },
+      expiresAt: { type: 'date', nullable: true, roles: ['admin'] }
+    }
+  },
+  // The CSV is the raw request body (see services/membershipService.js)
+  importStudents: {
+    query: { dryRun: { type: 'boolean' } }
+  },
+  // One row of a registrar import
+  registrarRow: {
+    body: {
+      studentId: studentFields.studentId,
+      ...optional({ name: profileFields.name, email: profileFields.email }),
+      department: studentFields.department,
+      term: { type: 'string', maxLength: 30 },
+      expiresAt: { type: 'date' }
+    }
+  },
+  create: {
+    body: {
+      ...profileFields,
+      ...optional(studentFields),
+      password,
+      role: { type: 'string', enum: enumOf(Member, 'role') },
+      isActive: { type: 'boolean' }
+    }
+  },
+  update: {
+    params: idParam,
+    body: {
+      ...optional(profileFields),
+      ...studentUpdateFields,
+      ...notificationFields,
+      // Opt out of keeping returned loans (services/readingHistoryService.js)
+      keepReadingHistory: { type: 'boolean' },
+      role: { type: 'string', enum: enumOf(Member, 'role'), roles: ['admin'] },
+      isActive: { type: 'boolean', roles: ['admin'] },
+      // For members who cannot receive the verification email
+      emailVerified: { type: 'boolean', roles: ['admin'] },
+      membershipExpiresAt: { type: 'date', nullable: true, roles: ['admin'] }
+    }
+  },
+  updateStudent: {
+    params: idParam,
+    body: { ...optional(profileFields), ...studentUpdateFields }
+  },
+  updatePatron: {
+    params: idParam,
+    body: optional(profileFields)
+  }
+};
@@ -0,0 +1,20 @@
+/**
+ * Notification Route Schemas
+ */
+
+const Notification = require('../Models/Notification');
+const { enumOf } = require('../middleware/validate');
+const { objectId, idParam, listQuery } = require('./common');
+
+module.exports = {
+  list: {
+    query: {
+      ...listQuery,
+      memberId: objectId,
+      status: { type: 'string', enum: enumOf(Notification, 'status') },
+      event: { type: 'string', enum: enumOf(Notification, 'event') },
+      channel: { type: 'string', enum: enumOf(Notification, 'channel') }
+    }
+  },
+  byId: { params: idParam }
+};
@@ -0,0 +1,42 @@
+/**
+ * Circulation Policy Route Schemas
+ */
+
+const CirculationPolicy = require('../Models/CirculationPolicy');
+const { optional, enumOf } = require('../middleware/validate');
+const { objectId, idParam } = require('./common');
+
+const role = { type: 'string', enum: enumOf(CirculationPolicy, 'role') };
+const category = { type: 'string', maxLength: 100 };
+
+const policyFields = {
+  role: { ...role, required: true },
+  // null = applies to every category
+  category: { ...category, nullable: true },
+  loanPeriodDays: { type: 'integer', min: 1 },
+  // null = no limit
+  maxLoans: { type: 'integer', min: 0, nullable: true },
+  maxRenewals: { type: 'integer', min: 0 },
+  overdueGraceDays: { type: 'integer', min: 0 },
+  dailyFine: { type: 'integer', min: 0 },
+  maxFine: { type: 'integer', min: 0 },
+  description: { type: 'string', maxLength: 1000 }
+};
+
+module.exports = {
+  evaluate: {
+    query: {
+      bookId: { type: 'objectId', required: true },
+      memberId: objectId
+    }
+  },
+  resolve: {
+    query: { role: { ...role, required: true }, category }
+  },
+  list: {
+    query: { role, category }
+  },
+  byId: { params: idParam },
+  create: { body: policyFields },
+  update: { params: idParam, body: optional(policyFields) }
+};
@@ -0,0 +1,26 @@
+/**
+ * Report Route Schemas
+ * Every report takes an inclusive from/to date range and an optional
+ * ?format= to download it instead of returning JSON.
+ */
+
+const { INTERVALS } = require('../services/reportService');
+const { exportFormat } = require('./common');
+
+const range = {
+  from: { type: 'date' },
+  to: { type: 'date' },
+  format: exportFormat
+};
+
+const interval = { type: 'string', enum: INTERVALS };
+const limit = { type: 'integer', min: 1, max: 1000 };
+
+module.exports = {
+  circulation: { query: { ...range, interval } },
+  top: { query: { ...range, limit } },
+  borrowing: { query: { ...range, by: { type: 'string', enum: ['role', 'department'] } } },
+  loanDuration: { query: range },
+  overdueRate: { query: { ...range, interval } },
+  neverBorrowed: { query: { ...range, limit } }
+};
@@ -0,0 +1,46 @@
+/**
+ * Review Route Schemas
+ */
+
+const Review = require('../Models/Review');
+const { enumOf } = require('../middleware/validate');
+const { objectId, idParam, listQuery } = require('./common');
+
+const rating = { type: 'integer', min: 1, max: 5 };
+const text = { type: 'string', maxLength: 5000 };
+const note = { type: 'string', maxLength: 1000 };
+
+module.exports = {
+  list: {
+    query: {
+      ...listQuery,
+      bookId: objectId,
+      memberId: objectId,
+      status: { type: 'string', enum: enumOf(Review, 'status') },
+      flagged: { type: 'boolean' }
+    }
+  },
+  // GET /books/:id/reviews (status is honoured for admins only)
+  byBook: {
+    params: idParam,
+    query: { ...listQuery, status: { type: 'string', enum: enumOf(Review, 'status') } }
+  },
+  // POST /books/:id/reviews
+  create: {
+    params: idParam,
+    body: { rating: { ...rating, required: true }, text }
+  },
+  update: {
+    params: idParam,
+    body: { rating, text }
+  },
+  byId: { params: idParam },
+  flag: {
+    params: idParam,
+    body: { reason: { type: 'string', maxLength: 500 } }
+  },
+  moderate: {
+    params: idParam,
+    body: { note }
+  }
+};
@@ -0,0 +1,17 @@
+/**
+ * Subject Route Schemas
+ */
+
+const { idParam, listQuery } = require('./common');
+
+module.exports = {
+  list: {
+    query: { ...listQuery, q: { type: 'string', maxLength: 200 } }
+  },
+  byId: { params: idParam },
+  books: { params: idParam, query: listQuery },
+  update: {
+    params: idParam,
+    body: { name: { type: 'string', required: true, minLength: 1, maxLength: 100 } }
+  }
+};
@@ -0,0 +1,43 @@
+/**
+ * Webhook Route Schemas
+ */
+
+const WebhookDelivery = require('../Models/WebhookDelivery');
+const { enumOf } = require('../middleware/validate');
+const { EVENT_TYPES } = require('../services/eventBus');
+const { objectId, idParam, listQuery } = require('./common');
+
+const subscriptionFields = {
+  url: { type: 'string', maxLength: 2000, pattern: /^https?:\/\/[^\s/]+/i },
+  events: {
+    type: 'array',
+    minLength: 1,
+    maxLength: 20,
+    // "*" subscribes to every event
+    items: { type: 'string', enum: [...EVENT_TYPES, '*'] }
+  },
+  description: { type: 'string', maxLength: 500 },
+  isActive: { type: 'boolean' }
+};
+
+const deliveryQuery = {
+  ...listQuery,
+  status: { type: 'string', enum: enumOf(WebhookDelivery, 'status') },
+  event: { type: 'string', maxLength: 100 }
+};
+
+module.exports = {
+  list: { query: { ...listQuery, isActive: { type: 'boolean' } } },
+  byId: { params: idParam },
+  create: {
+    body: {
+      ...subscriptionFields,
+      url: { ...subscriptionFields.url, required: true },
+      events: { ...subscriptionFields.events, required: true }
+    }
+  },
+  update: { params: idParam, body: subscriptionFields },
+  deliveries: { params: idParam, query: deliveryQuery },
+  deadLetters: { query: { ...deliveryQuery, subscriptionId: objectId } },
+  byDelivery: { params: { deliveryId: { type: 'objectId', required: true } } }
+};
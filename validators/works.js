@@ -0,0 +1,14 @@
+/**
+ * Work Route Schemas
+ */
+
+const { idParam, listQuery } = require('./common');
+
+module.exports = {
+  byId: { params: idParam },
+  books: { params: idParam, query: listQuery },
+  update: {
+    params: idParam,
+    body: { title: { type: 'string', required: true, minLength: 1, maxLength: 500 } }
+  }
+};